@@ -8,7 +8,11 @@
 import "dotenv/config";
 import readline from "readline";
 import { HumanMessage, AIMessage } from "@langchain/core/messages";
-import { app, wisdomMemory, vectorMemory, skillWriter } from "./src/engine/wuxingGraph.js";
+import {
+    runGraph, resumeRun, getRunDetail, checkpointer,
+    wisdomMemory, vectorMemory, skillWriter, namespaces,
+} from "./src/engine/wuxingGraph.js";
+import { normalizeNamespace } from "./src/memory/namespaces.js";
 import { sessionManager } from "./src/engine/sessionManager.js";
 import { goalTracker }   from "./src/engine/goalTracker.js";
 import { statusBoard }   from "./src/engine/statusBoard.js";
@@ -21,11 +25,22 @@ import { WisdomMemory } from "./src/engine/vectorStore.js";
 import { skillManager } from "./src/engine/skillManager.js";
 import { mcpPool }      from "./src/engine/mcpClient.js";
 import { runTeam }      from "./src/engine/orchestrator.js";
+import { usageTracker } from "./src/engine/usageTracker.js";
+import { budgetGuard }  from "./src/engine/budgetGuard.js";
+import { approvalManager } from "./src/engine/approvalManager.js";
+import { agentBus }     from "./src/engine/eventBus.js";
+import { memorySnapshots } from "./src/memory/memorySnapshots.js";
+import { feedbackLedger } from "./src/memory/feedback.js";
+import { exportBundle, importBundle, STRATEGIES } from "./src/memory/memoryBundle.js";
+import { proposeChangeSet } from "./src/memory/memoryProposal.js";
+import { sweepShortTerm, recentFlow, flowSummary, FLOW_REASON_LABEL, SWEEP_INTERVAL_MS } from "./src/memory/memoryLifecycle.js";
+import { describeWhen } from "./src/memory/ruleSchema.js";
+import { storage } from "./src/storage/index.js";
 import { logger, EV }   from "./src/utils/logger.js";
 import cfg from "./config/wuxing.json" with { type: "json" };
 import { existsSync } from "fs";
-import { readdir, unlink, mkdir, rm } from "fs/promises";
-import { join, resolve } from "path";
+import { readdir, unlink, mkdir, rm, readFile, writeFile } from "fs/promises";
+import { join, resolve, dirname } from "path";
 import { WORKSPACE_DIR } from "./src/engine/toolBox.js";
 
 const DIVIDER        = "-".repeat(56);
@@ -50,6 +65,9 @@ function pushSession(humanMsg, aiMsg) {
     sessionManager.saveHistory(sessionMessages);
 }
 
+// 最近一次回答的 requestId（:good / :bad 评价对象）
+let lastRequestId = null;
+
 // ── 全局组件 ─────────────────────────────────────────────
 const vision   = new VisionModule();
 const evolution = new EvolutionPlugin(wisdomMemory);
@@ -62,6 +80,18 @@ const rl = readline.createInterface({
     terminal: true,
 });
 
+// 审批提问排队：并行工具调用会同时发起多个审批，readline 同一时刻只能挂一个 question
+// 轮到时审批单已超时 / 被 Web 端处理则跳过，返回 null
+let approvalQueue = Promise.resolve();
+function askApproval(event, question) {
+    const ask = approvalQueue.then(() => {
+        if (!approvalManager.listPending().some((p) => p.id === event.data.id)) return null;
+        return new Promise((resolve) => rl.question(question, resolve));
+    });
+    approvalQueue = ask.catch(() => null);
+    return ask;
+}
+
 // ─────────────────────────────────────────────
 // 启动：初始化 + 后台定时器
 // ─────────────────────────────────────────────
@@ -89,7 +119,19 @@ async function initSystem() {
     console.log("");
     console.log("    :team [任务]           - 团队模式（Commander 调度 Executor + Researcher 协作）");
     console.log("    :pin  <准则>           - 钉住核心记忆（永不裁剪）");
-    console.log("    :mem                  - 查看分层记忆统计（core/long_term/short_term）");
+    console.log("    :mem                  - 查看分层记忆统计（core/long_term/short_term）与近 7 天层级流转");
+    console.log("    :mem flow             - 短期记忆流转记录（晋升 long_term / 过期清除）");
+    console.log("    :mem sweep            - 立即清扫短期记忆（有用的晋升，过期未用的清除）");
+    console.log("    :mem history          - 经验库改写快照（梦境 / 修剪 / 对齐 / 编辑前留底）");
+    console.log("    :mem diff <快照id>    - 查看该次改写的新增 / 删除 / 合并 / 修改");
+    console.log("    :mem restore <快照id> - 回滚到该次改写之前（回滚本身也留快照）");
+    console.log("    :mem export [文件] [--embeddings] [--type=core] [--min=0.6]");
+    console.log("                          - 导出当前命名空间的准则为 JSONL 记忆包（供其他实例导入）");
+    console.log(`    :mem import <文件> [--strategy=${STRATEGIES.join("|")}] [--core]`);
+    console.log("                          - 导入记忆包：语义去重，相似准则按策略保留 / 取高置信 / 送审；--core 保留包内 core 层");
+    console.log("    :ns [名称|off]         - 记忆命名空间（按项目 / 目标隔离经验；:ns project、:ns goal <id>）");
+    console.log("    :good [备注]           - 评价上一条回答有用（提升所用准则置信度）");
+    console.log("    :bad  [备注]           - 评价上一条回答有误（降低置信度；直觉直答的准则不再直接作答）");
     console.log("    :grow <任务> <解法>    - 手动触发技能封装（自生长）");
     console.log("    :see  [路径]           - 视觉感知（同 :v，别名）");
     console.log("");
@@ -104,6 +146,11 @@ async function initSystem() {
     console.log("    :evolve               - 查看 Agent 提交的架构修改提案");
     console.log("    :evolve apply         - 安全应用提案（含备份+语法检查+人类确认）");
     console.log("    :evolve rollback      - 回滚核心图到上一个版本");
+    console.log("    :runs [id]            - 运行检查点（列表 / 详情）");
+    console.log("    :runs resume <id>     - 从最后完成的节点恢复中断的运行");
+    console.log("    :usage [id]           - Token 用量与成本（今日 / 近期请求 / 单次请求按节点拆分）");
+    console.log("    :budget               - 预算守卫状态（今日 / 本月额度、静默时段、临时提额）");
+    console.log("    :budget raise [倍数] [小时] - 申请预算临时提额（critical 审批）");
     console.log("    exit                  - 安全退出并保存记忆");
     console.log("  自主模式：node main.js --autonomous  （心跳每60分钟自主执行任务）");
     console.log(DOUBLE_DIVIDER);
@@ -167,6 +214,60 @@ async function initSystem() {
     statusBoard.refresh(allToolNames);
     console.log("[金-反射] STATUS.md 已刷新（自我状态看板就绪）");
 
+    // 木-分圃：配置了默认命名空间时提示符带上名称
+    if (sessionManager.namespace) {
+        sessionManager.namespace = normalizeNamespace(sessionManager.namespace);
+        setPromptNamespace();
+    }
+    sessionManager.memory = vectorMemory;   // 会话压缩摘要写入 short_term
+
+    // 金-议：梦境 / 熵减提案在终端审批（y 全部应用 / 列出条目编号部分批准 / n 放弃）
+    agentBus.on("approval.requested", async (event) => {
+        if (event.data?.actionType !== "memory_rewrite") return;
+        const a = await askApproval(event, `\n[金-议] ${event.data.message}\n${event.data.command}\n\n应用哪些条目？(y=全部 / 条目编号如 M1 D2 / n=放弃) > `);
+        if (a === null) return;
+        const ans = a.trim();
+        const ids = ans.toUpperCase().match(/[MRDA]\d+/g) ?? [];
+        if (/^(y|yes)$/i.test(ans)) {
+            approvalManager.resolveDecision(event.data.id, { decision: "approve", reason: "终端确认" });
+        } else if (ids.length > 0) {
+            approvalManager.resolveDecision(event.data.id, {
+                decision:       "modify",
+                patchedCommand: ids.join("\n"),
+                reason:         "终端部分批准",
+            });
+        } else {
+            approvalManager.resolveDecision(event.data.id, { decision: "reject", reason: "终端放弃" });
+        }
+    });
+
+    // 金-门：工具调用审批（y 批准 / n 拒绝 / m 修改参数；critical 不允许修改）
+    agentBus.on("approval.requested", async (event) => {
+        if (event.data?.actionType !== "tool_call") return;
+        const { id, risk, message, command, allowModify } = event.data;
+        const choices = allowModify ? "y=批准 / n=拒绝 / m=修改参数" : "y=批准 / n=拒绝";
+        const a = await askApproval(event, `\n[金-门] ${message}（风险 ${risk}）\n${command}\n\n是否执行？(${choices}) > `);
+        if (a === null) return;
+        const ans = a.trim().toLowerCase();
+
+        if (allowModify && (ans === "m" || ans === "modify")) {
+            const patched = await askApproval(event, "输入修改后的参数（单行 JSON，留空则拒绝）> ");
+            if (patched === null) return;
+            try {
+                if (!patched.trim()) throw new Error("empty");
+                JSON.parse(patched);
+            } catch {
+                approvalManager.resolveDecision(id, { decision: "reject", reason: "终端修改的参数不是合法 JSON" });
+                return;
+            }
+            approvalManager.resolveDecision(id, { decision: "modify", patchedCommand: patched, reason: "终端修改参数" });
+            return;
+        }
+        approvalManager.resolveDecision(id, ans === "y" || ans === "yes"
+            ? { decision: "approve", reason: "终端确认" }
+            : { decision: "reject",  reason: "终端拒绝" });
+    });
+
     // 后台梦境定时器（水生木：时间滋养进化）
     const intervalMs = cfg.repl.dreamIntervalMs;
     setInterval(async () => {
@@ -175,12 +276,17 @@ async function initSystem() {
     }, intervalMs);
 
     logger.info(EV.SYSTEM, `后台梦境定时器已启动，周期 ${intervalMs / 60000} 分钟`);
+
+    // 木-代谢：短期记忆定时清扫（启动时先补一轮；与 Web 进程同时运行时由占位避免重复清扫）
+    const sweep = () => sweepShortTerm(namespaces).catch((e) => logger.warn(EV.WOOD, `短期记忆清扫失败: ${e.message}`));
+    setTimeout(sweep, 5_000);
+    setInterval(sweep, SWEEP_INTERVAL_MS);
     console.log(`[系统] 后台进化定时器已启动（每 ${intervalMs / 60000} 分钟自动梦境折叠）\n`);
 
     // 木-震：自主模式（--autonomous 标志启动心跳）
     if (process.argv.includes("--autonomous")) {
         const pulse = new WuXingPulse(
-            (state, cfg) => app.invoke(state, cfg),
+            (state, cfg) => runGraph(state, cfg, { source: "pulse" }),
             { intervalMs: 3_600_000 }   // 每小时一次，可通过 wuxing.json pulse.intervalMs 调整
         );
         pulse.start();
@@ -211,18 +317,29 @@ async function handleChat(input) {
     // 水/直觉节点取最后一条（当前问题），推理节点享有完整会话链
     const contextMessages = [...sessionMessages, humanMsg];
 
+    const over = budgetGuard.check("chat");
+    if (over) {
+        console.log(`\n[金-度] ${over.message}，将于 ${over.resetAt} 重置。可用 :budget raise 申请临时提额。\n`);
+        return;
+    }
+
     console.log(`\n[感知] 正在进行五行推演... (上下文 ${sessionMessages.length} 条)\n`);
 
     try {
         // recursionLimit = maxCycles × 2（reasoning↔tools 每轮2跳）+ 固定节点数（water/intuition/reflection = 3）+ 缓冲
         const maxCycles = cfg.tools?.maxCycles ?? 12;
-        const result = await app.invoke(
+        const result = await runGraph(
             { messages: contextMessages },
-            { recursionLimit: maxCycles * 2 + 10 }
+            {
+                recursionLimit: maxCycles * 2 + 10,
+                configurable:   { sessionId: sessionManager.sessionId, namespace: sessionManager.namespace },
+            },
+            { source: "repl", title: input }
         );
 
         const answer = result.foundWisdom
             ?? result.messages[result.messages.length - 1]?.content;
+        lastRequestId = result.threadId;
         const source = result.foundWisdom
             ? "[火] 直觉命中 — 经验库加权召回"
             : "[土] 逻辑推演 — 实时生成";
@@ -231,6 +348,10 @@ async function handleChat(input) {
         console.log(source);
         console.log(DIVIDER);
         console.log(answer ?? "(无输出)");
+        const usage = usageTracker.forRequest(result.threadId);
+        if (usage) {
+            console.log(`  [用量] ${usage.total} tokens（${usage.calls} 次调用）≈ ${formatCost(usage.cost)}`);
+        }
         console.log(`${DIVIDER}\n`);
 
         // 更新会话窗口（将本轮存入上下文）
@@ -238,12 +359,14 @@ async function handleChat(input) {
             pushSession(humanMsg, new AIMessage(answer));
         }
 
-        // 短期记忆：将本轮对话写入 short_term 层（语义可搜索，1天后降权）
+        // 短期记忆：将本轮对话写入 short_term 层（语义可搜索；被召回且有用的定时晋升 long_term，过期未用的清除）
         if (answer && input.length > 10) {
             setImmediate(async () => {
                 await vectorMemory.add(input, answer, {
                     confidence:   0.5,
                     memory_type:  "short_term",
+                    provenance:   { origin: "session", requestId: result.threadId, sessionId: sessionManager.sessionId },
+                    namespace:    sessionManager.namespace,
                 });
             });
         }
@@ -480,8 +603,235 @@ async function handlePinMemory(ruleText) {
 }
 
 /**
- * :mem
- * 展示分层记忆统计（core / long_term / short_term）
+ * :mem export / import —— 记忆包（见 src/memory/memoryBundle.js），作用于当前命名空间
+ */
+async function handleMemBundle(sub, args) {
+    const flags = Object.fromEntries(args.filter((a) => a.startsWith("--")).map((a) => {
+        const [k, v = "true"] = a.slice(2).split("=");
+        return [k, v];
+    }));
+    const [file] = args.filter((a) => !a.startsWith("--"));
+    const mem    = await namespaces.get(sessionManager.namespace);
+    const where  = sessionManager.namespace ?? "global";
+
+    if (sub === "export") {
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, "").replace("T", "-");
+        const out   = resolve(file ?? join(cfg.memory?.bundle?.dir ?? "data/exports", `memory-${where}-${stamp}.jsonl`));
+        const { text, count } = exportBundle(mem, {
+            embeddings:    flags.embeddings === "true",
+            type:          flags.type,
+            minConfidence: flags.min !== undefined ? Number(flags.min) : undefined,
+        });
+        await mkdir(dirname(out), { recursive: true });
+        await writeFile(out, text, "utf-8");
+        console.log(`\n[木-移栽] 已导出 ${count} 条准则（${where}${flags.embeddings === "true" ? "，含向量" : ""}）→ ${out}\n`);
+        return;
+    }
+
+    if (!file) {
+        console.log(`\n用法：:mem import <文件> [--strategy=${STRATEGIES.join("|")}] [--core]\n`);
+        return;
+    }
+    let text;
+    try {
+        text = await readFile(resolve(file), "utf-8");
+    } catch (e) {
+        console.log(`\n[木-移栽] 读取失败：${e.message}\n`);
+        return;
+    }
+    try {
+        const r = await importBundle(mem, text, { strategy: flags.strategy, allowCore: flags.core === "true" });
+        console.log(`\n[木-移栽] 导入来自 ${r.instance} 的 ${r.total} 条准则 → ${where}`);
+        console.log(`  新增 ${r.added.length - r.replaced.length}  替换 ${r.replaced.length}  跳过 ${r.skipped.length}  待审 ${r.proposal?.items.length ?? 0}  无效行 ${r.invalid.length}`);
+        for (const x of r.replaced) console.log(`  ↻ ${x.id} → ${x.by}`);
+        if (r.demoted.length) console.log(`  包内 core 层准则 ${r.demoted.length} 条已按 long_term 导入（保留 core 层请加 --core）`);
+        for (const x of r.invalid)  console.log(`  ✗ 第 ${x.line} 行：${x.error}`);
+        if (r.snapshot) console.log(`  如需撤销：:mem restore ${r.snapshot}`);
+        console.log("");
+        if (r.proposal) await proposeChangeSet(mem, r.proposal, { source: "import" });
+    } catch (e) {
+        console.log(`\n[木-移栽] 导入失败：${e.message}\n`);
+    }
+}
+
+/**
+ * :mem [history | diff <id> | restore <id> | export | import | flow | sweep]
+ * 无参数：分层记忆统计；子命令：改写快照的历史 / 差异 / 回滚，记忆包导出 / 导入，短期记忆流转 / 清扫
+ */
+async function handleMem(arg = "") {
+    const [sub, id, ...rest] = arg.trim().split(/\s+/);
+
+    if (sub === "export" || sub === "import") {
+        await handleMemBundle(sub, [id, ...rest].filter(Boolean));
+        return;
+    }
+
+    if (sub === "sweep") {
+        const r = await sweepShortTerm(namespaces, { force: true });
+        console.log(`\n[木-代谢] 短期记忆清扫完成：晋升 ${r.promoted} 条，清除 ${r.removed} 条`);
+        printFlow(r.entries);
+        console.log("");
+        return;
+    }
+
+    if (sub === "flow") {
+        const entries = recentFlow(30);
+        if (entries.length === 0) {
+            console.log("\n[木-代谢] 暂无短期记忆流转记录\n");
+            return;
+        }
+        console.log(`\n[木-代谢] 最近 ${entries.length} 次层级流转：`);
+        printFlow(entries);
+        console.log("");
+        return;
+    }
+
+    if (sub === "history") {
+        const snaps = memorySnapshots.list(20);
+        if (snaps.length === 0) {
+            console.log("\n[木-年轮] 暂无改写快照\n");
+            return;
+        }
+        console.log(`\n[木-年轮] 最近 ${snaps.length} 次经验库改写：`);
+        for (const s of snaps) {
+            const sum = s.summary
+                ? `+${s.summary.added} −${s.summary.removed} 合并${s.summary.merged} 修改${s.summary.changed}`
+                : "（改写未完成）";
+            const where = s.namespace ? `  [${s.namespace}]` : "";
+            console.log(`  ${s.id}  ${s.at.slice(0, 19).replace("T", " ")}  ${s.reason.padEnd(18)} ${s.count.before} → ${s.count.after ?? "?"} 条  ${sum}${where}`);
+        }
+        console.log("\n  差异：:mem diff <id>  回滚：:mem restore <id>\n");
+        return;
+    }
+
+    if (sub === "diff" || sub === "restore") {
+        if (!id) {
+            console.log(`\n用法：:mem ${sub} <快照id>（:mem history 查看）\n`);
+            return;
+        }
+        const snap = memorySnapshots.get(id);
+        if (!snap) {
+            console.log(`\n[木-年轮] 未找到快照：${id}\n`);
+            return;
+        }
+
+        if (sub === "restore") {
+            const mem     = await namespaces.get(snap.namespace);   // 回滚到快照所属的库
+            const newSnap = await mem.restore(id);
+            console.log(`\n[木-年轮] 已回滚至 ${id}（${snap.reason} 之前），现有 ${mem.rawDocs.length} 条`);
+            console.log(`  如需撤销本次回滚：:mem restore ${newSnap}\n`);
+            return;
+        }
+
+        const d = snap.diff;
+        console.log(`\n[木-年轮] 快照 ${snap.id}（${snap.reason}，${snap.at}）：${snap.count.before} → ${snap.count.after ?? "?"} 条`);
+        if (!d) {
+            console.log("  改写未完成，无差异记录（可直接 restore）\n");
+            return;
+        }
+        const line = (r) => `${r.result.slice(0, 70)}  ← ${r.task.slice(0, 30)}`;
+        for (const r of d.merged)  console.log(`  ⊕ 合并 ${line(r)}\n      来自 ${r.parents.join(", ")}`);
+        for (const r of d.added)   console.log(`  + ${line(r)}`);
+        for (const r of d.removed) console.log(`  − ${line(r)}${r.mergedInto ? `（并入 ${r.mergedInto}）` : ""}`);
+        for (const c of d.changed) {
+            console.log(`  ~ ${c.id}`);
+            for (const f of c.fields) console.log(`      ${f}：${String(c.before[f]).slice(0, 50)} → ${String(c.after[f]).slice(0, 50)}`);
+        }
+        if (!d.merged.length && !d.added.length && !d.removed.length && !d.changed.length) console.log("  （无变化）");
+        console.log("");
+        return;
+    }
+
+    showLayeredMemoryStats();
+}
+
+// ── :ns 指令处理器 ────────────────────────────────────────
+// 记忆命名空间：按项目 / 目标隔离经验库，召回合并全局库 + 当前命名空间
+function setPromptNamespace() {
+    rl.setPrompt(sessionManager.namespace ? `WuXing[${sessionManager.namespace}] > ` : "WuXing > ");
+}
+
+function handleNamespace(arg = "") {
+    const [sub, ...rest] = arg.trim().split(/\s+/).filter(Boolean);
+
+    if (!sub) {
+        console.log(`\n[木-分圃] 当前命名空间：${sessionManager.namespace ?? "global（全局库）"}`);
+        for (const ns of namespaces.list()) {
+            const mark = (ns.name === "global" ? null : ns.name) === sessionManager.namespace ? "*" : " ";
+            console.log(`  ${mark} ${ns.name.padEnd(24)} ${ns.count} 条`);
+        }
+        console.log("\n  切换：:ns <名称> | :ns project [目录] | :ns goal <目标id> | :ns off\n");
+        return;
+    }
+
+    let raw;
+    if (sub === "off" || sub === "global") {
+        raw = null;
+    } else if (sub === "project") {
+        raw = `project:${rest.join(" ")}`;
+    } else if (sub === "goal") {
+        const goal = goalTracker.get(rest[0]);
+        if (!goal) {
+            console.log(`\n[木-分圃] 未找到目标：${rest[0] ?? "（缺少目标 id）"}\n`);
+            return;
+        }
+        raw = `goal:${goal.id}`;
+    } else {
+        raw = [sub, ...rest].join(" ");
+    }
+
+    try {
+        sessionManager.namespace = normalizeNamespace(raw);
+    } catch (e) {
+        console.log(`\n[木-分圃] ${e.message}\n`);
+        return;
+    }
+    setPromptNamespace();
+    console.log(sessionManager.namespace
+        ? `\n[木-分圃] 已切换到命名空间 ${sessionManager.namespace}：新经验写入该空间，召回合并全局库\n`
+        : "\n[木-分圃] 已回到全局库\n");
+}
+
+// ── :good / :bad 指令处理器 ───────────────────────────────
+// 评价上一条回答：调整该轮召回 / 固化的准则置信度
+async function handleFeedback(rating, note = "") {
+    if (!lastRequestId) {
+        console.log("\n[金-纳谏] 本次会话还没有可评价的回答\n");
+        return;
+    }
+    try {
+        const { adjusted } = await feedbackLedger.apply(lastRequestId, rating, {
+            namespaces,
+            note:   note.trim(),
+            source: "repl",
+        });
+        console.log(`\n[金-纳谏] 已记录${rating === "good" ? "👍" : "👎"}，调整 ${adjusted.length} 条准则`);
+        for (const a of adjusted) {
+            const tail = a.blocked ? "  ← 此后不再直接作答" : "";
+            console.log(`    ${a.id}  ${a.before.toFixed(2)} → ${a.after.toFixed(2)}  (${a.via})${tail}`);
+        }
+        console.log("");
+    } catch (e) {
+        console.log(`\n[金-纳谏] ${e.message}\n`);
+    }
+}
+
+/**
+ * 打印短期记忆流转记录（新 → 旧）
+ */
+function printFlow(entries) {
+    for (const e of entries) {
+        const arrow = e.to ? "↑ long_term" : "✕ 清除    ";
+        const where = e.namespace ? `[${e.namespace}] ` : "";
+        console.log(
+            `  ${e.at.slice(0, 16).replace("T", " ")}  ${arrow}  ${(FLOW_REASON_LABEL[e.reason] ?? e.reason).padEnd(8)}` +
+            `  用过 ${e.uses} 次  ${where}${e.result.slice(0, 40)}`
+        );
+    }
+}
+
+/**
+ * 展示分层记忆统计（core / long_term / short_term）与近 7 天的层级流转
  */
 function showLayeredMemoryStats() {
     const stats = vectorMemory.stats();
@@ -490,8 +840,21 @@ function showLayeredMemoryStats() {
     console.log(DIVIDER);
     console.log(`  核心记忆 (core)       : ${stats.core      ?? 0} 条  ← 永不裁剪`);
     console.log(`  长期记忆 (long_term)  : ${stats.long_term ?? 0} 条`);
-    console.log(`  短期记忆 (short_term) : ${stats.short_term ?? 0} 条  ← 超期自动降权`);
+    console.log(`  短期记忆 (short_term) : ${stats.short_term ?? 0} 条  ← 有用的晋升，过期未用的清除`);
     console.log(`  总计                  : ${stats.total} 条`);
+
+    const flow = flowSummary(7);
+    const last = flow.lastSweepAt ? flow.lastSweepAt.slice(0, 16).replace("T", " ") : "尚未清扫";
+    console.log(DIVIDER);
+    console.log(`  近 7 天流转：short_term → long_term ${flow.promoted} 条，清除 ${flow.removed} 条（上次清扫 ${last}）`);
+    const reasons = Object.entries(flow.byReason).map(([r, n]) => `${FLOW_REASON_LABEL[r] ?? r} ${n}`);
+    if (reasons.length > 0) console.log(`  其中：${reasons.join(" / ")}`);
+    const recent = recentFlow(5);
+    if (recent.length > 0) {
+        console.log("  最近：");
+        printFlow(recent);
+        console.log("  完整记录：:mem flow");
+    }
     console.log(`${DIVIDER}\n`);
 }
 
@@ -599,7 +962,8 @@ async function handleCleanWorkspace(pattern) {
     console.log(`[清理] 完成，workspace/ 已清洁\n`);
 }
 
-function showMemoryStatus() {
+async function showMemoryStatus() {
+    await wisdomMemory.syncFromStore();
     const docs = wisdomMemory.getAllDocs();
     const now  = Date.now();
 
@@ -618,12 +982,26 @@ function showMemoryStatus() {
             const hits = d.hitCount ?? 0;
             console.log(`  ${i + 1}. [道行 ${conf}% | ${age}h前 | 命中${hits}次]`);
             console.log(`     ${d.result.slice(0, 72)}`);
+            if (d.structured) {
+                const when = describeWhen(d.structured);
+                console.log(`     ⤷ ${when ? `条件：${when}  ` : ""}做法：${d.structured.action.slice(0, 50)}`);
+            }
         });
         if (docs.length > 8) {
             console.log(`  ...（另有 ${docs.length - 8} 条）`);
         }
     }
 
+    const ann = wisdomMemory.annStatus();
+    if (ann.enabled) {
+        const recall = ann.recall.avg != null ? `，抽样召回率 ${(ann.recall.avg * 100).toFixed(1)}%（${ann.recall.samples} 次）` : "";
+        console.log(
+            `\n[近邻索引] ${ann.active ? "HNSW 已启用" : `精确扫描（< ${ann.minSize} 条不启用 HNSW）`}，` +
+            `图节点 ${ann.size}，来源 ${ann.source}（${ann.buildMs}ms）；` +
+            `查询 近似 ${ann.queries.ann} 次 / 精确 ${ann.queries.exact} 次，` +
+            `平均 ${ann.avgLatencyMs.ann ?? "-"} / ${ann.avgLatencyMs.exact ?? "-"} ms${recall}`
+        );
+    }
     console.log(`\n[当前会话] 上下文窗口：${sessionMessages.length}/${cfg.repl.sessionWindowSize} 条`);
     console.log(`${DIVIDER}\n`);
 }
@@ -641,17 +1019,20 @@ async function handleResetData(arg = "") {
     clearSession();
 
     // 2) 清记忆（内存 + 落盘文件）
-    await wisdomMemory.replaceAll([]);
+    await wisdomMemory.replaceAll([], "reset");
+    storage.clearMemory();
+    storage.removeDoc("defects");
+    storage.removeDoc("memory_flow");
     const files = [
-        "data/wisdom.json",
-        "data/wisdom.vec.json",
-        "data/defects.json",
+        "data/memory_conflicts.json",
+        "data/feedback.json",
         "STATUS.md",
     ];
     for (const rel of files) {
         const abs = resolve(process.cwd(), rel);
         if (existsSync(abs)) await rm(abs, { recursive: true, force: true });
     }
+    namespaces.forget();
 
     // 3) 可选清理 workspace
     if (!keepWorkspace) {
@@ -700,7 +1081,7 @@ function handlePulse(arg) {
         // 非 --autonomous 启动时，按需创建 pulse 实例
         if (sub === "start") {
             const pulse = new WuXingPulse(
-                (state, cfg) => app.invoke(state, cfg),
+                (state, cfg) => runGraph(state, cfg, { source: "pulse" }),
                 { intervalMs: 3_600_000 }
             );
             pulse.start();
@@ -739,10 +1120,181 @@ function handlePulse(arg) {
         `  心跳间隔：${s.interval / 60000} 分钟`,
         `  已跳动：${s.beats} 次`,
         `  连续失败：${s.fails} 次`,
+        s.paused ? `  已暂停：${s.paused.message}（预计 ${s.paused.resetAt} 恢复）` : null,
         "",
         `指令：:pulse start / :pulse stop`,
         "",
-    ].join("\n"));
+    ].filter((l) => l !== null).join("\n"));
+}
+
+// ── :runs 指令处理器 ─────────────────────────────────────
+// 查看 / 恢复 data/checkpoints/ 中的运行检查点
+const RUN_STATUS_ICON = { running: "🔄", completed: "✅", failed: "❌", interrupted: "⏸️" };
+
+async function handleRuns(arg) {
+    const [sub, id] = arg.trim().split(/\s+/);
+
+    if (sub === "resume") {
+        if (!id) {
+            console.log("\n用法：:runs resume <id>\n");
+            return;
+        }
+        console.log(`\n[土-存档] 正在恢复运行 ${id}...\n`);
+        try {
+            const result = await resumeRun(id);
+            const answer = result.foundWisdom
+                ?? result.messages?.[result.messages.length - 1]?.content;
+            console.log(DIVIDER);
+            console.log(answer ?? "(无输出)");
+            console.log(`${DIVIDER}\n`);
+        } catch (e) {
+            console.log(`[土-存档] 恢复失败：${e.message}\n`);
+        }
+        return;
+    }
+
+    if (sub) {
+        const run = await getRunDetail(sub);
+        if (!run) {
+            console.log(`\n[土-存档] 未找到运行：${sub}\n`);
+            return;
+        }
+        console.log([
+            "",
+            `[土-存档] 运行详情 ${run.threadId}`,
+            `  来源：${run.source}  状态：${RUN_STATUS_ICON[run.status] ?? "○"} ${run.status}`,
+            `  标题：${run.title}`,
+            `  步数：${run.step ?? "-"}  工具轮次：${run.toolCallCycles}`,
+            `  下一节点：${run.next.length ? run.next.join(", ") : "（已结束）"}`,
+            `  更新时间：${run.updatedAt}`,
+            run.error ? `  错误：${run.error}` : null,
+            `  消息：${run.messages.length} 条`,
+            ...run.messages.slice(-4).map((m) =>
+                `    [${m.type}] ${m.tools.length ? `→ ${m.tools.join(", ")} ` : ""}${m.content.slice(0, 80)}`
+            ),
+            run.resumable ? `\n  可恢复：:runs resume ${run.threadId}` : null,
+            "",
+        ].filter((l) => l !== null).join("\n"));
+        return;
+    }
+
+    const runs = checkpointer.listRuns(15);
+    if (runs.length === 0) {
+        console.log("\n[土-存档] 暂无运行记录。\n");
+        return;
+    }
+    console.log(`\n[土-存档] 最近 ${runs.length} 次运行：`);
+    for (const r of runs) {
+        const icon = RUN_STATUS_ICON[r.status] ?? "○";
+        console.log(`  ${icon} ${r.threadId}  [${r.source}] ${r.status.padEnd(11)} ${String(r.title).slice(0, 40)}`);
+    }
+    console.log("\n  详情：:runs <id>  恢复：:runs resume <id>\n");
+}
+
+// ── :usage 指令处理器 ─────────────────────────────────────
+function formatCost(cost) {
+    return `${cost.toFixed(4)} ${usageTracker.currency()}`;
+}
+
+function printUsageBreakdown(title, byKey) {
+    const rows = Object.entries(byKey).sort(([, a], [, b]) => b.total - a.total);
+    if (rows.length === 0) return;
+    console.log(`  ${title}：`);
+    for (const [key, a] of rows) {
+        console.log(`    ${key.padEnd(22)} ${String(a.total).padStart(8)} tokens  ${String(a.calls).padStart(4)} 次  ${formatCost(a.cost)}`);
+    }
+}
+
+function handleUsage(arg) {
+    const id = arg.trim();
+
+    if (id) {
+        const req = usageTracker.forRequest(id);
+        if (!req) {
+            console.log(`\n[土-账簿] 未找到请求用量：${id}\n`);
+            return;
+        }
+        console.log(`\n[土-账簿] 请求 ${id}：${req.total} tokens（入 ${req.input} / 出 ${req.output}），${req.calls} 次调用，${formatCost(req.cost)}`);
+        printUsageBreakdown("按节点", req.byNode);
+        printUsageBreakdown("按模型", req.byModel);
+        console.log("");
+        return;
+    }
+
+    const today = usageTracker.today();
+    console.log(`\n[土-账簿] 今日 ${today.date}：${today.total} tokens（入 ${today.input} / 出 ${today.output}），${today.calls} 次调用，${formatCost(today.cost)}`);
+    printUsageBreakdown("按节点", today.byNode);
+    printUsageBreakdown("按模型", today.byModel);
+
+    const days = usageTracker.daily(7);
+    if (days.length > 1) {
+        console.log("  近 7 日：");
+        for (const d of days) console.log(`    ${d.date}  ${String(d.total).padStart(8)} tokens  ${formatCost(d.cost)}`);
+    }
+
+    const recent = usageTracker.recentRequests(8);
+    if (recent.length) {
+        console.log("  最近请求：");
+        for (const r of recent) console.log(`    ${r.requestId.padEnd(28)} ${String(r.total).padStart(8)} tokens  ${formatCost(r.cost)}`);
+        console.log("\n  单次详情：:usage <请求 id>");
+    }
+    console.log("");
+}
+
+// ── :budget 指令处理器 ────────────────────────────────────
+function formatLimit(used, limit, fmt = String) {
+    return limit ? `${fmt(used)} / ${fmt(limit)}` : `${fmt(used)}（不限）`;
+}
+
+async function handleBudget(arg) {
+    const [sub, factor, hours] = arg.trim().split(/\s+/);
+
+    if (sub === "raise") {
+        // 审批单由 approvalManager 登记（Web 端同样可见），终端内直接确认
+        const onRequest = async (event) => {
+            if (event.data?.actionType !== "budget_raise") return;
+            agentBus.off("approval.requested", onRequest);
+            const ans = await new Promise((resolve) => {
+                rl.question(`\n[金-警告] ${event.data.message}。确认批准？(yes/no) > `, (a) => resolve(a.trim().toLowerCase()));
+            });
+            approvalManager.resolveDecision(event.data.id, {
+                decision: ans === "yes" || ans === "y" ? "approve" : "reject",
+                reason:   "终端确认",
+            });
+        };
+        agentBus.on("approval.requested", onRequest);
+        try {
+            const r = await budgetGuard.requestRaise({
+                factor,
+                durationMs: hours ? Number(hours) * 3_600_000 : undefined,
+                source:     "repl",
+            });
+            console.log(r.approved
+                ? `\n[金-度] 预算已临时提额 ×${r.raise.factor}，至 ${r.raise.until}\n`
+                : `\n[金-度] 提额未批准：${r.reason}\n`);
+        } finally {
+            agentBus.off("approval.requested", onRequest);
+        }
+        return;
+    }
+
+    const b = budgetGuard.status();
+    const money = (v) => formatCost(v);
+    console.log([
+        "",
+        "[金-度] 预算守卫",
+        `  今日 tokens：${formatLimit(b.today.tokens, b.today.limit.tokens)}`,
+        `  今日成本：  ${formatLimit(b.today.cost, b.today.limit.cost, money)}`,
+        `  本月 tokens：${formatLimit(b.month.tokens, b.month.limit.tokens)}`,
+        `  本月成本：  ${formatLimit(b.month.cost, b.month.limit.cost, money)}`,
+        `  单次心跳：  ${b.perBeat.tokens ?? "不限"} tokens / ${b.perBeat.cost != null ? money(b.perBeat.cost) : "不限"}`,
+        b.quietHours ? `  静默时段：  ${b.quietHours.start}–${b.quietHours.end}${b.quietUntil ? "（静默中）" : ""}` : null,
+        b.raise ? `  临时提额：  ×${b.raise.factor}，至 ${b.raise.until}` : null,
+        b.exceeded ? `  ⛔ ${b.exceeded.message}，将于 ${b.exceeded.resetAt} 重置` : "  ✅ 预算充足",
+        "",
+        "指令：:budget raise [倍数] [小时]",
+        "",
+    ].filter((l) => l !== null).join("\n"));
 }
 
 // ── :evolve 指令处理器 ────────────────────────────────────
@@ -989,7 +1541,7 @@ rl.on("line", async (line) => {
         case ":v":       await handleVision(arg);            break;
         case ":d":       await handleDebate(arg);            break;
         case ":e":       await handleEvolution();            break;
-        case ":m":       showMemoryStatus();                 break;
+        case ":m":       await showMemoryStatus();           break;
         case ":c":       clearSession();                     break;
         case ":history": showHistory();                     break;
         case ":goal":    await handleGoal(arg);             break;
@@ -997,6 +1549,9 @@ rl.on("line", async (line) => {
         case ":status":  handleStatus(arg);                 break;
         case ":pulse":   handlePulse(arg);                  break;
         case ":evolve":  await handleEvolve(arg);           break;
+        case ":runs":    await handleRuns(arg);             break;
+        case ":usage":   handleUsage(arg);                  break;
+        case ":budget":  await handleBudget(arg);           break;
         case ":w":
         case ":ls":      await showWorkspaceStatus();        break;
         case ":clean":   await handleCleanWorkspace(arg);    break;
@@ -1009,7 +1564,10 @@ rl.on("line", async (line) => {
         case ":config":   showMcpConfig();                    break;
         case ":team":     await handleTeam(arg);              break;
         case ":pin":      await handlePinMemory(arg);         break;
-        case ":mem":      showLayeredMemoryStats();            break;
+        case ":mem":      await handleMem(arg);                break;
+        case ":ns":       handleNamespace(arg);                break;
+        case ":good":     await handleFeedback("good", arg);   break;
+        case ":bad":      await handleFeedback("bad", arg);    break;
         case ":grow":     await handleGrow(arg);               break;
         case ":see":      await handleVision(arg);             break;  // :v 别名
         default:          await handleChat(input);            break;
@@ -12,12 +12,14 @@ import { WebSocketServer } from "ws";
 import { readFileSync, existsSync, readdirSync, statSync, rmSync } from "fs";
 import { resolve, join } from "path";
 
-import { agentBus }    from "./src/engine/eventBus.js";
-// wuxingGraph 导出: app (CompiledGraph), wisdomMemory, vectorMemory
-import { app as compiledApp, wisdomMemory, vectorMemory } from "./src/engine/wuxingGraph.js";
+import { agentBus, EVENT_TYPES as ET } from "./src/engine/eventBus.js";
+// wuxingGraph 导出: runGraph（带检查点的运行入口）, wisdomMemory, vectorMemory
+import {
+    runGraph, resumeRun, getRunDetail, checkpointer, wisdomMemory, vectorMemory, namespaces,
+} from "./src/engine/wuxingGraph.js";
 import { skillManager }   from "./src/engine/skillManager.js";
 import { goalTracker }    from "./src/engine/goalTracker.js";
-import { statusBoard }    from "./src/engine/statusBoard.js";
+import { statusBoard, loadDefects } from "./src/engine/statusBoard.js";
 import { geneticEvolver } from "./src/engine/evolve.js";
 import { sessionManager } from "./src/engine/sessionManager.js";
 import { approvalManager } from "./src/engine/approvalManager.js";
@@ -26,10 +28,24 @@ import { routeIntent, buildDirectReply } from "./src/engine/intentRouter.js";
 import { auditAssets } from "./src/engine/assetAuditor.js";
 import { queryExperienceUnified, recordExperienceUnified, listRecentExperience } from "./src/engine/experienceCache.js";
 import { mcpPool } from "./src/engine/mcpClient.js";
+import { runRegistry } from "./src/engine/runRegistry.js";
+import { getToolRiskPolicy } from "./src/engine/toolRiskPolicy.js";
+import { breakerSnapshot } from "./src/llm/resilience.js";
+import { usageTracker } from "./src/engine/usageTracker.js";
+import { memorySnapshots } from "./src/memory/memorySnapshots.js";
+import { conflictDetector } from "./src/memory/conflictDetector.js";
+import { normalizeNamespace } from "./src/memory/namespaces.js";
+import { feedbackLedger } from "./src/memory/feedback.js";
+import { exportBundle, importBundle } from "./src/memory/memoryBundle.js";
+import { proposeChangeSet } from "./src/memory/memoryProposal.js";
+import { sweepShortTerm, recentFlow, flowSummary, SWEEP_INTERVAL_MS } from "./src/memory/memoryLifecycle.js";
+import { storage } from "./src/storage/index.js";
+import { budgetGuard } from "./src/engine/budgetGuard.js";
+import { currentProvider } from "./src/llm/modelFactory.js";
 import { HumanMessage, AIMessage } from "@langchain/core/messages";
 import cfg from "./config/wuxing.json" with { type: "json" };
 
-// compiledApp 已在顶部 import 时初始化
+// 五行图已在顶部 import 时编译（含文件检查点）
 
 // ── Express ───────────────────────────────────────────────
 const app  = express();
@@ -51,25 +67,40 @@ function resetRuntimeData({ clearWorkspace = true, clearGoals = true } = {}) {
         rmSync(targetPath, { recursive: true, force: true });
         removed.push(targetPath);
     };
+    // 存储层文档（JSON 文件或 SQLite 行，见 src/storage）
+    const removeDoc = (name) => {
+        if (!storage.hasDoc(name)) return;
+        storage.removeDoc(name);
+        removed.push(`storage:${name}`);
+    };
 
-    // 1) 会话：清空磁盘会话文件
+    // 1) 会话：清空持久化会话
+    removeDoc("session");
     sessionManager.clear();
-    removeIfExists(resolve(process.cwd(), "data/sessions/current.json"));
 
-    // 2) 记忆：清空内存索引 + 落盘文件
+    // 2) 记忆：清空内存索引 + 落盘文件（先留快照，误操作可 restore）
+    if (wisdomMemory.rawDocs.length > 0) {
+        memorySnapshots.complete(memorySnapshots.take("reset", wisdomMemory.rawDocs), []);
+    }
     wisdomMemory.rawDocs = [];
     wisdomMemory.vectors = [];
-    removeIfExists(resolve(process.cwd(), "data/wisdom.json"));
-    removeIfExists(resolve(process.cwd(), "data/wisdom.vec.json"));
+    wisdomMemory.ann.clear();
+    wisdomMemory.revision++;
+    storage.clearMemory();
+    removed.push("storage:memory");
+    namespaces.forget();
+    conflictDetector.clear();
+    feedbackLedger.clear();
+    removeDoc("memory_flow");
 
     // 3) 状态：清空缺陷记录并重建 STATUS.md
-    removeIfExists(resolve(process.cwd(), "data/defects.json"));
+    removeDoc("defects");
     removeIfExists(resolve(process.cwd(), "STATUS.md"));
 
     // 4) 目标：可选清空 goals（测试期通常期望全新状态）
     if (clearGoals) {
         goalTracker.resetAll?.();
-        removeIfExists(resolve(process.cwd(), "data/goals.json"));
+        removeDoc("goals");
     }
 
     // 5) 工作区：测试阶段通常希望从干净目录开始
@@ -85,6 +116,11 @@ function resetRuntimeData({ clearWorkspace = true, clearGoals = true } = {}) {
     const allNames = skillManager.getAllTools().map((t) => t.name);
     statusBoard.refresh(allNames);
 
+    // 短期记忆定时清扫（与 REPL 同时运行时由占位避免重复清扫）
+    const sweep = () => sweepShortTerm(namespaces).catch((e) => console.error("[五行-Web] 短期记忆清扫失败：", e.message));
+    setTimeout(sweep, 5_000).unref();
+    setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
     return {
         ok: true,
         removedCount: removed.length,
@@ -154,6 +190,12 @@ function buildSelfProfile() {
             topK: cfg.memory?.topK ?? 5,
             entropyEvery: cfg.memory?.entropyTriggerEvery ?? 10,
         },
+        // 模型供应方熔断状态：degraded 非空时前端提示“模型降级”
+        llm: {
+            provider: currentProvider(),
+            ...breakerSnapshot(),
+        },
+        budget: budgetGuard.status(),
     };
 }
 
@@ -207,6 +249,7 @@ async function executeControlCommand(cmd) {
 // ── SSE：实时思维流 ──────────────────────────────────────
 //
 // 每个浏览器连接订阅 agentBus 的 * 事件，格式：text/event-stream
+// 含 answer:chunk 流式分片（data.requestId 对应 /api/chat 请求）
 // GET /api/stream
 app.get("/api/stream", (req, res) => {
     res.setHeader("Content-Type", "text/event-stream");
@@ -230,11 +273,60 @@ app.get("/api/stream", (req, res) => {
     });
 });
 
+// 请求 ID：前端可自带（用于提前关联流式分片），否则由服务端生成
+function newRequestId() {
+    return `req_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// 推演结束后的收尾（/api/chat 与恢复运行共用）：持久化本轮对话，记录经验
+async function finishRun({ messages, answer, task, route, assetAudit = null, experience = null, namespace }) {
+    sessionManager.saveHistory([...messages, new AIMessage(answer)]);
+    await recordExperienceUnified({
+        task,
+        tier: route.tier,
+        decision: route.decision,
+        assetPath: assetAudit?.matches?.[0]?.path || experience?.hits?.[0]?.assetPath || "",
+        status: "success",
+        note: assetAudit?.reuseRecommended ? "reuse_recommended" : "new_build_or_unknown",
+        vectorMemory,
+        namespace,
+    });
+}
+
 async function handleThinkRequest(req, res) {
     const { message, sessionMessages = [] } = req.body;
     if (!message?.trim()) {
         return res.status(400).json({ error: "message 不能为空" });
     }
+    const requestId = String(req.body.requestId ?? "").trim() || newRequestId();
+
+    // requestId 即检查点 thread_id：已有运行记录的 id 复用会把新消息接在旧运行的状态之后，两段历史混在一起
+    // 客户端按 requestId 订阅流式输出，不能替它换 id，直接拒绝；中断的运行走 /api/v1/runs/:id/resume
+    if (runRegistry.isActive(requestId) || checkpointer.getRunMeta(requestId)) {
+        return res.status(409).json({
+            requestId,
+            error: `requestId 已被使用：${requestId}（恢复中断的运行请调用 POST /api/v1/runs/${requestId}/resume）`,
+        });
+    }
+
+    // 记忆命名空间：请求体 namespace 优先，否则沿用会话当前命名空间
+    let namespace;
+    try {
+        namespace = normalizeNamespace(req.body.namespace ?? sessionManager.namespace);
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+
+    // 预算守卫：当日 / 当月预算用尽 → 429，前端提示并可申请临时提额
+    const over = budgetGuard.check("chat");
+    if (over) {
+        res.setHeader("Retry-After", Math.max(1, Math.ceil((Date.parse(over.resetAt) - Date.now()) / 1000)));
+        return res.status(429).json({
+            requestId,
+            budgetExceeded: over,
+            error: `${over.message}，将于 ${over.resetAt} 重置；可通过 POST /api/v1/budget/raise 申请临时提额`,
+        });
+    }
 
     try {
         // 重建消息对象
@@ -244,7 +336,7 @@ async function handleThinkRequest(req, res) {
         const selfProfile = buildSelfProfile();
         const route = routeIntent(message, selfProfile);
         const experience = route.requiresPlanning
-            ? await queryExperienceUnified(message, { topK: 3, vectorMemory })
+            ? await queryExperienceUnified(message, { topK: 3, vectorMemory, namespace })
             : { hit: false, hits: [], keywords: [] };
         const assetAudit = route.requiresPlanning ? auditAssets(message, { maxResults: 5 }) : null;
         agentBus.push(
@@ -295,8 +387,9 @@ async function handleThinkRequest(req, res) {
                 status: "success",
                 note: "direct_reply",
                 vectorMemory,
+                namespace,
             });
-            return res.json({ answer: direct, rule: null, route, assetAudit: null, experience });
+            return res.json({ requestId, answer: direct, rule: null, route, assetAudit: null, experience });
         }
 
         const experienceBlock = experience.hit
@@ -332,30 +425,47 @@ async function handleThinkRequest(req, res) {
 
         const maxCycles = cfg.tools?.maxCycles ?? 25;
 
-        const result = await compiledApp.invoke(
+        // requestId 同时作为检查点 thread_id（run id），中断后可经 /api/v1/runs 恢复
+        const result = await runGraph(
             { messages },
-            { recursionLimit: maxCycles * 2 + 10 }
+            {
+                recursionLimit: maxCycles * 2 + 10,
+                configurable:   {
+                    thread_id: requestId,
+                    requestId,
+                    sessionId: String(req.body.sessionId ?? "").trim() || sessionManager.sessionId,
+                    namespace,
+                },
+            },
+            { source: "chat", title: message }
         );
 
         const lastMsg  = result.messages?.[result.messages.length - 1];
         const answer   = result.foundWisdom ?? lastMsg?.content ?? "";
 
-        // 持久化本轮对话
-        sessionManager.saveHistory([...messages, new AIMessage(answer)]);
-        await recordExperienceUnified({
-            task: message,
-            tier: route.tier,
-            decision: route.decision,
-            assetPath: assetAudit?.matches?.[0]?.path || experience?.hits?.[0]?.assetPath || "",
-            status: "success",
-            note: assetAudit?.reuseRecommended ? "reuse_recommended" : "new_build_or_unknown",
-            vectorMemory,
-        });
+        await finishRun({ messages, answer, task: message, route, assetAudit, experience, namespace });
 
-        res.json({ answer, rule: result.rule ?? null, route, assetAudit, experience });
+        const usage = usageTracker.forRequest(requestId);
+        res.json({
+            requestId, answer, rule: result.rule ?? null, route, assetAudit, experience, usage, namespace,
+            intuition: !!result.foundWisdom,
+        });
     } catch (e) {
+        if (e.cancelled) {
+            return res.json({ requestId, cancelled: true, answer: "", route: null });
+        }
+        if (e.degraded) {
+            // 模型供应方重试耗尽 / 熔断：503 + 降级信息，前端据此提示而非笼统报错
+            console.error("[服务器] 模型降级：", e.message);
+            return res.status(503).json({
+                requestId,
+                degraded: { provider: e.provider, role: e.role },
+                error:    e.message,
+                llm:      breakerSnapshot(),
+            });
+        }
         console.error("[服务器] 推理异常：", e.message);
-        res.status(500).json({ error: e.message });
+        res.status(500).json({ requestId, error: e.message });
     }
 }
 
@@ -368,10 +478,9 @@ app.post("/api/v1/think", handleThinkRequest);
 // ── GET /api/status ───────────────────────────────────────
 app.get("/api/status", (req, res) => {
     const STATUS_FILE = resolve(process.cwd(), "STATUS.md");
-    const DEFECTS_FILE = resolve(process.cwd(), "data/defects.json");
 
     const md      = existsSync(STATUS_FILE)  ? readFileSync(STATUS_FILE, "utf-8")  : "";
-    const defects = existsSync(DEFECTS_FILE) ? JSON.parse(readFileSync(DEFECTS_FILE, "utf-8")) : { open: [], resolved: [] };
+    const defects = loadDefects();
     const summary = statusBoard.getContext(600);
 
     res.json({ markdown: md, defects, summary });
@@ -380,9 +489,8 @@ app.get("/api/status", (req, res) => {
 // v1 别名：system status
 app.get("/api/v1/system/status", (req, res) => {
     const STATUS_FILE = resolve(process.cwd(), "STATUS.md");
-    const DEFECTS_FILE = resolve(process.cwd(), "data/defects.json");
     const md      = existsSync(STATUS_FILE)  ? readFileSync(STATUS_FILE, "utf-8")  : "";
-    const defects = existsSync(DEFECTS_FILE) ? JSON.parse(readFileSync(DEFECTS_FILE, "utf-8")) : { open: [], resolved: [] };
+    const defects = loadDefects();
     const summary = statusBoard.getContext(600);
     res.json({ markdown: md, defects, summary });
 });
@@ -451,21 +559,331 @@ app.get("/api/goals", async (req, res) => {
 
 // ── GET /api/memory ───────────────────────────────────────
 app.get("/api/memory", async (req, res) => {
-    await wisdomMemory.loadFromDisk();
+    await wisdomMemory.syncFromStore();
     const docs  = wisdomMemory.getAllDocs();
     const stats = vectorMemory.stats?.() ?? {};
     res.json({
         total: docs.length,
         stats,
+        ann:   wisdomMemory.annStatus(),
+        flow:  flowSummary(7),
         recent: docs.slice(-5).map((d) => ({
+            id:         d.id,
             task:       d.task?.slice(0, 60)  ?? "",
-            rule:       d.rule?.slice(0, 80)  ?? "",
+            rule:       d.result?.slice(0, 80) ?? "",
             confidence: d.confidence,
             memory_type: d.memory_type ?? "long_term",
+            origin:     d.provenance?.origin ?? null,
         })),
     });
 });
 
+// ── /api/v1/memory：记忆管理（分页筛选 / 新增 / 编辑 / 删除 / 批量删除）──
+// 写操作后向量缓存与近邻索引同步更新，无需停服手改 data/wisdom.json
+// ?namespace=<名称>（或请求体 namespace）指定命名空间库，缺省为全局库
+function memoryError(res, e) {
+    res.status(e.invalid ? 400 : 500).json({ error: e.message });
+}
+
+// namespaces.get 会在其他进程写过该库时重新载入
+async function memoryOf(req) {
+    return namespaces.get(req.query.namespace ?? req.body?.namespace);
+}
+
+// GET /api/v1/memory?offset=0&limit=20&type=core&q=...&minConfidence=&maxConfidence=&newerThanDays=&olderThanDays=
+app.get("/api/v1/memory", async (req, res) => {
+    let mem;
+    try {
+        mem = await memoryOf(req);
+    } catch (e) {
+        return memoryError(res, e);
+    }
+    const num = (v) => (v === undefined || v === "" ? undefined : Number(v));
+    res.json(mem.list({
+        offset:        Math.max(0, num(req.query.offset) ?? 0),
+        limit:         Math.min(200, Math.max(1, num(req.query.limit) ?? 20)),
+        type:          req.query.type || undefined,
+        q:             req.query.q || undefined,
+        minConfidence: num(req.query.minConfidence),
+        maxConfidence: num(req.query.maxConfidence),
+        newerThanDays: num(req.query.newerThanDays),
+        olderThanDays: num(req.query.olderThanDays),
+    }));
+});
+
+// POST /api/v1/memory  { task, result, memory_type?, confidence?, structured? }（structured 见 src/memory/ruleSchema.js）
+app.post("/api/v1/memory", async (req, res) => {
+    try {
+        const mem = await memoryOf(req);
+        const rule = await mem.create(req.body ?? {});
+        agentBus.push(ET.MEMORY_EDITED, "wood", `准则已新增：${rule.result.slice(0, 40)}`, { action: "create", ids: [rule.id] });
+        res.json({ ok: true, rule });
+    } catch (e) {
+        memoryError(res, e);
+    }
+});
+
+// PATCH /api/v1/memory/:id  { task?, result?, memory_type?, confidence?, structured? }（structured: null 清除） → { before, after }
+app.patch("/api/v1/memory/:id", async (req, res) => {
+    try {
+        const mem = await memoryOf(req);
+        const diff = await mem.updateRule(req.params.id, req.body ?? {});
+        if (!diff) return res.status(404).json({ error: `准则不存在：${req.params.id}` });
+        agentBus.push(ET.MEMORY_EDITED, "wood", `准则已编辑：${diff.after.result.slice(0, 40)}`, { action: "update", ids: [req.params.id] });
+        res.json({ ok: true, ...diff });
+    } catch (e) {
+        memoryError(res, e);
+    }
+});
+
+app.delete("/api/v1/memory/:id", async (req, res) => {
+    try {
+        const mem = await memoryOf(req);
+        const removed = await mem.removeRules([req.params.id]);
+        if (removed.length === 0) return res.status(404).json({ error: `准则不存在：${req.params.id}` });
+        agentBus.push(ET.MEMORY_EDITED, "wood", "准则已删除", { action: "delete", ids: removed });
+        res.json({ ok: true, removed });
+    } catch (e) {
+        memoryError(res, e);
+    }
+});
+
+// POST /api/v1/memory/bulk-delete  { ids: string[] }
+app.post("/api/v1/memory/bulk-delete", async (req, res) => {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : [];
+    if (ids.length === 0) return res.status(400).json({ error: "ids 不能为空" });
+    try {
+        const mem = await memoryOf(req);
+        const removed = await mem.removeRules(ids);
+        agentBus.push(ET.MEMORY_EDITED, "wood", `批量删除 ${removed.length} 条准则`, { action: "delete", ids: removed });
+        res.json({ ok: true, removed, missing: ids.filter((id) => !removed.includes(id)) });
+    } catch (e) {
+        memoryError(res, e);
+    }
+});
+
+// ── /api/v1/memory/export|import：记忆包（JSONL，见 src/memory/memoryBundle.js）──
+// GET  /export?namespace=&embeddings=1&type=&minConfidence=   → application/x-ndjson 附件
+// POST /import?namespace=&strategy=keep_both|higher_confidence|review&allowCore=1
+//      请求体为包内容（Content-Type: application/x-ndjson / text/plain），或 JSON { bundle, strategy, namespace, allowCore }
+//      包内 core 层准则缺省按 long_term 导入，allowCore 为真才保留 core 层
+//      review 策略的待审条目进入审批队列（actionType = memory_rewrite），不阻塞响应
+app.get("/api/v1/memory/export", async (req, res) => {
+    try {
+        const mem = await memoryOf(req);
+        const { text, count } = exportBundle(mem, {
+            embeddings:    req.query.embeddings === "1" || req.query.embeddings === "true",
+            type:          req.query.type || undefined,
+            minConfidence: req.query.minConfidence ? Number(req.query.minConfidence) : undefined,
+        });
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.set("Content-Type", "application/x-ndjson; charset=utf-8");
+        res.set("Content-Disposition", `attachment; filename="memory-${mem.namespace ?? "global"}-${stamp}.jsonl"`);
+        res.set("X-Rule-Count", String(count));
+        res.send(text);
+    } catch (e) {
+        memoryError(res, e);
+    }
+});
+
+app.post(
+    "/api/v1/memory/import",
+    express.text({ type: ["application/x-ndjson", "text/plain"], limit: cfg.memory?.bundle?.maxBytes ?? "20mb" }),
+    async (req, res) => {
+        const body = typeof req.body === "string" ? { bundle: req.body } : (req.body ?? {});
+        try {
+            const mem = await memoryOf(req);
+            const { proposal, ...report } = await importBundle(mem, body.bundle, {
+                strategy:  req.query.strategy || body.strategy || undefined,
+                allowCore: req.query.allowCore === "1" || req.query.allowCore === "true" || body.allowCore === true,
+            });
+            if (report.added.length > 0) {
+                agentBus.push(ET.MEMORY_EDITED, "wood", `导入 ${report.instance} 的记忆包：新增 ${report.added.length} 条`, {
+                    action: "import",
+                    ids:    report.added,
+                });
+            }
+            if (proposal) {
+                proposeChangeSet(mem, proposal, { source: "import" }).catch((e) =>
+                    console.error("[服务器] 导入待审条目处理失败：", e.message)
+                );
+            }
+            res.json({ ok: true, namespace: mem.namespace, ...report, review: proposal?.items.length ?? 0 });
+        } catch (e) {
+            memoryError(res, e);
+        }
+    }
+);
+
+// ── /api/v1/memory/flow|sweep：短期记忆生命周期（见 src/memory/memoryLifecycle.js）──
+// GET  /flow?limit=30&days=7 → { summary, entries }（entries 新 → 旧）
+// POST /sweep               → 立即清扫全部库：有用的 short_term 晋升 long_term，过期未用的清除
+app.get("/api/v1/memory/flow", (req, res) => {
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 30));
+    const days  = Math.max(1, Number(req.query.days) || 7);
+    res.json({ summary: flowSummary(days), entries: recentFlow(limit) });
+});
+
+app.post("/api/v1/memory/sweep", async (_req, res) => {
+    try {
+        const r = await sweepShortTerm(namespaces, { force: true });
+        if (r.entries.length > 0) {
+            agentBus.push(ET.MEMORY_EDITED, "wood", `短期记忆代谢：晋升 ${r.promoted} 条，清除 ${r.removed} 条`, {
+                action: "lifecycle",
+                ids:    r.entries.map((e) => e.id),
+            });
+        }
+        res.json({ ok: true, ...r });
+    } catch (e) {
+        memoryError(res, e);
+    }
+});
+
+// ── /api/v1/memory/namespaces：记忆命名空间 ──
+// GET → 各命名空间条目数 + 会话当前命名空间；PUT /active { namespace } 切换（空串 / global 回到全局）
+app.get("/api/v1/memory/namespaces", (req, res) => {
+    res.json({ active: sessionManager.namespace ?? null, namespaces: namespaces.list() });
+});
+
+app.put("/api/v1/memory/namespaces/active", (req, res) => {
+    try {
+        sessionManager.namespace = normalizeNamespace(req.body?.namespace);
+        agentBus.push(ET.MEMORY_EDITED, "wood", `记忆命名空间切换为 ${sessionManager.namespace ?? "global"}`, {
+            action:    "namespace",
+            namespace: sessionManager.namespace,
+        });
+        res.json({ ok: true, active: sessionManager.namespace });
+    } catch (e) {
+        memoryError(res, e);
+    }
+});
+
+// ── /api/v1/memory/snapshots：改写快照（历史 / 差异 / 回滚）──
+app.get("/api/v1/memory/snapshots", (req, res) => {
+    res.json({ snapshots: memorySnapshots.list(Number(req.query.limit) || undefined) });
+});
+
+app.get("/api/v1/memory/snapshots/:id", (req, res) => {
+    const snap = memorySnapshots.get(req.params.id);
+    if (!snap) return res.status(404).json({ error: `快照不存在：${req.params.id}` });
+    const { docs, ...rest } = snap;
+    res.json({ ...rest, docs: req.query.docs === "1" ? docs : undefined });
+});
+
+app.post("/api/v1/memory/snapshots/:id/restore", async (req, res) => {
+    try {
+        const snap = memorySnapshots.get(req.params.id);
+        if (!snap) return res.status(404).json({ error: `快照不存在：${req.params.id}` });
+        // 回滚到快照所属的库
+        const mem = await namespaces.get(snap.namespace);
+        const snapshot = await mem.restore(req.params.id);
+        agentBus.push(ET.MEMORY_EDITED, "wood", `经验库已回滚至快照 ${req.params.id}`, { action: "restore", snapshot });
+        res.json({ ok: true, namespace: mem.namespace, total: mem.rawDocs.length, snapshot });
+    } catch (e) {
+        memoryError(res, e);
+    }
+});
+
+// ── /api/v1/memory/conflicts：准则冲突（待人工裁决）──
+// GET ?status=open|resolved|obsolete|all（默认 open），附两端准则正文
+app.get("/api/v1/memory/conflicts", async (req, res) => {
+    let mem;
+    try {
+        mem = await memoryOf(req);
+    } catch (e) {
+        return memoryError(res, e);
+    }
+    const status  = req.query.status === "all" ? undefined : (req.query.status || "open");
+    const liveIds = new Set(mem.rawDocs.map((d) => d.id));
+    const brief   = (id) => {
+        const d = mem.getById(id);
+        return d ? { id, task: d.task, result: d.result, memory_type: d.memory_type ?? "long_term", confidence: d.confidence ?? 1 } : { id, removed: true };
+    };
+    const conflicts = conflictDetector.list({ namespace: mem.namespace, status, liveIds })
+        .map((e) => ({ ...e, a: brief(e.a), b: brief(e.b) }));
+    res.json({ total: conflicts.length, conflicts });
+});
+
+// POST /api/v1/memory/conflicts/:id/resolve  { resolution: keep_a|keep_b|keep_both|dismiss, note? }
+// keep_a / keep_b 删除落选的一条（删除前留快照）；keep_both / dismiss 只关闭冲突
+app.post("/api/v1/memory/conflicts/:id/resolve", async (req, res) => {
+    try {
+        const mem = await memoryOf(req);
+        const edge = conflictDetector.get(req.params.id);
+        if (!edge || edge.namespace !== mem.namespace) {
+            return res.status(404).json({ error: `冲突不存在：${req.params.id}` });
+        }
+
+        const { resolution, note } = req.body ?? {};
+        const resolved = conflictDetector.resolve(edge.id, { resolution, note });
+        const loser    = resolution === "keep_a" ? edge.b : resolution === "keep_b" ? edge.a : null;
+        const removed  = loser ? await mem.removeRules([loser]) : [];
+        if (removed.length > 0) {
+            agentBus.push(ET.MEMORY_EDITED, "wood", "冲突裁决：已删除落选准则", { action: "delete", ids: removed });
+        }
+        res.json({ ok: true, conflict: resolved, removed });
+    } catch (e) {
+        memoryError(res, e);
+    }
+});
+
+// ── GET /api/memory/:id ───────────────────────────────────
+// 准则溯源：来源运行（检查点元数据 + 用量）、父准则（合并前的原准则，已被折叠的标记 removed）
+app.get(["/api/memory/:id", "/api/v1/memory/:id"], async (req, res) => {
+    let mem;
+    try {
+        mem = await memoryOf(req);
+    } catch (e) {
+        return memoryError(res, e);
+    }
+    const doc = mem.getById(req.params.id);
+    if (!doc) return res.status(404).json({ error: `准则不存在：${req.params.id}` });
+
+    const prov    = doc.provenance ?? {};
+    const parents = (prov.parents ?? []).map((id) => {
+        const p = mem.getById(id);
+        return p ? { id, task: p.task, result: p.result, provenance: p.provenance ?? null } : { id, removed: true };
+    });
+    const runOf = (requestId) => {
+        const run   = checkpointer.getRunMeta(requestId);
+        const usage = usageTracker.forRequest(requestId);
+        return {
+            requestId,
+            run,
+            usage: usage ? { calls: usage.calls, total: usage.total, cost: usage.cost, models: Object.keys(usage.byModel) } : null,
+        };
+    };
+    res.json({
+        rule:     doc,
+        parents,
+        run:      prov.requestId ? runOf(prov.requestId) : null,
+        ancestry: (prov.ancestry ?? []).map(runOf),
+    });
+});
+
+// ── POST /api/v1/feedback：用户对某次回答的评价 ──────────────
+// { requestId, rating: good|bad, note? } → 调整该轮召回 / 固化准则的置信度；每个回答只可评价一次
+app.post("/api/v1/feedback", async (req, res) => {
+    try {
+        const { requestId, rating, note } = req.body ?? {};
+        const result = await feedbackLedger.apply(String(requestId ?? "").trim(), rating, {
+            namespaces,
+            note:   note ?? "",
+            source: "web",
+        });
+        if (result.adjusted.length > 0) {
+            agentBus.push(ET.MEMORY_EDITED, "wood", `用户反馈：已调整 ${result.adjusted.length} 条准则置信度`, {
+                action: "feedback",
+                rating,
+                ids:    result.adjusted.map((a) => a.id),
+            });
+        }
+        res.json({ ok: true, ...result });
+    } catch (e) {
+        memoryError(res, e);
+    }
+});
+
 // ── POST /api/reset ────────────────────────────────────────
 // 清空测试期运行数据：会话、记忆、状态、（可选）工作区
 app.post("/api/reset", (req, res) => {
@@ -493,6 +911,11 @@ app.get("/api/v1/approval-policy", (req, res) => {
     res.json(approvalManager.getPolicy());
 });
 
+// 工具风险映射（config/agents.json → toolRiskPolicy，只读）
+app.get("/api/v1/tool-risk-policy", (req, res) => {
+    res.json(getToolRiskPolicy());
+});
+
 app.get("/api/v1/self-profile", (req, res) => {
     try {
         res.json(buildSelfProfile());
@@ -580,6 +1003,101 @@ app.post("/api/v1/external-agent/tasks/:id/stop", (req, res) => {
     res.json({ ok: true });
 });
 
+// ── Token 用量与成本 ─────────────────────────────────────
+// GET /api/v1/usage?days=7&requestId=...  今日 / 按日 / 最近请求（可附带单次请求详情）
+app.get("/api/v1/usage", (req, res) => {
+    const days = Math.min(Number(req.query.days) || 7, 90);
+    const requestId = String(req.query.requestId ?? "").trim();
+    res.json({
+        currency: usageTracker.currency(),
+        today:    usageTracker.today(),
+        daily:    usageTracker.daily(days),
+        recent:   usageTracker.recentRequests(20),
+        budget:   budgetGuard.status(),
+        ...(requestId ? { request: usageTracker.forRequest(requestId) } : {}),
+    });
+});
+
+app.get("/api/v1/usage/:requestId", (req, res) => {
+    const usage = usageTracker.forRequest(req.params.requestId);
+    if (!usage) return res.status(404).json({ error: "未找到该请求的用量记录" });
+    res.json({ currency: usageTracker.currency(), ...usage });
+});
+
+// ── 预算守卫：状态 / 临时提额（critical 审批，阻塞至审批结果）────
+app.get("/api/v1/budget", (req, res) => {
+    res.json(budgetGuard.status());
+});
+
+app.post("/api/v1/budget/raise", async (req, res) => {
+    const { factor, hours, reason = "" } = req.body ?? {};
+    const result = await budgetGuard.requestRaise({
+        factor,
+        durationMs: hours ? Number(hours) * 3_600_000 : undefined,
+        reason,
+        source: "web",
+    });
+    res.status(result.approved ? 200 : 403).json({ ...result, budget: budgetGuard.status() });
+});
+
+// ── 运行检查点：列表 / 详情 / 恢复 ──────────────────────
+app.get("/api/v1/runs", (req, res) => {
+    const limit = Math.min(Number(req.query.limit ?? 20) || 20, 200);
+    res.json({ runs: checkpointer.listRuns(limit), active: runRegistry.list() });
+});
+
+app.get("/api/v1/runs/:id", async (req, res) => {
+    try {
+        const run = await getRunDetail(req.params.id);
+        if (!run) return res.status(404).json({ error: "运行不存在" });
+        res.json({ run });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// 取消进行中的运行：中止 LLM 请求、工具子进程与 MCP 调用
+app.post("/api/v1/runs/:id/cancel", (req, res) => {
+    const { reason = "用户取消" } = req.body ?? {};
+    const ok = runRegistry.cancel(req.params.id, String(reason).slice(0, 120));
+    if (!ok) return res.status(404).json({ error: "运行不存在或已结束" });
+    res.json({ ok: true });
+});
+
+app.post("/api/v1/runs/:id/resume", async (req, res) => {
+    const threadId = req.params.id;
+    const run = checkpointer.getRunMeta(threadId);
+    if (!run) return res.status(404).json({ error: "运行不存在" });
+    if (run.status === "running") return res.status(409).json({ error: "运行仍在进行中" });
+    const over = budgetGuard.check("chat");
+    if (over) return res.status(429).json({ requestId: threadId, budgetExceeded: over, error: over.message });
+
+    try {
+        const result  = await resumeRun(threadId);
+        const lastMsg = result.messages?.[result.messages.length - 1];
+        const answer  = result.foundWisdom ?? lastMsg?.content ?? "";
+
+        // 与 /api/chat 同样收尾：对话只保留到最后一条用户消息（之后是图内的工具往返），再接上答案
+        const all      = result.messages ?? [];
+        const lastUser = all.findLastIndex((m) => m._getType?.() === "human");
+        const task     = run.title ?? "";
+        await finishRun({
+            messages:  all.slice(0, lastUser + 1),
+            answer,
+            task,
+            route:     routeIntent(task, buildSelfProfile()),
+            namespace: run.namespace ?? null,
+        });
+        res.json({ requestId: threadId, answer });
+    } catch (e) {
+        if (e.cancelled) return res.json({ requestId: threadId, cancelled: true, answer: "" });
+        if (e.degraded) {
+            return res.status(503).json({ requestId: threadId, degraded: { provider: e.provider, role: e.role }, error: e.message });
+        }
+        res.status(400).json({ requestId: threadId, error: e.message });
+    }
+});
+
 // ── POST /api/command — REPL 指令封装 ────────────────────
 app.post("/api/command", async (req, res) => {
     const { cmd } = req.body;
@@ -659,6 +1177,8 @@ function attachWebSocketBridge(httpServer) {
 async function bootstrap() {
     // 预热记忆
     await wisdomMemory.loadFromDisk();
+    sessionManager.namespace = normalizeNamespace(sessionManager.namespace);
+    sessionManager.memory    = vectorMemory;   // 会话压缩摘要写入 short_term
     await mcpPool.connectAll();
     await skillManager.refreshSkills?.();
     const mcpStatus = mcpPool.getStatus();
@@ -1,10 +1,10 @@
-import { appendFileSync, existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
-import { dirname, resolve } from "path";
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { resolve } from "path";
 import { agentBus } from "./eventBus.js";
 import { statusBoard } from "./statusBoard.js";
+import { storage } from "../storage/index.js";
 import agentsCfg from "../../config/agents.json" with { type: "json" };
 
-const AUDIT_FILE = resolve(process.cwd(), "data/audit/approvals.jsonl");
 const AGENTS_CFG_FILE = resolve(process.cwd(), "config/agents.json");
 const RISKS = ["low", "medium", "high", "critical"];
 
@@ -12,11 +12,6 @@ function nowIso() {
     return new Date().toISOString();
 }
 
-function ensureAuditDir() {
-    const dir = dirname(AUDIT_FILE);
-    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-}
-
 class ApprovalManager {
     constructor() {
         this.pending = new Map();
@@ -110,8 +105,8 @@ class ApprovalManager {
     }
 
     _audit(entry) {
-        ensureAuditDir();
-        appendFileSync(AUDIT_FILE, `${JSON.stringify(entry)}\n`, "utf-8");
+        // 审计经 src/storage 追加（JSON 后端：data/audit/approvals.jsonl）
+        storage.appendAudit(entry);
         statusBoard.touch?.();
     }
 
@@ -137,6 +132,7 @@ class ApprovalManager {
         timeoutMs = null,
         allowModify = null,
         metadata = {},
+        signal = null,
     }) {
         const rule = this.getRiskRule(risk);
         const effectiveTimeout = Number(timeoutMs || rule.timeoutMs || 60_000);
@@ -164,27 +160,57 @@ class ApprovalManager {
 
         return new Promise((resolveApproval) => {
             const timer = setTimeout(() => {
-                this.pending.delete(id);
+                this._take(id);
                 const result = { approved: false, decision: "reject", reason: "审批超时自动拒绝", command };
                 this._audit({ ...payload, event: "approval.timeout", ...result, resolvedAt: nowIso() });
                 agentBus.push("approval.timeout", "metal", `审批超时：${actionType} 已拒绝`, { id, actionType, risk });
                 resolveApproval(result);
             }, effectiveTimeout);
 
+            // 发起方的运行被取消：撤回审批单，不再等人裁决
+            const onAbort = () => this.withdraw(id, signal.reason?.message || "发起方已取消");
             this.pending.set(id, {
                 ...payload,
                 timer,
                 resolveApproval,
+                signal,
+                onAbort,
             });
+            if (signal?.aborted) onAbort();
+            else signal?.addEventListener("abort", onAbort, { once: true });
         });
     }
 
-    resolveDecision(id, { decision, patchedCommand = "", reason = "" }) {
+    // 取出待审批项并解除其定时器与取消监听；已处理过返回 null
+    _take(id) {
         const item = this.pending.get(id);
-        if (!item) return { ok: false, error: "审批单不存在或已处理" };
-
+        if (!item) return null;
         clearTimeout(item.timer);
+        item.signal?.removeEventListener("abort", item.onAbort);
         this.pending.delete(id);
+        return item;
+    }
+
+    /**
+     * 撤回待审批项（发起方已取消）：按拒绝结算，审计记为 approval.withdrawn
+     * @returns {boolean} 是否撤回（已处理过的返回 false）
+     */
+    withdraw(id, reason = "发起方已取消") {
+        const item = this._take(id);
+        if (!item) return false;
+
+        const result = { approved: false, decision: "reject", reason, command: item.command, withdrawn: true };
+        const { timer, resolveApproval, signal, onAbort, ...payload } = item;
+        this._audit({ ...payload, event: "approval.withdrawn", ...result, resolvedAt: nowIso() });
+        agentBus.push("approval.withdrawn", "metal", `审批已撤回：${item.actionType}（${reason}）`,
+            { id, actionType: item.actionType, risk: item.risk });
+        resolveApproval(result);
+        return true;
+    }
+
+    resolveDecision(id, { decision, patchedCommand = "", reason = "" }) {
+        const item = this._take(id);
+        if (!item) return { ok: false, error: "审批单不存在或已处理" };
 
         const normalized = decision === "modify" ? "modify" : decision === "approve" ? "approve" : "reject";
         const finalCommand = normalized === "modify" && item.allowModify && patchedCommand.trim()
@@ -0,0 +1,241 @@
+// src/engine/budgetGuard.js
+// 【金-度】：预算守卫 —— 自主运行的 Token / 成本上限与静默时段
+//
+// 数据来源：usageTracker 的按日 / 按月 / 按请求聚合（见 usageTracker.js）。
+// 上限（config/wuxing.json → budget，null 或 0 表示不限）：
+//   daily      — 当日（本地时间）token / 成本上限，对话与心跳共用
+//   monthly    — 当月（本地时间）token / 成本上限，对话与心跳共用
+//   perBeat    — 单次心跳 token / 成本上限，心跳运行中途超出即取消该次运行
+//   quietHours — 本地时间静默时段（可跨零点），期间心跳暂停，不影响人工对话
+//
+// 超限时：
+//   · 心跳跳过本次代谢（pulse.status().paused 给出原因），预算恢复后自动继续
+//   · /api/chat 返回 429 + budgetExceeded
+//   · statusBoard 记一条 BUDGET 缺陷（同类去重），预算恢复后自动标记修复
+//
+// 临时提额：requestRaise() 发起 critical 级审批，批准后上限乘以 factor，持续 durationMs。
+//
+import { usageTracker }    from "./usageTracker.js";
+import { statusBoard }     from "./statusBoard.js";
+import { approvalManager } from "./approvalManager.js";
+import { runRegistry }     from "./runRegistry.js";
+import { agentBus, EVENT_TYPES as ET } from "./eventBus.js";
+import { logger, EV }      from "../utils/logger.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const B = cfg.budget ?? {};
+const RAISE_FACTOR   = B.raise?.factor ?? 2;
+const RAISE_DURATION = B.raise?.durationMs ?? 3_600_000;
+
+const KIND_LABEL   = { daily: "今日", monthly: "本月", perBeat: "单次心跳" };
+const METRIC_LABEL = { tokens: "token", cost: "成本" };
+
+function defectTask(kind, metric) {
+    return `预算超限：${KIND_LABEL[kind]}${METRIC_LABEL[metric]}`;
+}
+
+// ── 时间工具 ────────────────────────────────────────────────
+// 重置时刻：本地次日 / 次月零点（与 usageTracker 的按日 / 按月聚合同一边界）
+function nextLocalDay() {
+    const d = new Date();
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1).toISOString();
+}
+
+function nextLocalMonth() {
+    const d = new Date();
+    return new Date(d.getFullYear(), d.getMonth() + 1, 1).toISOString();
+}
+
+function minutesOf(hhmm) {
+    const [h, m] = String(hhmm).split(":").map(Number);
+    return (h || 0) * 60 + (m || 0);
+}
+
+// 当前是否处于静默时段；是则返回结束时刻
+function quietUntil(now = new Date()) {
+    const q = B.quietHours;
+    if (!q?.enabled || !q.start || !q.end) return null;
+    const start = minutesOf(q.start);
+    const end   = minutesOf(q.end);
+    const cur   = now.getHours() * 60 + now.getMinutes();
+    const inside = start <= end ? cur >= start && cur < end : cur >= start || cur < end;
+    if (!inside) return null;
+
+    const until = new Date(now);
+    until.setHours(Math.floor(end / 60), end % 60, 0, 0);
+    if (until <= now) until.setDate(until.getDate() + 1);
+    return until.toISOString();
+}
+
+function formatAmount(metric, value) {
+    return metric === "cost" ? `${value.toFixed(4)} ${usageTracker.currency()}` : `${value}`;
+}
+
+class BudgetGuard {
+    constructor() {
+        this.raise      = null;        // { factor, until, reason }
+        this.beatId     = null;        // 当前心跳运行的 requestId
+        // 已写入 statusBoard 的超限缺陷任务名；启动时预置全部，首次放行即清理上次进程遗留的缺陷
+        this.openTasks  = new Set(
+            ["daily", "monthly"].flatMap((k) => ["tokens", "cost"].map((m) => defectTask(k, m)))
+        );
+        usageTracker.on("record", (entry) => this._onRecord(entry));
+    }
+
+    // 生效中的提额倍数（过期自动失效）
+    _factor() {
+        if (this.raise && Date.parse(this.raise.until) <= Date.now()) {
+            logger.info(EV.SYSTEM, `临时提额已到期（×${this.raise.factor}）`);
+            this.raise = null;
+        }
+        return this.raise?.factor ?? 1;
+    }
+
+    // 当前生效的上限（已乘提额倍数）
+    limits() {
+        const factor = this._factor();
+        const scale  = (caps = {}) => ({
+            tokens: caps.tokens ? Math.round(caps.tokens * factor) : null,
+            cost:   caps.cost ? caps.cost * factor : null,
+        });
+        return { daily: scale(B.daily), monthly: scale(B.monthly), perBeat: scale(B.perBeat) };
+    }
+
+    _over(kind, used, caps, resetAt) {
+        for (const metric of ["tokens", "cost"]) {
+            const limit = caps[metric];
+            const value = metric === "tokens" ? used.total : used.cost;
+            if (!limit || value < limit) continue;
+            return {
+                kind,
+                metric,
+                used:    metric === "cost" ? Number(value.toFixed(6)) : value,
+                limit,
+                resetAt,
+                message: `${KIND_LABEL[kind]}${METRIC_LABEL[metric]}预算已用尽（${formatAmount(metric, value)} / ${formatAmount(metric, limit)}）`,
+            };
+        }
+        return null;
+    }
+
+    /**
+     * 检查预算
+     * @param {"chat"|"pulse"} scope  pulse 额外受静默时段约束
+     * @returns {null | { kind, metric?, used?, limit?, resetAt, message }}  null 表示放行
+     */
+    check(scope = "chat") {
+        const limits = this.limits();
+        const over = this._over("daily", usageTracker.today(), limits.daily, nextLocalDay())
+            ?? this._over("monthly", usageTracker.month(), limits.monthly, nextLocalMonth());
+
+        if (over) {
+            this._report(over);
+            return over;
+        }
+        this._recover();
+
+        if (scope === "pulse") {
+            const until = quietUntil();
+            if (until) {
+                return { kind: "quiet", resetAt: until, message: `静默时段（${B.quietHours.start}–${B.quietHours.end}）` };
+            }
+        }
+        return null;
+    }
+
+    // ── 心跳运行登记：运行中每记一笔即复核单次 / 当日 / 当月上限 ──
+    beginBeat(requestId) {
+        this.beatId = requestId;
+    }
+
+    endBeat() {
+        this.beatId = null;
+    }
+
+    _onRecord(entry) {
+        if (!this.beatId || entry.requestId !== this.beatId) return;
+        const limits = this.limits();
+        const over = this._over("perBeat", usageTracker.forRequest(this.beatId) ?? {}, limits.perBeat, null)
+            ?? this._over("daily", usageTracker.today(), limits.daily, nextLocalDay())
+            ?? this._over("monthly", usageTracker.month(), limits.monthly, nextLocalMonth());
+        if (!over) return;
+
+        if (runRegistry.cancel(this.beatId, over.message)) {
+            logger.warn(EV.SYSTEM, `心跳运行 ${this.beatId} 超出预算，已取消：${over.message}`);
+        }
+        this._report(over);
+    }
+
+    // 超限 → statusBoard 缺陷 + 事件（同一类只记一次，直到恢复）
+    _report(over) {
+        const task = defectTask(over.kind, over.metric);
+        if (over.kind !== "perBeat") {
+            if (this.openTasks.has(task)) return;
+            this.openTasks.add(task);
+        }
+        statusBoard.recordFailure(task, over.message, "BUDGET");
+        logger.warn(EV.SYSTEM, over.message);
+        agentBus.push(ET.BUDGET_EXCEEDED, "metal", over.message, over);
+    }
+
+    _recover() {
+        for (const task of this.openTasks) {
+            if (statusBoard.resolveDefect(task, "预算已恢复")) logger.info(EV.SYSTEM, `${task} 已恢复`);
+        }
+        this.openTasks.clear();
+    }
+
+    /**
+     * 申请临时提额（critical 审批）
+     * @param {{ factor?: number, durationMs?: number, reason?: string, source?: string }} [opts]
+     * @returns {Promise<{ approved: boolean, raise?: object, reason?: string }>}
+     */
+    async requestRaise({ factor = RAISE_FACTOR, durationMs = RAISE_DURATION, reason = "", source = "manual" } = {}) {
+        factor     = Math.max(1, Number(factor) || RAISE_FACTOR);
+        durationMs = Math.max(60_000, Number(durationMs) || RAISE_DURATION);
+        const hours = (durationMs / 3_600_000).toFixed(1);
+
+        const approval = await approvalManager.requestApproval({
+            actionType: "budget_raise",
+            risk:       "critical",
+            command:    `budget raise ×${factor} for ${hours}h`,
+            message:    `申请预算临时提额 ×${factor}，持续 ${hours} 小时${reason ? `：${reason}` : ""}`,
+            metadata:   { source, factor, durationMs, exceeded: this.check("chat") },
+        });
+        if (!approval.approved) {
+            return { approved: false, reason: approval.reason || "未获批准" };
+        }
+
+        this.raise = {
+            factor,
+            until:  new Date(Date.now() + durationMs).toISOString(),
+            reason,
+        };
+        const message = `预算临时提额 ×${factor}，至 ${this.raise.until}`;
+        logger.info(EV.SYSTEM, message);
+        agentBus.push(ET.BUDGET_RAISED, "metal", message, this.raise);
+        this.check("chat");   // 提额后立即复核，恢复已满足的缺陷
+        return { approved: true, raise: this.raise };
+    }
+
+    status() {
+        const limits = this.limits();
+        return {
+            currency:   usageTracker.currency(),
+            today:      { ...pick(usageTracker.today()), limit: limits.daily },
+            month:      { ...pick(usageTracker.month()), limit: limits.monthly },
+            perBeat:    limits.perBeat,
+            quietHours: B.quietHours?.enabled ? { start: B.quietHours.start, end: B.quietHours.end } : null,
+            quietUntil: quietUntil(),
+            raise:      this.raise,
+            exceeded:   this.check("chat"),
+        };
+    }
+}
+
+function pick(agg) {
+    return { tokens: agg.total, cost: Number(agg.cost.toFixed(6)) };
+}
+
+// 单例导出
+export const budgetGuard = new BudgetGuard();
@@ -0,0 +1,201 @@
+// src/engine/checkpointer.js
+// 【土-存档】：五行循环图的持久化检查点
+//
+// LangGraph 每完成一个节点（超步）就写入一次检查点。
+// 本模块在 MemorySaver 之上增加落盘：每个 thread 一个 JSON 文件，
+// 进程崩溃后可从最后一个已完成节点继续推演（invoke(null, { thread_id })）。
+//
+// 文件结构：data/checkpoints/<threadId>.json
+//   {
+//     meta:    { threadId, source, title, namespace, status, pid, createdAt, updatedAt, error },
+//     storage: { [ns]: { [checkpointId]: [checkpoint, metadata, parentId] } },
+//     writes:  { [key]: { [taskId,idx]: [taskId, channel, value] } }
+//   }
+//   checkpoint / metadata / value 为序列化后的 JSON 文本（可直接阅读排查）
+//
+// 运行状态：running → completed | failed
+//   若 status 仍为 running 但 pid 不是当前进程，视为 interrupted（可恢复）
+// 落盘为原子写（临时文件 + rename），进程在写入中途崩溃也不会留下截断的检查点
+//
+import { existsSync, mkdirSync, readdirSync, rmSync } from "fs";
+import { resolve, join } from "path";
+import { MemorySaver } from "@langchain/langgraph";
+import { readJsonSafe, writeTextAtomic } from "../storage/safeFile.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const CHECKPOINT_DIR = resolve(process.cwd(), cfg.checkpoint?.dir ?? "data/checkpoints");
+const KEEP_RUNS      = cfg.checkpoint?.keepRuns ?? 50;
+
+const decoder = new TextDecoder();
+
+// Uint8Array → 文本；MemorySaver 的 loadsTyped("json", ...) 同时接受字符串
+function toText(v) {
+    return v instanceof Uint8Array ? decoder.decode(v) : v;
+}
+
+function safeName(threadId) {
+    return String(threadId).replace(/[^\w.-]/g, "_");
+}
+
+export function newThreadId(prefix = "run") {
+    return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// ── 核心类 ────────────────────────────────────────────────
+
+export class FileCheckpointSaver extends MemorySaver {
+    constructor(dir = CHECKPOINT_DIR) {
+        super();
+        this.dir   = dir;
+        this.metas = {};   // threadId → meta
+        if (!existsSync(this.dir)) mkdirSync(this.dir, { recursive: true });
+    }
+
+    _file(threadId) {
+        return join(this.dir, `${safeName(threadId)}.json`);
+    }
+
+    _readFile(threadId) {
+        return readJsonSafe(this._file(threadId), null);
+    }
+
+    // 懒加载：内存中没有该 thread 时，从磁盘恢复
+    _ensureLoaded(threadId) {
+        if (!threadId || this.storage[threadId]) return;
+        const data = this._readFile(threadId);
+        if (!data) return;
+        this.storage[threadId] = data.storage ?? {};
+        Object.assign(this.writes, data.writes ?? {});
+        if (data.meta) this.metas[threadId] = data.meta;
+    }
+
+    _threadWrites(threadId) {
+        const out = {};
+        for (const [key, inner] of Object.entries(this.writes)) {
+            if (JSON.parse(key)[0] !== threadId) continue;
+            out[key] = Object.fromEntries(
+                Object.entries(inner).map(([k, [taskId, channel, value]]) => [k, [taskId, channel, toText(value)]])
+            );
+        }
+        return out;
+    }
+
+    _flush(threadId) {
+        if (!threadId) return;
+        const storage = {};
+        for (const [ns, cps] of Object.entries(this.storage[threadId] ?? {})) {
+            storage[ns] = {};
+            for (const [id, [cp, md, parent]] of Object.entries(cps)) {
+                storage[ns][id] = [toText(cp), toText(md), parent];
+            }
+        }
+        const meta = this.metas[threadId] ?? { threadId, status: "running", pid: process.pid, createdAt: new Date().toISOString() };
+        meta.updatedAt = new Date().toISOString();
+        this.metas[threadId] = meta;
+        writeTextAtomic(this._file(threadId), JSON.stringify({ meta, storage, writes: this._threadWrites(threadId) }));
+    }
+
+    // ── BaseCheckpointSaver 接口 ──────────────────────────
+
+    async getTuple(config) {
+        this._ensureLoaded(config.configurable?.thread_id);
+        return super.getTuple(config);
+    }
+
+    async *list(config, options) {
+        this._ensureLoaded(config.configurable?.thread_id);
+        yield* super.list(config, options);
+    }
+
+    async put(config, checkpoint, metadata) {
+        const threadId = config.configurable?.thread_id;
+        this._ensureLoaded(threadId);
+        const res = await super.put(config, checkpoint, metadata);
+        this._flush(threadId);
+        return res;
+    }
+
+    async putWrites(config, writes, taskId) {
+        const threadId = config.configurable?.thread_id;
+        this._ensureLoaded(threadId);
+        await super.putWrites(config, writes, taskId);
+        this._flush(threadId);
+    }
+
+    async deleteThread(threadId) {
+        await super.deleteThread(threadId);
+        delete this.metas[threadId];
+        rmSync(this._file(threadId), { force: true });
+    }
+
+    // ── 运行记录 ──────────────────────────────────────────
+
+    beginRun(threadId, { source = "chat", title = "", namespace = null } = {}) {
+        this._ensureLoaded(threadId);
+        const prev = this.metas[threadId];
+        this.metas[threadId] = {
+            threadId,
+            source:    prev?.source ?? source,
+            title:     prev?.title  ?? String(title).slice(0, 120),
+            namespace: prev?.namespace ?? namespace,
+            status:    "running",
+            pid:       process.pid,
+            createdAt: prev?.createdAt ?? new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            error:     null,
+        };
+        this._flush(threadId);
+        this._pruneOld();
+    }
+
+    endRun(threadId, status, error = null) {
+        const meta = this.metas[threadId];
+        if (!meta) return;
+        meta.status = status;
+        meta.error  = error ? String(error).slice(0, 300) : null;
+        this._flush(threadId);
+        // 已结束的 thread 从内存卸载，需要时再从磁盘懒加载
+        delete this.storage[threadId];
+        for (const key of Object.keys(this.writes)) {
+            if (JSON.parse(key)[0] === threadId) delete this.writes[key];
+        }
+    }
+
+    _effectiveStatus(meta) {
+        return meta.status === "running" && meta.pid !== process.pid ? "interrupted" : meta.status;
+    }
+
+    listRuns(limit = 20) {
+        if (!existsSync(this.dir)) return [];
+        const metas = [];
+        for (const name of readdirSync(this.dir)) {
+            if (!name.endsWith(".json")) continue;
+            const data = this._readFile(name.slice(0, -5));
+            if (!data?.meta) continue;
+            const meta = this.metas[data.meta.threadId] ?? data.meta;
+            metas.push({ ...meta, status: this._effectiveStatus(meta) });
+        }
+        return metas
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+            .slice(0, limit);
+    }
+
+    getRunMeta(threadId) {
+        this._ensureLoaded(threadId);
+        const meta = this.metas[threadId] ?? this._readFile(threadId)?.meta;
+        return meta ? { ...meta, status: this._effectiveStatus(meta) } : null;
+    }
+
+    // 仅保留最近 KEEP_RUNS 个运行记录（运行中的不删除）
+    _pruneOld() {
+        const runs = this.listRuns(Infinity);
+        for (const run of runs.slice(KEEP_RUNS)) {
+            if (run.status === "running") continue;
+            rmSync(this._file(run.threadId), { force: true });
+            delete this.metas[run.threadId];
+        }
+    }
+}
+
+// 单例导出
+export const checkpointer = new FileCheckpointSaver();
@@ -5,7 +5,7 @@
 // 乾（阳/火）× 坤（阴/金）针对同一任务各提方案，天道居中裁判，合成经得起双方挑战的终极准则
 // 论道结晶同步写入双方记忆库，实现群体进化速度 > 个体进化速度
 import { HumanMessage, SystemMessage } from "@langchain/core/messages";
-import { ChatOpenAI } from "@langchain/openai";
+import { createChatModel } from "../llm/modelFactory.js";
 import { WisdomMemory } from "./vectorStore.js";
 import cfg from "../../config/wuxing.json" with { type: "json" };
 import { logger, EV } from "../utils/logger.js";
@@ -20,7 +20,7 @@ class DebateAgent {
         this.name    = name;
         this.persona = persona;
         this.memory  = memory;
-        this.llm     = new ChatOpenAI({ modelName: cfg.models.reasoning, temperature: 0.8 });
+        this.llm     = createChatModel("reasoning", { temperature: 0.8, tag: "debater" });
     }
 
     async propose(task) {
@@ -62,7 +62,7 @@ export class WuxingDebate {
             memoryKun
         );
         // 天道裁判：低温度，追求逻辑严密
-        this.judge = new ChatOpenAI({ modelName: cfg.models.reasoning, temperature: 0.2 });
+        this.judge = createChatModel("reasoning", { temperature: 0.2, tag: "judge" });
     }
 
     /**
@@ -122,11 +122,12 @@ export class WuxingDebate {
         const sharedRule = `[论道结晶] ${synthesis}`;
         const sharedConfidence = +(balanceScore / 100).toFixed(2);
 
+        const provenance = { origin: "debate", score: balanceScore };
         await Promise.all([
-            this.agentQian.memory.memorize(task, sharedRule, sharedConfidence),
+            this.agentQian.memory.memorize(task, sharedRule, sharedConfidence, "long_term", provenance),
             // 只有当两个记忆库不同对象时才写入坤（避免重复写入共享库）
             this.agentKun.memory !== this.agentQian.memory
-                ? this.agentKun.memory.memorize(task, sharedRule, sharedConfidence)
+                ? this.agentKun.memory.memorize(task, sharedRule, sharedConfidence, "long_term", provenance)
                 : Promise.resolve(),
         ]);
 
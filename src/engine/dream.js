@@ -4,15 +4,17 @@
 // 认知科学原型：睡眠中的记忆巩固（Memory Consolidation）
 // 系统闲置时，主动将碎片化因果律聚类，合成更高阶的"道"
 // 效果：消除过拟合、降低噪音、形成"通用价值观"级别的核心准则
+//
+// core 层（用户钉住的准则）不参与折叠，两条路径都只处理 long_term / short_term
+// plan() 只计算变更集不落盘，供进化插件的提案模式送审（见 memory/memoryProposal.js）
 import { HumanMessage, SystemMessage } from "@langchain/core/messages";
-import { ChatOpenAI } from "@langchain/openai";
+import { createChatModel } from "../llm/modelFactory.js";
 import cfg from "../../config/wuxing.json" with { type: "json" };
 import { logger, EV } from "../utils/logger.js";
+import { mergedProvenance, rewriteDocs } from "./vectorStore.js";
+import { buildChangeSet } from "../memory/memoryProposal.js";
 
-const llm = new ChatOpenAI({
-    modelName: cfg.models.dream,
-    temperature: cfg.temperature.dream,
-});
+const llm = createChatModel("dream");
 
 const CLUSTER_PROMPT = `你是一个高阶逻辑合成器（梦境整合引擎）。
 以下是Agent积累的若干因果准则。请执行"逻辑折叠"：
@@ -21,8 +23,8 @@ const CLUSTER_PROMPT = `你是一个高阶逻辑合成器（梦境整合引擎
 2. 对每个语义群组，尝试合成一条更通用、更深刻的高阶准则
 3. 对于彼此独立、无法合并的准则，保留原样
 
-返回严格的JSON数组（格式与输入相同），其中合并的条目用 merged:true 标注：
-[{"task":"综合场景描述","result":"高阶准则","merged":true},{"task":"原任务","result":"原准则","merged":false}]
+返回严格的JSON数组，其中合并的条目用 merged:true 标注，sources 填来源条目的序号，reason 简述合并理由：
+[{"task":"综合场景描述","result":"高阶准则","merged":true,"sources":[1,3],"reason":"两条都在讲超时重试"},{"task":"原任务","result":"原准则","merged":false,"sources":[2]}]
 
 只返回JSON数组，不要任何解释。`;
 
@@ -40,33 +42,67 @@ export class DreamModule {
         this.memory = wisdomMemory;
     }
 
+    // 参与折叠的条目：core 层永不改写
+    _candidates() {
+        return this.memory.getAllDocs().filter((d) => d.memory_type !== "core");
+    }
+
     /**
-     * 开启梦境整合：对经验库执行语义聚类 + 逻辑折叠
-     * @param {number} minDocs 触发梦境所需最少条目数
+     * 计算折叠结果（不落盘）
+     * @returns {Promise<{ docs: object[], next: object[], reasons: Map<object, string> } | null>}
+     *   null = 条目不足或聚类失败
      */
-    async startDreaming(minDocs = cfg.memory.dreamMinDocs) {
-        const allDocs = this.memory.getAllDocs();
+    async _fold(minDocs) {
+        await this.memory.syncFromStore();
+        const docs = this._candidates();
 
-        if (allDocs.length < minDocs) {
+        if (docs.length < minDocs) {
             logger.info(EV.DREAM, `经验积累不足 ${minDocs} 条，进入浅眠...`);
-            return;
+            return null;
         }
 
-        logger.info(EV.DREAM, `进入深度自省模式，整合 ${allDocs.length} 条因果律...`);
+        logger.info(EV.DREAM, `进入深度自省模式，整合 ${docs.length} 条因果律...`);
 
         // 当条目较少时（≤pairwiseMaxDocs），逐对比对；较多时整批交给 LLM 聚类
-        if (allDocs.length <= cfg.evolution.pairwiseMaxDocs) {
-            await this._pairwiseMerge(allDocs);
+        const folded = docs.length <= cfg.evolution.pairwiseMaxDocs
+            ? await this._pairwiseMerge(docs)
+            : await this._batchCluster(docs);
+        return folded && { docs, ...folded };
+    }
+
+    /**
+     * 开启梦境整合：对经验库执行语义聚类 + 逻辑折叠，直接落盘
+     * @param {number} minDocs 触发梦境所需最少条目数
+     */
+    async startDreaming(minDocs = cfg.memory.dreamMinDocs) {
+        const folded = await this._fold(minDocs);
+        if (!folded) return;
+
+        const { docs, next } = folded;
+        if (next.length < docs.length) {
+            logger.evolution(EV.DREAM, `折叠完成：经验库从 ${docs.length} 条精简为 ${next.length} 条`);
+            const core = this.memory.getAllDocs().filter((d) => d.memory_type === "core");
+            await this.memory.replaceAll([...core, ...next], "dream");
         } else {
-            await this._batchCluster(allDocs);
+            logger.info(EV.DREAM, "所有准则相互独立，无法折叠，保持现状。");
         }
     }
 
+    /**
+     * 只计算折叠提案，不落盘（提案模式）
+     * @returns {Promise<ReturnType<typeof buildChangeSet> | null>}
+     */
+    async plan(minDocs = cfg.memory.dreamMinDocs) {
+        const folded = await this._fold(minDocs);
+        if (!folded) return null;
+        return buildChangeSet("dream", folded.docs, folded.next, { reasons: folded.reasons });
+    }
+
     // 小规模：逐对尝试合并（精准但调用次数多）
     async _pairwiseMerge(docs) {
         const used = new Set();
-        const result = [];
-        let mergeCount = 0;
+        const next = [];
+        const reasons = new Map();
 
         for (let i = 0; i < docs.length; i++) {
             if (used.has(i)) continue;
@@ -104,26 +140,28 @@ export class DreamModule {
                     }
 
                     logger.evolution(EV.DREAM, `折叠通过反向验证：\n  A: "${docs[i].result}"\n  B: "${docs[j].result}"\n  => "${synthesis}"`);
-                    result.push({ task: "合并场景", result: synthesis, createdAt: Date.now(), confidence: 1.0 });
+                    const doc = {
+                        task:       "合并场景",
+                        result:     synthesis,
+                        createdAt:  Date.now(),
+                        confidence: 1.0,
+                        provenance: mergedProvenance("dream", [docs[i], docs[j]]),
+                    };
+                    next.push(doc);
+                    reasons.set(doc, "逐对比对：同一底层逻辑，反向验证通过");
                     used.add(i);
                     used.add(j);
-                    mergeCount++;
                     merged = true;
                     break;
                 }
             }
 
             if (!merged) {
-                result.push(docs[i]);
+                next.push(docs[i]);
             }
         }
 
-        if (mergeCount > 0) {
-            logger.evolution(EV.DREAM, `折叠完成：${mergeCount} 次合并，经验库从 ${docs.length} 条精简为 ${result.length} 条`);
-            await this.memory.replaceAll(result);
-        } else {
-            logger.info(EV.DREAM, "所有准则相互独立，无法折叠，保持现状。");
-        }
+        return { next, reasons };
     }
 
     // 大规模：整批交给 LLM 聚类（效率高但需要模型能力强）
@@ -139,25 +177,23 @@ export class DreamModule {
             ]);
 
             const clustered = JSON.parse(res.content.trim());
-            const mergedCount = clustered.filter((d) => d.merged).length;
-            const finalDocs = clustered.map(({ task, result }) => ({
-                task,
-                result,
-                createdAt: Date.now(),
-                confidence: 1.0,
-            }));
-
-            if (finalDocs.length < docs.length) {
-                logger.evolution(EV.DREAM,
-                    `聚类折叠完成：${mergedCount} 个合并群组，` +
-                    `经验库从 ${docs.length} 条净化为 ${finalDocs.length} 条`
-                );
-                await this.memory.replaceAll(finalDocs);
-            } else {
-                logger.info(EV.DREAM, "未发现可折叠的逻辑群组，经验库保持当前形态。");
+            // 未改动的条目沿用原文档（保留 id 与溯源），合并条目记录父准则
+            const next    = rewriteDocs(docs, clustered, "dream");
+            const reasons = new Map();
+            clustered.forEach((c, i) => { if (c.reason) reasons.set(next[i], String(c.reason)); });
+
+            // 模型漏掉的条目原样保留：梦境只折叠，不删除
+            const covered = new Set(next.flatMap((d) => docs.includes(d) ? [d.id] : d.provenance?.parents ?? []));
+            const missing = docs.filter((d) => !covered.has(d.id));
+            if (missing.length > 0) {
+                logger.info(EV.DREAM, `聚类结果未覆盖 ${missing.length} 条准则，原样保留`);
             }
+
+            logger.info(EV.DREAM, `聚类得到 ${clustered.filter((d) => d.merged).length} 个合并群组`);
+            return { next: [...next, ...missing], reasons };
         } catch (e) {
             logger.warn(EV.DREAM, `聚类解析失败: ${e.message}`);
+            return null;
         }
     }
 }
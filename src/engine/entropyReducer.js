@@ -1,14 +1,15 @@
 // src/engine/entropyReducer.js
 // 【金克木】：熵减调度器 —— 肃杀冗余，保持经验库的纯净度
+// core 层（用户钉住的准则）不参与修剪；planPrune() 只出变更集，供提案模式送审
+// 定期触发（反思节点每 entropyTriggerEvery 次交互）与 :e 完整周期都经 pruneOrPropose()，按 evolution.proposalMode 选择送审或直接修剪
 import { HumanMessage, SystemMessage } from "@langchain/core/messages";
-import { ChatOpenAI } from "@langchain/openai";
-import cfg from "../../config/wuxing.json" with { type: "json" };
+import { createChatModel } from "../llm/modelFactory.js";
 import { logger, EV } from "../utils/logger.js";
+import { rewriteDocs } from "./vectorStore.js";
+import { buildChangeSet, proposeChangeSet } from "../memory/memoryProposal.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
 
-const llm = new ChatOpenAI({
-    modelName: cfg.models.reasoning,
-    temperature: 0,
-});
+const llm = createChatModel("reasoning", { temperature: 0, tag: "prune" });
 
 const PRUNE_PROMPT = `你是一位严苛的知识管理者（金的肃杀之性）。
 以下是Agent积累的因果准则列表，请执行三项操作：
@@ -17,25 +18,29 @@ const PRUNE_PROMPT = `你是一位严苛的知识管理者（金的肃杀之性
 2. 删除相互矛盾的条目（保留逻辑更严密的那条）  
 3. 删除明显低质量、过于笼统或无实际指导意义的条目
 
-返回精简后的JSON数组（格式与输入完全相同）：[{"task":"...","result":"..."}]
-如果所有条目均高质量无需修剪，也返回原数组。
-只返回JSON数组，不要任何解释文字。`;
+返回JSON对象：rules 为精简后的条目，sources 填该条目来源的序号（合并的条目填多个），合并或改写时 reason 简述理由；
+removed 列出被删除条目的序号与删除理由：
+{"rules":[{"task":"...","result":"...","sources":[1,4],"reason":"..."}],"removed":[{"source":2,"reason":"与第3条矛盾"}]}
+如果所有条目均高质量无需修剪，rules 返回原条目（各条目 sources 为自身序号），removed 为空数组。
+只返回JSON，不要任何解释文字。`;
 
 /**
- * 对经验库执行熵减修剪
+ * 计算修剪结果（不落盘）；core 层不参与修剪
  * @param {import('./vectorStore.js').WisdomMemory} wisdomMemory
+ * @returns {Promise<{ docs: object[], next: object[], reasons: Map<object, string>, removedReasons: Map<string, string> } | null>}
  */
-export async function prune(wisdomMemory) {
-    const allDocs = wisdomMemory.getAllDocs();
+async function computePrune(wisdomMemory) {
+    await wisdomMemory.syncFromStore();
+    const docs = wisdomMemory.getAllDocs().filter((d) => d.memory_type !== "core");
 
-    if (allDocs.length < 3) {
+    if (docs.length < 3) {
         logger.info(EV.ENTROPY, "经验库条目不足3条，跳过修剪。");
-        return;
+        return null;
     }
 
-    logger.info(EV.ENTROPY, `肃杀启动，审查 ${allDocs.length} 条因果律...`);
+    logger.info(EV.ENTROPY, `肃杀启动，审查 ${docs.length} 条因果律...`);
 
-    const docList = allDocs
+    const docList = docs
         .map((d, i) => `${i + 1}. 任务场景: ${d.task}\n   因果准则: ${d.result}`)
         .join("\n\n");
 
@@ -45,16 +50,64 @@ export async function prune(wisdomMemory) {
             new HumanMessage(docList),
         ]);
 
-        const pruned = JSON.parse(res.content.trim());
-        const removed = allDocs.length - pruned.length;
+        // 兼容旧格式：直接返回规则数组
+        const parsed = JSON.parse(res.content.trim());
+        const rules  = Array.isArray(parsed) ? parsed : parsed.rules ?? [];
+        const next   = rewriteDocs(docs, rules, "prune");
 
-        if (removed > 0) {
-            logger.evolution(EV.ENTROPY, `修剪完成：淘汰 ${removed} 条冗余规律，净化为 ${pruned.length} 条`);
-            await wisdomMemory.replaceAll(pruned);
-        } else {
-            logger.info(EV.ENTROPY, "经验库纯净度良好，无需修剪。");
+        const reasons = new Map();
+        rules.forEach((r, i) => { if (r.reason) reasons.set(next[i], String(r.reason)); });
+        const removedReasons = new Map();
+        for (const r of Array.isArray(parsed.removed) ? parsed.removed : []) {
+            const d = docs[Number(r.source) - 1];
+            if (d && r.reason) removedReasons.set(d.id, String(r.reason));
         }
+        return { docs, next, reasons, removedReasons };
     } catch (e) {
-        logger.warn(EV.ENTROPY, `修剪解析失败，本轮跳过: ${e.message}`);
+        logger.warn(EV.ENTROPY, `${e.degraded ? "修剪模型降级" : "修剪解析失败"}，本轮跳过: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * 对经验库执行熵减修剪，直接落盘
+ * @param {import('./vectorStore.js').WisdomMemory} wisdomMemory
+ */
+export async function prune(wisdomMemory) {
+    const pruned = await computePrune(wisdomMemory);
+    if (!pruned) return;
+
+    const { docs, next } = pruned;
+    const removed = docs.length - next.length;
+    if (removed > 0) {
+        logger.evolution(EV.ENTROPY, `修剪完成：淘汰 ${removed} 条冗余规律，净化为 ${next.length} 条`);
+        const core = wisdomMemory.getAllDocs().filter((d) => d.memory_type === "core");
+        await wisdomMemory.replaceAll([...core, ...next], "prune");
+    } else {
+        logger.info(EV.ENTROPY, "经验库纯净度良好，无需修剪。");
     }
 }
+
+/**
+ * 只计算修剪提案，不落盘（提案模式）
+ * @param {import('./vectorStore.js').WisdomMemory} wisdomMemory
+ */
+export async function planPrune(wisdomMemory) {
+    const pruned = await computePrune(wisdomMemory);
+    if (!pruned) return null;
+    return buildChangeSet("prune", pruned.docs, pruned.next, {
+        reasons:        pruned.reasons,
+        removedReasons: pruned.removedReasons,
+    });
+}
+
+/**
+ * 熵减入口：提案模式下送审（等待审批结果），否则直接修剪
+ * @param {import('./vectorStore.js').WisdomMemory} wisdomMemory
+ * @param {{ proposal?: boolean, source?: string }} [opts]
+ */
+export async function pruneOrPropose(wisdomMemory, { proposal = cfg.evolution.proposalMode ?? true, source = "evolution" } = {}) {
+    if (!proposal) return prune(wisdomMemory);
+    const cs = await planPrune(wisdomMemory);
+    if (cs) await proposeChangeSet(wisdomMemory, cs, { source });
+}
@@ -26,7 +26,13 @@ export const EVENT_TYPES = {
 
     // 流程控制
     ANSWER:          "answer",    // 最终回答完成
+    ANSWER_CHUNK:    "answer:chunk",  // 推理层逐 token 流式输出（data.requestId 关联请求）
     ERROR:           "error",     // 异常
+    CANCELLED:       "run:cancelled", // 运行被取消（data.requestId 关联请求）
+    LLM_BREAKER:     "llm:breaker",   // 模型供应方熔断状态变化（data.provider / data.state）
+    BUDGET_EXCEEDED: "budget:exceeded",   // Token / 成本预算超限（data.kind / data.metric）
+    BUDGET_RAISED:   "budget:raised",     // 预算临时提额已生效（data.factor / data.until）
+    MEMORY_EDITED:   "memory:edited",     // 记忆经管理接口编辑 / 删除（data.action / data.ids）
     SYSTEM:          "system",    // 系统通知（初始化、加载等）
 };
 
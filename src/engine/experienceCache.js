@@ -1,24 +1,19 @@
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
-import { dirname, resolve } from "path";
+import { Bm25Index, fuseRankings, rerank } from "../memory/hybridRetriever.js";
+import { storage } from "../storage/index.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
 
-const EXPERIENCE_FILE = resolve(process.cwd(), "data/experience_map.json");
+// 经验地图经 src/storage 读写（JSON 后端：data/experience_map.json）；追加在存储锁内读-改-写
 const MAX_ITEMS = 400;
 
 function loadStore() {
     try {
-        if (!existsSync(EXPERIENCE_FILE)) return { items: [] };
-        const parsed = JSON.parse(readFileSync(EXPERIENCE_FILE, "utf-8"));
+        const parsed = storage.readDoc("experience_map", null);
         return { items: Array.isArray(parsed?.items) ? parsed.items : [] };
     } catch {
         return { items: [] };
     }
 }
 
-function saveStore(store) {
-    const dir = dirname(EXPERIENCE_FILE);
-    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-    writeFileSync(EXPERIENCE_FILE, `${JSON.stringify(store, null, 2)}\n`, "utf-8");
-}
 
 function keywordsOf(text = "") {
     const s = String(text).toLowerCase();
@@ -28,25 +23,21 @@ function keywordsOf(text = "") {
     return [...new Set(words)].slice(0, 16);
 }
 
-function overlapScore(a, b) {
-    if (a.length === 0 || b.length === 0) return 0;
-    const setA = new Set(a);
-    let hit = 0;
-    for (const w of b) if (setA.has(w)) hit++;
-    return hit / Math.max(setA.size, new Set(b).size);
-}
-
+// BM25 检索 任务 + 资产路径 + 备注；score 为查询词覆盖率（按 IDF 加权，[0, 1]）
 export function queryExperience(task, { topK = 3 } = {}) {
     const store = loadStore();
     const qk = keywordsOf(task);
-    const scored = store.items
-        .map((item) => ({ item, score: overlapScore(qk, item.keywords ?? []) }))
-        .filter((x) => x.score > 0)
-        .sort((a, b) => b.score - a.score)
+    const index = new Bm25Index();
+    store.items.forEach((item, i) => index.add(i, `${item.task}\n${item.assetPath || ""}\n${item.note || ""}`));
+
+    const minCoverage = cfg.memory?.hybrid?.minLexicalCoverage ?? 0.35;
+    const scored = index.search(task)
+        .filter((x) => x.coverage >= minCoverage)
         .slice(0, topK)
+        .map((x) => ({ ...x, item: store.items[x.id] }))
         .map((x) => ({
             source: "index",
-            score: Number(x.score.toFixed(3)),
+            score: Number(x.coverage.toFixed(3)),
             task: x.item.task,
             tier: x.item.tier,
             decision: x.item.decision,
@@ -62,33 +53,33 @@ export function queryExperience(task, { topK = 3 } = {}) {
     };
 }
 
+// 融合两路排序：记忆召回作向量侧，经验索引作词法侧
 function mergeHits(indexHits, memoryHits, topK) {
-    const merged = [];
-    const seen = new Set();
-
-    const push = (h) => {
-        const key = `${h.task}|${h.assetPath || ""}`;
-        if (seen.has(key)) return;
-        seen.add(key);
-        merged.push(h);
-    };
-
-    for (const h of memoryHits) push(h);
-    for (const h of indexHits) push(h);
-    merged.sort((a, b) => b.score - a.score);
-    return merged.slice(0, topK);
+    const keyOf = (h) => `${h.task}|${h.assetPath || ""}`;
+    const byKey = new Map();
+    for (const h of [...memoryHits, ...indexHits]) if (!byKey.has(keyOf(h))) byKey.set(keyOf(h), h);
+
+    const fused = fuseRankings(
+        memoryHits.map((h) => ({ id: keyOf(h), similarity: h.score })),
+        indexHits.map((h) => ({ id: keyOf(h), score: h.score })),
+    );
+    return [...fused.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, topK)
+        .map(([key, relevance]) => ({ ...byKey.get(key), relevance: Number(relevance.toFixed(3)) }));
 }
 
 export async function queryExperienceUnified(task, {
     topK = 3,
     vectorMemory = null,
+    namespace = null,
 } = {}) {
-    const indexed = queryExperience(task, { topK });
+    const indexed = queryExperience(task, { topK: Math.max(topK, 8) });
     let memoryHits = [];
 
     if (vectorMemory?.searchTopK) {
         try {
-            const recalls = await vectorMemory.searchTopK(task, topK);
+            const recalls = await vectorMemory.searchTopK(task, Math.max(topK, 8), { namespace });
             memoryHits = (recalls ?? []).map((r) => ({
                 source: "memory",
                 score: Number((r.score ?? 0).toFixed(3)),
@@ -104,7 +95,11 @@ export async function queryExperienceUnified(task, {
         }
     }
 
-    const hits = mergeHits(indexed.hits, memoryHits, topK);
+    let hits = mergeHits(indexed.hits, memoryHits, Math.max(topK, 8));
+    if (cfg.memory?.hybrid?.rerank?.enabled) {
+        hits = await rerank(task, hits, (h) => `${h.task}${h.assetPath ? ` (${h.assetPath})` : ""}`);
+    }
+    hits = hits.slice(0, topK);
     return {
         keywords: indexed.keywords,
         hits,
@@ -120,7 +115,6 @@ export function recordExperience({
     status = "success",
     note = "",
 }) {
-    const store = loadStore();
     const entry = {
         task: String(task || "").slice(0, 220),
         keywords: keywordsOf(task),
@@ -131,9 +125,10 @@ export function recordExperience({
         note: String(note || "").slice(0, 240),
         ts: Date.now(),
     };
-    store.items.unshift(entry);
-    if (store.items.length > MAX_ITEMS) store.items = store.items.slice(0, MAX_ITEMS);
-    saveStore(store);
+    storage.updateDoc("experience_map", { items: [] }, (store) => {
+        const items = [entry, ...(Array.isArray(store?.items) ? store.items : [])];
+        return { ...store, items: items.slice(0, MAX_ITEMS) };
+    });
     return entry;
 }
 
@@ -145,6 +140,7 @@ export async function recordExperienceUnified({
     status = "success",
     note = "",
     vectorMemory = null,
+    namespace = null,
 }) {
     const entry = recordExperience({ task, tier, decision, assetPath, status, note });
     if (status === "success" && vectorMemory?.add) {
@@ -153,6 +149,8 @@ export async function recordExperienceUnified({
             await vectorMemory.add(entry.task, memo, {
                 confidence: 0.55,
                 memory_type: "short_term",
+                provenance: { origin: "experience" },
+                namespace,
             });
         } catch {
             // Ignore bridge errors to keep main flow stable.
@@ -4,7 +4,8 @@
 // "神"是五行之上的第六维——超越单次会话的持续意志方向。
 // 每次启动时，Agent 不再被动等待指令，而是主动检查自己的长线任务进度。
 //
-// 数据结构：data/goals.json
+// 数据结构：data/goals.json（经 src/storage 读写，SQLite 后端为 docs 表 goals 行）
+// 多进程：get / list 前比对存储版本，其他进程写过则重新载入；落盘时若期间有他人写入，按 id 三方合并
 // 指令接口：
 //   goalTracker.add(title, description, deadline)
 //   goalTracker.list()
@@ -13,15 +14,13 @@
 //   goalTracker.briefing()                 → 生成今日晨报（LLM 辅助）
 //   goalTracker.checkTaskRelevance(task)   → 判断一个任务是否推进了某个目标
 //
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
-import { dirname, resolve, join } from "path";
-import { ChatOpenAI } from "@langchain/openai";
+import { createChatModel } from "../llm/modelFactory.js";
 import { SystemMessage, HumanMessage } from "@langchain/core/messages";
-import cfg from "../../config/wuxing.json" with { type: "json" };
 import { logger, EV } from "../utils/logger.js";
+import { storage } from "../storage/index.js";
+import { mergeById, snapshotById } from "../storage/merge.js";
 
-const GOALS_FILE = resolve(process.cwd(), "data/goals.json");
-const llm = new ChatOpenAI({ modelName: cfg.models.reasoning, temperature: 0.3 });
+const llm = createChatModel("reasoning", { temperature: 0.3, tag: "goal" });
 
 // ── 数据模型 ──────────────────────────────────────────────
 //
@@ -54,27 +53,33 @@ function now() {
 
 export class GoalTracker {
     constructor() {
-        this._ensureDir();
         this.goals = this._load();
     }
 
-    _ensureDir() {
-        const dir = dirname(GOALS_FILE);
-        if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-    }
-
     _load() {
-        if (!existsSync(GOALS_FILE)) return [];
         try {
-            const raw = readFileSync(GOALS_FILE, "utf-8");
-            return JSON.parse(raw) ?? [];
+            this._version = storage.docVersion("goals");
+            const goals   = storage.readDoc("goals", []) ?? [];
+            this._base    = snapshotById(goals);
+            return goals;
         } catch {
+            this._base = new Map();
             return [];
         }
     }
 
+    // 其他进程写过 goals 则重新载入
+    _refresh() {
+        if (storage.docVersion("goals") !== this._version) this.goals = this._load();
+    }
+
     _save() {
-        writeFileSync(GOALS_FILE, JSON.stringify(this.goals, null, 2), "utf-8");
+        const { value, version } = storage.updateDoc("goals", [], (current) =>
+            storage.docVersion("goals") === this._version ? this.goals : mergeById(this._base, this.goals, current)
+        );
+        this.goals    = value;
+        this._version = version;
+        this._base    = snapshotById(value);
     }
 
     // ── CRUD ─────────────────────────────────────────────
@@ -93,6 +98,7 @@ export class GoalTracker {
             createdAt:   now(),
             updatedAt:   now(),
         };
+        this._refresh();
         this.goals.push(goal);
         this._save();
         logger.info(EV.SYSTEM, `[神-意志] 新目标种下：${title}`);
@@ -100,10 +106,12 @@ export class GoalTracker {
     }
 
     get(id) {
+        this._refresh();
         return this.goals.find((g) => g.id === id);
     }
 
     list(statusFilter = null) {
+        this._refresh();
         return statusFilter
             ? this.goals.filter((g) => g.status === statusFilter)
             : this.goals;
@@ -303,7 +311,7 @@ export class GoalTracker {
 
     // ── 格式化展示（用于 :goal 指令）──────────────────────
     format(filterStatus = null) {
-        const list = filterStatus ? this.list(filterStatus) : this.goals;
+        const list = this.list(filterStatus);
         if (list.length === 0) {
             return filterStatus
                 ? `当前没有 [${filterStatus}] 状态的目标。`
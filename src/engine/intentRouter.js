@@ -1,7 +1,4 @@
-import { existsSync, readFileSync } from "fs";
-import { resolve } from "path";
-
-const DEFECTS_FILE = resolve(process.cwd(), "data/defects.json");
+import { storage } from "../storage/index.js";
 
 const PATTERNS = {
     query: /你好|hi|hello|在吗|你是谁|你是什么模型|what model|who are you|介绍一下|能做什么/i,
@@ -22,8 +19,7 @@ function pickTier(input) {
 
 function getRecentFailures(limit = 3) {
     try {
-        if (!existsSync(DEFECTS_FILE)) return [];
-        const parsed = JSON.parse(readFileSync(DEFECTS_FILE, "utf-8"));
+        const parsed = storage.readDoc("defects", null);
         const open = Array.isArray(parsed?.open) ? parsed.open : [];
         return open.slice(-limit).map((d) => ({
             task: String(d.task || "").slice(0, 120),
@@ -38,8 +38,9 @@ const SKILL_TIMEOUT = (cfg.tools?.executionTimeoutMs ?? 15000);
 // ── Python 子进程 handler 工厂 ─────────────────────────────
 // 将 Python 脚本包装为与 JS handler 相同签名的 async 函数
 // 通信协议：args → JSON → stdin；stdout → 结果字符串
+// signal 中止时终止 Python 子进程
 function createPythonHandler(scriptPath, skillName) {
-    return async (args) => {
+    return async (args, { signal } = {}) => {
         const input = JSON.stringify(args ?? {});
         try {
             const { stdout, stderr } = await execFileAsync(
@@ -50,6 +51,7 @@ function createPythonHandler(scriptPath, skillName) {
                     timeout:   SKILL_TIMEOUT,
                     env:       { ...process.env },
                     maxBuffer: 256 * 1024,
+                    signal,
                 }
             );
             const out = (stdout ?? "").trim();
@@ -58,6 +60,7 @@ function createPythonHandler(scriptPath, skillName) {
             if (err) return `[stderr] ${err}`;
             return "(无输出)";
         } catch (e) {
+            if (signal?.aborted) throw e;   // 取消不是技能失败，交由上层处理
             const msg    = e.killed ? `执行超时（>${SKILL_TIMEOUT}ms）` : e.message;
             const stderr = (e.stderr ?? "").slice(0, 400);
             return `【技能 ${skillName} 执行失败】${msg}${stderr ? `\n${stderr}` : ""}`;
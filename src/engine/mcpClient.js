@@ -107,11 +107,16 @@ class MCPServerConnection {
         this.status    = Status.DISCONNECTED;
     }
 
-    async callTool(toolName, args = {}) {
+    async callTool(toolName, args = {}, { signal } = {}) {
         if (this.status !== Status.CONNECTED) {
             throw new Error(`MCP 服务 "${this.serverName}" 未连接（状态：${this.status}）`);
         }
-        const result = await this.client.callTool({ name: toolName, arguments: args });
+        // signal 中止时 SDK 会向服务端发送 notifications/cancelled
+        const result = await this.client.callTool(
+            { name: toolName, arguments: args },
+            undefined,
+            { signal }
+        );
         // MCP 返回 content 数组，提取文本
         return result.content
             ?.map((c) => (c.type === "text" ? c.text : JSON.stringify(c)))
@@ -126,7 +131,7 @@ class MCPServerConnection {
                 description: `[MCP:${this.serverName}] ${t.description ?? t.name}`,
                 parameters:  t.inputSchema ?? { type: "object", properties: {}, required: [] },
             },
-            handler: async (args) => this.callTool(t.name, args),
+            handler: async (args, opts) => this.callTool(t.name, args, opts),
             isStub:  false,
             source:  `MCP:${this.serverName}`,
         }));
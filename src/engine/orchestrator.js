@@ -17,18 +17,18 @@
 //
 import { HumanMessage, AIMessage, SystemMessage, ToolMessage } from "@langchain/core/messages";
 import { END, START, StateGraph } from "@langchain/langgraph";
-import { ChatOpenAI }             from "@langchain/openai";
+import { createChatModel }        from "../llm/modelFactory.js";
 import { tool }                   from "@langchain/core/tools";
 import { z }                      from "zod";
 import { skillManager }           from "./skillManager.js";
+import { gateToolCall, rejectionMessage, modifiedNotice } from "./toolRiskPolicy.js";
 import { logger, EV }             from "../utils/logger.js";
-import cfg                        from "../../config/wuxing.json"  with { type: "json" };
 import agentsCfg                  from "../../config/agents.json"  with { type: "json" };
 
 // ── LLM 实例 ─────────────────────────────────────────────
-const llmCommander  = new ChatOpenAI({ modelName: cfg.models.reasoning, temperature: 0.3 });
-const llmExecutor   = new ChatOpenAI({ modelName: cfg.models.reasoning, temperature: 0.1 });
-const llmResearcher = new ChatOpenAI({ modelName: cfg.models.reasoning, temperature: 0.3 });
+const llmCommander  = createChatModel("reasoning", { temperature: 0.3, tag: "commander" });
+const llmExecutor   = createChatModel("reasoning", { temperature: 0.1, tag: "executor" });
+const llmResearcher = createChatModel("reasoning", { temperature: 0.3, tag: "researcher" });
 
 const MAX_ITER = agentsCfg.maxIterations ?? 8;
 
@@ -87,7 +87,8 @@ const TeamState = {
 };
 
 // ── 工具执行辅助（Executor / Researcher 共用）────────────
-async function runToolCalls(calls, toolMap) {
+// signal：团队运行被取消时中止工具（子进程 / MCP 请求）
+async function runToolCalls(calls, toolMap, signal) {
     return Promise.all(calls.map(async (call) => {
         const fn = toolMap[call.name];
         if (!fn) {
@@ -96,12 +97,22 @@ async function runToolCalls(calls, toolMap) {
                 tool_call_id: call.id, name: call.name,
             });
         }
+        // 【金-门】工具风险审批（拒绝 / 修改结果回传给模型）
+        const gate = await gateToolCall(call, { source: "team", signal });
+        if (!gate.allowed) {
+            return new ToolMessage({
+                content: rejectionMessage(call.name, gate),
+                tool_call_id: call.id, name: call.name,
+            });
+        }
         let output;
         try {
-            output = await fn.invoke(call.args);
+            output = await fn.invoke(gate.args, { signal });
         } catch (e) {
+            if (signal?.aborted) throw e;
             output = `【工具异常】${e.message}`;
         }
+        if (gate.modified) output = modifiedNotice(gate.args) + String(output);
         logger.info(EV.FIRE, `  ← ${call.name}: ${String(output).slice(0, 80)}…`);
         return new ToolMessage({
             content: String(output), tool_call_id: call.id, name: call.name,
@@ -112,7 +123,7 @@ async function runToolCalls(calls, toolMap) {
 // ─────────────────────────────────────────────
 // 【土】Commander 节点
 // ─────────────────────────────────────────────
-async function commanderNode(state) {
+async function commanderNode(state, config) {
     logger.info(EV.EARTH, `Commander 第 ${state.iterCount + 1} 轮（任务：${state.task.slice(0, 40)}…）`);
     console.log(`\n[土-Commander] 轮次 ${state.iterCount + 1}，正在拆解任务...`);
 
@@ -136,7 +147,7 @@ async function commanderNode(state) {
 
     const res = await llmCommander
         .bindTools([transferToExecutor, transferToResearcher])
-        .invoke(msgs);
+        .invoke(msgs, { signal: config?.signal });
 
     if (res.tool_calls?.length > 0) {
         const call      = res.tool_calls[0];
@@ -187,7 +198,7 @@ async function commanderNode(state) {
 // ─────────────────────────────────────────────
 // 【火】Executor 节点
 // ─────────────────────────────────────────────
-async function executorNode(state) {
+async function executorNode(state, config) {
     logger.info(EV.FIRE, `Executor 接收子任务：${state.subtask?.slice(0, 60)}`);
     console.log(`\n[火-Executor] 执行：${state.subtask?.slice(0, 60)}`);
 
@@ -206,7 +217,7 @@ async function executorNode(state) {
 
     // 最多 3 轮工具调用（防止 Executor 内部死循环）
     for (let round = 0; round < 3; round++) {
-        const res = await llmExecutor.bindTools(executorTools).invoke(messages);
+        const res = await llmExecutor.bindTools(executorTools).invoke(messages, { signal: config?.signal });
         messages.push(res);
 
         if (!res.tool_calls?.length) break;
@@ -214,7 +225,7 @@ async function executorNode(state) {
         logger.info(EV.FIRE, `  工具调用：${res.tool_calls.map((c) => c.name).join(", ")}`);
         console.log(`   [火-执行] 调用：${res.tool_calls.map((c) => c.name).join(", ")}`);
 
-        const toolResults = await runToolCalls(res.tool_calls, toolMap);
+        const toolResults = await runToolCalls(res.tool_calls, toolMap, config?.signal);
         messages.push(...toolResults);
     }
 
@@ -229,7 +240,7 @@ async function executorNode(state) {
 // ─────────────────────────────────────────────
 // 【水】Researcher 节点
 // ─────────────────────────────────────────────
-async function researcherNode(state) {
+async function researcherNode(state, config) {
     logger.info(EV.WATER, `Researcher 接收子任务：${state.subtask?.slice(0, 60)}`);
     console.log(`\n[水-Researcher] 探索：${state.subtask?.slice(0, 60)}`);
 
@@ -246,11 +257,11 @@ async function researcherNode(state) {
     ];
 
     for (let round = 0; round < 2; round++) {
-        const res = await llmResearcher.bindTools(researcherTools).invoke(messages);
+        const res = await llmResearcher.bindTools(researcherTools).invoke(messages, { signal: config?.signal });
         messages.push(res);
         if (!res.tool_calls?.length) break;
 
-        const toolResults = await runToolCalls(res.tool_calls, toolMap);
+        const toolResults = await runToolCalls(res.tool_calls, toolMap, config?.signal);
         messages.push(...toolResults);
     }
 
@@ -292,10 +303,11 @@ export const teamApp = teamWorkflow.compile();
 /**
  * 便捷入口：传入任务字符串，返回最终结果
  * @param {string} task
+ * @param {{ signal?: AbortSignal }} [options] 取消信号
  * @returns {Promise<string>}
  */
-export async function runTeam(task) {
-    const result = await teamApp.invoke({ task, messages: [] });
+export async function runTeam(task, { signal } = {}) {
+    const result = await teamApp.invoke({ task, messages: [] }, { signal });
     return result.result
         ?? result.messages[result.messages.length - 1]?.content
         ?? "(无输出)";
@@ -12,26 +12,20 @@
 //   - 每次心跳最多执行 maxTasksPerBeat 个任务（防失控）
 //   - 自主任务不会出现在对话历史中（不污染 sessionMessages）
 //   - 出现连续失败时自动降低心跳频率（指数退避）
+//   - 预算守卫（budgetGuard）：超出当日 / 当月预算或处于静默时段时跳过本次心跳（暂停），
+//     单次心跳超出 perBeat 上限时中途取消该次运行
 //
 import { HumanMessage } from "@langchain/core/messages";
 import { goalTracker }  from "./goalTracker.js";
-import { statusBoard }  from "./statusBoard.js";
+import { statusBoard, loadDefects } from "./statusBoard.js";
+import { budgetGuard }  from "./budgetGuard.js";
+import { newThreadId }  from "./checkpointer.js";
 import { logger, EV }  from "../utils/logger.js";
-import { readFileSync, existsSync } from "fs";
-import { resolve } from "path";
 import cfg from "../../config/wuxing.json" with { type: "json" };
 
-const DEFECTS_FILE = resolve(process.cwd(), "data/defects.json");
-
-// 读取开放缺陷列表
+// 读取开放缺陷列表（预算超限不是可自主修复的缺陷，排除）
 function loadOpenDefects() {
-    if (!existsSync(DEFECTS_FILE)) return [];
-    try {
-        const data = JSON.parse(readFileSync(DEFECTS_FILE, "utf-8"));
-        return data.open ?? [];
-    } catch {
-        return [];
-    }
+    return (loadDefects().open ?? []).filter((d) => d.type !== "BUDGET");
 }
 
 // 生成本次心跳的自主任务指令
@@ -76,7 +70,7 @@ function buildProactiveTask() {
 
 export class WuXingPulse {
     /**
-     * @param {Function} runGraph  app.invoke 的封装，接收 {messages}，返回 result
+     * @param {Function} runGraph  runGraph 的封装（带检查点），接收 {messages}，返回 result
      * @param {Object}   options
      * @param {number}   options.intervalMs       心跳间隔（默认 1 小时）
      * @param {number}   options.maxTasksPerBeat  每次心跳最多执行几个任务（默认 1）
@@ -89,6 +83,7 @@ export class WuXingPulse {
         this._running       = false;
         this._consecutiveFails = 0;
         this._beatCount     = 0;
+        this._paused        = null;   // 预算守卫暂停原因（null = 正常）
     }
 
     get isRunning() { return this._timer !== null; }
@@ -118,6 +113,7 @@ export class WuXingPulse {
             interval:  this.intervalMs,
             beats:     this._beatCount,
             fails:     this._consecutiveFails,
+            paused:    this._paused,
         };
     }
 
@@ -128,8 +124,26 @@ export class WuXingPulse {
             logger.info(EV.SYSTEM, "[木-震] 上一次心跳尚未结束，跳过本次");
             return;
         }
+
+        // 预算守卫：超限 / 静默时段 → 暂停（计时器保留，下次心跳重新检查）
+        const over = budgetGuard.check("pulse");
+        if (over) {
+            if (!this._paused) {
+                logger.warn(EV.SYSTEM, `[木-震] 心跳暂停：${over.message}，预计 ${over.resetAt} 后恢复`);
+                console.log(`\n[木-震] 心跳暂停：${over.message}`);
+            }
+            this._paused = over;
+            return;
+        }
+        if (this._paused) {
+            logger.info(EV.SYSTEM, "[木-震] 预算恢复，心跳继续");
+            this._paused = null;
+        }
+
         this._running = true;
         this._beatCount++;
+        const threadId = newThreadId("pulse");
+        budgetGuard.beginBeat(threadId);
 
         const { task, type, context } = buildProactiveTask();
         logger.info(EV.SYSTEM, `[木-震] 心跳 #${this._beatCount}：${type} — ${task.slice(0, 60)}`);
@@ -140,7 +154,7 @@ export class WuXingPulse {
             const maxCycles = cfg.tools?.maxCycles ?? 12;
             const result    = await this.runGraph(
                 { messages: [new HumanMessage(task)] },
-                { recursionLimit: maxCycles * 2 + 10 }
+                { recursionLimit: maxCycles * 2 + 10, configurable: { thread_id: threadId } }
             );
 
             const answer = result.foundWisdom
@@ -158,6 +172,12 @@ export class WuXingPulse {
             this._consecutiveFails = 0;
 
         } catch (e) {
+            // 预算守卫中途取消：不计入失败，不触发退避
+            if (e.cancelled) {
+                logger.warn(EV.SYSTEM, `[木-震] 心跳已取消：${e.message}`);
+                console.log(`[木-震] 心跳已取消：${e.message.slice(0, 80)}`);
+                return;
+            }
             this._consecutiveFails++;
             logger.warn(EV.SYSTEM, `[木-震] 心跳失败（连续 ${this._consecutiveFails} 次）：${e.message}`);
             console.log(`[木-震] 心跳失败：${e.message.slice(0, 80)}`);
@@ -170,6 +190,7 @@ export class WuXingPulse {
                 setTimeout(() => this.start(), backoff);
             }
         } finally {
+            budgetGuard.endBeat();
             this._running = false;
         }
     }
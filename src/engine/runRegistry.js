@@ -0,0 +1,57 @@
+// src/engine/runRegistry.js
+// 【金-断】：运行中任务登记处 —— 每次推演持有一个 AbortController
+//
+// runGraph 启动时登记，结束时注销；取消时 abort()，
+// signal 沿 LangGraph config 传到 LLM 调用、工具、子进程与 MCP 请求。
+//
+//   const signal = runRegistry.start(runId, { source });
+//   runRegistry.cancel(runId, "用户取消");
+//   runRegistry.finish(runId);
+//
+
+export const CANCEL_REASON = "用户取消";
+
+// 判断一个异常是否由取消引起（AbortError 或 signal 已中止）
+export function isAbortError(err, signal = null) {
+    if (signal?.aborted) return true;
+    return err?.name === "AbortError";
+}
+
+class RunRegistry {
+    constructor() {
+        this.runs = new Map();   // runId → { controller, source, startedAt }
+    }
+
+    start(runId, { source = "chat" } = {}) {
+        const controller = new AbortController();
+        this.runs.set(runId, { controller, source, startedAt: Date.now() });
+        return controller.signal;
+    }
+
+    cancel(runId, reason = CANCEL_REASON) {
+        const run = this.runs.get(runId);
+        if (!run || run.controller.signal.aborted) return false;
+        run.controller.abort(new Error(reason));
+        return true;
+    }
+
+    finish(runId) {
+        this.runs.delete(runId);
+    }
+
+    isActive(runId) {
+        return this.runs.has(runId);
+    }
+
+    list() {
+        return [...this.runs.entries()].map(([runId, r]) => ({
+            runId,
+            source:    r.source,
+            startedAt: r.startedAt,
+            cancelled: r.controller.signal.aborted,
+        }));
+    }
+}
+
+// 单例导出
+export const runRegistry = new RunRegistry();
@@ -2,29 +2,30 @@
 // 【水-流动】：持久化会话管理
 //
 // 职责：
-//   1. 跨进程保存 sessionMessages → data/sessions/current.json
+//   1. 跨进程保存 sessionMessages → data/sessions/current.json（经 src/storage，SQLite 后端为 docs 表 session 行）
 //   2. 启动时恢复上一次对话上下文（断点续接）
-//   3. 超限时自动 LLM 摘要压缩（土之归藏），防止 Token 爆炸
+//   3. 超限时自动 LLM 摘要压缩（土之归藏），防止 Token 爆炸；
+//      摘要同时写入 short_term 记忆（origin = summary），由定时清扫决定晋升或清除（见 src/memory/memoryLifecycle.js）
 //
 // 消息序列化格式（JSON 数组）：
 //   { role: "human" | "ai" | "system", content: string }
 //
-import { readFileSync, writeFileSync, existsSync, unlinkSync, mkdirSync } from "fs";
-import { dirname, resolve } from "path";
+// sessionId：进程内会话标识（clear() 后换新），写入记忆溯源，标记准则出自哪段对话
+// namespace：会话当前的记忆命名空间（null 为全局库，见 src/memory/namespaces.js），clear() 不重置
+// memory：摘要写入的 VectorMemory，由宿主（main.js / server.js）挂上；未挂时只压缩不写记忆
+//
 import { HumanMessage, AIMessage, SystemMessage } from "@langchain/core/messages";
-import { ChatOpenAI } from "@langchain/openai";
+import { createChatModel } from "../llm/modelFactory.js";
+import { storage } from "../storage/index.js";
 import cfg from "../../config/wuxing.json" with { type: "json" };
 
 const sessionCfg = cfg.session ?? {};
-const SESSION_FILE        = resolve(process.cwd(), sessionCfg.persistFile   ?? "data/sessions/current.json");
 const MAX_MESSAGES        = sessionCfg.maxMessages      ?? 40;   // 超过此数强制压缩
 const SUMMARY_KEEP_RECENT = sessionCfg.summaryKeepRecent ?? 10;  // 压缩后保留的最新条数
+const SUMMARY_CONFIDENCE  = cfg.memory?.shortTerm?.summaryConfidence ?? 0.6;
 
 // ── LLM：仅用于摘要，使用低温度保证稳定性 ────────────────
-const summaryLlm = new ChatOpenAI({
-    modelName:   cfg.models.reasoning,
-    temperature: 0.2,
-});
+const summaryLlm = createChatModel("reasoning", { temperature: 0.2, tag: "summary" });
 
 // ── 消息序列化 / 反序列化 ─────────────────────────────────
 
@@ -44,22 +45,21 @@ function deserialize({ role, content }) {
 
 // ── 核心类 ────────────────────────────────────────────────
 
+function newSessionId() {
+    return `sess_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
 export class SessionManager {
     constructor() {
-        this._ensureDir();
-    }
-
-    _ensureDir() {
-        const dir = dirname(SESSION_FILE);
-        if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+        this.sessionId = newSessionId();
+        this.namespace = cfg.memory?.namespaces?.default || null;
+        this.memory    = null;
     }
 
     // 从磁盘加载上一次会话（返回 LangChain Message 数组）
     loadHistory() {
-        if (!existsSync(SESSION_FILE)) return [];
         try {
-            const raw  = readFileSync(SESSION_FILE, "utf-8");
-            const data = JSON.parse(raw);
+            const data = storage.readDoc("session", null);
             if (!Array.isArray(data)) return [];
             const msgs = data.map(deserialize);
             console.log(`[水-会话] 恢复上一次对话（${msgs.length} 条）`);
@@ -75,8 +75,7 @@ export class SessionManager {
     saveHistory(messages) {
         if (messages.length === 0) return;
 
-        const data = messages.map(serialize);
-        writeFileSync(SESSION_FILE, JSON.stringify(data, null, 2), "utf-8");
+        storage.writeDoc("session", messages.map(serialize));
 
         // 压缩判断：在后台执行，不阻塞主对话流
         if (messages.length > MAX_MESSAGES) {
@@ -112,12 +111,25 @@ export class SessionManager {
             ];
 
             // 写回磁盘（压缩版）
-            const data = compressed.map(serialize);
-            writeFileSync(SESSION_FILE, JSON.stringify(data, null, 2), "utf-8");
+            storage.writeDoc("session", compressed.map(serialize));
             console.log(
                 `\n[金-归藏] 会话自动压缩：${messages.length} 条 → ${compressed.length} 条` +
                 `（摘要 + 最近 ${SUMMARY_KEEP_RECENT} 条）`
             );
+
+            // 摘要入短期记忆：以被压缩段落里的用户提问为检索键，之后聊到相近话题时可召回
+            if (this.memory && summary) {
+                const asked = toSummarize
+                    .filter((m) => m instanceof HumanMessage)
+                    .map((m) => String(m.content).slice(0, 100))
+                    .join("；");
+                await this.memory.add(`【会话摘要】${asked.slice(0, 400) || summary.slice(0, 100)}`, summary, {
+                    confidence:  SUMMARY_CONFIDENCE,
+                    memory_type: "short_term",
+                    provenance:  { origin: "summary", sessionId: this.sessionId, messages: toSummarize.length },
+                    namespace:   this.namespace,
+                });
+            }
         } catch (e) {
             // 压缩失败不影响主流程，静默处理
         }
@@ -125,9 +137,8 @@ export class SessionManager {
 
     // 清除持久化文件
     clear() {
-        if (existsSync(SESSION_FILE)) {
-            unlinkSync(SESSION_FILE);
-        }
+        storage.removeDoc("session");
+        this.sessionId = newSessionId();
     }
 
     // 统计信息
@@ -138,7 +149,7 @@ export class SessionManager {
             count:     messages.length,
             chars:     totalChars,
             hasSummary,
-            persisted: existsSync(SESSION_FILE),
+            persisted: storage.hasDoc("session"),
         };
     }
 }
@@ -137,10 +137,11 @@ export class SkillManager {
         const schema = config.parameters ? toZod(config.parameters) : z.object({}).passthrough();
 
         const skillTool = tool(
-            async (args) => {
+            async (args, runConfig) => {
                 logger.info(EV.WOOD, `动态技能调用：${config.name} [来源：${source}]`);
                 try {
-                    const result = await handler(args);
+                    // 第二参数透传取消信号：handler(args, { signal })
+                    const result = await handler(args, { signal: runConfig?.signal });
                     return String(result ?? "(无输出)");
                 } catch (e) {
                     return `【技能执行错误】${config.name}: ${e.message}`;
@@ -163,10 +164,10 @@ export class SkillManager {
         const schema = config.parameters ? toZod(config.parameters) : z.object({}).passthrough();
 
         const mcpTool = tool(
-            async (args) => {
+            async (args, runConfig) => {
                 logger.info(EV.WATER, `MCP 工具调用：${config.name} [${source}]`);
                 try {
-                    return String(await handler(args) ?? "(无输出)");
+                    return String(await handler(args, { signal: runConfig?.signal }) ?? "(无输出)");
                 } catch (e) {
                     return `【MCP 调用错误】${config.name}: ${e.message}`;
                 }
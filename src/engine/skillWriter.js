@@ -13,7 +13,7 @@
 //   - description:   触发场景描述
 //   - parameters:    JSON Schema
 //   - handler_code:  完整的 Python 脚本（通过 stdin 读取 JSON 参数，stdout 输出结果）
-import { ChatOpenAI }      from "@langchain/openai";
+import { createChatModel } from "../llm/modelFactory.js";
 import { SystemMessage, HumanMessage } from "@langchain/core/messages";
 import { mkdir, writeFile, existsSync } from "fs";
 import { promisify }       from "util";
@@ -27,9 +27,9 @@ const writeFileAsync = promisify(writeFile);
 
 const SKILLS_DIR = join(PROJECT_ROOT, "skills");
 
-const llm = new ChatOpenAI({
-    modelName:   cfg.models.reasoning,
+const llm = createChatModel("reasoning", {
     temperature: 0.2,   // 低温保证代码输出稳定
+    tag:         "skillWriter",
 });
 
 // 评估提示词：让 LLM 决定是否值得封装、并生成 Python 脚本
@@ -12,18 +12,16 @@
 // 写盘策略：
 //   - recordFailure() / resolveDefect()：立即写盘
 //   - refresh()：全量重建（在 :status 指令或启动时调用）
+//   - 缺陷在存储锁内读-改-写，STATUS.md 原子替换（REPL 与 Web 可能同时写）
 //
-import {
-    readFileSync, writeFileSync, existsSync, mkdirSync
-} from "fs";
-import { resolve, dirname } from "path";
+import { resolve } from "path";
 import { getSnapshot }   from "./awareness.js";
 import { goalTracker }   from "./goalTracker.js";
+import { storage }       from "../storage/index.js";
+import { writeTextAtomic } from "../storage/safeFile.js";
 import cfg               from "../../config/wuxing.json" with { type: "json" };
 
 const STATUS_FILE  = resolve(process.cwd(), "STATUS.md");
-const DEFECTS_FILE = resolve(process.cwd(), "data/defects.json");
-const APPROVAL_AUDIT_FILE = resolve(process.cwd(), "data/audit/approvals.jsonl");
 const MAX_DEFECTS  = 20;
 const MAX_RESOLVED = 10;
 
@@ -34,30 +32,30 @@ function nowStr() {
     return new Date().toLocaleString("zh-CN");
 }
 
-function loadDefects() {
-    if (!existsSync(DEFECTS_FILE)) return { open: [], resolved: [] };
+// 缺陷与审批审计经 src/storage 读写（JSON 后端：data/defects.json / data/audit/approvals.jsonl）
+export function loadDefects() {
     try {
-        return JSON.parse(readFileSync(DEFECTS_FILE, "utf-8"));
+        return storage.readDoc("defects", null) ?? { open: [], resolved: [] };
     } catch {
         return { open: [], resolved: [] };
     }
 }
 
-function saveDefects(data) {
-    const dir = dirname(DEFECTS_FILE);
-    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-    writeFileSync(DEFECTS_FILE, JSON.stringify(data, null, 2), "utf-8");
+// 跨进程互斥的读-改-写：fn 原地修改 data，返回值透传
+function updateDefects(fn) {
+    let out;
+    storage.updateDoc("defects", { open: [], resolved: [] }, (data) => {
+        data.open     ??= [];
+        data.resolved ??= [];
+        out = fn(data);
+        return data;
+    });
+    return out;
 }
 
 function loadApprovalAudits(limit = 5) {
-    if (!existsSync(APPROVAL_AUDIT_FILE)) return [];
     try {
-        const raw = readFileSync(APPROVAL_AUDIT_FILE, "utf-8");
-        const lines = raw.split("\n").filter(Boolean);
-        const parsed = lines.map((line) => {
-            try { return JSON.parse(line); } catch { return null; }
-        }).filter(Boolean);
-        return parsed.slice(-limit).reverse();
+        return storage.readAudit(limit);
     } catch {
         return [];
     }
@@ -69,52 +67,52 @@ export class StatusBoard {
 
     // ── 记录一次执行失败 ────────────────────────────────
     recordFailure(task, errorDetail, type = "EXECUTION") {
-        const data     = loadDefects();
         const shortErr = (errorDetail ?? "").slice(0, 150).replace(/\n/g, " ");
 
-        // 相同任务不重复记录（去重）
-        const exists = data.open.some(
-            (d) => d.task === task.slice(0, 80)
-        );
-        if (exists) return;
-
-        const entry = {
-            id:       `def_${Date.now().toString(36)}`,
-            task:     task.slice(0, 80),
-            error:    shortErr,
-            type,
-            at:       nowStr(),
-            resolved: false,
-        };
-
-        data.open.unshift(entry);
-        // 超出上限时删除最旧的
-        if (data.open.length > MAX_DEFECTS) data.open = data.open.slice(0, MAX_DEFECTS);
-
-        saveDefects(data);
+        const entry = updateDefects((data) => {
+            // 相同任务不重复记录（去重）
+            if (data.open.some((d) => d.task === task.slice(0, 80))) return undefined;
+
+            const fresh = {
+                id:       `def_${Date.now().toString(36)}`,
+                task:     task.slice(0, 80),
+                error:    shortErr,
+                type,
+                at:       nowStr(),
+                resolved: false,
+            };
+            data.open.unshift(fresh);
+            // 超出上限时删除最旧的
+            if (data.open.length > MAX_DEFECTS) data.open = data.open.slice(0, MAX_DEFECTS);
+            return fresh;
+        });
+        if (!entry) return;
+
         this._writeFile();   // 立即更新 STATUS.md
         return entry;
     }
 
     // ── 标记一个缺陷已修复 ──────────────────────────────
     resolveDefect(taskKeyword, note = "已修复") {
-        const data = loadDefects();
-        const idx  = data.open.findIndex((d) =>
-            d.task.includes(taskKeyword) || d.id === taskKeyword
-        );
-        if (idx === -1) return false;
-
-        const [entry] = data.open.splice(idx, 1);
-        entry.resolved     = true;
-        entry.resolvedAt   = nowStr();
-        entry.resolvedNote = note;
-
-        data.resolved.unshift(entry);
-        if (data.resolved.length > MAX_RESOLVED) {
-            data.resolved = data.resolved.slice(0, MAX_RESOLVED);
-        }
+        const found = updateDefects((data) => {
+            const idx = data.open.findIndex((d) =>
+                d.task.includes(taskKeyword) || d.id === taskKeyword
+            );
+            if (idx === -1) return false;
+
+            const [entry] = data.open.splice(idx, 1);
+            entry.resolved     = true;
+            entry.resolvedAt   = nowStr();
+            entry.resolvedNote = note;
+
+            data.resolved.unshift(entry);
+            if (data.resolved.length > MAX_RESOLVED) {
+                data.resolved = data.resolved.slice(0, MAX_RESOLVED);
+            }
+            return true;
+        });
+        if (!found) return false;
 
-        saveDefects(data);
         this._writeFile();
         return true;
     }
@@ -244,7 +242,7 @@ export class StatusBoard {
 
         lines.push("", "---", `*自动生成 by WuXing-Agent · ${snap.timestamp}*`);
 
-        writeFileSync(STATUS_FILE, lines.join("\n"), "utf-8");
+        writeTextAtomic(STATUS_FILE, lines.join("\n"));
     }
 }
 
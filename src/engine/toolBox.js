@@ -135,7 +135,7 @@ export const writeFileTool = tool(
 
 // ── 工具 4：执行 Node.js 代码（工作区 + 超时）────────────
 export const executeCodeTool = tool(
-    async ({ filename = "agent_run.js", timeoutMs = 8000 }) => {
+    async ({ filename = "agent_run.js", timeoutMs = 8000 }, config) => {
         try {
             await ensureWorkspace();
             const safeFile = basename(filename);
@@ -152,6 +152,7 @@ export const executeCodeTool = tool(
                     cwd:       WORKSPACE_DIR,
                     env:       { ...process.env },
                     maxBuffer: 64 * 1024,
+                    signal:    config?.signal,   // 运行取消时终止子进程
                 }
             );
 
@@ -215,7 +216,7 @@ export const listWorkspaceTool = tool(
 // 运行 workspace/ 中的代码文件，返回结构化报告：
 //   PASS — 含 stdout；FAIL — 含完整 stderr + stack + 修复建议索引
 export const testRunnerTool = tool(
-    async ({ filename, testCode, timeoutMs = 8000 }) => {
+    async ({ filename, testCode, timeoutMs = 8000 }, config) => {
         try {
             await ensureWorkspace();
             const safeFile   = basename(filename);
@@ -252,6 +253,7 @@ export const testRunnerTool = tool(
                         cwd:       WORKSPACE_DIR,
                         env:       { ...process.env },
                         maxBuffer: 128 * 1024,
+                        signal:    config?.signal,
                     }
                 );
             } finally {
@@ -419,7 +421,7 @@ export const incorporateSkillTool = tool(
 const NPM_NAME_RE = /^(@[a-z0-9][a-z0-9._-]*\/)?[a-z0-9][a-z0-9._-]*(@[\d.]+)?$/;
 
 export const installNpmPackageTool = tool(
-    async ({ packageName, saveAs = "dependency" }) => {
+    async ({ packageName, saveAs = "dependency" }, config) => {
         if (!NPM_NAME_RE.test(packageName)) {
             return `【拒绝】包名 "${packageName}" 格式非法（防注入保护）`;
         }
@@ -452,6 +454,7 @@ export const installNpmPackageTool = tool(
                     env:       { ...process.env },
                     maxBuffer: 256 * 1024,
                     shell:     true,   // Windows 下 npm 是 .cmd 脚本，需要 shell
+                    signal:    config?.signal,
                 }
             );
 
@@ -485,7 +488,7 @@ export const installNpmPackageTool = tool(
 
 // ── 工具 9：调用外部专家终端代理 ─────────────────────────
 export const callExternalAgentTool = tool(
-    async ({ agentName, taskPrompt, autoApprove = true, timeoutMs = 600000 }) => {
+    async ({ agentName, taskPrompt, autoApprove = true, timeoutMs = 600000 }, config) => {
         if (!agentName?.trim()) return "【错误】agentName 不能为空";
         if (!taskPrompt?.trim()) return "【错误】taskPrompt 不能为空";
 
@@ -497,7 +500,11 @@ export const callExternalAgentTool = tool(
                 timeoutMs: Math.max(5000, Math.min(3600000, Number(timeoutMs) || 600000)),
             });
 
-            const finished = await terminalTaskManager.waitForExit(task.id);
+            // 运行取消时同步停止外部终端任务
+            const onAbort = () => terminalTaskManager.stopTask(task.id);
+            config?.signal?.addEventListener("abort", onAbort, { once: true });
+            const finished = await terminalTaskManager.waitForExit(task.id)
+                .finally(() => config?.signal?.removeEventListener("abort", onAbort));
             if (!finished) return `【异常】任务未找到：${task.id}`;
 
             const tail = (finished.logsTail ?? []).join("").slice(-1200);
@@ -0,0 +1,141 @@
+// src/engine/toolRiskPolicy.js
+// 【金-门】：工具调用风险策略 —— 任何工具执行前的人类审批门
+//
+// 声明式规则（config/agents.json → toolRiskPolicy.rules）：
+//   { "tool": "<工具名或 glob>", "args": { "<参数名>": <谓词> }, "risk": "low|medium|high|critical" }
+//
+//   tool  — 支持 * / ? 通配，如 "*shell*__*" 匹配任意 shell 类 MCP 服务的全部工具
+//   args  — 可选；全部谓词成立才命中。参数名 "*" 表示任意参数
+//   谓词  — { "regex": "..." } | { "equals": v } | { "in": [..] } | { "exists": true }
+//
+// 多条规则同时命中时取最高风险；均未命中时取 defaultRisk。
+// 风险等级是否需要人工确认，由 approvalPolicy.riskRules[risk].autoApprove 决定。
+//
+// 审批结果：
+//   approve → 原参数执行
+//   modify  → 以审批人修改后的 JSON 参数执行
+//   reject  → 不执行，返回 ToolMessage 告知模型，使其重新规划
+// 等待审批期间运行被取消：撤回审批单并抛出取消错误（与工具执行中被取消一致）
+//
+import { approvalManager } from "./approvalManager.js";
+import { logger, EV } from "../utils/logger.js";
+import agentsCfg from "../../config/agents.json" with { type: "json" };
+
+const RISK_ORDER = ["low", "medium", "high", "critical"];
+
+const policyCfg    = agentsCfg.toolRiskPolicy ?? {};
+const DEFAULT_RISK = RISK_ORDER.includes(policyCfg.defaultRisk) ? policyCfg.defaultRisk : "low";
+
+// ── glob → RegExp ──────────────────────────────────────────
+function globToRegExp(glob) {
+    const src = String(glob)
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*")
+        .replace(/\?/g, ".");
+    return new RegExp(`^${src}$`, "i");
+}
+
+function argText(v) {
+    return typeof v === "string" ? v : JSON.stringify(v ?? "");
+}
+
+function testPredicate(value, pred) {
+    if (pred == null || typeof pred !== "object") return argText(value) === argText(pred);
+    if ("exists" in pred)  return (value !== undefined) === !!pred.exists;
+    if (value === undefined) return false;
+    if ("equals" in pred)  return argText(value) === argText(pred.equals);
+    if ("in" in pred)      return (pred.in ?? []).map(argText).includes(argText(value));
+    if ("regex" in pred)   return new RegExp(pred.regex, pred.flags ?? "i").test(argText(value));
+    return false;
+}
+
+function matchArgs(args = {}, predicates = {}) {
+    return Object.entries(predicates).every(([name, pred]) => {
+        if (name === "*") return Object.values(args ?? {}).some((v) => testPredicate(v, pred));
+        return testPredicate(args?.[name], pred);
+    });
+}
+
+// 预编译规则（_comment 等说明字段忽略）
+const RULES = (policyCfg.rules ?? [])
+    .filter((r) => r?.tool && RISK_ORDER.includes(r.risk))
+    .map((r) => ({ ...r, _re: globToRegExp(r.tool) }));
+
+/**
+ * 评估一次工具调用的风险
+ * @param {string} name  工具名（MCP 工具为 "<服务名>__<工具名>"）
+ * @param {object} args  调用参数
+ * @returns {{ risk: string, matched: Array<{tool: string, risk: string, reason?: string}> }}
+ */
+export function assessToolRisk(name, args = {}) {
+    const matched = RULES.filter((r) => r._re.test(name) && (!r.args || matchArgs(args, r.args)));
+    if (matched.length === 0) return { risk: DEFAULT_RISK, matched: [] };
+
+    const risk = matched.reduce(
+        (max, r) => (RISK_ORDER.indexOf(r.risk) > RISK_ORDER.indexOf(max) ? r.risk : max),
+        "low"
+    );
+    return {
+        risk,
+        matched: matched.map((r) => ({ tool: r.tool, risk: r.risk, reason: r.reason })),
+    };
+}
+
+export function getToolRiskPolicy() {
+    return {
+        defaultRisk: DEFAULT_RISK,
+        rules: RULES.map(({ _re, ...r }) => r),
+    };
+}
+
+/**
+ * 工具执行前的审批门
+ * @param {{ name: string, args: object, id?: string }} call  模型给出的 tool_call
+ * @param {{ source?: string, requestId?: string, signal?: AbortSignal }} [ctx]
+ * @returns {Promise<{ allowed: boolean, args: object, modified: boolean, risk: string, reason?: string }>}
+ */
+export async function gateToolCall(call, { source = "wuxing", requestId = null, signal = null } = {}) {
+    const { risk, matched } = assessToolRisk(call.name, call.args);
+    if (!approvalManager.shouldRequest(risk)) {
+        return { allowed: true, args: call.args, modified: false, risk };
+    }
+
+    signal?.throwIfAborted();
+    logger.info(EV.METAL, `[金-门] 工具 ${call.name} 风险 [${risk}]，等待人工审批...`);
+    const reasons = matched.map((m) => m.reason).filter(Boolean);
+    const approval = await approvalManager.requestApproval({
+        actionType: "tool_call",
+        risk,
+        command:    JSON.stringify(call.args ?? {}, null, 2),
+        message:    `请求调用工具：${call.name}${reasons.length ? `（${reasons.join("；")}）` : ""}`,
+        metadata:   { source, requestId, tool: call.name, toolCallId: call.id, matched },
+        signal,
+    });
+    signal?.throwIfAborted();
+
+    if (!approval.approved) {
+        return { allowed: false, args: call.args, modified: false, risk, reason: approval.reason || "未获批准" };
+    }
+
+    if (approval.decision === "modify") {
+        try {
+            const patched = JSON.parse(approval.command);
+            return { allowed: true, args: patched, modified: true, risk };
+        } catch {
+            return { allowed: false, args: call.args, modified: false, risk, reason: "修改后的参数不是合法 JSON" };
+        }
+    }
+
+    return { allowed: true, args: call.args, modified: false, risk };
+}
+
+// 拒绝时回传给模型的说明（作为 ToolMessage 内容，引导其重新规划）
+export function rejectionMessage(name, gate) {
+    return `【审批拒绝】工具 ${name} 未执行（风险 ${gate.risk}）：${gate.reason}。` +
+        "请调整方案：换用更安全的参数或其他工具，或向用户说明需要的权限。";
+}
+
+// 修改后执行时附加的说明（让模型知道实际参数已变）
+export function modifiedNotice(args) {
+    return `【审批修改】参数已由审批人修改为：${JSON.stringify(args)}\n`;
+}
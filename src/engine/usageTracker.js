@@ -0,0 +1,251 @@
+// src/engine/usageTracker.js
+// 【土-账簿】：Token 与成本记账 —— 每次模型调用归因到 请求 id + 图节点
+//
+// 记录来源：供应链叶子模型（ResilientChatModel / ScriptedChatModel），
+// 每次调用结束后把 usage_metadata 交给 usageTracker.record()；磁带回放不产生真实消耗，不记账。
+//
+// 归因：
+//   requestId — LangGraph 运行上下文中的 configurable.requestId（runGraph 注入，= thread_id）；
+//               流式调用拿不到 LangGraph 上下文，退回 runGraph 经 usageTracker.scope() 建立的作用域
+//   node      — LangGraph 当前节点名（langgraph_node）；取不到时退回调用方 tag / 模型角色
+//
+// 价格表（config/wuxing.json → llm.pricing）：每百万 token 的输入 / 输出单价，按模型名查找，
+// 未列出的模型用 default。
+//
+// 持久化：每次调用在文件锁内追加一行到 data/usage.jsonl；
+// 启动后首次查询时回放文件，重建按日 / 按请求的聚合（请求聚合只保留最近 keepRequests 个）。
+// 按日 / 按月以本地日期为界（与预算守卫的静默时段同一时区），行内 ts 仍记 ISO（UTC）时间戳。
+// 此后每次查询 / 记账先读入文件新增的尾部（含其他进程追加的行），REPL 与 Web 看到同一本账；
+// 文件变短（被重置）则从头重建。
+//
+// 每记一笔触发 "record" 事件（预算守卫据此在心跳运行中途熔断）。
+//
+import { EventEmitter } from "events";
+import { openSync, readSync, closeSync, statSync } from "fs";
+import { resolve } from "path";
+import { AsyncLocalStorage } from "async_hooks";
+import { AsyncLocalStorageProviderSingleton } from "@langchain/core/singletons";
+import { appendLine } from "../storage/safeFile.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const USAGE_FILE    = resolve(process.cwd(), cfg.usage?.file ?? "data/usage.jsonl");
+const KEEP_REQUESTS = cfg.usage?.keepRequests ?? 200;
+const PRICING       = cfg.llm?.pricing ?? {};
+const PRICE_UNIT    = PRICING.per ?? 1_000_000;
+
+// 本地日期 YYYY-MM-DD
+function localDate(d = new Date()) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function today() {
+    return localDate();
+}
+
+function priceOf(model) {
+    return PRICING.models?.[model] ?? PRICING.default ?? { input: 0, output: 0 };
+}
+
+function costOf(model, input, output) {
+    const p = priceOf(model);
+    return ((input * (p.input ?? 0)) + (output * (p.output ?? 0))) / PRICE_UNIT;
+}
+
+function emptyAgg() {
+    return { calls: 0, input: 0, output: 0, total: 0, cost: 0 };
+}
+
+function addTo(agg, e) {
+    agg.calls  += 1;
+    agg.input  += e.input;
+    agg.output += e.output;
+    agg.total  += e.total;
+    agg.cost   += e.cost;
+}
+
+// 总计 + 按维度拆分
+function bucket() {
+    return { ...emptyAgg(), byNode: {}, byModel: {} };
+}
+
+function addToBucket(b, e) {
+    addTo(b, e);
+    addTo((b.byNode[e.node] ??= emptyAgg()), e);
+    addTo((b.byModel[e.model] ??= emptyAgg()), e);
+}
+
+// runGraph 建立的记账作用域（流式生成器中 LangGraph 上下文会丢失，此作用域不受影响）
+const scopeStore = new AsyncLocalStorage();
+
+// 当前运行上下文（图节点内调用时可拿到 requestId 与节点名）
+function currentContext() {
+    const config = AsyncLocalStorageProviderSingleton.getRunnableConfig();
+    const scope  = scopeStore.getStore();
+    return {
+        requestId: config?.metadata?.requestId ?? config?.configurable?.requestId ?? scope?.requestId ?? null,
+        node:      config?.metadata?.langgraph_node ?? null,
+    };
+}
+
+class UsageTracker extends EventEmitter {
+    constructor() {
+        super();
+        this.offset   = 0;           // 已回放到的文件字节位置
+        this.days     = new Map();   // YYYY-MM-DD → bucket
+        this.requests = new Map();   // requestId  → bucket + { startedAt, updatedAt }
+    }
+
+    // 读入文件新增的完整行（首次调用即全量回放）
+    _ensureLoaded() {
+        let size;
+        try {
+            size = statSync(USAGE_FILE).size;
+        } catch {
+            size = 0;
+        }
+        if (size < this.offset) {
+            this.offset = 0;
+            this.days.clear();
+            this.requests.clear();
+        }
+        if (size === this.offset) return;
+
+        const buf = Buffer.alloc(size - this.offset);
+        const fd  = openSync(USAGE_FILE, "r");
+        try {
+            readSync(fd, buf, 0, buf.length, this.offset);
+        } finally {
+            closeSync(fd);
+        }
+        const end = buf.lastIndexOf(0x0a) + 1;   // 只消费完整的行，写到一半的留待下次
+        if (end === 0) return;
+        this.offset += end;
+        for (const line of buf.subarray(0, end).toString("utf-8").split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                this._apply(JSON.parse(line));
+            } catch { /* 跳过损坏行 */ }
+        }
+    }
+
+    _apply(e) {
+        const day = localDate(new Date(e.ts));
+        if (!this.days.has(day)) this.days.set(day, bucket());
+        addToBucket(this.days.get(day), e);
+
+        if (!e.requestId) return;
+        let req = this.requests.get(e.requestId);
+        if (!req) {
+            req = { ...bucket(), startedAt: e.ts };
+            this.requests.set(e.requestId, req);
+            if (this.requests.size > KEEP_REQUESTS) {
+                this.requests.delete(this.requests.keys().next().value);
+            }
+        }
+        req.updatedAt = e.ts;
+        addToBucket(req, e);
+        if (e.node) req.byNode[e.node].model = e.model;   // 该节点最近一次调用的模型（记忆溯源用）
+    }
+
+    /**
+     * 在记账作用域内执行 fn：其中所有模型调用归因到 requestId
+     * @param {{ requestId: string }} ctx
+     * @param {() => Promise<any>} fn
+     */
+    scope(ctx, fn) {
+        return scopeStore.run(ctx, fn);
+    }
+
+    /**
+     * 记录一次模型调用
+     * @param {{ provider: string, model: string, role: string, usage?: object }} call
+     *   usage 为 LangChain usage_metadata：{ input_tokens, output_tokens, total_tokens }
+     */
+    record({ provider, model, role, usage }) {
+        if (!usage) return null;
+        this._ensureLoaded();
+
+        const ctx    = currentContext();
+        const input  = usage.input_tokens ?? 0;
+        const output = usage.output_tokens ?? 0;
+        const entry  = {
+            ts:        new Date().toISOString(),
+            requestId: ctx.requestId,
+            node:      ctx.node ?? role,
+            role,
+            provider,
+            model,
+            input,
+            output,
+            total:     usage.total_tokens ?? input + output,
+            cost:      Number(costOf(model, input, output).toFixed(6)),
+        };
+
+        try {
+            appendLine(USAGE_FILE, JSON.stringify(entry));
+            this._ensureLoaded();   // 连同本条读入
+        } catch {
+            this._apply(entry);     // 记账落盘失败不影响推理，只记内存
+        }
+        this.emit("record", entry);
+        return entry;
+    }
+
+    // 单次请求的用量（不存在返回 null）
+    forRequest(requestId) {
+        this._ensureLoaded();
+        const req = this.requests.get(requestId);
+        return req ? { requestId, ...req } : null;
+    }
+
+    // 最近 N 个请求（新 → 旧）
+    recentRequests(limit = 20) {
+        this._ensureLoaded();
+        return [...this.requests.entries()]
+            .slice(-limit)
+            .reverse()
+            .map(([requestId, r]) => ({
+                requestId,
+                startedAt: r.startedAt,
+                calls:     r.calls,
+                total:     r.total,
+                cost:      r.cost,
+            }));
+    }
+
+    // 按日聚合（默认最近 7 天，新 → 旧）
+    daily(days = 7) {
+        this._ensureLoaded();
+        return [...this.days.entries()]
+            .sort(([a], [b]) => b.localeCompare(a))
+            .slice(0, days)
+            .map(([date, b]) => ({ date, ...b }));
+    }
+
+    today() {
+        this._ensureLoaded();
+        return { date: today(), ...(this.days.get(today()) ?? bucket()) };
+    }
+
+    // 自然月聚合（默认本月；month 形如 YYYY-MM）
+    month(month = today().slice(0, 7)) {
+        this._ensureLoaded();
+        const agg = emptyAgg();
+        for (const [date, b] of this.days) {
+            if (!date.startsWith(month)) continue;
+            agg.calls  += b.calls;
+            agg.input  += b.input;
+            agg.output += b.output;
+            agg.total  += b.total;
+            agg.cost   += b.cost;
+        }
+        return { month, ...agg };
+    }
+
+    currency() {
+        return PRICING.currency ?? "USD";
+    }
+}
+
+// 单例导出
+export const usageTracker = new UsageTracker();
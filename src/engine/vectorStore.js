@@ -1,32 +1,133 @@
 // src/engine/vectorStore.js
 // 【木】：长期记忆与经验生长
 //
-// 存储布局：
-//   data/wisdom.json      ← 原始文档（task / result / createdAt / confidence / hitCount）
-//   data/wisdom.vec.json  ← 向量缓存（md5(task) → float[] ），启动时跳过 API 调用
+// 一个 WisdomMemory 对应一个库（全局库，或 src/memory/namespaces.js 管理的命名空间库）
+//
+// 存储布局（经 src/storage 读写，JSON 后端如下；SQLite 后端为 rules / vectors 表）：
+//   data/wisdom.json      ← 原始文档（id / task / result / createdAt / confidence / hitCount / memory_type / provenance）
+//   data/wisdom.vec.json  ← 向量缓存 { version: 2, embedder, vectors: { md5(task) → float[] } }，启动时跳过 API 调用
+//   data/wisdom.ann.json  ← HNSW 近似最近邻图结构（见 src/memory/annIndex.js），启动时免重建（两种后端都留在文件）
 //
 // 缓存策略：
 //   命中缓存 → 直接读取，0 API 调用
 //   未命中  → 调用嵌入 API，写入缓存
 //   replaceAll 后 → 自动清除孤立缓存条目
-import { OpenAIEmbeddings } from "@langchain/openai";
-import { readFile, writeFile, mkdir } from "fs/promises";
+//   嵌入器变化（embedderId 不同，如改 models.embedding）→ 整个缓存作废，按新嵌入器重算；
+//   旧版扁平格式缓存视为升级前默认的 openai 嵌入所产，仅在当前仍是该嵌入器时沿用
+//
+// 近邻检索（nearest）：
+//   条目数 ≥ memory.ann.minSize → HNSW 近似检索 candidates 个近邻，再交由三因子打分
+//   否则 / 索引关闭 / 索引与向量不同步 → 精确线性扫描（兜底）
+//   按 recallSampleRate 抽样同时跑精确扫描，统计近似召回率；annStatus() 汇总延迟与召回
+//
+// 改写：
+//   replaceAll —— 整体替换文档；带 id 的条目原样保留，无 id 但 task + result 与现有条目一致的视为同一条沿用，
+//                 改写前留快照（见 src/memory/memorySnapshots.js）
+//   管理接口（list / create / updateRule / removeRules）：只改元数据 → 就地修改；改 task 或删除 → replaceAll
+//   （重算缺失向量、重建近邻索引、清理孤立缓存），保证向量缓存与文档一致
+//
+// 多进程（REPL 与 Web 同时运行）：
+//   syncFromStore() —— 存储版本令牌与上次载入 / 落盘时不同即重新载入
+//   saveToDisk()    —— 锁内比对版本：期间有其他进程写入则按 id 三方合并（src/storage/merge.js）后写回
+import { createEmbeddings } from "../llm/modelFactory.js";
+import { readFile } from "fs/promises";
 import { existsSync } from "fs";
-import { join, dirname } from "path";
-import { fileURLToPath } from "url";
 import { createHash } from "crypto";
 import cfg from "../../config/wuxing.json" with { type: "json" };
 import { logger, EV } from "../utils/logger.js";
-
-const __dirname  = dirname(fileURLToPath(import.meta.url));
-const DATA_PATH  = join(__dirname, "../../data/wisdom.json");
-const VEC_PATH   = join(__dirname, "../../data/wisdom.vec.json");
+import { HnswIndex } from "../memory/annIndex.js";
+import { memorySnapshots } from "../memory/memorySnapshots.js";
+import { conflictDetector } from "../memory/conflictDetector.js";
+import { storage } from "../storage/index.js";
+import { storePaths } from "../storage/jsonBackend.js";
+import { writeTextAtomic } from "../storage/safeFile.js";
+import { mergeById, snapshotById } from "../storage/merge.js";
+import { validateStructured } from "../memory/ruleSchema.js";
+
+const ANN        = cfg.memory.ann ?? {};
+const LEGACY_EMBEDDER = `openai:${cfg.models.embedding}`;
+const MEMORY_TYPES    = ["core", "long_term", "short_term"];
+const DAY_MS          = 86_400_000;
 
 // task 文本 → MD5 hex（缓存键）
 function hashTask(task) {
     return createHash("md5").update(String(task)).digest("hex");
 }
 
+// 管理接口的字段校验：不合法时抛出带 invalid 标记的错误（调用方映射为 400）
+function validateFields(patch, { partial = false } = {}) {
+    const out  = {};
+    const fail = (msg) => { throw Object.assign(new Error(msg), { invalid: true }); };
+
+    for (const key of ["task", "result"]) {
+        if (patch[key] === undefined && partial) continue;
+        const text = String(patch[key] ?? "").trim();
+        if (!text) fail(`${key} 不能为空`);
+        out[key] = text;
+    }
+    if (patch.memory_type !== undefined || !partial) {
+        if (!MEMORY_TYPES.includes(patch.memory_type)) fail(`memory_type 须为 ${MEMORY_TYPES.join(" | ")}`);
+        out.memory_type = patch.memory_type;
+    }
+    if (patch.confidence !== undefined || !partial) {
+        const c = Number(patch.confidence);
+        if (!Number.isFinite(c) || c < 0 || c > 1) fail("confidence 须在 0 ~ 1 之间");
+        out.confidence = +c.toFixed(2);
+    }
+    // structured 可缺省；null 表示清除结构化部分（退回纯文本准则）
+    if (patch.structured !== undefined) out.structured = validateStructured(patch.structured);
+    return out;
+}
+
+export function newRuleId() {
+    return `rule_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * 合并产生的新准则的溯源：记录父准则 id，并汇总父准则的来源运行
+ * @param {string} origin  dream | prune
+ * @param {object[]} parents  被折叠的原文档
+ */
+export function mergedProvenance(origin, parents) {
+    const ancestry = new Set();
+    for (const p of parents) {
+        if (p.provenance?.requestId) ancestry.add(p.provenance.requestId);
+        for (const r of p.provenance?.ancestry ?? []) ancestry.add(r);
+    }
+    return {
+        origin,
+        parents:  parents.map((p) => p.id).filter(Boolean),
+        ancestry: [...ancestry],
+        at:       new Date().toISOString(),
+    };
+}
+
+/**
+ * 把模型改写后的准则列表（[{ task, result, sources?: 序号[] }]，序号从 1 起）映射回文档：
+ *   单一来源且文本未变 → 沿用原文档（保留 id / 元数据 / 溯源）
+ *   多来源或文本改写   → 新文档，溯源指向全部来源
+ *   来源缺失           → 新文档（parents 为空），replaceAll 再按文本匹配兜底
+ * @param {object[]} docs   改写前的文档（与提示词中的序号一一对应）
+ * @param {object[]} items  模型输出
+ * @param {string} origin   dream | prune
+ */
+export function rewriteDocs(docs, items, origin) {
+    return items.map(({ task, result, sources }) => {
+        const parents = (Array.isArray(sources) ? sources : [])
+            .map((n) => docs[Number(n) - 1])
+            .filter(Boolean);
+        const [only] = parents;
+        if (parents.length === 1 && only.task === task && only.result === result) return only;
+        return {
+            task,
+            result,
+            createdAt:  Date.now(),
+            confidence: parents.length ? Math.max(...parents.map((p) => p.confidence ?? 1.0)) : 1.0,
+            provenance: mergedProvenance(origin, parents),
+        };
+    });
+}
+
 export function cosineSimilarity(a, b) {
     let dot = 0, normA = 0, normB = 0;
     for (let i = 0; i < a.length; i++) {
@@ -38,26 +139,44 @@ export function cosineSimilarity(a, b) {
     return dot / (Math.sqrt(normA) * Math.sqrt(normB));
 }
 
+function emptyAnnStats() {
+    return {
+        queries:   { ann: 0, exact: 0 },
+        latencyMs: { ann: 0, exact: 0 },   // 累计耗时，annStatus() 换算为平均值
+        recall:    { samples: 0, sum: 0 },
+    };
+}
+
 export class WisdomMemory {
-    constructor(lambda = cfg.memory.lambda) {
-        this.embeddings = new OpenAIEmbeddings({
-            modelName:   cfg.models.embedding,
-            apiKey:      process.env.EMBEDDING_API_KEY ?? process.env.OPENAI_API_KEY,
-            configuration: {
-                baseURL: process.env.EMBEDDING_BASE_URL ?? process.env.OPENAI_BASE_URL,
-            },
-        });
+    /**
+     * @param {number} [lambda]
+     * @param {{ namespace?: string|null }} [opts]  命名空间（已规范化）；缺省为全局库
+     */
+    constructor(lambda = cfg.memory.lambda, { namespace = null } = {}) {
+        this.namespace  = namespace;
+        this.paths      = storePaths(namespace);
+        this.embeddings = createEmbeddings();
+        this.embedderId = this.embeddings.embedderId ?? "unknown";
         this.lambda  = lambda;
         this.vectors = [];   // 内存索引：{ content, embedding, metadata }
         this.rawDocs = [];   // 原始文档（落盘 + 梦境模块读写）
+        this.revision = 0;   // 每次重建 / 新增递增，供混合检索判断词法索引是否过期
+        this.ann     = new HnswIndex({ M: ANN.M, efConstruction: ANN.efConstruction, efSearch: ANN.efSearch });
+        this.annInfo = { buildMs: 0, source: "none" };   // source: disk | rebuilt | none
+        this.annStats = emptyAnnStats();
+        this._storeVersion = undefined;    // 上次与存储同步时的版本令牌；undefined = 尚未载入
+        this._base    = new Map();         // 上次同步时的文档快照（三方合并的 base）
+        this._syncing = null;
     }
 
     // ── 向量缓存 I/O ────────────────────────────────────────
 
     async _loadVecCache() {
         try {
-            if (existsSync(VEC_PATH)) {
-                return JSON.parse(await readFile(VEC_PATH, "utf-8"));
+            const saved = storage.loadVectors(this.namespace);
+            if (saved) {
+                if ((saved.embedder ?? LEGACY_EMBEDDER) === this.embedderId) return saved.vectors;
+                logger.warn(EV.WOOD, `嵌入器已切换（${saved.embedder ?? "旧版缓存"} → ${this.embedderId}），旧向量缓存作废`);
             }
         } catch { /* 损坏缓存丢弃即可 */ }
         return {};
@@ -65,14 +184,23 @@ export class WisdomMemory {
 
     async _saveVecCache(cache) {
         try {
-            const dir = dirname(VEC_PATH);
-            if (!existsSync(dir)) await mkdir(dir, { recursive: true });
-            await writeFile(VEC_PATH, JSON.stringify(cache), "utf-8");
+            storage.saveVectors(this.namespace, this.embedderId, cache);
         } catch (e) {
             logger.warn(EV.WOOD, `向量缓存写入失败：${e.message}`);
         }
     }
 
+    /**
+     * 预置向量缓存（导入包自带同一嵌入器的向量、或导入时已算好的向量），随后 init 命中缓存不再重算
+     * @param {Array<[string, number[]]>} pairs  [task, embedding]
+     */
+    async seedVectors(pairs) {
+        if (pairs.length === 0) return;
+        const cache = await this._loadVecCache();
+        for (const [task, embedding] of pairs) cache[hashTask(task)] = embedding;
+        await this._saveVecCache(cache);
+    }
+
     // 将当前内存索引的所有向量重写到缓存（用于剪枝/合并后清理孤立条目）
     async _syncCacheFromMemory() {
         const cache = {};
@@ -82,12 +210,71 @@ export class WisdomMemory {
         await this._saveVecCache(cache);
     }
 
+    // ── 近邻索引 I/O ────────────────────────────────────────
+
+    // 索引指纹：嵌入器 + 全部条目内容 + 向量维度，任一变化即视为失效
+    _annFingerprint() {
+        const h = createHash("md5").update(this.embedderId);
+        for (const v of this.vectors) h.update(hashTask(v.content));
+        h.update(String(this.vectors[0]?.embedding?.length ?? 0));
+        return h.digest("hex");
+    }
+
+    async _saveAnn() {
+        if (!ANN.enabled) return;
+        try {
+            writeTextAtomic(this.paths.ann, JSON.stringify(this.ann.toJSON(this._annFingerprint())));
+        } catch (e) {
+            logger.warn(EV.WOOD, `近邻索引写入失败：${e.message}`);
+        }
+    }
+
+    // 优先载入磁盘上的图结构，指纹不符则全量重建并落盘
+    async _buildAnn() {
+        this.ann.clear();
+        this.annInfo = { buildMs: 0, source: "none" };
+        if (!ANN.enabled || this.vectors.length === 0) return;
+
+        const started = Date.now();
+        try {
+            if (existsSync(this.paths.ann)) {
+                const saved = JSON.parse(await readFile(this.paths.ann, "utf-8"));
+                if (saved.fingerprint === this._annFingerprint() &&
+                    this.ann.load(saved, this.vectors.map((v) => v.embedding))) {
+                    this.annInfo = { buildMs: Date.now() - started, source: "disk" };
+                    return;
+                }
+            }
+        } catch { /* 损坏索引丢弃重建 */ }
+
+        this.ann.clear();
+        for (const v of this.vectors) this.ann.add(v.embedding);
+        this.annInfo = { buildMs: Date.now() - started, source: "rebuilt" };
+        logger.info(EV.WOOD, `近邻索引已重建（${this.vectors.length} 条，${this.annInfo.buildMs}ms）`);
+        await this._saveAnn();
+    }
+
     // ── 初始化：重建内存索引（优先命中向量缓存）──────────────
 
     async init(savedData = []) {
         this.rawDocs = savedData;
         this.vectors = [];
-        if (savedData.length === 0) return;
+        this.revision++;
+
+        // 旧条目补发 id（升级前无溯源，标记为 legacy）
+        let assigned = 0;
+        for (const d of savedData) {
+            if (d.id) continue;
+            d.id = newRuleId();
+            d.provenance ??= { origin: "legacy" };
+            assigned++;
+        }
+        if (assigned > 0) await this.saveToDisk();
+
+        if (savedData.length === 0) {
+            await this._buildAnn();
+            return;
+        }
 
         const cache   = await this._loadVecCache();
         let hits = 0, misses = 0;
@@ -111,6 +298,7 @@ export class WisdomMemory {
                 content:  d.task,
                 embedding,
                 metadata: {
+                    id:          d.id,
                     result:      d.result,
                     createdAt:   d.createdAt   ?? Date.now(),
                     confidence:  d.confidence  ?? 1.0,
@@ -129,15 +317,19 @@ export class WisdomMemory {
             ? `全部命中缓存，API 调用 0 次`
             : `命中缓存 ${hits} 条，新算 ${misses} 条`;
         logger.info(EV.WOOD, `向量索引就绪（${label}）`);
+
+        await this._buildAnn();
     }
 
     // ── 磁盘 I/O ─────────────────────────────────────────────
 
     async loadFromDisk() {
         try {
-            if (existsSync(DATA_PATH)) {
-                const raw = await readFile(DATA_PATH, "utf-8");
-                const savedData = JSON.parse(raw);
+            // 先取版本再读：两步之间若有写入，下次 syncFromStore 会再载入一次
+            this._storeVersion = storage.rulesVersion(this.namespace);
+            const savedData    = storage.loadRules(this.namespace);
+            this._base = snapshotById(savedData ?? []);
+            if (savedData) {
                 await this.init(savedData);
                 logger.info(EV.WOOD, `从磁盘恢复 ${savedData.length} 条因果律`);
                 return;
@@ -149,13 +341,122 @@ export class WisdomMemory {
     }
 
     async saveToDisk() {
+        let merged = null;
         try {
-            const dir = dirname(DATA_PATH);
-            if (!existsSync(dir)) await mkdir(dir, { recursive: true });
-            await writeFile(DATA_PATH, JSON.stringify(this.rawDocs, null, 2), "utf-8");
+            const { docs, version } = storage.updateRules(this.namespace, (current, version) => {
+                const unsynced = this._storeVersion === undefined;
+                if (version === this._storeVersion || (unsynced && !current?.length)) return this.rawDocs;
+                // 从未与存储同步过（只经 init 载入）：以空 base 合并，磁盘上已有的条目不会被覆盖掉
+                merged = mergeById(unsynced ? new Map() : this._base, this.rawDocs, current ?? []);
+                return merged;
+            });
+            this._storeVersion = version;
+            this._base = snapshotById(docs);
         } catch (e) {
             logger.warn(EV.WOOD, `保存失败: ${e.message}`);
+            return;
         }
+        if (merged) {
+            logger.info(EV.WOOD, `经验库已被其他进程改写，按 id 合并后共 ${merged.length} 条`);
+            await this.init(merged);
+        }
+    }
+
+    /**
+     * 其他进程写过经验库则重新载入（并发调用共用同一次载入）；从未载入过的实例先与存储合并一次
+     * @returns {Promise<boolean>} 是否重新载入
+     */
+    async syncFromStore() {
+        if (this._syncing) return this._syncing;
+        let version;
+        try {
+            version = storage.rulesVersion(this.namespace);
+        } catch {
+            return false;
+        }
+        if (version === this._storeVersion) return false;
+
+        this._syncing = (async () => {
+            if (this._storeVersion === undefined) {
+                // 从未与存储同步过：载入磁盘内容，内存里已有的条目以空 base 合并进来（同 id 以内存为准）
+                const ours = this.rawDocs;
+                await this.loadFromDisk();
+                if (ours.length > 0) await this.init(mergeById(new Map(), ours, this.rawDocs));
+                return true;
+            }
+            logger.info(EV.WOOD, `检测到其他进程更新了${this.namespace ? `命名空间 ${this.namespace}` : "经验库"}，重新载入`);
+            await this.loadFromDisk();
+            return true;
+        })().finally(() => { this._syncing = null; });
+        return this._syncing;
+    }
+
+    // ── 近邻检索 ─────────────────────────────────────────────
+
+    _exactNearest(queryEmbedding, minSimilarity) {
+        const out = [];
+        for (let i = 0; i < this.vectors.length; i++) {
+            const similarity = cosineSimilarity(queryEmbedding, this.vectors[i].embedding);
+            if (similarity >= minSimilarity) out.push({ idx: i, similarity });
+        }
+        return out.sort((a, b) => b.similarity - a.similarity);
+    }
+
+    /**
+     * 相似度不低于 minSimilarity 的近邻（按相似度降序）
+     * 近似路径至多返回 k 个；精确路径返回全部满足阈值的条目
+     * @param {number[]} queryEmbedding
+     * @param {{ k?: number, minSimilarity?: number }} [opts]
+     * @returns {Array<{ idx: number, similarity: number }>}
+     */
+    nearest(queryEmbedding, { k = ANN.candidates ?? 50, minSimilarity = 0 } = {}) {
+        const useAnn = ANN.enabled &&
+            this.vectors.length >= (ANN.minSize ?? 200) &&
+            this.ann.size === this.vectors.length;
+
+        const started = performance.now();
+        if (!useAnn) {
+            const exact = this._exactNearest(queryEmbedding, minSimilarity);
+            this.annStats.queries.exact++;
+            this.annStats.latencyMs.exact += performance.now() - started;
+            return exact;
+        }
+
+        const approx = this.ann.search(queryEmbedding, k)
+            .filter((r) => r.similarity >= minSimilarity)
+            .map((r) => ({ idx: r.id, similarity: r.similarity }));
+        this.annStats.queries.ann++;
+        this.annStats.latencyMs.ann += performance.now() - started;
+
+        // 抽样比对精确结果：recall@k = 近似结果覆盖精确前 k 名的比例
+        if (Math.random() < (ANN.recallSampleRate ?? 0)) {
+            const truth = this._exactNearest(queryEmbedding, minSimilarity).slice(0, k);
+            if (truth.length > 0) {
+                const got = new Set(approx.map((r) => r.idx));
+                this.annStats.recall.samples++;
+                this.annStats.recall.sum += truth.filter((t) => got.has(t.idx)).length / truth.length;
+            }
+        }
+        return approx;
+    }
+
+    // 近邻索引状态：规模、来源、平均延迟、抽样召回率
+    annStatus() {
+        const { queries, latencyMs, recall } = this.annStats;
+        const avg = (sum, n) => (n ? Number((sum / n).toFixed(3)) : null);
+        return {
+            enabled:    !!ANN.enabled,
+            active:     !!ANN.enabled && this.vectors.length >= (ANN.minSize ?? 200) && this.ann.size === this.vectors.length,
+            size:       this.ann.size,
+            minSize:    ANN.minSize ?? 200,
+            M:          this.ann.M,
+            efSearch:   this.ann.efSearch,
+            source:     this.annInfo.source,
+            buildMs:    this.annInfo.buildMs,
+            queries:    { ...queries },
+            avgLatencyMs: { ann: avg(latencyMs.ann, queries.ann), exact: avg(latencyMs.exact, queries.exact) },
+            recall:     { samples: recall.samples, avg: avg(recall.sum, recall.samples) },
+        };
     }
 
     // ── 三因子加权召回 ───────────────────────────────────────
@@ -163,20 +464,36 @@ export class WisdomMemory {
     //   Score = Similarity × w_sim  +  TimeDecay × w_time  +  Confidence × w_conf
     //
     async recall(input) {
+        const best = await this.bestMatch(input);
+        if (!best) return null;
+
+        const { recallThreshold } = cfg.scoring;
+        if (best.score >= recallThreshold) {
+            logger.info(EV.FIRE, `三因子得分 ${best.score.toFixed(3)} ≥ ${recallThreshold}，命中经验库`);
+            await this._reinforce(best.idx);
+            return this.vectors[best.idx].metadata.result;
+        }
+        return null;
+    }
+
+    /**
+     * 三因子得分最高的条目（不判阈值、不强化），供跨命名空间加权比较
+     * @param {{ accept?: (doc: object) => boolean }} [opts]  accept —— 候选过滤（如结构化准则的前置条件）
+     * @returns {Promise<{ idx: number, score: number } | null>}
+     */
+    async bestMatch(input, { accept } = {}) {
         if (this.vectors.length === 0) return null;
 
         const queryEmbedding = await this.embeddings.embedQuery(input);
         const now = Date.now();
-        const { similarityWeight, timeDecayWeight, confidenceWeight, recallThreshold } = cfg.scoring;
+        const { similarityWeight, timeDecayWeight, confidenceWeight } = cfg.scoring;
 
         let bestScore = 0;
         let bestIdx   = -1;
 
-        for (let i = 0; i < this.vectors.length; i++) {
+        for (const { idx: i, similarity } of this.nearest(queryEmbedding, { minSimilarity: cfg.memory.semanticPreFilter })) {
+            if (accept && !accept(this.rawDocs[i])) continue;
             const v = this.vectors[i];
-            const similarity = cosineSimilarity(queryEmbedding, v.embedding);
-            if (similarity < cfg.memory.semanticPreFilter) continue;
-
             const { createdAt, confidence } = v.metadata;
             const hoursPassed = (now - createdAt) / (1000 * 60 * 60);
             const timeDecay   = Math.exp(-this.lambda * hoursPassed);
@@ -192,26 +509,40 @@ export class WisdomMemory {
             }
         }
 
-        if (bestScore >= recallThreshold) {
-            logger.info(EV.FIRE, `三因子得分 ${bestScore.toFixed(3)} ≥ ${recallThreshold}，命中经验库`);
-            await this._reinforce(bestIdx);
-            return this.vectors[bestIdx].metadata.result;
-        }
-        return null;
+        return bestIdx < 0 ? null : { idx: bestIdx, score: bestScore };
     }
 
     // ── 固化经验 ─────────────────────────────────────────────
 
-    async memorize(task, result, confidence = 1.0, memory_type = "long_term") {
+    /**
+     * @param {object} [provenance]  来源元数据，缺省 origin 为 reflection：
+     *   { origin, requestId, sessionId, source, tools[], model, score, parents[], ancestry[], at }
+     *   origin   —— reflection | dream | prune | debate | pin | session | summary | experience | import | legacy（升级前的旧条目）
+     *   parents  —— 合并（梦境 / 修剪）产生的新准则所折叠的原准则 id
+     *   ancestry —— 祖先准则的来源 requestId 并集（原准则合并后消失，仍可回答"出自哪些运行"）
+     * @param {object|null} [structured]  结构化准则（已经 ruleSchema 校验），纯文本准则为 null
+     * @returns {Promise<string>} 新准则 id
+     */
+    async memorize(task, result, confidence = 1.0, memory_type = "long_term", provenance = {}, structured = null) {
         const h         = hashTask(task);
         const embedding = await this.embeddings.embedQuery(task);
         const createdAt = Date.now();
+        const id        = newRuleId();
+        const prov      = { origin: "reflection", ...provenance, at: new Date(createdAt).toISOString() };
 
         this.vectors.push({
             content: task, embedding,
-            metadata: { result, createdAt, confidence, hitCount: 0, memory_type },
+            metadata: { id, result, createdAt, confidence, hitCount: 0, memory_type },
+        });
+        this.rawDocs.push({
+            id, task, result, createdAt, confidence, hitCount: 0, memory_type, provenance: prov,
+            ...(structured ? { structured } : {}),
         });
-        this.rawDocs.push({ task, result, createdAt, confidence, hitCount: 0, memory_type });
+        this.revision++;
+        if (ANN.enabled) {
+            this.ann.add(embedding);
+            await this._saveAnn();
+        }
 
         // 新向量写入缓存（下次启动无需重算）
         const cache  = await this._loadVecCache();
@@ -220,6 +551,10 @@ export class WisdomMemory {
 
         logger.evolution(EV.WOOD, `因果律已固化（库存 ${this.rawDocs.length} 条）：${result}`);
         await this.saveToDisk();
+
+        // 与近邻比对，矛盾的记为冲突边待人工裁决
+        await conflictDetector.check(this, id, embedding);
+        return id;
     }
 
     // ── 命中强化 ─────────────────────────────────────────────
@@ -238,6 +573,40 @@ export class WisdomMemory {
         await this.saveToDisk();
     }
 
+    // ── 用户反馈（src/memory/feedback.js 调用）───────────────────
+
+    /**
+     * 按用户反馈调整准则置信度；core 层只计数不调整
+     * @param {string} id
+     * @param {{ rating: "good"|"bad", delta: number, intuition?: boolean }} fb
+     *   intuition —— 本轮由直觉快通道直接作答；bad 时此后不再直接作答（directAnswer = false）
+     * @returns {Promise<{ id, before: number, after: number, blocked: boolean } | null>}  准则不存在返回 null
+     */
+    async applyFeedback(id, { rating, delta, intuition = false }) {
+        const idx = this.rawDocs.findIndex((d) => d.id === id);
+        if (idx < 0) return null;
+
+        const doc    = this.rawDocs[idx];
+        const before = doc.confidence ?? 1.0;
+        if (doc.memory_type !== "core") {
+            doc.confidence = +Math.min(1.0, Math.max(0, before + delta)).toFixed(2);
+            this.vectors[idx].metadata.confidence = doc.confidence;
+        }
+
+        const fb = doc.feedback ?? { good: 0, bad: 0, intuition: { correct: 0, incorrect: 0 } };
+        fb[rating]++;
+        if (intuition) fb.intuition[rating === "good" ? "correct" : "incorrect"]++;
+        fb.lastAt    = new Date().toISOString();
+        doc.feedback = fb;
+
+        const blocked = intuition && rating === "bad" && doc.directAnswer !== false;
+        if (blocked) doc.directAnswer = false;
+
+        this.revision++;
+        await this.saveToDisk();
+        return { id, before, after: doc.confidence ?? 1.0, blocked };
+    }
+
     // ── 认知对齐（淘汰低置信度糟粕）────────────────────────────
 
     async refreshConfidence() {
@@ -256,7 +625,7 @@ export class WisdomMemory {
                 `认知对齐：淘汰 ${removed} 条低置信记忆（< ${minConfidence}），` +
                 `保护 ${coreKept} 条核心记忆，剩余 ${survivors.length} 条`
             );
-            await this.replaceAll(survivors);
+            await this.replaceAll(survivors, "refreshConfidence");
         }
         return removed;
     }
@@ -265,12 +634,149 @@ export class WisdomMemory {
         return [...this.rawDocs];
     }
 
+    getById(id) {
+        return this.rawDocs.find((d) => d.id === id) ?? null;
+    }
+
+    // ── 管理：分页筛选 / 新增 / 编辑 / 删除 ─────────────────────
+
+    /**
+     * @param {{ offset?: number, limit?: number, type?: string, q?: string,
+     *           minConfidence?: number, maxConfidence?: number,
+     *           newerThanDays?: number, olderThanDays?: number }} [filter]
+     * @returns {{ total: number, offset: number, limit: number, items: object[] }}  新 → 旧
+     */
+    list({ offset = 0, limit = 20, type, q, minConfidence, maxConfidence, newerThanDays, olderThanDays } = {}) {
+        const now    = Date.now();
+        const needle = q ? String(q).toLowerCase() : "";
+        const docs   = this.rawDocs.filter((d) => {
+            const conf = d.confidence ?? 1.0;
+            const age  = (now - (d.createdAt ?? now)) / DAY_MS;
+            if (type && (d.memory_type ?? "long_term") !== type) return false;
+            if (minConfidence != null && conf < minConfidence) return false;
+            if (maxConfidence != null && conf > maxConfidence) return false;
+            if (newerThanDays != null && age > newerThanDays) return false;
+            if (olderThanDays != null && age < olderThanDays) return false;
+            if (needle && !`${d.id}\n${d.task}\n${d.result}`.toLowerCase().includes(needle)) return false;
+            return true;
+        }).reverse();
+        return { total: docs.length, offset, limit, items: docs.slice(offset, offset + limit) };
+    }
+
+    /**
+     * 手动新增准则
+     * @returns {Promise<object>} 新文档
+     */
+    async create({ task, result, memory_type = "long_term", confidence = 1.0, structured = null }, provenance = {}) {
+        const fields = validateFields({ task, result, memory_type, confidence, structured });
+        const id = await this.memorize(fields.task, fields.result, fields.confidence, fields.memory_type, {
+            origin: "manual",
+            ...provenance,
+        }, fields.structured);
+        return this.getById(id);
+    }
+
+    /**
+     * 编辑准则（task / result / memory_type / confidence / structured，缺省字段不变）
+     * @returns {Promise<{ before: object, after: object } | null>}  准则不存在返回 null
+     */
+    async updateRule(id, patch = {}) {
+        const idx = this.rawDocs.findIndex((d) => d.id === id);
+        if (idx < 0) return null;
+
+        const before  = structuredClone(this.rawDocs[idx]);
+        const fields  = validateFields(patch, { partial: true });
+        const changed = Object.keys(fields).filter((k) => JSON.stringify(fields[k]) !== JSON.stringify(before[k]));
+        if (changed.length === 0) return { before, after: before };
+
+        const doc = {
+            ...before,
+            ...fields,
+            updatedAt:  Date.now(),
+            provenance: {
+                ...(before.provenance ?? {}),
+                edits: [...(before.provenance?.edits ?? []), { at: new Date().toISOString(), fields: changed }].slice(-10),
+            },
+        };
+
+        if (changed.includes("task")) {
+            // 向量随 task 变化：整体重建（命中缓存的条目不重算）
+            await this.replaceAll(this.rawDocs.map((d, i) => (i === idx ? doc : d)), "edit");
+        } else {
+            const snapId = memorySnapshots.take("edit", this.rawDocs, this.namespace);
+            this.rawDocs[idx] = doc;
+            const meta = this.vectors[idx].metadata;
+            meta.result      = doc.result;
+            meta.confidence  = doc.confidence ?? 1.0;
+            meta.memory_type = doc.memory_type ?? "long_term";
+            this.revision++;
+            await this.saveToDisk();
+            memorySnapshots.complete(snapId, this.rawDocs);
+        }
+        logger.info(EV.WOOD, `准则已编辑 ${id}（${changed.join(", ")}）`);
+        return { before, after: structuredClone(doc) };
+    }
+
+    /**
+     * 删除准则（单条或批量）
+     * @param {string[]} ids
+     * @returns {Promise<string[]>} 实际删除的 id
+     */
+    async removeRules(ids) {
+        const drop    = new Set(ids);
+        const removed = this.rawDocs.filter((d) => drop.has(d.id)).map((d) => d.id);
+        if (removed.length === 0) return [];
+        await this.replaceAll(this.rawDocs.filter((d) => !drop.has(d.id)), "delete");
+        logger.info(EV.WOOD, `已删除 ${removed.length} 条准则，剩余 ${this.rawDocs.length} 条`);
+        return removed;
+    }
+
+    /**
+     * 回滚到某个快照（改写前的状态）；回滚本身也会留快照，可再次撤销
+     * @returns {Promise<string|null>} 回滚产生的新快照 id；快照不存在返回 null
+     */
+    async restore(snapshotId) {
+        const snap = memorySnapshots.get(snapshotId);
+        if (!snap) return null;
+        if ((snap.namespace ?? null) !== this.namespace) {
+            const err = new Error(`快照 ${snapshotId} 属于${snap.namespace ? `命名空间 ${snap.namespace}` : "全局库"}`);
+            err.invalid = true;
+            throw err;
+        }
+        const newSnap = await this.replaceAll(structuredClone(snap.docs), `restore:${snapshotId}`);
+        logger.evolution(EV.WOOD, `经验库已回滚至快照 ${snapshotId}（${snap.reason} 之前，${snap.docs.length} 条）`);
+        return newSnap;
+    }
+
     // ── 金克木：接受修剪/合并后的精简文档，重建索引 + 清理孤立缓存 ──
 
-    async replaceAll(newDocs) {
+    /**
+     * @param {object[]} newDocs
+     * @param {string} [reason]  写入快照的改写原因
+     * @returns {Promise<string>} 改写前快照 id
+     */
+    async replaceAll(newDocs, reason = "rewrite") {
+        const snapId = memorySnapshots.take(reason, this.rawDocs, this.namespace);
+        // 无 id 的条目若与现有条目文本一致，沿用原文档（模型改写常丢弃元数据 / 序号）
+        const byText = new Map(this.rawDocs.map((d) => [`${d.task}\n${d.result}`, d]));
+        const used   = new Set();
+        newDocs = newDocs.map((d) => {
+            if (d.id) return d;
+            const same = byText.get(`${d.task}\n${d.result}`);
+            if (!same || used.has(same.id)) return d;
+            used.add(same.id);
+            return same;
+        });
         await this.init(newDocs);
         await this.saveToDisk();
         // 重写缓存文件，清除被剪枝的孤立条目
         await this._syncCacheFromMemory();
+
+        const diff = memorySnapshots.complete(snapId, this.rawDocs);
+        logger.info(EV.WOOD,
+            `经验库改写（${reason}）已留快照 ${snapId}：` +
+            `+${diff.added.length} −${diff.removed.length} 合并${diff.merged.length} 修改${diff.changed.length}`
+        );
+        return snapId;
     }
 }
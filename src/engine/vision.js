@@ -4,16 +4,12 @@
 // 传统哲学原型："观象系辞" —— 圣人仰观天文，俯察地理，近取诸身，远取诸物
 // 将图像的"象"转化为 Agent 可推演的"理"，打通视觉与因果逻辑的通道
 import { HumanMessage, SystemMessage } from "@langchain/core/messages";
-import { ChatOpenAI } from "@langchain/openai";
+import { createChatModel } from "../llm/modelFactory.js";
 import { readFile } from "fs/promises";
 import { existsSync } from "fs";
-import cfg from "../../config/wuxing.json" with { type: "json" };
 import { logger, EV } from "../utils/logger.js";
 
-const visionModel = new ChatOpenAI({
-    modelName: cfg.models.vision,
-    maxTokens: 800,
-});
+const visionModel = createChatModel("vision", { maxTokens: 800 });
 
 const OBSERVE_PROMPT = `你是一位具备"取象比类"能力的观察者。
 请从以下三个维度解析图像：
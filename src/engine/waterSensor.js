@@ -1,13 +1,10 @@
 // src/engine/waterSensor.js
 // 【水】：环境感知模块 —— 像水一样渗透进任务边界，解析情绪与时序上下文
 import { HumanMessage, SystemMessage } from "@langchain/core/messages";
-import { ChatOpenAI } from "@langchain/openai";
-import cfg from "../../config/wuxing.json" with { type: "json" };
+import { createChatModel } from "../llm/modelFactory.js";
+import { logger, EV } from "../utils/logger.js";
 
-const llm = new ChatOpenAI({
-    modelName: cfg.models.sensing,
-    temperature: cfg.temperature.sensing,
-});
+const llm = createChatModel("sensing");
 
 const SENSE_PROMPT = `你是一个情绪与语境分析器。分析以下用户输入，返回严格的JSON对象（不要加任何markdown代码块包裹）：
 
@@ -22,16 +19,18 @@ const SENSE_PROMPT = `你是一个情绪与语境分析器。分析以下用户
 /**
  * 感知输入的环境上下文
  * @param {string} input 用户输入文本
+ * @param {{ signal?: AbortSignal }} [options] 取消信号（运行被取消时中止 LLM 请求）
  * @returns {{ tone: string, urgency: number, temporalHints: string|null }}
  */
-export async function sense(input) {
+export async function sense(input, { signal } = {}) {
     try {
         const res = await llm.invoke([
             new SystemMessage(SENSE_PROMPT),
             new HumanMessage(input),
-        ]);
+        ], { signal });
         return JSON.parse(res.content.trim());
-    } catch {
+    } catch (e) {
+        if (e.degraded) logger.warn(EV.WATER, `感知模型降级，使用中性默认值：${e.message}`);
         // 解析失败时返回中性默认值，不让感知层阻断主流程
         return { tone: "calm", urgency: 0.3, temporalHints: null };
     }
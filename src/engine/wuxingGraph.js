@@ -5,14 +5,17 @@
 //
 //   水 → 火（直觉）→ 土（推理+工具）⇌ 火（工具执行）→ 金（反思）→ 木（记忆）
 //
-import { HumanMessage, SystemMessage, ToolMessage } from "@langchain/core/messages";
+import { AIMessage, HumanMessage, SystemMessage, ToolMessage } from "@langchain/core/messages";
 import { END, START, StateGraph } from "@langchain/langgraph";
-import { ChatOpenAI } from "@langchain/openai";
+import { createChatModel } from "../llm/modelFactory.js";
 import { WisdomMemory } from "./vectorStore.js";
 import { VectorMemory } from "../memory/vectorMemory.js";
+import { NamespaceRegistry } from "../memory/namespaces.js";
+import { feedbackLedger } from "../memory/feedback.js";
+import { parseReflection, describeWhen, APPLICABILITY_LABEL } from "../memory/ruleSchema.js";
 import { SkillWriter }  from "./skillWriter.js";
 import { sense } from "./waterSensor.js";
-import { prune } from "./entropyReducer.js";
+import { pruneOrPropose } from "./entropyReducer.js";
 import { WORKSPACE_DIR } from "./toolBox.js";
 import { skillManager } from "./skillManager.js";
 import { goalTracker }  from "./goalTracker.js";
@@ -23,22 +26,21 @@ import { existsSync } from "fs";
 import cfg from "../../config/wuxing.json" with { type: "json" };
 import { logger, EV } from "../utils/logger.js";
 import { agentBus, EVENT_TYPES as ET } from "./eventBus.js";
+import { checkpointer, newThreadId } from "./checkpointer.js";
+import { runRegistry, isAbortError } from "./runRegistry.js";
+import { usageTracker } from "./usageTracker.js";
+import { gateToolCall, rejectionMessage, modifiedNotice } from "./toolRiskPolicy.js";
 
 // ── LLM 实例 ─────────────────────────────────────────────
 // 反思节点不挂工具，避免在复盘时意外触发工具调用
-const llm = new ChatOpenAI({
-    modelName:   cfg.models.reasoning,
-    temperature: cfg.temperature.reasoning,
-});
+const llm = createChatModel("reasoning", { tag: "reflection" });
 
 // 推理用基础 LLM（不预绑工具，每次调用时动态绑定最新技能集）
-const llmBase = new ChatOpenAI({
-    modelName:   cfg.models.reasoning,
-    temperature: cfg.temperature.reasoning,
-});
+const llmBase = createChatModel("reasoning");
 
 export const wisdomMemory  = new WisdomMemory();
-export const vectorMemory  = new VectorMemory(wisdomMemory);
+export const namespaces    = new NamespaceRegistry(wisdomMemory);   // 按项目 / 目标隔离的经验库
+export const vectorMemory  = new VectorMemory(wisdomMemory, { namespaces });
 export const skillWriter   = new SkillWriter(skillManager);  // 自写技能触发器
 
 // 进化计数器（进程生命周期内有效）
@@ -77,12 +79,12 @@ function requiresExecution(query, ctx) {
 // ─────────────────────────────────────────────
 // 【水】：环境感知节点 —— 解析情绪、语气、时序
 // ─────────────────────────────────────────────
-async function waterNode(state) {
+async function waterNode(state, config) {
     const lastInput = state.messages[state.messages.length - 1].content;
     console.log("\n[水-感知] 正在解析环境流...");
     agentBus.push(ET.WATER, "water", "正在解析环境流...", { query: lastInput.slice(0, 100) });
 
-    const ctx = await sense(lastInput);
+    const ctx = await sense(lastInput, { signal: config?.signal });
     logger.info(EV.WATER,
         `情绪: ${ctx.tone} | 紧迫度: ${ctx.urgency.toFixed(2)}` +
         (ctx.temporalHints ? ` | 时序: ${ctx.temporalHints}` : "")
@@ -94,29 +96,35 @@ async function waterNode(state) {
 // ─────────────────────────────────────────────
 // 【火-直觉】：向量相似度匹配经验库（快通道）
 // ─────────────────────────────────────────────
-async function intuitionNode(state) {
+async function intuitionNode(state, config) {
     const lastInput = state.messages[state.messages.length - 1].content;
     const ctx       = state.environmentContext;
-    const wisdom    = await wisdomMemory.recall(lastInput);
+    // 全局库 + 当前命名空间加权召回，别的项目的经验不会在此短路
+    const hit       = await namespaces.recall(lastInput, config?.configurable?.namespace);
+    const requestId = config?.configurable?.requestId ?? null;
 
-    if (!wisdom) {
+    if (!hit) {
         logger.info(EV.FIRE, "经验库未覆盖，转交土层...");
         agentBus.push(ET.FIRE_INTUITION, "fire", "经验库未覆盖，转交推理层...");
         return { status: "reasoning", wisdomHint: null };
     }
+    const wisdom = hit.result;
 
-    // 命中经验库，但需要判断是否应该绕过推理
-    if (requiresExecution(lastInput, ctx)) {
-        logger.info(EV.FIRE,
-            "经验库命中（策略提示），但查询需要实时执行，透传推理层..."
+    // 命中经验库，但需要判断是否应该绕过推理；曾因直答出错被用户否决的准则只作提示
+    if (requiresExecution(lastInput, ctx) || !hit.directAnswer) {
+        logger.info(EV.FIRE, hit.directAnswer
+            ? "经验库命中（策略提示），但查询需要实时执行，透传推理层..."
+            : "经验库命中，但该准则直答曾被用户否决，仅作策略提示透传推理层..."
         );
         agentBus.push(ET.FIRE_INTUITION, "fire", "命中经验（策略提示），透传推理层执行...", { hint: wisdom.slice(0, 80) });
+        feedbackLedger.recordRecall(requestId, [hit], "hint");
         return { wisdomHint: wisdom, status: "reasoning" };
     }
 
     // 纯知识型查询（无时效、无操作），直接复用缓存经验
     logger.info(EV.FIRE, "因果律命中，直接输出");
     agentBus.push(ET.FIRE_INTUITION, "fire", "因果律命中，直接输出", { wisdom: wisdom.slice(0, 120) });
+    feedbackLedger.recordRecall(requestId, [hit], "intuition");
     return { foundWisdom: wisdom, wisdomHint: null, status: "completed" };
 }
 
@@ -136,7 +144,20 @@ async function scanWorkspace() {
     }
 }
 
-async function reasoningNode(state) {
+// 流式分片合并为完整 AIMessage（tool_calls 由分片自动拼接解析）
+function chunkToMessage(acc) {
+    return new AIMessage({
+        id:                 acc?.id,
+        content:            acc?.content ?? "",
+        tool_calls:         acc?.tool_calls ?? [],
+        invalid_tool_calls: acc?.invalid_tool_calls ?? [],
+        additional_kwargs:  acc?.additional_kwargs ?? {},
+        response_metadata:  acc?.response_metadata ?? {},
+        usage_metadata:     acc?.usage_metadata,
+    });
+}
+
+async function reasoningNode(state, config) {
     logger.info(EV.EARTH, "启动深层推理（含工具感知）...");
     agentBus.push(ET.EARTH_REASONING, "earth", "启动深层推理（System 2 慢思考）...");
     const ctx = state.environmentContext;
@@ -148,11 +169,22 @@ async function reasoningNode(state) {
           "可直接用文件名引用上述文件（read_file / execute_code / test_runner），无需重新创建。"
         : "\n\n【工作区 workspace/ 当前为空】";
 
-    // 【木-记忆注入】Top-K 分层语义召回，将相关经验注入推理上下文
+    // 【木-记忆注入】Top-K 分层混合召回（BM25 + 向量），将相关经验注入推理上下文
+    // 结构化准则的前置条件对照：当前任务 + 本次运行已调用的工具及其输出 + 工作区文件
     const userQuery  = state.messages[state.messages.length - 1]?.content ?? "";
-    const memContext = await vectorMemory.buildContext(userQuery, cfg.memory.topK ?? 5);
+    const toolMsgs   = state.messages.filter((m) => m._getType?.() === "tool");
+    const recallCtx  = {
+        text:  [userQuery, ...toolMsgs.map((m) => String(m.content).slice(0, 2000))].join("\n"),
+        tools: [...new Set(toolMsgs.map((m) => m.name).filter(Boolean))],
+        files: wsFiles,
+    };
+    const memContext = await vectorMemory.buildContext(userQuery, cfg.memory.topK ?? 5, undefined, {
+        namespace: config?.configurable?.namespace,
+        context:   recallCtx,
+        onRecall:  (hits) => feedbackLedger.recordRecall(config?.configurable?.requestId ?? null, hits, "context"),
+    });
     const memSection = memContext
-        ? `\n\n【相关历史经验（语义召回）】\n${memContext}\n` +
+        ? `\n\n【相关历史经验（混合召回）】\n${memContext}\n` +
           "以上经验仅供参考，请结合当前问题判断是否适用。"
         : "";
 
@@ -200,10 +232,24 @@ async function reasoningNode(state) {
 
     // 每次推理前动态绑定最新技能集（支持热加载后立即生效）
     const currentTools = skillManager.getAllTools();
-    const res = await llmBase.bindTools(currentTools).invoke([
+    const stream = await llmBase.bindTools(currentTools).stream([
         new SystemMessage(systemPrompt),
         ...state.messages,
-    ]);
+    ], { signal: config?.signal });
+
+    // 【土-流式】逐 token 推送到总线，前端按 requestId 拼接实时渲染
+    // cycle 区分工具循环中的多轮推理，新一轮开始时前端重置草稿
+    const requestId = config?.configurable?.requestId ?? null;
+    const cycle     = state.toolCallCycles ?? 0;
+    let acc = null;
+    for await (const chunk of stream) {
+        acc = acc ? acc.concat(chunk) : chunk;
+        const delta = typeof chunk.content === "string" ? chunk.content : "";
+        if (delta) {
+            agentBus.push(ET.ANSWER_CHUNK, "earth", delta, { requestId, cycle, delta });
+        }
+    }
+    const res = chunkToMessage(acc);
 
     const hasCalls = res.tool_calls?.length > 0;
     if (hasCalls) {
@@ -225,7 +271,7 @@ async function reasoningNode(state) {
 // 【火-执行】：工具执行节点（土生火 → 火生土循环）
 //   并行执行本轮全部工具调用，将 ToolMessage 追加到消息链
 // ─────────────────────────────────────────────
-async function fireToolNode(state) {
+async function fireToolNode(state, config) {
     const lastMsg = state.messages[state.messages.length - 1];
     const calls   = lastMsg.tool_calls ?? [];
 
@@ -245,12 +291,30 @@ async function fireToolNode(state) {
                     name:         call.name,
                 });
             }
+            // 【金-门】按工具风险策略审批；拒绝时回传说明，让土层重新规划
+            const gate = await gateToolCall(call, {
+                source:    "wuxing",
+                requestId: config?.configurable?.requestId ?? null,
+                signal:    config?.signal,
+            });
+            if (!gate.allowed) {
+                logger.warn(EV.METAL, `[金-门] 工具 ${call.name} 被拒绝：${gate.reason}`);
+                return new ToolMessage({
+                    content:      rejectionMessage(call.name, gate),
+                    tool_call_id: call.id,
+                    name:         call.name,
+                });
+            }
+
             let output;
             try {
-                output = await toolFn.invoke(call.args);
+                // signal 透传：取消时中止子进程 / MCP 请求
+                output = await toolFn.invoke(gate.args, { signal: config?.signal });
             } catch (e) {
+                if (isAbortError(e, config?.signal)) throw e;
                 output = `【工具异常】${e.message}`;
             }
+            if (gate.modified) output = modifiedNotice(gate.args) + String(output);
             logger.info(EV.FIRE, `  ← ${call.name}: ${String(output).slice(0, 80)}...`);
             return new ToolMessage({
                 content:      String(output),
@@ -281,19 +345,27 @@ function detectSecurityContext(text) {
     return SECURITY_KEYWORDS.filter((k) => lower.includes(k));
 }
 
+// 输出经 ruleSchema.parseReflection 校验：rule / score 不合法按解析失败降级；
+// when / action / avoid 不合法时准则仍以纯文本入库
 const BASE_REFLECTION_PROMPT =
     "对以下解决方案进行因果质量审计，返回严格的JSON对象（不要任何markdown包裹）：\n" +
     '{"rule":"不超过50字的通用因果准则（以【当...时，应...】表达），若无法提炼则填null",' +
+    '"when":{"keywords":["任务里会出现的关键词"],"fileTypes":["涉及的文件扩展名，如 js"],' +
+    '"tools":["准则依赖的工具名"],"errors":["触发准则的报错特征片段"]},' +
+    '"action":"推荐做法（一句话）",' +
+    '"avoid":["应避免的反模式"],' +
     '"score":0到100的整数（综合适用性、因果强度、逻辑严密度），' +
     '"applicability":"广泛|中等|狭窄",' +
-    '"causal_strength":0到100的整数}';
+    '"causal_strength":0到100的整数}\n' +
+    "when 只填准则成立所必需的触发条件（同类任一满足、不同类同时满足才会被召回），没有的类别给空数组；" +
+    "条件越少适用越广，关键词宜短而通用。";
 
 const SECURITY_HINT =
     "\n\n【特别指示】本回答涉及安全防御编码模式。" +
     "安全防御准则（如路径校验、输入过滤、权限边界）是高价值的通用因果律，" +
     "即使适用范围较窄也应积极提炼并给予高分。";
 
-async function reflectionNode(state) {
+async function reflectionNode(state, config) {
     logger.info(EV.METAL, "正在进行因果质量审计...");
     agentBus.push(ET.METAL_REFLECT, "metal", "因果质量审计中...");
     interactionCount++;
@@ -321,24 +393,32 @@ async function reflectionNode(state) {
     const reflectionPrompt = BASE_REFLECTION_PROMPT + (isSecurity ? SECURITY_HINT : "");
 
     let rule = null;
+    let structured = null;    // 结构化部分（纯文本提炼或校验未通过时为 null）
     let confidence = 0;
+    let reviewScore = null;   // 审计得分（降级为纯文本提炼时无分）
 
     try {
         const evaluation = await llm.invoke([
             new SystemMessage(reflectionPrompt),
             new HumanMessage(lastAns),
-        ]);
+        ], { signal: config?.signal });
 
-        const parsed = JSON.parse(evaluation.content.trim());
-        const score  = Number(parsed.score ?? 0);
+        const parsed = parseReflection(JSON.parse(evaluation.content.trim()));
+        const score  = parsed.score;
 
         if (parsed.rule && score >= threshold) {
-            rule       = parsed.rule;
-            confidence = +(score / 100).toFixed(2);
+            rule        = parsed.rule;
+            structured  = parsed.structured;
+            confidence  = +(score / 100).toFixed(2);
+            reviewScore = score;
             const tag  = isSecurity ? "[安全准则]" : "";
             logger.info(EV.METAL,
-                `因果评审通过 ${tag}[${score}分 ≥ ${threshold}] | 适用:${parsed.applicability} | 因果强度:${parsed.causal_strength}`
+                `因果评审通过 ${tag}[${score}分 ≥ ${threshold}] | 适用:${APPLICABILITY_LABEL[parsed.applicability]} | 因果强度:${parsed.causal_strength ?? "-"}` +
+                (structured ? ` | 条件:${describeWhen(structured) || "无"}` : "")
             );
+            if (parsed.structuredError) {
+                logger.warn(EV.METAL, `结构化字段校验未通过，按纯文本准则入库：${parsed.structuredError}`);
+            }
 
             // 【木-自生长】分数足够高时，异步尝试封装为目录型技能卡
             // 用 setImmediate 确保不阻塞当前节点返回
@@ -353,32 +433,61 @@ async function reflectionNode(state) {
         } else {
             logger.info(EV.METAL, `审计未通过 [${score}分 < ${threshold}]，逻辑质量不足，不写入记忆。`);
         }
-    } catch {
-        // JSON 解析失败时走降级路径
-        const raw = (await llm.invoke([
-            new SystemMessage(
-                "请将以下解决方案提炼为不超过50字的通用因果准则（以【当...时，应...】句式）。" +
-                "如果无法提炼，只回复【忽略】。"
-            ),
-            new HumanMessage(lastAns),
-        ])).content.trim();
-
-        if (raw !== "【忽略】") {
-            rule       = raw;
-            confidence = 0.6;
-            logger.warn(EV.METAL, "JSON 解析失败，已降级为纯文本提炼。");
+    } catch (e) {
+        if (isAbortError(e, config?.signal)) throw e;
+        if (e.degraded) {
+            // 模型不可用：答案已产出，本轮不提炼准则，避免整次请求失败
+            logger.warn(EV.METAL, `反思模型降级，本轮跳过审计：${e.message}`);
+        } else {
+            // JSON 解析或校验（rule / score）失败时走降级路径
+            const raw = (await llm.invoke([
+                new SystemMessage(
+                    "请将以下解决方案提炼为不超过50字的通用因果准则（以【当...时，应...】句式）。" +
+                    "如果无法提炼，只回复【忽略】。"
+                ),
+                new HumanMessage(lastAns),
+            ], { signal: config?.signal })).content.trim();
+
+            if (raw !== "【忽略】") {
+                rule       = raw;
+                confidence = 0.6;
+                logger.warn(EV.METAL, "JSON 解析失败，已降级为纯文本提炼。");
+            }
         }
     }
 
+    // 固化到当前命名空间（未选时为全局库）
+    const store = await namespaces.get(config?.configurable?.namespace);
+
     if (rule) {
-        await wisdomMemory.memorize(userTask, rule, confidence);
-        agentBus.push(ET.WOOD_MEMORY, "wood", `因果律已固化（置信度 ${confidence}%）`, { rule: rule.slice(0, 100) });
+        // 溯源：来自哪次运行 / 哪段会话 / 用过哪些工具 / 哪个模型推理 / 审计得分
+        const requestId = config?.configurable?.requestId ?? config?.configurable?.thread_id ?? null;
+        const tools     = [...new Set(state.messages
+            .filter((m) => m._getType?.() === "tool")
+            .map((m) => m.name)
+            .filter(Boolean))];
+        const ruleId = await store.memorize(userTask, rule, confidence, "long_term", {
+            origin:    "reflection",
+            requestId,
+            sessionId: config?.configurable?.sessionId ?? null,
+            source:    config?.configurable?.source ?? null,
+            tools,
+            model:     usageTracker.forRequest(requestId)?.byNode?.reasoning?.model ?? null,
+            score:     reviewScore,
+        }, structured);
+        feedbackLedger.recordWrite(requestId, ruleId, store.namespace);
+        agentBus.push(ET.WOOD_MEMORY, "wood", `因果律已固化（置信度 ${confidence}%）`, {
+            rule:      rule.slice(0, 100),
+            namespace: store.namespace,
+            when:      structured ? describeWhen(structured) : null,
+        });
     }
 
-    // 金克木：每 N 次交互触发熵减修剪
+    // 金克木：每 N 次交互触发熵减修剪（提案模式下送审；在后台等待审批，不阻塞本次回答）
     if (interactionCount % cfg.memory.entropyTriggerEvery === 0) {
         logger.info(EV.ENTROPY, `第 ${interactionCount} 次交互，触发定期熵减...`);
-        await prune(wisdomMemory);
+        pruneOrPropose(store, { source: "reflection" })
+            .catch((e) => logger.warn(EV.ENTROPY, `定期熵减失败: ${e.message}`));
     }
 
     // 金-反射：检测执行失败信号，写入 STATUS.md 待优化缺陷
@@ -472,4 +581,89 @@ workflow.addConditionalEdges("reasoning", afterReasoning);
 workflow.addEdge("tools", "reasoning");            // 火 → 土（执行结果反哺推理）
 workflow.addEdge("reflection", END);
 
-export const app = workflow.compile();
+// 挂载文件检查点：每个节点完成后落盘 data/checkpoints/<threadId>.json
+export const app = workflow.compile({ checkpointer });
+
+// ─────────────────────────────────────────────
+// 运行入口：所有调用方统一经此执行，确保带 thread_id 并记录运行状态
+//   input   — { messages }；传 null 表示从最后一个检查点继续
+//   config  — 透传给 invoke（recursionLimit / configurable 等）
+//   meta    — { source: "chat" | "repl" | "pulse" | ..., title }
+// ─────────────────────────────────────────────
+function defaultRecursionLimit() {
+    return (cfg.tools?.maxCycles ?? 25) * 2 + 10;
+}
+
+export async function runGraph(input, config = {}, meta = {}) {
+    const threadId = config.configurable?.thread_id ?? newThreadId(meta.source ?? "run");
+    const runConfig = {
+        recursionLimit: defaultRecursionLimit(),
+        ...config,
+        configurable: { requestId: threadId, source: meta.source ?? null, ...config.configurable, thread_id: threadId },
+    };
+
+    const title = meta.title ?? input?.messages?.[input.messages.length - 1]?.content ?? "";
+    // 登记取消信号：POST /api/v1/runs/:id/cancel → runRegistry.cancel(threadId)
+    const signal = runRegistry.start(threadId, { source: meta.source });
+    runConfig.signal = signal;
+
+    checkpointer.beginRun(threadId, { source: meta.source, title, namespace: runConfig.configurable.namespace ?? null });
+    try {
+        const result = await usageTracker.scope({ requestId: threadId }, () => app.invoke(input, runConfig));
+        checkpointer.endRun(threadId, "completed");
+        return { ...result, threadId };
+    } catch (e) {
+        if (isAbortError(e, signal)) {
+            const reason = signal.reason?.message ?? "已取消";
+            checkpointer.endRun(threadId, "cancelled", reason);
+            logger.warn(EV.SYSTEM, `运行 ${threadId} 已取消：${reason}`);
+            agentBus.push(ET.CANCELLED, "system", `运行已取消：${reason}`, { requestId: threadId, reason });
+            e.cancelled = true;
+        } else {
+            checkpointer.endRun(threadId, "failed", e.message);
+        }
+        throw e;
+    } finally {
+        runRegistry.finish(threadId);
+    }
+}
+
+// 从最后一个已完成节点继续（崩溃 / 中断后恢复）
+export async function resumeRun(threadId, config = {}) {
+    const snapshot = await app.getState({ configurable: { thread_id: threadId } });
+    if (!snapshot?.config?.configurable?.checkpoint_id) {
+        throw new Error(`运行不存在或尚无检查点：${threadId}`);
+    }
+    if (!snapshot.next?.length) {
+        throw new Error(`运行已结束，无需恢复：${threadId}`);
+    }
+    logger.info(EV.SYSTEM, `恢复运行 ${threadId}，从 [${snapshot.next.join(", ")}] 继续`);
+    // 沿用原运行的记忆命名空间
+    const namespace = checkpointer.getRunMeta(threadId)?.namespace ?? null;
+    return runGraph(null, { ...config, configurable: { namespace, ...config.configurable, thread_id: threadId } });
+}
+
+// 运行详情：元信息 + 最新检查点摘要
+export async function getRunDetail(threadId) {
+    const meta = checkpointer.getRunMeta(threadId);
+    if (!meta) return null;
+    const snapshot = await app.getState({ configurable: { thread_id: threadId } });
+    const values   = snapshot?.values ?? {};
+    return {
+        ...meta,
+        next:           snapshot?.next ?? [],
+        step:           snapshot?.metadata?.step ?? null,
+        checkpointId:   snapshot?.config?.configurable?.checkpoint_id ?? null,
+        checkpointAt:   snapshot?.createdAt ?? null,
+        resumable:      (snapshot?.next?.length ?? 0) > 0 && meta.status !== "running",
+        graphStatus:    values.status ?? "",
+        toolCallCycles: values.toolCallCycles ?? 0,
+        messages: (values.messages ?? []).map((m) => ({
+            type:    m._getType?.() ?? "unknown",
+            content: String(m.content ?? "").slice(0, 500),
+            tools:   m.tool_calls?.map((c) => c.name) ?? [],
+        })),
+    };
+}
+
+export { checkpointer };
@@ -0,0 +1,309 @@
+// src/llm/cassette.js
+// 【水-镜】：录制 / 回放磁带 —— 包裹任意供应方的 LLM 与嵌入调用
+//
+// 模式（config/wuxing.json → llm.cassette.mode，环境变量 WUXING_CASSETTE_MODE 优先）：
+//   off    — 直通，不录不放（默认）
+//   record — 照常调用底层模型，并把每次 请求 / 响应 追加写入磁带
+//   replay — 不触达底层模型，按请求指纹从磁带原样返回响应
+//
+// 磁带文件：<llm.cassette.dir>/<name>.json（name 由 WUXING_CASSETTE 或 llm.cassette.name 指定）
+//   {
+//     "meta": { "name", "provider", "createdAt", "updatedAt" },
+//     "interactions": [
+//       { "kind": "chat"|"embed", "role", "tag", "key", "request": {...}, "response": {...}, "at" }
+//     ]
+//   }
+//
+// 回放匹配：
+//   1. 指纹精确命中（kind + role + tag + 消息内容 + 工具名；系统提示中的数字不计）→ 按录制顺序依次消费
+//   2. 指纹未命中（提示词里带了当前时间等易变内容）→ 退回同 kind/role/tag 的下一条未消费记录
+//   3. 仍未命中 → 抛错（replay 模式绝不偷偷调用真实端点）
+//   嵌入请求只做精确匹配，且同一文本可重复命中
+//
+// 录制时在文件锁内读-改-写追加（REPL 与 Web 可同时录制同一磁带）
+//
+import { existsSync } from "fs";
+import { resolve, basename } from "path";
+import { createHash } from "crypto";
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { Embeddings } from "@langchain/core/embeddings";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { logger, EV } from "../utils/logger.js";
+import { readJsonSafe, updateJson } from "../storage/safeFile.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const CASSETTE_MODES = ["off", "record", "replay"];
+
+export function cassetteMode() {
+    const mode = (process.env.WUXING_CASSETTE_MODE ?? cfg.llm?.cassette?.mode ?? "off").toLowerCase();
+    return CASSETTE_MODES.includes(mode) ? mode : "off";
+}
+
+function cassetteFile() {
+    const dir  = cfg.llm?.cassette?.dir ?? "data/cassettes";
+    const name = process.env.WUXING_CASSETTE ?? cfg.llm?.cassette?.name ?? "default";
+    return resolve(process.cwd(), dir, name.endsWith(".json") ? name : `${name}.json`);
+}
+
+// ── 磁带（进程内按文件单例，录制与回放共享同一份游标）──────
+class Cassette {
+    constructor(file, provider) {
+        this.file  = file;
+        this.blank = { meta: { name: basename(file, ".json"), provider, createdAt: new Date().toISOString() }, interactions: [] };
+        this.data  = readJsonSafe(file, null) ?? structuredClone(this.blank);
+        this.used = new Set();   // 已回放的 interaction 下标
+    }
+
+    record(entry) {
+        const at = new Date().toISOString();
+        this.data = updateJson(this.file, this.blank, (data) => {
+            data.interactions.push({ ...entry, at });
+            data.meta.updatedAt = at;
+        });
+    }
+
+    take({ kind, role, tag, key }) {
+        const list = this.data.interactions;
+        const same = (it) => it.kind === kind && it.role === role && (it.tag ?? null) === (tag ?? null);
+
+        // 嵌入是纯函数：同一文本可反复命中，且不做顺序兜底（错配向量会悄悄污染召回）
+        if (kind === "embed") {
+            const hit = list.find((it) => same(it) && it.key === key);
+            if (!hit) throw new Error(`磁带回放未命中 embed：${this.file}（请先以 record 模式录制）`);
+            return hit.response;
+        }
+
+        let idx = list.findIndex((it, i) => !this.used.has(i) && same(it) && it.key === key);
+        if (idx === -1) {
+            idx = list.findIndex((it, i) => !this.used.has(i) && same(it));
+            if (idx !== -1) {
+                logger.warn(EV.WATER, `磁带指纹未命中，按顺序回放 ${kind}[${tag ?? role}] 第 ${idx + 1} 条`);
+            }
+        }
+        if (idx === -1) {
+            throw new Error(`磁带回放未命中 ${kind}[${tag ?? role}]：${this.file}（请先以 record 模式录制）`);
+        }
+        this.used.add(idx);
+        return list[idx].response;
+    }
+}
+
+const cassettes = new Map();
+
+export function openCassette(file = cassetteFile(), provider = null) {
+    if (!cassettes.has(file)) {
+        if (cassetteMode() === "replay" && !existsSync(file)) {
+            throw new Error(`磁带不存在：${file}`);
+        }
+        cassettes.set(file, new Cassette(file, provider));
+    }
+    return cassettes.get(file);
+}
+
+// ── 请求序列化与指纹 ────────────────────────────────────────
+function typeOf(message) {
+    return message?._getType?.() ?? message?.getType?.() ?? "";
+}
+
+function serializeMessages(messages) {
+    return messages.map((m) => ({
+        type:    typeOf(m),
+        content: m.content,
+        ...(m.tool_calls?.length ? { tool_calls: m.tool_calls.map(({ name, args }) => ({ name, args })) } : {}),
+        ...(m.tool_call_id ? { tool_call_id: m.tool_call_id } : {}),
+    }));
+}
+
+function toolNames(tools = []) {
+    return tools.map((t) => t?.name ?? t?.function?.name ?? "").filter(Boolean).sort();
+}
+
+// 系统提示里的实时环境（日期、内存、耗时）每次都不同，计算指纹时抹掉其中的数字
+function stableRequest(request) {
+    return {
+        ...request,
+        messages: request.messages.map((m) =>
+            m.type === "system" && typeof m.content === "string"
+                ? { ...m, content: m.content.replace(/\d+/g, "#") }
+                : m
+        ),
+    };
+}
+
+function fingerprint(payload) {
+    return createHash("sha256").update(JSON.stringify(payload)).digest("hex").slice(0, 24);
+}
+
+// ── 响应序列化 ──────────────────────────────────────────────
+function serializeResponse(message) {
+    return {
+        content:           message.content,
+        tool_calls:        (message.tool_calls ?? []).map(({ id, name, args }) => ({ id, name, args })),
+        additional_kwargs: message.additional_kwargs ?? {},
+        response_metadata: message.response_metadata ?? {},
+        ...(message.usage_metadata ? { usage_metadata: message.usage_metadata } : {}),
+    };
+}
+
+function restoreResponse(res) {
+    return new AIMessage({
+        content:           res.content,
+        tool_calls:        (res.tool_calls ?? []).map((c) => ({ ...c, type: "tool_call" })),
+        additional_kwargs: res.additional_kwargs ?? {},
+        response_metadata: res.response_metadata ?? {},
+        ...(res.usage_metadata ? { usage_metadata: res.usage_metadata } : {}),
+    });
+}
+
+function chunkToMessage(acc) {
+    return new AIMessage({
+        content:           acc?.content ?? "",
+        tool_calls:        acc?.tool_calls ?? [],
+        additional_kwargs: acc?.additional_kwargs ?? {},
+        response_metadata: acc?.response_metadata ?? {},
+        ...(acc?.usage_metadata ? { usage_metadata: acc.usage_metadata } : {}),
+    });
+}
+
+// ── 对话模型包装 ────────────────────────────────────────────
+export class CassetteChatModel extends BaseChatModel {
+    /**
+     * @param {{ role: string, tag?: string, mode: "record"|"replay", provider?: string, createInner: () => BaseChatModel }} opts
+     *   createInner 惰性创建底层模型：回放模式下不实例化，无需 API Key
+     */
+    constructor({ role, tag = null, mode, provider = null, createInner, ...rest }) {
+        super(rest);
+        this.role        = role;
+        this.tag         = tag;
+        this.mode        = mode;
+        this.provider    = provider;
+        this.createInner = createInner;
+        this._inner      = null;
+    }
+
+    _llmType() {
+        return "cassette";
+    }
+
+    bindTools(tools, kwargs = {}) {
+        return this.withConfig({ tools, ...kwargs });
+    }
+
+    get inner() {
+        this._inner ??= this.createInner();
+        return this._inner;
+    }
+
+    _request(messages, options) {
+        const request = { messages: serializeMessages(messages), tools: toolNames(options?.tools) };
+        return {
+            kind: "chat",
+            role: this.role,
+            tag:  this.tag,
+            key:  fingerprint({ role: this.role, tag: this.tag, ...stableRequest(request) }),
+            request,
+        };
+    }
+
+    _bound(options) {
+        return options?.tools?.length ? this.inner.bindTools(options.tools) : this.inner;
+    }
+
+    async _live(messages, options, stream) {
+        const runnable = this._bound(options);
+        if (!stream) return runnable.invoke(messages, { signal: options?.signal });
+
+        let acc = null;
+        const pieces = [];
+        for await (const chunk of await runnable.stream(messages, { signal: options?.signal })) {
+            acc = acc ? acc.concat(chunk) : chunk;
+            pieces.push(chunk);
+        }
+        return { message: chunkToMessage(acc), pieces };
+    }
+
+    async _generate(messages, options) {
+        const req      = this._request(messages, options);
+        const cassette = openCassette(undefined, this.provider);
+
+        if (this.mode === "replay") {
+            const message = restoreResponse(cassette.take(req));
+            return { generations: [{ text: message.content, message }] };
+        }
+
+        const message = await this._live(messages, options, false);
+        cassette.record({ ...req, response: serializeResponse(message) });
+        return { generations: [{ text: message.content, message }] };
+    }
+
+    async *_streamResponseChunks(messages, options, runManager) {
+        const req      = this._request(messages, options);
+        const cassette = openCassette(undefined, this.provider);
+
+        if (this.mode === "record") {
+            // 录制：透传底层分片，结束后记录合并结果
+            const { message, pieces } = await this._live(messages, options, true);
+            cassette.record({ ...req, response: serializeResponse(message) });
+            for (const piece of pieces) {
+                const text  = typeof piece.content === "string" ? piece.content : "";
+                const chunk = new ChatGenerationChunk({ text, message: piece });
+                yield chunk;
+                if (text) await runManager?.handleLLMNewToken(text, undefined, undefined, undefined, undefined, { chunk });
+            }
+            return;
+        }
+
+        // 回放：整段文本一次吐出，工具调用以 tool_call_chunks 附在末尾
+        const message = restoreResponse(cassette.take(req));
+        const text    = typeof message.content === "string" ? message.content : "";
+        const chunk   = new ChatGenerationChunk({
+            text,
+            message: new AIMessageChunk({
+                content:           message.content,
+                additional_kwargs: message.additional_kwargs,
+                response_metadata: message.response_metadata,
+                ...(message.usage_metadata ? { usage_metadata: message.usage_metadata } : {}),
+                tool_call_chunks:  message.tool_calls.map((c, index) => ({
+                    id: c.id, name: c.name, args: JSON.stringify(c.args), index, type: "tool_call_chunk",
+                })),
+            }),
+        });
+        yield chunk;
+        if (text) await runManager?.handleLLMNewToken(text, undefined, undefined, undefined, undefined, { chunk });
+    }
+}
+
+// ── 嵌入模型包装 ────────────────────────────────────────────
+export class CassetteEmbeddings extends Embeddings {
+    constructor({ mode, provider = null, embedderId, createInner }) {
+        super({});
+        this.mode        = mode;
+        this.provider    = provider;
+        this.embedderId  = embedderId;
+        this.createInner = createInner;
+        this._inner      = null;
+    }
+
+    get inner() {
+        this._inner ??= this.createInner();
+        return this._inner;
+    }
+
+    async embedQuery(text) {
+        const req      = { kind: "embed", role: "embedding", tag: null, key: fingerprint({ embed: text }), request: { text } };
+        const cassette = openCassette(undefined, this.provider);
+
+        if (this.mode === "replay") return cassette.take(req).vector;
+
+        const vector = await this.inner.embedQuery(text);
+        cassette.record({ ...req, response: { vector } });
+        return vector;
+    }
+
+    async embedDocuments(texts) {
+        const out = [];
+        for (const t of texts) out.push(await this.embedQuery(t));
+        return out;
+    }
+}
@@ -0,0 +1,45 @@
+// src/llm/fakeEmbeddings.js
+// 【木-镜像】：确定性伪嵌入 —— 离线脚本模式下替代嵌入 API
+//
+// 做法：文本切成字符二元组（中文）与单词（英文），哈希到固定维度后 L2 归一化。
+// 相同文本得到相同向量，字面重叠越多余弦越高，足以让召回 / 梦境合并逻辑可测。
+//
+import { Embeddings } from "@langchain/core/embeddings";
+import { createHash } from "crypto";
+
+function bucket(token, dims) {
+    return createHash("md5").update(token).digest().readUInt32LE(0) % dims;
+}
+
+function tokensOf(text) {
+    const lower  = String(text ?? "").toLowerCase();
+    const words  = lower.match(/[a-z0-9_]+/g) ?? [];
+    const han    = lower.replace(/[^一-鿿]/g, "");
+    const grams  = [];
+    for (let i = 0; i < han.length - 1; i++) grams.push(han.slice(i, i + 2));
+    if (han.length === 1) grams.push(han);
+    return [...words, ...grams];
+}
+
+export class FakeEmbeddings extends Embeddings {
+    constructor({ dims = 256 } = {}) {
+        super({});
+        this.dims       = dims;
+        this.embedderId = FakeEmbeddings.idFor(dims);
+    }
+
+    static idFor(dims = 256) {
+        return `fake:${dims}`;
+    }
+
+    async embedQuery(text) {
+        const vec = new Array(this.dims).fill(0);
+        for (const t of tokensOf(text)) vec[bucket(t, this.dims)] += 1;
+        const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0)) || 1;
+        return vec.map((v) => v / norm);
+    }
+
+    async embedDocuments(texts) {
+        return Promise.all(texts.map((t) => this.embedQuery(t)));
+    }
+}
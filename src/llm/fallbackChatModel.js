@@ -0,0 +1,90 @@
+// src/llm/fallbackChatModel.js
+// 【土-中枢】：降级链对话模型 —— 当前供应方报错 / 超时，透明切到下一个
+//
+// 规则：
+//   · 用户取消（signal 已中止）不降级，直接抛出
+//   · 非流式：任一环失败即换下一环，全部失败抛出最后一个错误
+//   · 流式：只有在首个分片产出之前失败才降级；已向下游吐出内容后再失败，
+//     换供应方会让前端拼出两段不相干的文本，因此直接抛出
+//
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { logger, EV } from "../utils/logger.js";
+
+function describe(link) {
+    return `${link.provider.name}/${link.model}`;
+}
+
+export class FallbackChatModel extends BaseChatModel {
+    /**
+     * @param {{ role: string, tag?: string, links: Array<object>, createLink: (link: object) => BaseChatModel }} opts
+     *   createLink 惰性创建每一环的模型（未用到的供应方不实例化）
+     */
+    constructor({ role, tag = null, links, createLink, ...rest }) {
+        super(rest);
+        this.role       = role;
+        this.tag        = tag;
+        this.links      = links;
+        this.createLink = createLink;
+        this._models    = new Map();
+    }
+
+    _llmType() {
+        return "fallback";
+    }
+
+    bindTools(tools, kwargs = {}) {
+        return this.withConfig({ tools, ...kwargs });
+    }
+
+    _model(i) {
+        if (!this._models.has(i)) this._models.set(i, this.createLink(this.links[i]));
+        return this._models.get(i);
+    }
+
+    _bound(i, options) {
+        const model = this._model(i);
+        return options?.tools?.length ? model.bindTools(options.tools) : model;
+    }
+
+    _onFail(i, err, options) {
+        if (options?.signal?.aborted) throw err;
+        const next = this.links[i + 1];
+        if (!next) throw err;
+        logger.warn(
+            EV.EARTH,
+            `${this.tag ?? this.role} 供应方 ${describe(this.links[i])} 失败（${err.message}），切换到 ${describe(next)}`
+        );
+    }
+
+    async _generate(messages, options) {
+        for (let i = 0; i < this.links.length; i++) {
+            try {
+                const message = await this._bound(i, options).invoke(messages, { signal: options?.signal });
+                return { generations: [{ text: typeof message.content === "string" ? message.content : "", message }] };
+            } catch (e) {
+                this._onFail(i, e, options);
+            }
+        }
+    }
+
+    async *_streamResponseChunks(messages, options, runManager) {
+        for (let i = 0; i < this.links.length; i++) {
+            let emitted = false;
+            try {
+                const stream = await this._bound(i, options).stream(messages, { signal: options?.signal });
+                for await (const piece of stream) {
+                    emitted = true;
+                    const text  = typeof piece.content === "string" ? piece.content : "";
+                    const chunk = new ChatGenerationChunk({ text, message: piece });
+                    yield chunk;
+                    if (text) await runManager?.handleLLMNewToken(text, undefined, undefined, undefined, undefined, { chunk });
+                }
+                return;
+            } catch (e) {
+                if (emitted) throw e;
+                this._onFail(i, e, options);
+            }
+        }
+    }
+}
@@ -0,0 +1,105 @@
+// src/llm/localEmbeddings.js
+// 【木-本根】：本地离线嵌入 —— 哈希 n-gram 向量化，无需任何网络服务
+//
+// config/wuxing.json → models.embedding 设为 "local" 即启用（llm.localEmbedding 调维度）。
+//
+// 特征（中英混合）：
+//   中文 —— 汉字二元组（主特征）+ 单字（弱特征，常见虚字再降权）
+//   英文 —— 单词（停用词降权）+ 相邻词二元组 + 长词的字符三元组（容忍词形变化）
+// 权重：次线性词频 1 + ln(tf) × 特征类别权重（类别权重充当静态 IDF 先验：
+//       越稀有、越有区分度的特征类别权重越高，虚字 / 停用词接近 0）
+// 降维：带符号的特征哈希（FNV-1a），符号位抵消碰撞偏差；最后 L2 归一化。
+//
+// 向量只取决于文本与维度，可复现；embedderId 带版本号，算法变化时递增以使向量缓存失效。
+//
+import { Embeddings } from "@langchain/core/embeddings";
+
+const VERSION = 1;
+
+const STOP_HAN  = new Set("的了是在和与及或也就都而且但被把对于从之其这那个们我你他它吗呢吧啊".split(""));
+const STOP_WORD = new Set([
+    "a", "an", "the", "is", "are", "was", "were", "be", "to", "of", "in", "on", "for", "and", "or",
+    "with", "it", "this", "that", "as", "at", "by", "from", "i", "you", "we", "do", "does", "how", "what",
+]);
+
+const WEIGHT = {
+    hanBigram:  1.0,
+    hanUnigram: 0.3,
+    word:       1.0,
+    wordBigram: 0.5,
+    charTrigram: 0.25,
+    stop:       0.05,
+};
+
+// FNV-1a 32 位
+function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// 文本 → Map<特征, 权重>（未含词频变换）
+function featuresOf(text) {
+    const feats = new Map();
+    const add   = (key, w) => feats.set(key, { w, tf: (feats.get(key)?.tf ?? 0) + 1 });
+    const norm  = String(text ?? "").normalize("NFKC").toLowerCase();
+
+    // 中文：按连续汉字片段切分，片段内取单字与二元组
+    for (const run of norm.match(/[一-鿿]+/g) ?? []) {
+        for (let i = 0; i < run.length; i++) {
+            const ch = run[i];
+            add(`u:${ch}`, STOP_HAN.has(ch) ? WEIGHT.stop : WEIGHT.hanUnigram);
+            if (i + 1 < run.length) add(`h:${run.slice(i, i + 2)}`, WEIGHT.hanBigram);
+        }
+    }
+
+    // 英文 / 数字
+    const words = norm.match(/[a-z0-9_]+/g) ?? [];
+    for (let i = 0; i < words.length; i++) {
+        const w = words[i];
+        add(`w:${w}`, STOP_WORD.has(w) ? WEIGHT.stop : WEIGHT.word);
+        if (i + 1 < words.length) add(`b:${w} ${words[i + 1]}`, WEIGHT.wordBigram);
+        if (w.length >= 4) {
+            const padded = `^${w}$`;
+            for (let j = 0; j + 3 <= padded.length; j++) add(`c:${padded.slice(j, j + 3)}`, WEIGHT.charTrigram);
+        }
+    }
+    return feats;
+}
+
+export class LocalEmbeddings extends Embeddings {
+    /**
+     * @param {{ dims?: number }} [opts]  向量维度（默认 512）
+     */
+    constructor({ dims = 512 } = {}) {
+        super({});
+        this.dims       = dims;
+        this.embedderId = LocalEmbeddings.idFor(dims);
+    }
+
+    static idFor(dims = 512) {
+        return `local:hash-ngram-v${VERSION}:${dims}`;
+    }
+
+    _vectorize(text) {
+        const vec = new Array(this.dims).fill(0);
+        for (const [key, { w, tf }] of featuresOf(text)) {
+            const h    = fnv1a(key);
+            const sign = (h & 0x80000000) ? -1 : 1;
+            vec[h % this.dims] += sign * w * (1 + Math.log(tf));
+        }
+        const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0)) || 1;
+        return vec.map((v) => v / norm);
+    }
+
+    async embedQuery(text) {
+        return this._vectorize(text);
+    }
+
+    async embedDocuments(texts) {
+        return texts.map((t) => this._vectorize(t));
+    }
+}
@@ -0,0 +1,75 @@
+// src/llm/modelFactory.js
+// 【土-中枢】：统一模型工厂 —— 全部 LLM / 嵌入实例由此创建
+//
+// 供应方由 providerRegistry 按角色解析（config/wuxing.json → llm.providers / llm.roles）：
+//   openai   — ChatOpenAI / OpenAIEmbeddings（任意 OpenAI 兼容端点，可按供应方配置 baseURL / key）
+//   scripted — ScriptedChatModel / FakeEmbeddings（离线回放 llm.fixtureFile，无需网络）
+// 嵌入另有本地离线选项：models.embedding = "local" → LocalEmbeddings（哈希 n-gram，无需网络）
+// 角色供应链多于一环时，对话模型包一层 FallbackChatModel，失败 / 超时自动降级。
+//
+// 角色（role）对应 cfg.models 中的键：reasoning | sensing | vision | dream
+// tag 为调用方标识（如 "reflection"、"prune"），脚本模式下可据此精确匹配规则。
+//
+// 磁带（llm.cassette.mode，环境变量 WUXING_CASSETTE_MODE 优先）：
+//   record / replay 时，上述任一供应方的实例外再包一层 CassetteChatModel / CassetteEmbeddings，
+//   详见 cassette.js。
+//
+import { CassetteChatModel, CassetteEmbeddings, cassetteMode } from "./cassette.js";
+import { FallbackChatModel } from "./fallbackChatModel.js";
+import {
+    currentProvider, resolveChain, createLinkChatModel, createLinkEmbeddings, embedderIdOf,
+} from "./providerRegistry.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+export { currentProvider };
+
+/**
+ * 创建对话模型
+ * @param {"reasoning"|"sensing"|"vision"|"dream"} role
+ * @param {{ temperature?: number, maxTokens?: number, tag?: string }} [overrides]
+ * @returns {import("@langchain/core/language_models/chat_models").BaseChatModel}
+ */
+export function createChatModel(role = "reasoning", { tag = null, ...overrides } = {}) {
+    const mode = cassetteMode();
+    if (mode !== "off") {
+        return new CassetteChatModel({
+            role, tag, mode,
+            provider:    currentProvider(),
+            createInner: () => createChainChatModel(role, tag, overrides),
+        });
+    }
+    return createChainChatModel(role, tag, overrides);
+}
+
+function createChainChatModel(role, tag, overrides) {
+    const links = resolveChain(role);
+    const opts  = {
+        role,
+        tag,
+        temperature: overrides.temperature ?? cfg.temperature?.[role],
+        maxTokens:   overrides.maxTokens,
+    };
+
+    if (links.length === 1) return createLinkChatModel(links[0], opts);
+    return new FallbackChatModel({
+        role,
+        tag,
+        links,
+        createLink: (link) => createLinkChatModel(link, opts),
+    });
+}
+
+/**
+ * 创建嵌入模型（WisdomMemory 使用）
+ * 返回实例带 embedderId，标识向量空间（缓存键的一部分）
+ * @returns {import("@langchain/core/embeddings").Embeddings & { embedderId: string }}
+ */
+export function createEmbeddings() {
+    const mode = cassetteMode();
+    const link = resolveChain("embedding")[0];
+    const make = () => createLinkEmbeddings(link);
+    if (mode !== "off") {
+        return new CassetteEmbeddings({ mode, provider: currentProvider(), embedderId: embedderIdOf(link), createInner: make });
+    }
+    return make();
+}
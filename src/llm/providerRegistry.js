@@ -0,0 +1,154 @@
+// src/llm/providerRegistry.js
+// 【土-中枢】：模型供应方注册表 —— 按角色解析有序供应链
+//
+// config/wuxing.json → llm：
+//   provider   — 默认供应方名（未配置供应链的角色都走它；WUXING_LLM_PROVIDER 可整体覆盖）
+//   providers  — 供应方定义：
+//     { "type": "openai",   "baseURL": "...", "apiKey": "...",           // 字面值
+//                           "baseURLEnv": "X_BASE_URL", "apiKeyEnv": "X_KEY", // 或读环境变量（可为数组，取首个有值的）
+//                           "timeoutMs": 60000 }                             // 单次调用超时（缺省 llm.resilience.timeoutMs）
+//     { "type": "scripted", "fixtureFile": "fixtures/scripted.json" }
+//   roles      — 每个角色的有序供应链，首个失败 / 超时自动切到下一个：
+//     "reasoning": [ { "provider": "hosted", "model": "gpt-4o" }, { "provider": "local" } ]
+//     元素也可直接写供应方名字符串；model 缺省取 models.<role>
+//
+// openai 类型的每一环都包一层 ResilientChatModel / ResilientEmbeddings（重试、超时、熔断见 resilience.js），
+// SDK 自带重试因此默认关闭（maxRetries: 0），避免两层叠加放大等待时间。
+//
+// 嵌入模型名为 "local" 时不论供应方，一律使用本地离线嵌入（LocalEmbeddings，见 localEmbeddings.js）。
+// 每个嵌入实例都带 embedderId（如 "openai:BAAI/bge-m3"、"local:hash-ngram-v1:512"），
+// 向量缓存 / 近邻索引以它区分向量空间，切换嵌入器后旧缓存自动失效。
+//
+import { ChatOpenAI, OpenAIEmbeddings } from "@langchain/openai";
+import { ScriptedChatModel } from "./scriptedChatModel.js";
+import { FakeEmbeddings } from "./fakeEmbeddings.js";
+import { LocalEmbeddings } from "./localEmbeddings.js";
+import { ResilientChatModel, ResilientEmbeddings } from "./resilience.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const PROVIDER_TYPES = ["openai", "scripted"];
+
+// 未在 providers 中声明的内置供应方（保持旧配置可用）
+const BUILTIN_PROVIDERS = {
+    openai:   { type: "openai", apiKeyEnv: "OPENAI_API_KEY", baseURLEnv: "OPENAI_BASE_URL" },
+    scripted: { type: "scripted" },
+};
+
+export function currentProvider() {
+    return process.env.WUXING_LLM_PROVIDER ?? cfg.llm?.provider ?? "openai";
+}
+
+function fixtureFile(entry) {
+    return process.env.WUXING_LLM_FIXTURE ?? entry.fixtureFile ?? cfg.llm?.fixtureFile ?? "fixtures/scripted.json";
+}
+
+/**
+ * 取供应方定义
+ * @param {string} name
+ */
+export function getProvider(name) {
+    const entry = cfg.llm?.providers?.[name] ?? BUILTIN_PROVIDERS[name];
+    if (!entry) throw new Error(`未知的模型供应方：${name}（请在 llm.providers 中声明）`);
+    const type = entry.type ?? "openai";
+    if (!PROVIDER_TYPES.includes(type)) throw new Error(`供应方 ${name} 的类型不受支持：${type}`);
+    return { name, ...entry, type };
+}
+
+// 列出全部供应方名（配置 + 内置，说明字段除外）
+export function listProviders() {
+    const names = new Set([...Object.keys(BUILTIN_PROVIDERS), ...Object.keys(cfg.llm?.providers ?? {})]);
+    return [...names].filter((n) => !n.startsWith("_"));
+}
+
+function firstEnv(names) {
+    for (const n of [].concat(names ?? [])) {
+        if (process.env[n]) return process.env[n];
+    }
+    return undefined;
+}
+
+/**
+ * 解析某个角色的有序供应链
+ * @param {string} role  reasoning | sensing | vision | dream | embedding
+ * @returns {Array<{ provider: object, model: string, timeoutMs?: number }>}
+ */
+export function resolveChain(role) {
+    // 环境变量覆盖：全部角色强制走同一个供应方（离线脚本模式常用）
+    const forced = process.env.WUXING_LLM_PROVIDER;
+    const raw    = forced ? [forced] : (cfg.llm?.roles?.[role] ?? [currentProvider()]);
+    const links  = [].concat(raw).map((l) => (typeof l === "string" ? { provider: l } : l));
+
+    if (links.length === 0) throw new Error(`角色 ${role} 的供应链为空`);
+    return links.map((l) => ({
+        ...l,
+        provider: getProvider(l.provider),
+        model:    l.model ?? cfg.models?.[role] ?? cfg.models.reasoning,
+    }));
+}
+
+/**
+ * 按供应链中的一环创建对话模型
+ * @param {{ provider: object, model: string, timeoutMs?: number }} link
+ * @param {{ role: string, tag?: string, temperature?: number, maxTokens?: number }} opts
+ */
+export function createLinkChatModel(link, { role, tag = null, temperature, maxTokens } = {}) {
+    const p = link.provider;
+    if (p.type === "scripted") {
+        return new ScriptedChatModel({ role, tag, fixtureFile: fixtureFile(p) });
+    }
+
+    const apiKey  = p.apiKey ?? firstEnv(p.apiKeyEnv);
+    const baseURL = p.baseURL ?? firstEnv(p.baseURLEnv);
+    const inner   = new ChatOpenAI({
+        modelName:  link.model,
+        maxRetries: link.maxRetries ?? p.maxRetries ?? 0,
+        ...(apiKey ? { apiKey } : {}),
+        ...(baseURL ? { configuration: { baseURL } } : {}),
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(maxTokens ? { maxTokens } : {}),
+    });
+    return new ResilientChatModel({
+        inner,
+        provider:  p.name,
+        model:     link.model,
+        role:      tag ?? role,
+        timeoutMs: link.timeoutMs ?? p.timeoutMs,
+    });
+}
+
+/**
+ * 按供应链首环创建嵌入模型
+ * 嵌入不做降级：不同模型的向量空间互不兼容，中途切换会让召回失真。
+ * 内置 openai 供应方保留 EMBEDDING_API_KEY / EMBEDDING_BASE_URL 优先的旧行为。
+ */
+export function createLinkEmbeddings(link) {
+    const p = link.provider;
+    if (link.model === "local") return new LocalEmbeddings({ dims: cfg.llm?.localEmbedding?.dims });
+    if (p.type === "scripted") return new FakeEmbeddings();
+
+    const legacy = p.name === "openai";
+    const inner  = new OpenAIEmbeddings({
+        modelName:     link.model,
+        maxRetries:    link.maxRetries ?? p.maxRetries ?? 0,
+        apiKey:        (legacy && process.env.EMBEDDING_API_KEY) || p.apiKey || firstEnv(p.apiKeyEnv),
+        configuration: {
+            baseURL: (legacy && process.env.EMBEDDING_BASE_URL) || p.baseURL || firstEnv(p.baseURLEnv),
+        },
+    });
+    return new ResilientEmbeddings({
+        inner,
+        provider:   p.name,
+        embedderId: embedderIdOf(link),
+        timeoutMs:  link.timeoutMs ?? p.timeoutMs,
+    });
+}
+
+/**
+ * 供应链一环对应的嵌入器 id（不实例化模型；磁带回放时也可取得）
+ * @param {{ provider: object, model: string }} link
+ */
+export function embedderIdOf(link) {
+    if (link.model === "local") return LocalEmbeddings.idFor(cfg.llm?.localEmbedding?.dims);
+    if (link.provider.type === "scripted") return FakeEmbeddings.idFor();
+    return `${link.provider.name}:${link.model}`;
+}
@@ -0,0 +1,311 @@
+// src/llm/resilience.js
+// 【金-盾】：模型调用韧性层 —— 重试退避 + 单次超时 + 按供应方熔断
+//
+// 每次模型调用（对话 / 嵌入）都经 callResilient 执行：
+//   · 429 / 5xx / 连接错误 / 超时 → 指数退避 + 随机抖动后重试（最多 retries 次）
+//   · 4xx 等不可重试错误 → 直接抛出，不计入熔断
+//   · 用户取消（外部 signal 中止）→ 立即抛出，不重试、不计入熔断
+//   · 同一供应方连续失败 failureThreshold 次 → 熔断打开，cooldownMs 内直接拒绝；
+//     冷却后进入半开，放行一次试探：成功则闭合，失败则重新打开
+//
+// 重试耗尽或熔断拒绝时抛出的错误带 degraded = true（以及 provider / role），
+// 供上层降级链切换供应方、server 返回 503 “模型降级” 而非笼统的 500。
+// 熔断状态变化推送到 agentBus（llm:breaker），并由 breakerSnapshot() 汇总给自我画像。
+//
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { Embeddings } from "@langchain/core/embeddings";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { agentBus, EVENT_TYPES as ET } from "../engine/eventBus.js";
+import { usageTracker } from "../engine/usageTracker.js";
+import { logger, EV } from "../utils/logger.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const R = cfg.llm?.resilience ?? {};
+const RETRIES        = R.retries ?? 2;
+const BASE_DELAY_MS  = R.baseDelayMs ?? 500;
+const MAX_DELAY_MS   = R.maxDelayMs ?? 8_000;
+const TIMEOUT_MS     = R.timeoutMs ?? 120_000;
+const FAIL_THRESHOLD = R.breaker?.failureThreshold ?? 5;
+const COOLDOWN_MS    = R.breaker?.cooldownMs ?? 30_000;
+
+// ── 错误分类 ────────────────────────────────────────────────
+function statusOf(err) {
+    return err?.status ?? err?.response?.status ?? err?.cause?.status;
+}
+
+export function isRetryable(err) {
+    const status = statusOf(err);
+    if (status === 429 || (status >= 500 && status < 600)) return true;
+    if (status) return false;
+    if (err?.timedOut) return true;
+    return /timeout|timed out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|Connection error|fetch failed/i
+        .test(`${err?.name ?? ""} ${err?.code ?? ""} ${err?.message ?? ""}`);
+}
+
+function degradedError(message, { provider, role, cause }) {
+    const err = new Error(message);
+    err.degraded = true;
+    err.provider = provider;
+    err.role     = role;
+    err.cause    = cause;
+    return err;
+}
+
+function backoff(attempt) {
+    const exp = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+    return Math.round(exp / 2 + Math.random() * exp / 2);   // 等比抖动：[exp/2, exp]
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason ?? new Error("aborted"));
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason ?? new Error("aborted"));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+// ── 熔断器 ──────────────────────────────────────────────────
+class CircuitBreaker {
+    constructor(provider) {
+        this.provider  = provider;
+        this.state     = "closed";   // closed | open | half_open
+        this.failures  = 0;
+        this.openedAt  = null;
+        this.lastError = null;
+        this.lastRole  = null;
+        this.trial     = false;      // 半开期间是否已有试探请求在途
+    }
+
+    _transition(state, role) {
+        if (this.state === state) return;
+        const prev = this.state;
+        this.state = state;
+        const message = state === "open"
+            ? `模型供应方 ${this.provider} 熔断（${role ?? "?"} 连续失败 ${this.failures} 次）：${this.lastError ?? ""}`
+            : state === "half_open"
+                ? `模型供应方 ${this.provider} 冷却结束，放行试探请求`
+                : `模型供应方 ${this.provider} 已恢复`;
+        if (state === "open") logger.warn(EV.SYSTEM, message);
+        else logger.info(EV.SYSTEM, message);
+        agentBus.push(ET.LLM_BREAKER, "system", message, { provider: this.provider, role, from: prev, ...this.snapshot() });
+    }
+
+    // 调用前检查：返回 false 表示熔断中，应直接拒绝
+    allow(role) {
+        if (this.state === "closed") return true;
+        if (this.state === "open" && Date.now() - this.openedAt >= COOLDOWN_MS) {
+            this._transition("half_open", role);
+        }
+        if (this.state === "half_open" && !this.trial) {
+            this.trial = true;
+            return true;
+        }
+        return false;
+    }
+
+    success(role) {
+        this.failures = 0;
+        this.trial    = false;
+        this.lastRole = role;
+        this._transition("closed", role);
+    }
+
+    failure(role, err) {
+        this.failures++;
+        this.trial     = false;
+        this.lastError = String(err?.message ?? err).slice(0, 200);
+        this.lastRole  = role;
+        if (this.state === "half_open" || this.failures >= FAIL_THRESHOLD) {
+            this.openedAt = Date.now();
+            this._transition("open", role);
+        }
+    }
+
+    snapshot() {
+        return {
+            state:     this.state,
+            failures:  this.failures,
+            openedAt:  this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt:   this.state === "open" ? new Date(this.openedAt + COOLDOWN_MS).toISOString() : null,
+            lastError: this.lastError,
+            lastRole:  this.lastRole,
+        };
+    }
+}
+
+const breakers = new Map();   // provider → CircuitBreaker
+
+export function getBreaker(provider) {
+    if (!breakers.has(provider)) breakers.set(provider, new CircuitBreaker(provider));
+    return breakers.get(provider);
+}
+
+// 全部供应方的熔断状态（自我画像 / 状态接口使用）
+export function breakerSnapshot() {
+    const providers = Object.fromEntries([...breakers].map(([name, b]) => [name, b.snapshot()]));
+    const degraded  = Object.entries(providers)
+        .filter(([, s]) => s.state !== "closed")
+        .map(([name, s]) => ({ provider: name, role: s.lastRole, state: s.state, retryAt: s.retryAt }));
+    return { providers, degraded };
+}
+
+/**
+ * 韧性调用
+ * @param {(signal: AbortSignal) => Promise<any>} fn  实际调用，需把 signal 传给底层请求
+ * @param {{ provider: string, role: string, signal?: AbortSignal, timeoutMs?: number }} opts
+ */
+export async function callResilient(fn, { provider, role, signal, timeoutMs = TIMEOUT_MS }) {
+    const breaker = getBreaker(provider);
+    let lastErr   = null;
+
+    for (let attempt = 0; attempt <= RETRIES; attempt++) {
+        if (!breaker.allow(role)) {
+            throw degradedError(`${role} 模型降级：供应方 ${provider} 熔断中（${breaker.lastError ?? "连续失败"}）`, {
+                provider, role, cause: lastErr,
+            });
+        }
+
+        const timer    = AbortSignal.timeout(timeoutMs);
+        const combined = signal ? AbortSignal.any([signal, timer]) : timer;
+        try {
+            const out = await fn(combined);
+            breaker.success(role);
+            return out;
+        } catch (e) {
+            if (signal?.aborted) throw e;
+            if (timer.aborted) {
+                e.timedOut = true;
+                e.message  = `请求超时（${timeoutMs}ms）：${e.message}`;
+            }
+            if (!isRetryable(e)) {
+                breaker.trial = false;
+                throw e;
+            }
+            lastErr = e;
+            breaker.failure(role, e);
+            if (attempt < RETRIES && breaker.state !== "open") {
+                const wait = backoff(attempt);
+                logger.warn(EV.SYSTEM, `${role} 调用 ${provider} 失败（${e.message}），${wait}ms 后第 ${attempt + 1} 次重试`);
+                await sleep(wait, signal);
+            }
+        }
+    }
+
+    throw degradedError(`${role} 模型降级：供应方 ${provider} 重试 ${RETRIES} 次仍失败（${lastErr?.message}）`, {
+        provider, role, cause: lastErr,
+    });
+}
+
+// ── 对话模型包装：供应链中的每一环各包一层 ─────────────────
+export class ResilientChatModel extends BaseChatModel {
+    constructor({ inner, provider, model, role, timeoutMs, ...rest }) {
+        super(rest);
+        this.inner     = inner;
+        this.provider  = provider;
+        this.model     = model;
+        this.role      = role;
+        this.timeoutMs = timeoutMs ?? TIMEOUT_MS;
+    }
+
+    _llmType() {
+        return "resilient";
+    }
+
+    bindTools(tools, kwargs = {}) {
+        return this.withConfig({ tools, ...kwargs });
+    }
+
+    _bound(options) {
+        return options?.tools?.length ? this.inner.bindTools(options.tools) : this.inner;
+    }
+
+    _opts(options) {
+        return { provider: this.provider, role: this.role, signal: options?.signal, timeoutMs: this.timeoutMs };
+    }
+
+    async _generate(messages, options) {
+        const message = await callResilient(
+            (signal) => this._bound(options).invoke(messages, { signal }),
+            this._opts(options)
+        );
+        usageTracker.record({ provider: this.provider, model: this.model, role: this.role, usage: message.usage_metadata });
+        return { generations: [{ text: typeof message.content === "string" ? message.content : "", message }] };
+    }
+
+    // 流式：超时与重试只覆盖到首个分片产出为止，之后的中断原样抛出
+    async *_streamResponseChunks(messages, options, runManager) {
+        const { stream, first, release } = await callResilient(async (signal) => {
+            // 底层请求使用独立 controller：用户取消始终转发，超时只在首个分片之前生效
+            const ctl     = new AbortController();
+            const abort   = () => ctl.abort(signal.reason);
+            const cancel  = () => ctl.abort(options.signal.reason);
+            const release = () => options?.signal?.removeEventListener("abort", cancel);
+            options?.signal?.addEventListener("abort", cancel, { once: true });
+            signal.addEventListener("abort", abort, { once: true });
+            let ok = false;
+            try {
+                const it   = (await this._bound(options).stream(messages, { signal: ctl.signal }))[Symbol.asyncIterator]();
+                const head = await it.next();
+                ok = true;
+                return { stream: it, first: head, release };
+            } finally {
+                signal.removeEventListener("abort", abort);
+                if (!ok) release();   // 失败的这次尝试不再需要转发取消；成功的保留到流读完
+            }
+        }, this._opts(options));
+
+        let usage = null;
+        try {
+            for (let step = first; !step.done; step = await stream.next()) {
+                const piece = step.value;
+                if (piece.usage_metadata) usage = piece.usage_metadata;   // OpenAI 在末片附带整次用量
+                const text  = typeof piece.content === "string" ? piece.content : "";
+                const chunk = new ChatGenerationChunk({ text, message: piece });
+                yield chunk;
+                if (text) await runManager?.handleLLMNewToken(text, undefined, undefined, undefined, undefined, { chunk });
+            }
+        } finally {
+            release();
+        }
+        usageTracker.record({ provider: this.provider, model: this.model, role: this.role, usage });
+    }
+}
+
+// ── 嵌入模型包装 ────────────────────────────────────────────
+export class ResilientEmbeddings extends Embeddings {
+    constructor({ inner, provider, embedderId, timeoutMs }) {
+        super({});
+        this.inner      = inner;
+        this.provider   = provider;
+        this.embedderId = embedderId;
+        this.timeoutMs  = timeoutMs ?? TIMEOUT_MS;
+    }
+
+    // OpenAIEmbeddings 不接收 signal：超时到点即放弃等待，底层请求自然结束
+    _call(fn) {
+        return callResilient(
+            (signal) => Promise.race([
+                fn(),
+                new Promise((_, reject) => signal.addEventListener(
+                    "abort", () => reject(signal.reason ?? new Error("aborted")), { once: true }
+                )),
+            ]),
+            { provider: this.provider, role: "embedding", timeoutMs: this.timeoutMs }
+        );
+    }
+
+    embedQuery(text) {
+        return this._call(() => this.inner.embedQuery(text));
+    }
+
+    embedDocuments(texts) {
+        return this._call(() => this.inner.embedDocuments(texts));
+    }
+}
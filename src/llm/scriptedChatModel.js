@@ -0,0 +1,179 @@
+// src/llm/scriptedChatModel.js
+// 【土-镜像】：离线脚本模型 —— 按角色 / 提示词模式回放预置响应
+//
+// 用途：无网络环境下确定性地跑通整张五行图、团队模式与梦境折叠。
+//
+// 脚本文件（默认 fixtures/scripted.json）：
+//   {
+//     "rules": [
+//       {
+//         "role":     "sensing",            // 匹配模型角色或 tag（"*" 为任意）
+//         "system":   "情绪与语境",          // 可选：正则，匹配系统提示
+//         "prompt":   "写一个",              // 可选：正则，匹配最后一条非系统消息
+//         "afterTool": false,               // 可选：true 仅在最后一条为 ToolMessage 时命中
+//         "content":  "...",                // 回复文本，{{input}} 替换为最后一条用户输入
+//         "tool_calls": [{ "name": "write_file", "args": { ... } }],
+//         "sequence": [ { "content": "..." }, ... ]   // 可选：多次命中依次返回，末项重复
+//       }
+//     ],
+//     "default": { "content": "..." }        // 全部未命中时的兜底
+//   }
+//
+// 规则按顺序匹配，首条命中即返回；命中计数在进程内共享，
+// 因此跨模块的调用顺序（感知 → 推理 → 反思）也是确定的。
+//
+// 用量按约 4 字符 / token 估算并记账，便于离线验证用量统计链路。
+//
+import { readFileSync, existsSync } from "fs";
+import { resolve } from "path";
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { usageTracker } from "../engine/usageTracker.js";
+
+// 脚本缓存：fixtureFile → { rules, default, hits[] }
+const scripts = new Map();
+
+export function loadScript(fixtureFile) {
+    const file = resolve(process.cwd(), fixtureFile);
+    if (scripts.has(file)) return scripts.get(file);
+
+    if (!existsSync(file)) {
+        throw new Error(`脚本模型 fixture 不存在：${file}`);
+    }
+    const raw    = JSON.parse(readFileSync(file, "utf-8"));
+    const script = {
+        file,
+        rules:    (raw.rules ?? []).map((r) => ({
+            ...r,
+            _system: r.system ? new RegExp(r.system, "i") : null,
+            _prompt: r.prompt ? new RegExp(r.prompt, "i") : null,
+        })),
+        fallback: raw.default ?? null,
+        hits:     new Array(raw.rules?.length ?? 0).fill(0),
+    };
+    scripts.set(file, script);
+    return script;
+}
+
+// 重置命中计数（同一进程内重复跑同一段脚本时使用）
+export function resetScripts() {
+    for (const s of scripts.values()) s.hits.fill(0);
+}
+
+function textOf(message) {
+    const c = message?.content;
+    if (typeof c === "string") return c;
+    if (Array.isArray(c)) return c.map((p) => (typeof p === "string" ? p : p?.text ?? "")).join("");
+    return "";
+}
+
+function typeOf(message) {
+    return message?._getType?.() ?? message?.getType?.() ?? "";
+}
+
+let callSeq = 0;
+
+function estimateTokens(text) {
+    return Math.ceil(String(text ?? "").length / 4);
+}
+
+function estimateUsage(messages, message) {
+    const input  = estimateTokens(messages.map(textOf).join(""));
+    const output = estimateTokens(message.content) + estimateTokens(JSON.stringify(message.tool_calls ?? []));
+    return { input_tokens: input, output_tokens: output, total_tokens: input + output };
+}
+
+export class ScriptedChatModel extends BaseChatModel {
+    constructor({ role = "reasoning", tag = null, fixtureFile = "fixtures/scripted.json", ...rest } = {}) {
+        super(rest);
+        this.role        = role;
+        this.tag         = tag;
+        this.fixtureFile = fixtureFile;
+    }
+
+    _llmType() {
+        return "scripted";
+    }
+
+    // 工具绑定只影响请求参数，脚本回放不依赖工具定义
+    bindTools(tools, kwargs = {}) {
+        return this.withConfig({ tools, ...kwargs });
+    }
+
+    _pick(messages) {
+        const script  = loadScript(this.fixtureFile);
+        const system  = messages.filter((m) => typeOf(m) === "system").map(textOf).join("\n");
+        const convo   = messages.filter((m) => typeOf(m) !== "system");
+        const last    = convo[convo.length - 1];
+        const prompt  = textOf(last);
+        const isTool  = typeOf(last) === "tool";
+        const input   = textOf([...convo].reverse().find((m) => typeOf(m) === "human"));
+
+        for (let i = 0; i < script.rules.length; i++) {
+            const r = script.rules[i];
+            if (r.role && r.role !== "*" && r.role !== this.role && r.role !== this.tag) continue;
+            if (r._system && !r._system.test(system)) continue;
+            if (r._prompt && !r._prompt.test(prompt)) continue;
+            if (typeof r.afterTool === "boolean" && r.afterTool !== isTool) continue;
+
+            const n    = script.hits[i]++;
+            const step = r.sequence?.length ? r.sequence[Math.min(n, r.sequence.length - 1)] : r;
+            return { step, input };
+        }
+
+        if (script.fallback) return { step: script.fallback, input };
+        throw new Error(
+            `脚本模型无匹配规则 [role=${this.role}${this.tag ? `/${this.tag}` : ""}]：${prompt.slice(0, 80)}`
+        );
+    }
+
+    _buildMessage({ step, input }) {
+        const content = String(step.content ?? "").replaceAll("{{input}}", input);
+        const tool_calls = (step.tool_calls ?? []).map((c) => ({
+            id:   c.id ?? `call_scripted_${++callSeq}`,
+            name: c.name,
+            args: c.args ?? {},
+            type: "tool_call",
+        }));
+        return new AIMessage({ content, tool_calls });
+    }
+
+    _record(usage) {
+        usageTracker.record({ provider: "scripted", model: "scripted", role: this.tag ?? this.role, usage });
+    }
+
+    async _generate(messages) {
+        const message = this._buildMessage(this._pick(messages));
+        message.usage_metadata = estimateUsage(messages, message);
+        this._record(message.usage_metadata);
+        return { generations: [{ text: message.content, message }] };
+    }
+
+    // 流式：按字切分文本，最后一片携带 tool_call_chunks 与 usage_metadata（与 ChatOpenAI 的分片形态一致）
+    async *_streamResponseChunks(messages, options, runManager) {
+        const message = this._buildMessage(this._pick(messages));
+        const usage   = estimateUsage(messages, message);
+        const text    = message.content;
+        const size    = 8;
+        for (let i = 0; i < text.length; i += size) {
+            if (options?.signal?.aborted) return;
+            const piece = text.slice(i, i + size);
+            const chunk = new ChatGenerationChunk({ text: piece, message: new AIMessageChunk({ content: piece }) });
+            yield chunk;
+            await runManager?.handleLLMNewToken(piece, undefined, undefined, undefined, undefined, { chunk });
+        }
+        // 末片：工具调用分片 + 整次用量
+        yield new ChatGenerationChunk({
+            text: "",
+            message: new AIMessageChunk({
+                content: "",
+                usage_metadata: usage,
+                tool_call_chunks: message.tool_calls.map((c, index) => ({
+                    id: c.id, name: c.name, args: JSON.stringify(c.args), index, type: "tool_call_chunk",
+                })),
+            }),
+        });
+        this._record(usage);
+    }
+}
@@ -0,0 +1,216 @@
+// src/memory/annIndex.js
+// 【木-根系】：近似最近邻索引（HNSW）—— 经验库召回不再逐条线性扫描
+//
+// 分层可导航小世界图（Hierarchical Navigable Small World）：
+//   · 每个节点随机分配层数（指数分布），高层稀疏、低层稠密
+//   · 查询从最高层入口贪心下降，第 0 层以 efSearch 宽度做束搜索
+//   · 插入时按启发式挑选邻居（保留"方向多样"的近邻），超出上限时裁剪
+//
+// 相似度：余弦。向量入库前归一化，距离 = 1 − 点积。
+// 节点 id 即 WisdomMemory.vectors 的下标；replaceAll 后下标整体变化，需整体重建。
+//
+// 持久化（data/wisdom.ann.json）：只存图结构（层数 / 邻接表 / 入口），不重复存向量；
+// 载入时以 fingerprint（嵌入器 id + 全部条目内容哈希 + 维度）校验，与当前向量不一致则丢弃重建。
+//
+
+// 归一化拷贝（Float32Array 省内存，点积更快）
+function normalize(vec) {
+    const out = Float32Array.from(vec);
+    let norm = 0;
+    for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) for (let i = 0; i < out.length; i++) out[i] /= norm;
+    return out;
+}
+
+function dot(a, b) {
+    let s = 0;
+    for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+    return s;
+}
+
+// 有序插入（按 dist 升序），保持数组有序
+function insertSorted(arr, item) {
+    let lo = 0, hi = arr.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (arr[mid].dist < item.dist) lo = mid + 1;
+        else hi = mid;
+    }
+    arr.splice(lo, 0, item);
+}
+
+export class HnswIndex {
+    /**
+     * @param {{ M?: number, efConstruction?: number, efSearch?: number }} [opts]
+     *   M              每层邻居上限（第 0 层为 2M）
+     *   efConstruction 插入时的候选宽度（越大图质量越高、构建越慢）
+     *   efSearch       查询时的候选宽度（越大召回越准、查询越慢）
+     */
+    constructor({ M = 16, efConstruction = 100, efSearch = 64 } = {}) {
+        this.M              = M;
+        this.M0             = M * 2;
+        this.efConstruction = efConstruction;
+        this.efSearch       = efSearch;
+        this.mL             = 1 / Math.log(M);
+        this.clear();
+    }
+
+    clear() {
+        this.vecs     = [];    // id → Float32Array（已归一化）
+        this.links    = [];    // id → [level] → id[]
+        this.entry    = -1;
+        this.maxLevel = -1;
+    }
+
+    get size() {
+        return this.vecs.length;
+    }
+
+    _dist(a, id) {
+        return 1 - dot(a, this.vecs[id]);
+    }
+
+    _randomLevel() {
+        return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.mL);
+    }
+
+    // 单层束搜索：返回按距离升序的至多 ef 个 { id, dist }
+    _searchLayer(q, entries, ef, level) {
+        const visited    = new Set(entries.map((e) => e.id));
+        const candidates = [...entries].sort((a, b) => a.dist - b.dist);
+        const results    = [...candidates];
+
+        while (candidates.length > 0) {
+            const c = candidates.shift();
+            if (results.length >= ef && c.dist > results[results.length - 1].dist) break;
+
+            for (const n of this.links[c.id][level] ?? []) {
+                if (visited.has(n)) continue;
+                visited.add(n);
+                const d = this._dist(q, n);
+                if (results.length < ef || d < results[results.length - 1].dist) {
+                    insertSorted(candidates, { id: n, dist: d });
+                    insertSorted(results, { id: n, dist: d });
+                    if (results.length > ef) results.pop();
+                }
+            }
+        }
+        return results;
+    }
+
+    // 启发式选邻：候选按距离升序，仅保留"离自己比离已选邻居更近"的点，不足再按距离补齐
+    _selectNeighbors(candidates, m) {
+        const picked = [];
+        const pruned = [];
+        for (const c of candidates) {
+            if (picked.length >= m) break;
+            const diverse = picked.every((p) => 1 - dot(this.vecs[c.id], this.vecs[p.id]) > c.dist);
+            (diverse ? picked : pruned).push(c);
+        }
+        for (const c of pruned) {
+            if (picked.length >= m) break;
+            picked.push(c);
+        }
+        return picked;
+    }
+
+    _shrink(id, level) {
+        const max = level === 0 ? this.M0 : this.M;
+        const own = this.links[id][level];
+        if (own.length <= max) return;
+        const cands = own
+            .map((n) => ({ id: n, dist: this._dist(this.vecs[id], n) }))
+            .sort((a, b) => a.dist - b.dist);
+        this.links[id][level] = this._selectNeighbors(cands, max).map((c) => c.id);
+    }
+
+    /**
+     * 插入向量，返回节点 id（= 插入顺序）
+     * @param {number[]} vector
+     */
+    add(vector) {
+        const id    = this.vecs.length;
+        const q     = normalize(vector);
+        const level = this._randomLevel();
+        this.vecs.push(q);
+        this.links.push(Array.from({ length: level + 1 }, () => []));
+
+        if (this.entry < 0) {
+            this.entry    = id;
+            this.maxLevel = level;
+            return id;
+        }
+
+        let eps = [{ id: this.entry, dist: this._dist(q, this.entry) }];
+        for (let lc = this.maxLevel; lc > level; lc--) {
+            eps = this._searchLayer(q, eps, 1, lc).slice(0, 1);
+        }
+        for (let lc = Math.min(level, this.maxLevel); lc >= 0; lc--) {
+            const found     = this._searchLayer(q, eps, this.efConstruction, lc);
+            const neighbors = this._selectNeighbors(found, this.M);
+            this.links[id][lc] = neighbors.map((n) => n.id);
+            for (const n of neighbors) {
+                this.links[n.id][lc].push(id);
+                this._shrink(n.id, lc);
+            }
+            eps = found;
+        }
+
+        if (level > this.maxLevel) {
+            this.entry    = id;
+            this.maxLevel = level;
+        }
+        return id;
+    }
+
+    /**
+     * 近似 Top-K
+     * @param {number[]} query
+     * @param {number} k
+     * @param {number} [ef]  默认 max(efSearch, k)
+     * @returns {Array<{ id: number, similarity: number }>}  按相似度降序
+     */
+    search(query, k, ef = Math.max(this.efSearch, k)) {
+        if (this.entry < 0) return [];
+        const q = normalize(query);
+
+        let eps = [{ id: this.entry, dist: this._dist(q, this.entry) }];
+        for (let lc = this.maxLevel; lc > 0; lc--) {
+            eps = this._searchLayer(q, eps, 1, lc).slice(0, 1);
+        }
+        return this._searchLayer(q, eps, ef, 0)
+            .slice(0, k)
+            .map((r) => ({ id: r.id, similarity: 1 - r.dist }));
+    }
+
+    // ── 持久化 ──────────────────────────────────────────────
+
+    toJSON(fingerprint) {
+        return {
+            version:        1,
+            fingerprint,
+            count:          this.size,
+            M:              this.M,
+            efConstruction: this.efConstruction,
+            entry:          this.entry,
+            maxLevel:       this.maxLevel,
+            links:          this.links,
+        };
+    }
+
+    /**
+     * 从持久化数据恢复图结构；参数或规模不匹配返回 false（调用方应重建）
+     * @param {object} data     toJSON() 的输出
+     * @param {number[][]} vectors  与图节点一一对应的原始向量
+     */
+    load(data, vectors) {
+        if (data?.version !== 1 || data.count !== vectors.length || data.M !== this.M) return false;
+        if (!Array.isArray(data.links) || data.links.length !== vectors.length) return false;
+        this.vecs     = vectors.map(normalize);
+        this.links    = data.links;
+        this.entry    = data.entry;
+        this.maxLevel = data.maxLevel;
+        return true;
+    }
+}
@@ -0,0 +1,206 @@
+// src/memory/conflictDetector.js
+// 【金-辨】：准则冲突检测 —— 新准则入库时与近邻逐对比对，记录矛盾边
+//
+// 熵减修剪只在一次性提示里"删除相互矛盾的条目"，冲突不会被追踪。
+// 这里在 memorize() 写入后：
+//   1. 取新准则任务向量的近邻（余弦 ≥ minSimilarity，最多 neighbors 条，排除自身）；
+//      两条都是结构化准则且前置条件互斥（文件类型 / 工具无交集，见 ruleSchema.disjointWhen）的不比对
+//   2. 一次调用让模型把每一对判为 agrees（一致）/ refines（细化）/ contradicts（矛盾），结构化准则附上触发条件
+//   3. contradicts 记为冲突边，落盘 data/memory_conflicts.json
+//
+// 冲突边：{ id, namespace, a, b, relation: "contradicts", reason, detectedAt, status, resolution?, note?, resolvedAt? }
+//   namespace —— 两端准则所在的库（null 为全局库）；只和同库近邻比对，列表与召回提示都按库区分
+//   status    —— open（待裁决）| resolved（人工已裁决）| obsolete（一端准则已不存在）
+//   命名空间出现之前记录的冲突边没有 namespace 字段：当时只有全局库，读取时补为 null，下次写回时落盘
+//
+// 召回时（VectorMemory.buildContext）两端同时入选的 open 冲突会提示给推理节点；
+// /api/v1/memory/conflicts 列出待裁决的冲突供人工处理
+// 写入均为文件锁内的读-改-写（见 src/storage/safeFile.js），多个进程同时记录不会互相覆盖
+//
+import { existsSync } from "fs";
+import { resolve } from "path";
+import { SystemMessage, HumanMessage } from "@langchain/core/messages";
+import { createChatModel } from "../llm/modelFactory.js";
+import { logger, EV } from "../utils/logger.js";
+import { readJsonSafe, updateJson } from "../storage/safeFile.js";
+import { disjointWhen, describeWhen } from "./ruleSchema.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const C_CFG     = cfg.memory?.conflicts ?? {};
+const RELATIONS = ["agrees", "refines", "contradicts"];
+export const RESOLUTIONS = ["keep_a", "keep_b", "keep_both", "dismiss"];
+
+// 早于命名空间的冲突边补 namespace = null（当时只有全局库）
+const withNamespace = (e) => (e.namespace === undefined ? { ...e, namespace: null } : e);
+const scopedKey     = (namespace, id) => `${namespace ?? ""}:${id}`;
+
+const CLASSIFY_PROMPT = `你是因果准则的一致性审查员。给定一条新准则和若干条已有准则，
+逐条判断新准则与已有准则的关系：
+- agrees：说的是同一件事，或互不冲突
+- refines：一条是另一条在更具体场景下的细化或补充
+- contradicts：在同一场景下给出相反或不可同时遵循的指导
+
+只输出 JSON：{"pairs":[{"index":1,"relation":"agrees|refines|contradicts","reason":"一句话理由"}]}
+index 为已有准则前的编号，每条已有准则都要给出判断，不要解释。`;
+
+class ConflictDetector {
+    constructor(file = resolve(process.cwd(), C_CFG.file ?? "data/memory_conflicts.json")) {
+        this.file  = file;
+        this.model = null;
+    }
+
+    _load() {
+        const edges = readJsonSafe(this.file, []);
+        return Array.isArray(edges) ? edges.map(withNamespace) : [];
+    }
+
+    // 加锁读-改-写：fn 原地修改 edges，返回值透传
+    _update(fn) {
+        let out;
+        updateJson(this.file, [], (raw) => {
+            const edges = Array.isArray(raw) ? raw.map(withNamespace) : [];
+            out = fn(edges);
+            return edges;
+        });
+        return out;
+    }
+
+    /**
+     * 新准则入库后检测与近邻的冲突
+     * @param {import("../engine/vectorStore.js").WisdomMemory} wisdomMemory
+     * @param {string} id          新准则 id
+     * @param {number[]} embedding 新准则任务向量
+     * @returns {Promise<object[]>} 新增的冲突边
+     */
+    async check(wisdomMemory, id, embedding) {
+        if (C_CFG.enabled === false) return [];
+        const doc = wisdomMemory.getById(id);
+        if (!doc) return [];
+
+        const neighbors = wisdomMemory.nearest(embedding, { minSimilarity: C_CFG.minSimilarity ?? 0.55 })
+            .map(({ idx }) => wisdomMemory.rawDocs[idx])
+            .filter((d) => d && d.id !== id && !disjointWhen(doc.structured, d.structured))
+            .slice(0, C_CFG.neighbors ?? 5);
+        if (neighbors.length === 0) return [];
+
+        let pairs;
+        try {
+            this.model ??= createChatModel(C_CFG.role ?? "reasoning", { tag: "conflict", temperature: 0 });
+            const when = (d) => (describeWhen(d.structured) ? `\n   条件：${describeWhen(d.structured)}` : "");
+            const list = neighbors.map((d, i) => `${i + 1}. 场景：${d.task}\n   准则：${d.result}${when(d)}`).join("\n");
+            const res  = await this.model.invoke([
+                new SystemMessage(CLASSIFY_PROMPT),
+                new HumanMessage(`新准则：\n   场景：${doc.task}\n   准则：${doc.result}${when(doc)}\n\n已有准则：\n${list}`),
+            ]);
+            pairs = JSON.parse(String(res.content).match(/\{[\s\S]*\}/)?.[0] ?? "{}").pairs;
+        } catch (e) {
+            logger.warn(EV.WOOD, `冲突检测失败，本条跳过：${e.message}`);
+            return [];
+        }
+        if (!Array.isArray(pairs)) return [];
+
+        const count = { agrees: 0, refines: 0, contradicts: 0 };
+        const found = [];
+        for (const p of pairs) {
+            const other = neighbors[Number(p.index) - 1];
+            if (!other || !RELATIONS.includes(p.relation)) continue;
+            count[p.relation]++;
+            if (p.relation === "contradicts") found.push({ other, reason: String(p.reason ?? "") });
+        }
+
+        const added = found.length === 0 ? [] : this._update((edges) => {
+            const fresh = [];
+            for (const { other, reason } of found) {
+                if (edges.some((e) => e.status === "open" && ((e.a === other.id && e.b === id) || (e.a === id && e.b === other.id)))) continue;
+                const edge = {
+                    id:         `conf_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+                    namespace:  wisdomMemory.namespace ?? null,
+                    a:          other.id,
+                    b:          id,
+                    relation:   "contradicts",
+                    reason,
+                    detectedAt: new Date().toISOString(),
+                    status:     "open",
+                };
+                edges.push(edge);
+                fresh.push(edge);
+            }
+            return fresh;
+        });
+
+        if (added.length > 0) {
+            logger.warn(EV.WOOD,
+                `新准则与 ${added.length} 条已有准则矛盾，已记录待裁决：${doc.result.slice(0, 40)}`
+            );
+        } else {
+            logger.info(EV.WOOD, `冲突检测：一致 ${count.agrees} / 细化 ${count.refines} / 矛盾 0`);
+        }
+        return added;
+    }
+
+    /**
+     * 两端都在召回结果内、且同属一个库的待裁决冲突（召回上下文提示用）
+     * @param {Array<{ id: string, namespace?: string|null }>} hits
+     */
+    openAmong(hits) {
+        const keys = new Set(hits.filter((h) => h?.id).map((h) => scopedKey(h.namespace, h.id)));
+        if (keys.size < 2) return [];
+        return this._load().filter((e) =>
+            e.status === "open" && keys.has(scopedKey(e.namespace, e.a)) && keys.has(scopedKey(e.namespace, e.b))
+        );
+    }
+
+    /**
+     * namespace 库的冲突列表；一端已不存在的 open 冲突顺带标记为 obsolete（其他库的冲突不受影响）
+     * @param {{ namespace?: string|null, status?: string, liveIds?: Set<string> }} [opts]
+     */
+    list({ namespace = null, status, liveIds } = {}) {
+        const stale = (e) => e.status === "open" && e.namespace === namespace
+            && (!liveIds.has(e.a) || !liveIds.has(e.b));
+        let edges = this._load();
+        if (liveIds && edges.some(stale)) {
+            edges = this._update((current) => {
+                for (const e of current) {
+                    if (stale(e)) e.status = "obsolete";
+                }
+                return current;
+            });
+        }
+        return status ? edges.filter((e) => e.status === status) : edges;
+    }
+
+    get(id) {
+        return this._load().find((e) => e.id === id) ?? null;
+    }
+
+    /**
+     * 记录人工裁决（删除落选准则由调用方负责）
+     * @param {string} id
+     * @param {{ resolution: string, note?: string }} decision
+     * @returns {object|null} 更新后的冲突边；不存在返回 null
+     */
+    resolve(id, { resolution, note = "" }) {
+        if (!RESOLUTIONS.includes(resolution)) {
+            const err = new Error(`resolution 必须是 ${RESOLUTIONS.join(" / ")} 之一`);
+            err.invalid = true;
+            throw err;
+        }
+        return this._update((edges) => {
+            const edge = edges.find((e) => e.id === id);
+            if (!edge) return null;
+            if (edge.status !== "open") {
+                const err = new Error(`冲突已是 ${edge.status} 状态`);
+                err.invalid = true;
+                throw err;
+            }
+            Object.assign(edge, { status: "resolved", resolution, note: String(note), resolvedAt: new Date().toISOString() });
+            return edge;
+        });
+    }
+
+    clear() {
+        if (existsSync(this.file)) this._update((edges) => { edges.length = 0; });
+    }
+}
+
+export const conflictDetector = new ConflictDetector();
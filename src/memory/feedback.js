@@ -0,0 +1,152 @@
+// src/memory/feedback.js
+// 【金-纳谏】：用户反馈回路 —— 按回答的 requestId 调整本轮召回 / 固化准则的置信度
+//
+// 运行中记录每一轮（turn）涉及的准则：
+//   recalled —— via: intuition（直觉快通道直接作答）| hint（直觉命中但透传推理）| context（推理上下文召回）
+//   written  —— 反思节点固化的新准则
+//
+// 反馈（REPL :good / :bad，Web 👍 / 👎，POST /api/v1/feedback）：
+//   good → 涉及准则置信度 + goodDelta；bad → − badDelta（core 层只计数，不调整置信度）
+//   直觉直答的准则另记 intuition.correct / incorrect；bad 时标记 directAnswer = false，
+//   此后该准则只作为策略提示注入推理层，不再直接作答
+//   每个 requestId 只接受一次反馈（重复提交抛出带 invalid 标记的错误）
+//
+// 落盘：data/feedback.json → { turns: [{ requestId, at, recalled[], written[], feedback }] }，保留最近 maxTurns 轮
+// 读-改-写在文件锁内完成（REPL 与 Web 可能同时记录）；反馈先占位再调整，同一回答不会被两个进程各评一次
+//
+import { existsSync } from "fs";
+import { resolve } from "path";
+import { readJsonSafe, updateJson } from "../storage/safeFile.js";
+import { logger, EV } from "../utils/logger.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const FB_CFG    = cfg.memory?.feedback ?? {};
+const MAX_TURNS = FB_CFG.maxTurns ?? 300;
+export const RATINGS = ["good", "bad"];
+
+class FeedbackLedger {
+    constructor(file = resolve(process.cwd(), FB_CFG.file ?? "data/feedback.json")) {
+        this.file = file;
+    }
+
+    _load() {
+        const data = readJsonSafe(this.file, null);
+        return Array.isArray(data?.turns) ? data : { turns: [] };
+    }
+
+    // 加锁读-改-写：fn 原地修改 data
+    _update(fn) {
+        updateJson(this.file, { turns: [] }, (raw) => {
+            const data = Array.isArray(raw?.turns) ? raw : { turns: [] };
+            fn(data);
+            if (data.turns.length > MAX_TURNS) data.turns = data.turns.slice(-MAX_TURNS);
+            return data;
+        });
+    }
+
+    // 取出（不存在则新建）某轮记录；在 _update 内调用
+    _turn(data, requestId) {
+        let turn = data.turns.find((t) => t.requestId === requestId);
+        if (!turn) {
+            turn = { requestId, at: new Date().toISOString(), recalled: [], written: [], feedback: null };
+            data.turns.push(turn);
+        }
+        return turn;
+    }
+
+    /**
+     * 记录本轮召回的准则（同一准则多次召回只记一次，intuition 优先于其他来源）
+     * @param {string|null} requestId
+     * @param {Array<{ id: string, namespace?: string|null }>} hits
+     * @param {"intuition"|"hint"|"context"} via
+     */
+    recordRecall(requestId, hits, via) {
+        if (!requestId || hits.length === 0) return;
+        this._update((data) => {
+            const turn = this._turn(data, requestId);
+            for (const h of hits) {
+                if (!h?.id) continue;
+                const seen = turn.recalled.find((r) => r.id === h.id);
+                if (seen) {
+                    if (via === "intuition") seen.via = via;
+                    continue;
+                }
+                turn.recalled.push({ id: h.id, namespace: h.namespace ?? null, via });
+            }
+        });
+    }
+
+    /** 记录本轮反思固化的新准则 */
+    recordWrite(requestId, id, namespace = null) {
+        if (!requestId || !id) return;
+        this._update((data) => {
+            this._turn(data, requestId).written.push({ id, namespace });
+        });
+    }
+
+    get(requestId) {
+        return this._load().turns.find((t) => t.requestId === requestId) ?? null;
+    }
+
+    /**
+     * 保留轮次内各准则被召回的轮数（短期记忆晋升依据，见 memoryLifecycle.js）
+     * 被评为 bad 的轮次不计
+     * @returns {Map<string, number>}
+     */
+    recallCounts() {
+        const counts = new Map();
+        for (const turn of this._load().turns) {
+            if (turn.feedback?.rating === "bad") continue;
+            for (const r of turn.recalled) counts.set(r.id, (counts.get(r.id) ?? 0) + 1);
+        }
+        return counts;
+    }
+
+    /**
+     * 对一轮回答给出反馈并调整涉及准则
+     * @param {string} requestId
+     * @param {"good"|"bad"} rating
+     * @param {{ namespaces: import("./namespaces.js").NamespaceRegistry, note?: string, source?: string }} opts
+     * @returns {Promise<{ requestId, rating, adjusted: object[], missing: string[] }>}
+     */
+    async apply(requestId, rating, { namespaces, note = "", source = "api" }) {
+        const fail = (msg) => { throw Object.assign(new Error(msg), { invalid: true }); };
+        if (!requestId) fail("requestId 不能为空");
+        if (!RATINGS.includes(rating)) fail(`rating 须为 ${RATINGS.join(" | ")}`);
+
+        // 先在锁内占位：并发的第二次提交在此处被拒绝
+        let turn;
+        this._update((data) => {
+            turn = this._turn(data, requestId);
+            if (turn.feedback) fail(`该回答已评价为 ${turn.feedback.rating}`);
+            turn.feedback = { rating, note: String(note).slice(0, 500), source, at: new Date().toISOString() };
+        });
+
+        const delta    = rating === "good" ? (FB_CFG.goodDelta ?? 0.05) : -(FB_CFG.badDelta ?? 0.15);
+        const targets  = [
+            ...turn.recalled.map((r) => ({ ...r, intuition: r.via === "intuition" })),
+            ...turn.written.map((w) => ({ ...w, intuition: false })),
+        ];
+        const adjusted = [];
+        const missing  = [];
+        for (const t of targets) {
+            const mem = await namespaces.get(t.namespace);
+            const r   = await mem.applyFeedback(t.id, { rating, delta, intuition: t.intuition });
+            if (r) adjusted.push({ ...r, namespace: t.namespace, via: t.via ?? "written" });
+            else missing.push(t.id);
+        }
+
+        const blocked = adjusted.filter((a) => a.blocked).length;
+        logger.info(EV.METAL,
+            `用户反馈 ${rating === "good" ? "👍" : "👎"}（${requestId}）：调整 ${adjusted.length} 条准则` +
+            (blocked ? `，${blocked} 条不再直接作答` : "")
+        );
+        return { requestId, rating, adjusted, missing };
+    }
+
+    clear() {
+        if (existsSync(this.file)) this._update((data) => { data.turns = []; });
+    }
+}
+
+export const feedbackLedger = new FeedbackLedger();
@@ -0,0 +1,249 @@
+// src/memory/hybridRetriever.js
+// 【木-交织】：混合检索 —— BM25 词法倒排 + 向量近邻，融合排序，可选 LLM 重排
+//
+// 纯向量召回对"精确标识符"很迟钝：文件名（wuxing.json）、错误码（ENOENT / E_429）、
+// 函数名等在语义空间里常被淹没。词法侧用 BM25 补上：
+//   · 分词保留完整标识符（含 . _ - / : 的连写），同时拆出各段（pulse.js → pulse、js）
+//   · 中文取二元组（单字片段保留单字），英文停用词剔除
+//
+// 融合（config/wuxing.json → memory.hybrid.fusion）：
+//   rrf      — 倒数排名融合：Σ w / (rrfK + rank)，归一化到 [0, 1]；对两路分数尺度不敏感（默认）
+//   weighted — 加权：w_vec × 余弦 + w_lex × BM25/当次最大 BM25
+//
+// 入选门槛：余弦 ≥ minSimilarity，或词法覆盖率 ≥ minLexicalCoverage
+//   覆盖率 = 文档命中的查询词 IDF 之和 / 语料中出现过的查询词 IDF 之和，
+//   只共享一个常见词（如"处理"）的文档进不来，命中稀有标识符的文档即使余弦很低也能进来。
+//
+// 重排（memory.hybrid.rerank.enabled）：调用方在最终打分后调用 rerank()，
+// 前 topN 条交给模型按相关性重排，失败保持原序。
+//
+import { SystemMessage, HumanMessage } from "@langchain/core/messages";
+import { createChatModel } from "../llm/modelFactory.js";
+import { cosineSimilarity } from "../engine/vectorStore.js";
+import { logger, EV } from "../utils/logger.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const H = cfg.memory?.hybrid ?? {};
+const BM25_K1 = 1.2;
+const BM25_B  = 0.75;
+
+const STOP_WORD = new Set([
+    "a", "an", "the", "is", "are", "was", "were", "be", "to", "of", "in", "on", "for", "and", "or",
+    "with", "it", "this", "that", "as", "at", "by", "from", "how", "what", "please", "help",
+]);
+
+// ── 分词 ────────────────────────────────────────────────────
+export function tokenize(text) {
+    const norm   = String(text ?? "").normalize("NFKC").toLowerCase();
+    const tokens = [];
+
+    for (const id of norm.match(/[a-z0-9_$][a-z0-9_$.\-/:]*[a-z0-9_$]|[a-z0-9_$]/g) ?? []) {
+        if (STOP_WORD.has(id)) continue;
+        tokens.push(id);
+        const parts = id.split(/[._\-/:]+/).filter((p) => p.length >= 2 && p !== id && !STOP_WORD.has(p));
+        tokens.push(...parts);
+    }
+
+    for (const run of norm.match(/[一-鿿]+/g) ?? []) {
+        if (run.length === 1) tokens.push(run);
+        for (let i = 0; i + 2 <= run.length; i++) tokens.push(run.slice(i, i + 2));
+    }
+    return tokens;
+}
+
+// ── BM25 倒排索引 ───────────────────────────────────────────
+export class Bm25Index {
+    constructor() {
+        this.postings = new Map();   // term → Map<docId, tf>
+        this.lengths  = new Map();   // docId → 文档词数
+        this.totalLen = 0;
+    }
+
+    get size() {
+        return this.lengths.size;
+    }
+
+    add(id, text) {
+        const tokens = tokenize(text);
+        this.lengths.set(id, tokens.length);
+        this.totalLen += tokens.length;
+        for (const t of tokens) {
+            if (!this.postings.has(t)) this.postings.set(t, new Map());
+            const p = this.postings.get(t);
+            p.set(id, (p.get(id) ?? 0) + 1);
+        }
+    }
+
+    _idf(term) {
+        const df = this.postings.get(term)?.size ?? 0;
+        return Math.log(1 + (this.size - df + 0.5) / (df + 0.5));
+    }
+
+    /**
+     * @param {string} query
+     * @param {number} [k]
+     * @returns {Array<{ id: any, score: number, coverage: number }>}  按 BM25 降序
+     */
+    search(query, k = Infinity) {
+        if (this.size === 0) return [];
+        const terms  = [...new Set(tokenize(query))].filter((t) => this.postings.has(t));
+        const avgLen = this.totalLen / this.size || 1;
+        const idfSum = terms.reduce((s, t) => s + this._idf(t), 0);
+        const acc    = new Map();   // docId → { score, idf }
+
+        for (const t of terms) {
+            const idf = this._idf(t);
+            for (const [id, tf] of this.postings.get(t)) {
+                const len  = this.lengths.get(id);
+                const part = idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * len / avgLen));
+                const cur  = acc.get(id) ?? { score: 0, idf: 0 };
+                cur.score += part;
+                cur.idf   += idf;
+                acc.set(id, cur);
+            }
+        }
+
+        return [...acc.entries()]
+            .map(([id, { score, idf }]) => ({ id, score, coverage: idfSum ? idf / idfSum : 0 }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+}
+
+// ── 融合 ────────────────────────────────────────────────────
+/**
+ * 融合两路排名
+ * @param {Array<{ id: any, similarity: number }>} vectorHits  按相似度降序
+ * @param {Array<{ id: any, score: number }>}      lexicalHits 按 BM25 降序
+ * @param {{ method?: "rrf"|"weighted", weights?: { vector: number, lexical: number }, rrfK?: number }} [opts]
+ * @returns {Map<any, number>}  id → 融合分（[0, 1]）
+ */
+export function fuseRankings(vectorHits, lexicalHits, {
+    method  = H.fusion ?? "rrf",
+    weights = H.weights ?? { vector: 0.6, lexical: 0.4 },
+    rrfK    = H.rrfK ?? 60,
+} = {}) {
+    const wv  = weights.vector ?? 0.5;
+    const wl  = weights.lexical ?? 0.5;
+    const out = new Map();
+    const add = (id, v) => out.set(id, (out.get(id) ?? 0) + v);
+
+    if (method === "weighted") {
+        const maxLex = lexicalHits[0]?.score || 1;
+        for (const h of vectorHits)  add(h.id, wv * Math.max(0, h.similarity));
+        for (const h of lexicalHits) add(h.id, wl * h.score / maxLex);
+        for (const [id, v] of out) out.set(id, v / (wv + wl));
+        return out;
+    }
+
+    const best = (wv + wl) / (rrfK + 1);
+    vectorHits.forEach((h, i)  => add(h.id, wv / (rrfK + i + 1)));
+    lexicalHits.forEach((h, i) => add(h.id, wl / (rrfK + i + 1)));
+    for (const [id, v] of out) out.set(id, v / best);
+    return out;
+}
+
+// ── LLM 重排 ────────────────────────────────────────────────
+let rerankModel = null;
+
+/**
+ * 让模型按与查询的相关性重排候选（只重排前 topN 条，其余保持原序）
+ * @template T
+ * @param {string} query
+ * @param {T[]} items
+ * @param {(item: T) => string} textOf
+ * @param {{ topN?: number }} [opts]
+ * @returns {Promise<T[]>}
+ */
+export async function rerank(query, items, textOf, { topN = H.rerank?.topN ?? 8 } = {}) {
+    if (items.length < 2) return items;
+    const head = items.slice(0, topN);
+    const tail = items.slice(topN);
+    rerankModel ??= createChatModel(H.rerank?.role ?? "sensing", { tag: "rerank", temperature: 0 });
+
+    try {
+        const list = head.map((it, i) => `[${i}] ${textOf(it).slice(0, 200)}`).join("\n");
+        const res  = await rerankModel.invoke([
+            new SystemMessage(
+                "你是检索重排器。根据与查询的相关性，对候选条目从高到低排序。" +
+                "只输出 JSON：{\"order\": [编号...]}，编号为候选前的数字，不要解释。"
+            ),
+            new HumanMessage(`查询：${query}\n\n候选：\n${list}`),
+        ]);
+        const order = JSON.parse(String(res.content).match(/\{[\s\S]*\}/)?.[0] ?? "{}").order;
+        if (!Array.isArray(order)) return items;
+
+        const seen   = new Set();
+        const ranked = [];
+        for (const i of order) {
+            if (Number.isInteger(i) && head[i] && !seen.has(i)) {
+                seen.add(i);
+                ranked.push(head[i]);
+            }
+        }
+        head.forEach((it, i) => { if (!seen.has(i)) ranked.push(it); });
+        return [...ranked, ...tail];
+    } catch (e) {
+        logger.warn(EV.WOOD, `检索重排失败，保持融合顺序：${e.message}`);
+        return items;
+    }
+}
+
+// ── 经验库混合检索 ──────────────────────────────────────────
+export class HybridRetriever {
+    /**
+     * @param {import("../engine/vectorStore.js").WisdomMemory} wisdomMemory
+     */
+    constructor(wisdomMemory) {
+        this.mem      = wisdomMemory;
+        this.lexical  = new Bm25Index();
+        this.revision = -1;   // 已索引的 WisdomMemory.revision
+    }
+
+    // 经验库变化后惰性重建词法索引（任务 + 规则文本）
+    _syncLexical() {
+        if (this.revision === this.mem.revision) return;
+        this.lexical = new Bm25Index();
+        this.mem.vectors.forEach((v, i) => this.lexical.add(i, `${v.content}\n${v.metadata.result ?? ""}`));
+        this.revision = this.mem.revision;
+    }
+
+    /**
+     * 混合检索经验库
+     * @param {string} query
+     * @param {{ candidates?: number, minSimilarity?: number, minLexicalCoverage?: number }} [opts]
+     * @returns {Promise<Array<{ idx: number, relevance: number, similarity: number, bm25: number }>>}
+     *   relevance 为融合分（[0, 1]），按其降序；仅词法命中的条目也补算余弦
+     */
+    async search(query, {
+        candidates         = H.candidates ?? 50,
+        minSimilarity      = cfg.memory.semanticPreFilter,
+        minLexicalCoverage = H.minLexicalCoverage ?? 0.35,
+    } = {}) {
+        if (this.mem.vectors.length === 0) return [];
+        const queryVec = await this.mem.embeddings.embedQuery(query);
+        const vecHits  = this.mem.nearest(queryVec, { k: candidates, minSimilarity })
+            .slice(0, candidates)
+            .map((h) => ({ id: h.idx, similarity: h.similarity }));
+
+        if (H.enabled === false) {
+            return vecHits.map((h) => ({ idx: h.id, relevance: h.similarity, similarity: h.similarity, bm25: 0 }));
+        }
+
+        this._syncLexical();
+        const lexHits = this.lexical.search(query, candidates)
+            .filter((h) => h.coverage >= minLexicalCoverage);
+
+        const fused = fuseRankings(vecHits, lexHits);
+        const sim   = new Map(vecHits.map((h) => [h.id, h.similarity]));
+        const lex   = new Map(lexHits.map((h) => [h.id, h.score]));
+        return [...fused.entries()]
+            .map(([idx, relevance]) => ({
+                idx,
+                relevance,
+                similarity: sim.get(idx) ?? cosineSimilarity(queryVec, this.mem.vectors[idx].embedding),
+                bm25:       lex.get(idx) ?? 0,
+            }))
+            .sort((a, b) => b.relevance - a.relevance);
+    }
+}
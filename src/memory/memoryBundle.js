@@ -0,0 +1,278 @@
+// src/memory/memoryBundle.js
+// 【木-移栽】：记忆导出 / 导入 —— 多个实例之间共享提炼出的准则
+//
+// 包格式（JSONL，首行为包头，其后每行一条准则）：
+//   {"type":"header","format":"wuxing-memory","version":1,"instance","exportedAt","namespace","embedder","count"}
+//   {"type":"rule","id","task","result","memory_type","confidence","createdAt","provenance","structured"?,"embedding"?}
+//   structured —— 结构化准则（见 ruleSchema.js），导入时重新校验，不合法则按纯文本准则导入
+//   embedder —— 导出时带向量则为嵌入器标识（与 WisdomMemory.embedderId 同义），否则为 null
+//
+// 导入（逐条）：
+//   1. 同 id、同来源（instance + sourceId）或 task + result 完全一致 → 跳过（duplicate）
+//   2. 向量：包内嵌入器与本实例一致且维度相符则直接用，否则重新计算
+//   3. 与现有准则相似度 ≥ dedupeThreshold 视为同一条（包内条目之间不互相比对），按策略处理：
+//        keep_both         —— 两条都留，新条目 provenance.similarTo 指向现有准则
+//        higher_confidence —— 置信度更高者留下（core 层不被替换），相等时保留现有
+//        review            —— 送审（memoryProposal 变更集，origin = import），批准后才写入
+//   4. 其余直接写入；一次 replaceAll 落盘（自动留快照，可 :mem restore 撤销）
+// 导入的准则 provenance.origin = "import"，instance 记录来源实例，upstream 保留原溯源
+// 包内 core 层准则默认按 long_term 导入（provenance.demotedFrom = "core"）：core 永不被裁剪，
+// 外来准则须由调用方显式 allowCore 才保留 core 层
+//
+import { hostname } from "os";
+import { newRuleId } from "../engine/vectorStore.js";
+import { StructuredRuleSchema } from "./ruleSchema.js";
+import { logger, EV } from "../utils/logger.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const BUNDLE_CFG   = cfg.memory?.bundle ?? {};
+export const BUNDLE_FORMAT  = "wuxing-memory";
+export const BUNDLE_VERSION = 1;
+export const STRATEGIES     = ["keep_both", "higher_confidence", "review"];
+const MEMORY_TYPES = ["core", "long_term", "short_term"];
+
+const invalid = (msg) => Object.assign(new Error(msg), { invalid: true });
+const textKey = (d) => `${String(d.task).trim()}\n${String(d.result).trim()}`;
+
+// 本实例在包中的署名
+export function instanceId() {
+    return process.env.WUXING_INSTANCE || BUNDLE_CFG.instance || hostname();
+}
+
+// ── 导出 ──────────────────────────────────────────────────
+
+/**
+ * @param {import("../engine/vectorStore.js").WisdomMemory} memory
+ * @param {{ embeddings?: boolean, type?: string, minConfidence?: number }} [opts]
+ * @returns {{ text: string, count: number }}
+ */
+export function exportBundle(memory, { embeddings = false, type, minConfidence } = {}) {
+    const rows = memory.rawDocs
+        .map((d, i) => ({ d, embedding: memory.vectors[i]?.embedding }))
+        .filter(({ d }) => !type || (d.memory_type ?? "long_term") === type)
+        .filter(({ d }) => minConfidence == null || (d.confidence ?? 1.0) >= minConfidence);
+
+    const header = {
+        type:       "header",
+        format:     BUNDLE_FORMAT,
+        version:    BUNDLE_VERSION,
+        instance:   instanceId(),
+        exportedAt: new Date().toISOString(),
+        namespace:  memory.namespace ?? null,
+        embedder:   embeddings ? memory.embedderId : null,
+        count:      rows.length,
+    };
+    const lines = rows.map(({ d, embedding }) => JSON.stringify({
+        type:        "rule",
+        id:          d.id,
+        task:        d.task,
+        result:      d.result,
+        memory_type: d.memory_type ?? "long_term",
+        confidence:  d.confidence ?? 1.0,
+        createdAt:   d.createdAt ?? null,
+        provenance:  d.provenance ?? null,
+        ...(d.structured ? { structured: d.structured } : {}),
+        ...(embeddings && embedding ? { embedding } : {}),
+    }));
+    return { text: [JSON.stringify(header), ...lines].join("\n") + "\n", count: rows.length };
+}
+
+// ── 解析 ──────────────────────────────────────────────────
+
+/**
+ * @returns {{ header: object, rules: Array<{ line: number, rec: object }>, invalidLines: Array<{ line: number, error: string }> }}
+ */
+export function parseBundle(text) {
+    const lines = String(text ?? "").split("\n").map((l, i) => ({ line: i + 1, raw: l.trim() })).filter((l) => l.raw);
+    if (lines.length === 0) throw invalid("导入包为空");
+
+    let header;
+    try {
+        header = JSON.parse(lines[0].raw);
+    } catch {
+        throw invalid("导入包首行不是合法的 JSON 包头");
+    }
+    if (header?.type !== "header" || header.format !== BUNDLE_FORMAT) {
+        throw invalid(`不是 ${BUNDLE_FORMAT} 导入包（首行须为 type=header 的包头）`);
+    }
+    if (!Number.isInteger(header.version) || header.version > BUNDLE_VERSION) {
+        throw invalid(`不支持的导入包版本 ${header.version}（当前支持 ≤ ${BUNDLE_VERSION}）`);
+    }
+
+    const rules = [];
+    const invalidLines = [];
+    for (const { line, raw } of lines.slice(1)) {
+        let rec;
+        try {
+            rec = JSON.parse(raw);
+        } catch {
+            invalidLines.push({ line, error: "JSON 解析失败" });
+            continue;
+        }
+        if (rec?.type !== "rule") continue;
+        if (!String(rec.task ?? "").trim() || !String(rec.result ?? "").trim()) {
+            invalidLines.push({ line, error: "task / result 不能为空" });
+            continue;
+        }
+        rules.push({ line, rec });
+    }
+    return { header, rules, invalidLines };
+}
+
+// ── 导入 ──────────────────────────────────────────────────
+
+function importedDoc(rec, header, extra = {}, { allowCore = false } = {}) {
+    const c = Number(rec.confidence);
+    const type    = MEMORY_TYPES.includes(rec.memory_type) ? rec.memory_type : "long_term";
+    const demoted = type === "core" && !allowCore;
+    const { upstream, ...prov } = rec.provenance ?? {};   // 只保留上一跳的溯源，不层层嵌套
+    const structured = rec.structured ? StructuredRuleSchema.safeParse(rec.structured) : null;
+    return {
+        id:          newRuleId(),
+        task:        String(rec.task).trim(),
+        result:      String(rec.result).trim(),
+        createdAt:   Number.isFinite(rec.createdAt) ? rec.createdAt : Date.now(),
+        confidence:  Number.isFinite(c) ? +Math.min(1, Math.max(0, c)).toFixed(2) : 1.0,
+        hitCount:    0,
+        memory_type: demoted ? "long_term" : type,
+        ...(structured?.success ? { structured: structured.data } : {}),
+        provenance:  {
+            origin:     "import",
+            instance:   String(header.instance ?? "unknown"),
+            sourceId:   rec.id ?? null,
+            exportedAt: header.exportedAt ?? null,
+            upstream:   rec.provenance ? prov : null,
+            ...(demoted ? { demotedFrom: "core" } : {}),
+            ...extra,
+            at:         new Date().toISOString(),
+        },
+    };
+}
+
+/**
+ * 导入包写入经验库
+ * @param {import("../engine/vectorStore.js").WisdomMemory} memory
+ * @param {string} text  JSONL 包内容
+ * @param {{ strategy?: string, threshold?: number, allowCore?: boolean }} [opts]
+ *   allowCore —— 包内 core 层准则保留 core 层（缺省降为 long_term）
+ * @returns {Promise<{
+ *   instance: string, total: number, added: string[], replaced: Array<{ id: string, by: string }>,
+ *   demoted: string[],
+ *   skipped: Array<{ sourceId: string|null, reason: string, existing?: string }>,
+ *   invalid: Array<{ line: number, error: string }>, snapshot: string|null,
+ *   proposal: object|null
+ * }>}
+ *   proposal —— review 策略下待审的变更集（交给 memoryProposal.proposeChangeSet 送审），无待审条目为 null
+ */
+export async function importBundle(memory, text, {
+    strategy  = BUNDLE_CFG.strategy ?? "keep_both",
+    threshold = BUNDLE_CFG.dedupeThreshold ?? 0.92,
+    allowCore = false,
+} = {}) {
+    if (!STRATEGIES.includes(strategy)) throw invalid(`strategy 须为 ${STRATEGIES.join(" | ")}`);
+    const { header, rules, invalidLines } = parseBundle(text);
+
+    await memory.syncFromStore();
+    const current  = memory.getAllDocs();
+    const seenText = new Set(current.map(textKey));
+    const seenSrc  = new Set(current
+        .filter((d) => d.provenance?.origin === "import")
+        .map((d) => `${d.provenance.instance}\n${d.provenance.sourceId}`));
+    const dims     = memory.vectors[0]?.embedding?.length ?? null;
+    const reuse    = header.embedder && header.embedder === memory.embedderId;
+    if (header.embedder && !reuse) {
+        logger.info(EV.WOOD, `导入包嵌入器 ${header.embedder} 与本实例 ${memory.embedderId} 不同，向量将重新计算`);
+    }
+
+    const report = {
+        instance: String(header.instance ?? "unknown"),
+        total:    rules.length,
+        added:    [],
+        replaced: [],
+        demoted:  [],
+        skipped:  [],
+        invalid:  invalidLines,
+        snapshot: null,
+        proposal: null,
+    };
+    const adds    = [];
+    const drop    = new Set();
+    const review  = [];
+    const vectors = [];
+    const toDoc   = (rec, extra) => importedDoc(rec, header, extra, { allowCore });
+
+    for (const { rec } of rules) {
+        const sourceId = rec.id ?? null;
+        if ((sourceId && memory.getById(sourceId)) ||
+            (sourceId && seenSrc.has(`${report.instance}\n${sourceId}`)) ||
+            seenText.has(textKey(rec))) {
+            report.skipped.push({ sourceId, reason: "duplicate" });
+            continue;
+        }
+        seenText.add(textKey(rec));
+
+        const packed = Array.isArray(rec.embedding) &&
+            rec.embedding.every(Number.isFinite) &&
+            (dims === null || rec.embedding.length === dims);
+        const embedding = reuse && packed ? rec.embedding : await memory.embeddings.embedQuery(String(rec.task).trim());
+
+        const [near] = memory.nearest(embedding, { k: 5, minSimilarity: threshold });
+        const existing = near ? memory.rawDocs[near.idx] : null;
+        const similarity = near ? +near.similarity.toFixed(3) : null;
+
+        if (!existing || drop.has(existing.id)) {
+            adds.push(toDoc(rec));
+        } else if (strategy === "keep_both") {
+            adds.push(toDoc(rec, { similarTo: existing.id, similarity }));
+        } else if (strategy === "higher_confidence") {
+            const doc = toDoc(rec, { replaced: existing.id, similarity });
+            if (existing.memory_type === "core") {
+                report.skipped.push({ sourceId, reason: "core", existing: existing.id });
+                continue;
+            }
+            if (doc.confidence <= (existing.confidence ?? 1.0)) {
+                report.skipped.push({ sourceId, reason: "lower_confidence", existing: existing.id });
+                continue;
+            }
+            drop.add(existing.id);
+            adds.push(doc);
+            report.replaced.push({ id: existing.id, by: doc.id });
+        } else {
+            const doc = toDoc(rec, { similarTo: existing.id, similarity });
+            review.push({ doc, existing, similarity });
+        }
+        vectors.push([String(rec.task).trim(), embedding]);
+    }
+
+    await memory.seedVectors(vectors);
+    report.added   = adds.map((d) => d.id);
+    report.demoted = adds.filter((d) => d.provenance.demotedFrom).map((d) => d.id);
+    if (adds.length > 0) {
+        report.snapshot = await memory.replaceAll(
+            [...memory.getAllDocs().filter((d) => !drop.has(d.id)), ...adds],
+            `import:${report.instance}`
+        );
+    }
+
+    if (review.length > 0) {
+        report.proposal = {
+            origin:    "import",
+            createdAt: new Date().toISOString(),
+            untouched: 0,
+            items:     review.map(({ doc, existing, similarity }, i) => ({
+                id:      `A${i + 1}`,
+                kind:    "add",
+                parents: [],
+                doc,
+                reason:  `来自实例 ${report.instance}，与现有准则 ${existing.id}「${String(existing.result).slice(0, 40)}」相似度 ${similarity}`,
+            })),
+        };
+    }
+
+    logger.evolution(EV.WOOD,
+        `导入 ${report.instance} 的记忆包（${strategy}）：新增 ${adds.length - report.replaced.length}` +
+        ` / 替换 ${report.replaced.length} / 跳过 ${report.skipped.length} / 待审 ${review.length}` +
+        (invalidLines.length ? ` / 无效行 ${invalidLines.length}` : "")
+    );
+    return report;
+}
@@ -0,0 +1,172 @@
+// src/memory/memoryLifecycle.js
+// 【木-代谢】：短期记忆生命周期 —— 有用的晋升，无人问津的清除
+//
+// short_term 的来源：每轮对话（main.js，origin = session）、会话压缩摘要（sessionManager，origin = summary）、
+// 经验映射（experienceCache，origin = experience）
+//
+// 清扫（定时 memory.shortTerm.sweepIntervalMs，或 :mem sweep / POST /api/v1/memory/sweep）逐库处理 short_term：
+//   uses = max(hitCount, 反馈账本里被召回的轮数)，被评为 bad 的轮次不计（见 feedback.js recallCounts）
+//   晋升 —— 👍 多于 👎，或没有 👎 且 uses ≥ promoteMinUses → long_term（置信度至少 promoteConfidence）
+//          provenance.promoted 记录 { at, reason, uses }
+//   过期 —— 超过 expireDays 且从未被用过（uses = 0、无 👍）→ 删除
+//   陈旧 —— 超过 maxAgeDays 仍未达到晋升条件 → 删除
+//   其余保持 short_term 等下一轮；每个库一次 replaceAll（留快照，可 :mem restore 撤销）
+//
+// 流转记录：storage 文档 memory_flow → { lastSweepAt, entries: [{ at, namespace, id, from, to, reason, uses, result }] }
+//   to = "long_term"（晋升）| null（删除）；保留最近 flowMaxEntries 条，:mem / :mem flow 展示
+// 多进程：REPL 与 Web 各有定时器，清扫前先在 memory_flow 上占位，距上次不足半个周期的定时清扫直接跳过
+//
+import { storage } from "../storage/index.js";
+import { feedbackLedger } from "./feedback.js";
+import { logger, EV } from "../utils/logger.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const ST_CFG       = cfg.memory?.shortTerm ?? {};
+const DAY_MS       = 86_400_000;
+const EXPIRE_DAYS  = ST_CFG.expireDays ?? 1;
+const MAX_AGE_DAYS = ST_CFG.maxAgeDays ?? 7;
+const MIN_USES     = ST_CFG.promoteMinUses ?? 2;
+const PROMOTE_CONF = ST_CFG.promoteConfidence ?? 0.7;
+const MAX_ENTRIES  = ST_CFG.flowMaxEntries ?? 500;
+export const SWEEP_INTERVAL_MS = ST_CFG.sweepIntervalMs ?? 3_600_000;
+
+export const FLOW_REASON_LABEL = {
+    feedback:  "👍 多于 👎",
+    recalled:  "多次召回",
+    unused:    "过期未用",
+    unhelpful: "过期且被否定",
+    stale:     "久未证明有用",
+};
+
+const emptyFlow = () => ({ lastSweepAt: null, entries: [] });
+const asFlow    = (v) => (Array.isArray(v?.entries) ? v : emptyFlow());
+
+/**
+ * 判定单条 short_term 的去向
+ * @param {object} doc
+ * @param {Map<string, number>} recalls  准则 id → 被召回的轮数
+ * @returns {{ to: "long_term"|null, reason: string, uses: number } | null}  null 表示本轮不动
+ */
+export function classify(doc, recalls, now = Date.now()) {
+    const uses = Math.max(doc.hitCount ?? 0, recalls.get(doc.id) ?? 0);
+    const good = doc.feedback?.good ?? 0;
+    const bad  = doc.feedback?.bad ?? 0;
+    const age  = (now - (doc.createdAt ?? now)) / DAY_MS;
+
+    if (good > bad)                    return { to: "long_term", reason: "feedback", uses };
+    if (bad === 0 && uses >= MIN_USES) return { to: "long_term", reason: "recalled", uses };
+    if (age > EXPIRE_DAYS && uses === 0 && good === 0) {
+        return { to: null, reason: bad > 0 ? "unhelpful" : "unused", uses };
+    }
+    if (age > MAX_AGE_DAYS)            return { to: null, reason: "stale", uses };
+    return null;
+}
+
+// 单个库：返回本轮流转记录
+async function sweepStore(memory, recalls, now) {
+    await memory.syncFromStore();
+    const at      = new Date(now).toISOString();
+    const entries = [];
+    const drop    = new Set();
+
+    const next = memory.getAllDocs().map((d) => {
+        if (d.memory_type !== "short_term") return d;
+        const verdict = classify(d, recalls, now);
+        if (!verdict) return d;
+
+        entries.push({
+            at,
+            namespace: memory.namespace ?? null,
+            id:        d.id,
+            from:      "short_term",
+            to:        verdict.to,
+            reason:    verdict.reason,
+            uses:      verdict.uses,
+            result:    String(d.result).slice(0, 80),
+        });
+        if (!verdict.to) {
+            drop.add(d.id);
+            return d;
+        }
+        return {
+            ...d,
+            memory_type: "long_term",
+            confidence:  Math.max(d.confidence ?? 1.0, PROMOTE_CONF),
+            provenance:  { ...(d.provenance ?? {}), promoted: { at, reason: verdict.reason, uses: verdict.uses } },
+        };
+    });
+
+    if (entries.length > 0) await memory.replaceAll(next.filter((d) => !drop.has(d.id)), "lifecycle");
+    return entries;
+}
+
+/**
+ * 清扫全局库与所有命名空间库的 short_term
+ * @param {import("./namespaces.js").NamespaceRegistry} registry
+ * @param {{ force?: boolean }} [opts]  force —— 手动触发，不受占位间隔限制
+ * @returns {Promise<{ skipped: boolean, promoted: number, removed: number, entries: object[] }>}
+ */
+export async function sweepShortTerm(registry, { force = false } = {}) {
+    const now = Date.now();
+    let claimed = false;
+    storage.updateDoc("memory_flow", emptyFlow(), (current) => {
+        const flow = asFlow(current);
+        if (!force && now - (Date.parse(flow.lastSweepAt ?? "") || 0) < SWEEP_INTERVAL_MS / 2) return flow;
+        claimed = true;
+        return { ...flow, lastSweepAt: new Date(now).toISOString() };
+    });
+    if (!claimed) return { skipped: true, promoted: 0, removed: 0, entries: [] };
+
+    const recalls = feedbackLedger.recallCounts();
+    const entries = [];
+    for (const name of [null, ...storage.ruleNamespaces()]) {
+        try {
+            entries.push(...await sweepStore(await registry.get(name), recalls, now));
+        } catch (e) {
+            logger.warn(EV.WOOD, `短期记忆清扫失败（${name ?? "global"}）：${e.message}`);
+        }
+    }
+
+    if (entries.length > 0) {
+        storage.updateDoc("memory_flow", emptyFlow(), (current) => {
+            const flow = asFlow(current);
+            return { ...flow, entries: [...flow.entries, ...entries].slice(-MAX_ENTRIES) };
+        });
+    }
+
+    const promoted = entries.filter((e) => e.to).length;
+    const removed  = entries.length - promoted;
+    if (entries.length > 0) {
+        logger.evolution(EV.WOOD, `短期记忆代谢：晋升 long_term ${promoted} 条，清除 ${removed} 条`);
+    } else {
+        logger.info(EV.WOOD, "短期记忆代谢：本轮无条目需要晋升或清除");
+    }
+    return { skipped: false, promoted, removed, entries };
+}
+
+/**
+ * 最近的流转记录（新 → 旧）
+ * @returns {object[]}
+ */
+export function recentFlow(limit = 20) {
+    return asFlow(storage.readDoc("memory_flow", null)).entries.slice(-limit).reverse();
+}
+
+/**
+ * 近 days 天的流转汇总
+ * @returns {{ lastSweepAt: string|null, promoted: number, removed: number, byReason: Record<string, number> }}
+ */
+export function flowSummary(days = 7) {
+    const flow     = asFlow(storage.readDoc("memory_flow", null));
+    const since    = Date.now() - days * DAY_MS;
+    const byReason = {};
+    let promoted   = 0;
+    let removed    = 0;
+    for (const e of flow.entries) {
+        if (Date.parse(e.at) < since) continue;
+        if (e.to) promoted++;
+        else removed++;
+        byReason[e.reason] = (byReason[e.reason] ?? 0) + 1;
+    }
+    return { lastSweepAt: flow.lastSweepAt, promoted, removed, byReason };
+}
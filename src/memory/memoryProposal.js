@@ -0,0 +1,202 @@
+// src/memory/memoryProposal.js
+// 【金-议】：记忆改写提案 —— 梦境折叠 / 熵减修剪先出变更集，审批通过的条目才落盘
+//
+// 变更集（change set）：
+//   { origin: "dream" | "prune" | "import", createdAt, items: [...], untouched: number }
+//   item.id 按类型编号：M 合并 / R 改写 / D 删除 / A 新增
+//     merge   —— parents（≥2 条原准则）折叠为 doc
+//     rewrite —— 单条原准则改写为 doc
+//     delete  —— 删除 parents[0]
+//     add     —— 模型给出的无来源新准则 doc；记忆导入（review 策略）送审的外来准则
+//   每项带 reason（模型给出的理由，缺失时写明"未说明"）
+//
+// 审批（approvalManager，medium 风险，actionType = memory_rewrite）：
+//   command 为逐行列出的条目；approve = 全部应用，reject = 全部放弃，
+//   modify = 只应用修改后指令中仍保留的条目编号（部分批准）
+//
+// 应用时以当前经验库为准：审批期间父准则已被删改的条目视为过期，跳过不应用
+//
+import { approvalManager } from "../engine/approvalManager.js";
+import { logger, EV } from "../utils/logger.js";
+
+const KIND_PREFIX = { merge: "M", rewrite: "R", delete: "D", add: "A" };
+const KIND_LABEL  = { merge: "合并", rewrite: "改写", delete: "删除", add: "新增" };
+const ORIGIN_LABEL = { dream: "梦境折叠", prune: "熵减修剪", import: "导入" };
+const ORIGIN_EV    = { dream: EV.DREAM, import: EV.WOOD };
+
+const evOf = (origin) => ORIGIN_EV[origin] ?? EV.ENTROPY;
+
+function brief(d) {
+    return {
+        id:          d.id ?? null,
+        task:        d.task,
+        result:      d.result,
+        memory_type: d.memory_type ?? "long_term",
+        structured:  d.structured ?? null,
+    };
+}
+
+// 父准则在审批期间被删除或改过（task / result / structured 任一不同）
+function parentChanged(p, byId) {
+    const d = byId.get(p.id);
+    if (!d) return true;
+    const now = brief(d);
+    return now.task !== p.task || now.result !== p.result
+        || JSON.stringify(now.structured) !== JSON.stringify(p.structured ?? null);
+}
+
+/**
+ * 由改写前后的文档构建变更集
+ * @param {string} origin         dream | prune
+ * @param {object[]} docs         参与改写的原文档（core 层不应出现在这里）
+ * @param {object[]} next         改写结果（rewriteDocs 的输出：原文档对象原样沿用，新文档带 provenance.parents）
+ * @param {{ reasons?: Map<object, string>, removedReasons?: Map<string, string> }} [opts]
+ *   reasons        —— 新文档 → 模型给出的理由
+ *   removedReasons —— 原准则 id → 删除理由
+ */
+export function buildChangeSet(origin, docs, next, { reasons = new Map(), removedReasons = new Map() } = {}) {
+    const byText  = new Map(docs.map((d) => [`${d.task}\n${d.result}`, d]));
+    const kept    = new Set();
+    const counter = { merge: 0, rewrite: 0, delete: 0, add: 0 };
+    const items   = [];
+    const push    = (kind, fields) => items.push({ id: `${KIND_PREFIX[kind]}${++counter[kind]}`, kind, ...fields });
+
+    for (const n of next) {
+        if (docs.includes(n)) {
+            kept.add(n.id);
+            continue;
+        }
+        const parents = (n.provenance?.parents ?? []).map((id) => docs.find((d) => d.id === id)).filter(Boolean);
+        const reason  = reasons.get(n) ?? "";
+
+        if (parents.length >= 2) {
+            push("merge", { parents: parents.map(brief), doc: n, reason: reason || "语义同源，折叠为更通用的准则" });
+        } else if (parents.length === 1) {
+            push("rewrite", { parents: parents.map(brief), doc: n, reason: reason || "表述改写（未说明）" });
+        } else {
+            const same = byText.get(`${n.task}\n${n.result}`);
+            if (same) kept.add(same.id);
+            else push("add", { parents: [], doc: n, reason: reason || "模型给出的无来源准则（未说明）" });
+        }
+    }
+
+    const consumed = new Set(items.flatMap((it) => it.parents.map((p) => p.id)));
+    for (const d of docs) {
+        if (kept.has(d.id) || consumed.has(d.id)) continue;
+        push("delete", { parents: [brief(d)], doc: null, reason: removedReasons.get(d.id) ?? "改写结果中未保留（未说明原因）" });
+    }
+
+    return { origin, createdAt: new Date().toISOString(), items, untouched: kept.size };
+}
+
+// 审批卡片 / 终端展示用：每行一个条目，编号在行首
+export function formatChangeSet(cs) {
+    const q = (s) => `「${String(s).slice(0, 80)}」`;
+    const lines = cs.items.map((it) => {
+        const ids = it.parents.map((p) => p.id).join(" + ");
+        switch (it.kind) {
+            case "merge":   return `${it.id} 合并 ${ids} → ${q(it.doc.result)}（${it.reason}）`;
+            case "rewrite": return `${it.id} 改写 ${ids} ${q(it.parents[0].result)} → ${q(it.doc.result)}（${it.reason}）`;
+            case "delete":  return `${it.id} 删除 ${ids} ${q(it.parents[0].result)}（${it.reason}）`;
+            default:        return `${it.id} 新增 ${q(it.doc.result)}（${it.reason}）`;
+        }
+    });
+    return [
+        "# 部分批准：删去不想应用的条目行后选择“修改并运行”",
+        ...lines,
+    ].join("\n");
+}
+
+export function summarize(cs) {
+    const count = (k) => cs.items.filter((it) => it.kind === k).length;
+    return Object.keys(KIND_LABEL)
+        .filter((k) => count(k) > 0)
+        .map((k) => `${KIND_LABEL[k]} ${count(k)}`)
+        .join(" / ");
+}
+
+/**
+ * 从审批结果解析被批准的条目编号
+ * @returns {string[]}
+ */
+export function acceptedItems(cs, approval) {
+    if (!approval?.approved) return [];
+    if (approval.decision !== "modify") return cs.items.map((it) => it.id);
+    const wanted = new Set(
+        String(approval.command ?? "")
+            .split("\n")
+            .map((l) => l.trim().match(/^([MRDA]\d+)\b/)?.[1])
+            .filter(Boolean)
+    );
+    return cs.items.filter((it) => wanted.has(it.id)).map((it) => it.id);
+}
+
+/**
+ * 按批准的条目改写经验库（一次 replaceAll，自动留快照）
+ * @param {import("../engine/vectorStore.js").WisdomMemory} wisdomMemory
+ * @returns {Promise<{ applied: string[], stale: string[] }>}
+ */
+export async function applyChangeSet(wisdomMemory, cs, acceptedIds) {
+    await wisdomMemory.syncFromStore();
+    const accept  = new Set(acceptedIds);
+    const current = wisdomMemory.getAllDocs();
+    const byId    = new Map(current.map((d) => [d.id, d]));
+    const drop    = new Set();
+    const added   = [];
+    const applied = [];
+    const stale   = [];
+
+    for (const it of cs.items) {
+        if (!accept.has(it.id)) continue;
+        if (it.parents.some((p) => drop.has(p.id) || parentChanged(p, byId))) {
+            stale.push(it.id);
+            continue;
+        }
+        for (const p of it.parents) drop.add(p.id);
+        if (it.doc) added.push(it.doc);
+        applied.push(it.id);
+    }
+
+    if (applied.length > 0) {
+        await wisdomMemory.replaceAll([...current.filter((d) => !drop.has(d.id)), ...added], cs.origin);
+    }
+    if (stale.length > 0) {
+        logger.warn(evOf(cs.origin), `提案条目 ${stale.join(", ")} 的原准则已在审批期间变化，跳过`);
+    }
+    return { applied, stale };
+}
+
+/**
+ * 变更集送审并应用批准的部分
+ * @returns {Promise<{ approved: boolean, applied: string[], stale: string[], rejected: string[] }>}
+ */
+export async function proposeChangeSet(wisdomMemory, cs, { source = "evolution" } = {}) {
+    const label = ORIGIN_LABEL[cs.origin] ?? cs.origin;
+    if (cs.items.length === 0) {
+        logger.info(evOf(cs.origin), `${label}提案为空，经验库保持现状`);
+        return { approved: false, applied: [], stale: [], rejected: [] };
+    }
+
+    logger.info(evOf(cs.origin), `${label}提案（${summarize(cs)}）等待审批...`);
+    const approval = await approvalManager.requestApproval({
+        actionType: "memory_rewrite",
+        risk:       "medium",
+        command:    formatChangeSet(cs),
+        message:    `记忆${label}提案：${summarize(cs)}（未涉及 ${cs.untouched} 条）`,
+        metadata:   { source, origin: cs.origin, items: cs.items.map(({ id, kind, reason }) => ({ id, kind, reason })) },
+    });
+
+    const accepted = acceptedItems(cs, approval);
+    const rejected = cs.items.map((it) => it.id).filter((id) => !accepted.includes(id));
+    if (accepted.length === 0) {
+        logger.info(evOf(cs.origin), `${label}提案未获批准${approval.reason ? `：${approval.reason}` : ""}`);
+        return { approved: false, applied: [], stale: [], rejected };
+    }
+
+    const { applied, stale } = await applyChangeSet(wisdomMemory, cs, accepted);
+    logger.evolution(evOf(cs.origin),
+        `${label}提案已应用 ${applied.length}/${cs.items.length} 项` +
+        (rejected.length ? `，未批准 ${rejected.join(", ")}` : "")
+    );
+    return { approved: true, applied, stale, rejected };
+}
@@ -0,0 +1,159 @@
+// src/memory/memorySnapshots.js
+// 【木-年轮】：经验库快照 —— 破坏性改写前留底，可查看差异、一键回滚
+//
+// 梦境折叠 / 熵减修剪 / 认知对齐 / 管理接口编辑删除都会整体改写 data/wisdom.json，
+// 模型返回一份糟糕的 JSON 就可能抹掉整月的准则。每次改写前先拍快照：
+//
+// 文件结构：data/memory_snapshots/<snapshotId>.json
+//   {
+//     id, reason, namespace, at, count: { before, after },   ← namespace 为 null 表示全局库
+//     docs: [...],   ← 改写前的完整文档（restore 用）
+//     diff: { added[], removed[], merged[], changed[] } | null   ← 改写完成后补写；null = 改写未完成
+//   }
+//   merged  —— 新条目中带 provenance.parents 的（梦境 / 修剪合并产物），不再重复列入 added
+//   removed —— 消失的原条目；被合并的附 mergedInto
+//   changed —— 同 id 但 task / result / memory_type / confidence 有变化
+//
+// 只保留最近 memory.snapshots.keep 份（按时间淘汰最旧的）
+// 快照文件原子写入；损坏的快照隔离为 *.corrupt-<时间戳>，不再出现在列表中
+//
+import { existsSync, readdirSync, rmSync } from "fs";
+import { resolve, join } from "path";
+import { readJsonSafe, writeJsonAtomic } from "../storage/safeFile.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const SNAP_CFG = cfg.memory?.snapshots ?? {};
+const SNAP_DIR = resolve(process.cwd(), SNAP_CFG.dir ?? "data/memory_snapshots");
+const KEEP     = SNAP_CFG.keep ?? 30;
+const COMPARED = ["task", "result", "memory_type", "confidence"];
+
+function brief(d) {
+    return { id: d.id ?? null, task: d.task, result: d.result };
+}
+
+/**
+ * 改写前后的结构化差异
+ * @param {object[]} before
+ * @param {object[]} after
+ */
+export function diffDocs(before, after) {
+    const prev = new Map(before.filter((d) => d.id).map((d) => [d.id, d]));
+    const next = new Map(after.filter((d) => d.id).map((d) => [d.id, d]));
+
+    const added = [], merged = [], changed = [];
+    const mergedInto = new Map();   // 父 id → 新条目 id
+    for (const d of after) {
+        const old = d.id ? prev.get(d.id) : null;
+        if (!old) {
+            const parents = d.provenance?.parents ?? [];
+            if (parents.length > 0) {
+                merged.push({ ...brief(d), parents });
+                for (const p of parents) mergedInto.set(p, d.id);
+            } else {
+                added.push(brief(d));
+            }
+            continue;
+        }
+        const fields = COMPARED.filter((k) => (old[k] ?? null) !== (d[k] ?? null));
+        if (fields.length > 0) {
+            changed.push({
+                id:     d.id,
+                fields,
+                before: Object.fromEntries(fields.map((k) => [k, old[k] ?? null])),
+                after:  Object.fromEntries(fields.map((k) => [k, d[k] ?? null])),
+            });
+        }
+    }
+
+    const removed = before
+        .filter((d) => !d.id || !next.has(d.id))
+        .map((d) => ({ ...brief(d), ...(mergedInto.has(d.id) ? { mergedInto: mergedInto.get(d.id) } : {}) }));
+
+    return { added, removed, merged, changed };
+}
+
+class MemorySnapshots {
+    constructor(dir = SNAP_DIR) {
+        this.dir = dir;
+    }
+
+    _file(id) {
+        return join(this.dir, `${String(id).replace(/[^\w.-]/g, "_")}.json`);
+    }
+
+    _write(snap) {
+        writeJsonAtomic(this._file(snap.id), snap);
+    }
+
+    /**
+     * 改写前留底
+     * @param {string} reason   dream | prune | refreshConfidence | edit | delete | restore:<id> ...
+     * @param {object[]} docs   改写前的文档
+     * @param {string|null} [namespace]  所属命名空间，null 为全局库
+     * @returns {string} 快照 id
+     */
+    take(reason, docs, namespace = null) {
+        const id = `snap_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+        this._write({
+            id,
+            reason,
+            namespace,
+            at:    new Date().toISOString(),
+            count: { before: docs.length, after: null },
+            docs:  structuredClone(docs),
+            diff:  null,
+        });
+        this._pruneOld();
+        return id;
+    }
+
+    // 改写完成后补写差异
+    complete(id, afterDocs) {
+        const snap = this.get(id);
+        if (!snap) return null;
+        snap.count.after = afterDocs.length;
+        snap.diff        = diffDocs(snap.docs, afterDocs);
+        this._write(snap);
+        return snap.diff;
+    }
+
+    get(id) {
+        return readJsonSafe(this._file(id), null);
+    }
+
+    /**
+     * 快照列表（新 → 旧），不含文档正文
+     * @returns {Array<{ id, reason, namespace, at, count, summary: { added, removed, merged, changed } | null }>}
+     */
+    list(limit = KEEP) {
+        if (!existsSync(this.dir)) return [];
+        return readdirSync(this.dir)
+            .filter((f) => f.endsWith(".json"))
+            .map((f) => this.get(f.slice(0, -5)))
+            .filter(Boolean)
+            .sort((a, b) => b.at.localeCompare(a.at))
+            .slice(0, limit)
+            .map(({ id, reason, namespace = null, at, count, diff }) => ({
+                id,
+                reason,
+                namespace,
+                at,
+                count,
+                summary: diff
+                    ? Object.fromEntries(Object.entries(diff).map(([k, v]) => [k, v.length]))
+                    : null,
+            }));
+    }
+
+    _pruneOld() {
+        for (const snap of this.list(Infinity).slice(KEEP)) {
+            rmSync(this._file(snap.id), { force: true });
+        }
+    }
+
+    clear() {
+        rmSync(this.dir, { recursive: true, force: true });
+    }
+}
+
+export const memorySnapshots = new MemorySnapshots();
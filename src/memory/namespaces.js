@@ -0,0 +1,146 @@
+// src/memory/namespaces.js
+// 【木-分圃】：记忆命名空间 —— 按项目 / 目标隔离经验库
+//
+// 全局库（data/wisdom.json）之外，每个命名空间有独立的准则与向量缓存：
+//   data/namespaces/<名称>/wisdom.json / wisdom.vec.json / wisdom.ann.json
+//   （SQLite 后端下为 rules / vectors 表中该命名空间的行，近邻索引仍在上述目录）
+//
+// 选择：每个会话 / 请求携带 namespace（REPL :ns，Web 请求体 namespace），经 configurable.namespace 进入图
+//   · 直觉快通道（recall）：全局与当前命名空间各取最佳，三因子分乘各自权重后比较，再判阈值
+//   · Top-K 召回（VectorMemory）：两路候选分数乘权重后合并排序
+//   · 反思固化：写入当前命名空间；未选命名空间时写入全局库
+// 权重见 config/wuxing.json → memory.namespaces.weights；未选命名空间时全局库按原分数召回
+//
+// 名称：小写后只保留字母 / 数字 / . _ -，最长 64；空串与 "global" 表示全局
+//   project:<目录> → 取目录名（缺省为当前工作目录）；goal:<目标 id> → goal-<id>
+//
+// 每次 get() 都先 syncFromStore()：另一个进程（REPL / Web）写过的库在下次访问时重新载入
+//
+import { basename, resolve } from "path";
+import { WisdomMemory } from "../engine/vectorStore.js";
+import { storage } from "../storage/index.js";
+import { checkPreconditions } from "./ruleSchema.js";
+import { logger, EV } from "../utils/logger.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const NS_CFG  = cfg.memory?.namespaces ?? {};
+const WEIGHTS = { global: 0.8, namespace: 1.0, ...(NS_CFG.weights ?? {}) };
+const GLOBAL  = "global";
+const PRECONDITIONS = cfg.memory?.preconditions?.enabled !== false;
+
+/**
+ * 规范化命名空间名
+ * @returns {string|null}  null 表示全局库
+ */
+export function normalizeNamespace(raw) {
+    const text = String(raw ?? "").trim();
+    if (!text || text.toLowerCase() === GLOBAL) return null;
+
+    let name = text;
+    if (/^project:/i.test(text)) name = basename(resolve(text.slice(8) || process.cwd()));
+    else if (/^goal:/i.test(text)) name = `goal-${text.slice(5)}`;
+
+    const slug = name.toLowerCase()
+        .replace(/[^\p{L}\p{N}._-]+/gu, "-")
+        .replace(/^[-.]+|[-.]+$/g, "")
+        .slice(0, 64);
+    if (!slug || slug === GLOBAL) {
+        throw Object.assign(new Error(`非法命名空间：${text}`), { invalid: true });
+    }
+    return slug;
+}
+
+export class NamespaceRegistry {
+    /**
+     * @param {WisdomMemory} globalMemory  全局库（进程内单例）
+     */
+    constructor(globalMemory) {
+        this.global = globalMemory;
+        this.stores = new Map();   // 名称 → Promise<WisdomMemory>（首次访问时从磁盘载入）
+    }
+
+    /**
+     * 命名空间对应的经验库；空 / global 返回全局库（其他进程写过则先重新载入）
+     * @returns {Promise<WisdomMemory>}
+     */
+    async get(namespace) {
+        const name = normalizeNamespace(namespace);
+        if (name && !this.stores.has(name)) {
+            const mem = new WisdomMemory(undefined, { namespace: name });
+            this.stores.set(name, mem.loadFromDisk().then(() => mem));
+        }
+        const mem = name ? await this.stores.get(name) : this.global;
+        await mem.syncFromStore();
+        return mem;
+    }
+
+    /**
+     * 参与召回的库与权重：未选命名空间时只有全局库（权重 1）
+     * @returns {Promise<Array<{ namespace: string|null, memory: WisdomMemory, weight: number }>>}
+     */
+    async scopes(namespace) {
+        const name   = normalizeNamespace(namespace);
+        const global = await this.get(null);
+        if (!name) return [{ namespace: null, memory: global, weight: 1 }];
+        return [
+            { namespace: null, memory: global,               weight: WEIGHTS.global },
+            { namespace: name, memory: await this.get(name), weight: WEIGHTS.namespace },
+        ];
+    }
+
+    /**
+     * 直觉快通道：全局 + 当前命名空间加权取最佳，达到阈值才命中；
+     * 结构化准则须满足前置条件（context 缺省只用输入文本判定），不满足的不参与比较
+     * @param {{ text?: string, tools?: string[], files?: string[] }|null} [context]  前置条件判定上下文
+     * @returns {Promise<{ id: string, namespace: string|null, result: string, directAnswer: boolean } | null>}
+     *   directAnswer 为 false 表示该准则曾因直答出错被用户否决，只可作为策略提示
+     */
+    async recall(input, namespace, context = null) {
+        const scopes = await this.scopes(namespace);
+        const ctx    = context ?? { text: input };
+        const accept = PRECONDITIONS ? (doc) => checkPreconditions(doc?.structured, ctx).ok : undefined;
+
+        let best = null;
+        for (const s of scopes) {
+            const m = await s.memory.bestMatch(input, { accept });
+            if (m && (!best || m.score * s.weight > best.score)) {
+                best = { ...s, idx: m.idx, score: m.score * s.weight };
+            }
+        }
+
+        const { recallThreshold } = cfg.scoring;
+        if (!best || best.score < recallThreshold) return null;
+        logger.info(EV.FIRE,
+            scopes.length === 1
+                ? `三因子得分 ${best.score.toFixed(3)} ≥ ${recallThreshold}，命中经验库`
+                : `三因子加权得分 ${best.score.toFixed(3)} ≥ ${recallThreshold}，` +
+                  `命中${best.namespace ? `命名空间 ${best.namespace}` : "全局库"}`
+        );
+        // 先取出条目：强化落盘时若与其他进程的写入合并，索引会重建，idx 不再可靠
+        const doc    = best.memory.rawDocs[best.idx];
+        const result = best.memory.vectors[best.idx].metadata.result;
+        await best.memory._reinforce(best.idx);
+        return {
+            id:           doc.id,
+            namespace:    best.namespace,
+            result,
+            directAnswer: doc.directAnswer !== false,
+        };
+    }
+
+    /**
+     * 已落盘的命名空间（含全局库）及条目数
+     * @returns {Array<{ name: string, count: number }>}
+     */
+    list() {
+        return [
+            { name: GLOBAL, count: storage.countRules(null) },
+            ...storage.ruleNamespaces().map((name) => ({ name, count: storage.countRules(name) })),
+        ];
+    }
+
+    // 数据重置后丢弃已载入的命名空间库（下次访问重新从磁盘载入）
+    forget() {
+        this.stores.clear();
+    }
+}
@@ -0,0 +1,169 @@
+// src/memory/ruleSchema.js
+// 【金-律】：结构化准则 —— 触发条件 + 推荐做法 + 反模式 + 适用范围
+//
+// 纯文本"当...时，应..."只能靠语义相似度匹配，召回与冲突判定都偏模糊；结构化准则在文档上多一个 structured 字段：
+//   structured {
+//     when: {
+//       keywords:  string[]   任务 / 工具输出文本中出现任一即满足（不区分大小写）
+//       fileTypes: string[]   扩展名（小写、不带点），涉及的文件或文本中出现 .<扩展名> 即满足
+//       tools:     string[]   本次运行已调用（或任务点名）的工具中有任一即满足
+//       errors:    string[]   报错特征片段，任务或工具输出中出现任一即满足
+//     }
+//     action:        string    推荐做法
+//     avoid:         string[]  反模式
+//     applicability: "broad" | "moderate" | "narrow"
+//   }
+//   同类条件之间为"或"，不同类之间为"且"；空的类别不参与判定，when 全空即无前置条件
+//   result 仍保存可读的一句话准则；没有 structured 的旧准则照常召回，不做前置判定
+//   召回时 VectorMemory.searchTopK 与直觉快通道（WisdomMemory.bestMatch 的 accept 回调）经 checkPreconditions 过滤
+//
+// 反思节点经 parseReflection 校验模型输出；管理接口 / 导入经 validateStructured，不合法抛出带 invalid 标记的错误
+//
+import { z } from "zod";
+
+export const APPLICABILITY       = ["broad", "moderate", "narrow"];
+export const APPLICABILITY_LABEL = { broad: "广泛", moderate: "中等", narrow: "狭窄" };
+const APPLICABILITY_ALIAS        = { 广泛: "broad", 中等: "moderate", 狭窄: "narrow" };
+
+const WHEN_KINDS = ["keywords", "fileTypes", "tools", "errors"];
+const MAX_TERM   = 80;
+
+const invalid = (msg) => Object.assign(new Error(msg), { invalid: true });
+
+// 条件词表：单个字符串视为一项；去空白、去重、截断，超出 max 的丢弃
+const terms = (max, normalize = (s) => s) => z.preprocess(
+    (v) => (typeof v === "string" ? [v] : v ?? []),
+    z.array(z.string()).transform((list) => [...new Set(
+        list.map((s) => normalize(s.trim()).slice(0, MAX_TERM)).filter(Boolean)
+    )].slice(0, max))
+);
+
+const applicability = z.preprocess(
+    (v) => APPLICABILITY_ALIAS[v] ?? v ?? "moderate",
+    z.enum(APPLICABILITY)
+);
+
+export const WhenSchema = z.preprocess((v) => v ?? {}, z.object({
+    keywords:  terms(12),
+    fileTypes: terms(8, (s) => s.toLowerCase().replace(/^\*?\./, "")),
+    tools:     terms(8),
+    errors:    terms(6),
+}));
+
+export const StructuredRuleSchema = z.object({
+    when:          WhenSchema,
+    action:        z.string().trim().min(1, "不能为空").max(200),
+    avoid:         terms(6),
+    applicability,
+});
+
+// 反思节点的模型输出；结构化部分（when / action / avoid）单独校验，不合格只降级不丢弃准则
+export const ReflectionSchema = z.object({
+    rule:            z.string().trim().min(1).nullable().catch(null),
+    score:           z.coerce.number().min(0).max(100).transform(Math.round),
+    applicability:   applicability.catch("moderate"),
+    causal_strength: z.coerce.number().min(0).max(100).optional().catch(undefined),
+});
+
+function issuesOf(error) {
+    return error.issues.map((i) => `${i.path.join(".") || "(根)"} ${i.message}`).join("；");
+}
+
+/**
+ * 校验反思输出
+ * @param {object} raw  JSON.parse 后的模型输出
+ * @returns {{ rule: string|null, score: number, applicability: string, causal_strength?: number,
+ *             structured: object|null, structuredError: string|null }}
+ * @throws {z.ZodError}  rule / score 不合法（调用方按解析失败降级）
+ */
+export function parseReflection(raw) {
+    const base = ReflectionSchema.parse(raw);
+    if (!base.rule || raw?.action == null) return { ...base, structured: null, structuredError: null };
+
+    const r = StructuredRuleSchema.safeParse({
+        when:          raw.when,
+        action:        raw.action,
+        avoid:         raw.avoid,
+        applicability: base.applicability,
+    });
+    return r.success
+        ? { ...base, structured: r.data, structuredError: null }
+        : { ...base, structured: null, structuredError: issuesOf(r.error) };
+}
+
+/**
+ * 管理接口 / 导入包中的 structured：null 表示清除
+ * @returns {object|null}
+ */
+export function validateStructured(value) {
+    if (value === null) return null;
+    const r = StructuredRuleSchema.safeParse(value);
+    if (!r.success) throw invalid(`structured 不合法：${issuesOf(r.error)}`);
+    return r.data;
+}
+
+// ── 前置条件判定 ──────────────────────────────────────────
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const extOf    = (f) => String(f).toLowerCase().match(/\.([a-z0-9]+)$/)?.[1] ?? null;
+
+const MATCHERS = {
+    keywords:  (v, c) => c.text.includes(v.toLowerCase()),
+    fileTypes: (v, c) => c.exts.has(v) || new RegExp(`\\.${escapeRe(v)}(?![a-z0-9])`).test(c.text),
+    tools:     (v, c) => c.tools.has(v.toLowerCase()) || c.text.includes(v.toLowerCase()),
+    errors:    (v, c) => c.text.includes(v.toLowerCase()),
+};
+
+/**
+ * @param {object|null|undefined} structured
+ * @param {{ text?: string, tools?: string[], files?: string[] }} [ctx]
+ *   text  —— 当前任务（推理阶段附带本次运行的工具输出）
+ *   tools —— 本次运行已调用的工具名
+ *   files —— 涉及的文件名（如工作区文件）
+ * @returns {{ ok: boolean, matched: string[], missing: string[] }}  missing 为未满足的条件类别
+ */
+export function checkPreconditions(structured, { text = "", tools = [], files = [] } = {}) {
+    const when = structured?.when;
+    if (!when) return { ok: true, matched: [], missing: [] };
+
+    const c = {
+        text:  String(text).toLowerCase(),
+        tools: new Set(tools.map((t) => String(t).toLowerCase())),
+        exts:  new Set(files.map(extOf).filter(Boolean)),
+    };
+    const matched = [];
+    const missing = [];
+    for (const kind of WHEN_KINDS) {
+        const values = when[kind] ?? [];
+        if (values.length === 0) continue;
+        const hit = values.find((v) => MATCHERS[kind](v, c));
+        if (hit) matched.push(`${kind}:${hit}`);
+        else missing.push(kind);
+    }
+    return { ok: missing.length === 0, matched, missing };
+}
+
+/**
+ * 两条准则的前置条件互斥：文件类型或工具两边都有限定且没有交集 → 不会在同一场景同时适用
+ */
+export function disjointWhen(a, b) {
+    if (!a?.when || !b?.when) return false;
+    return ["fileTypes", "tools"].some((k) => {
+        const x = a.when[k] ?? [];
+        const y = b.when[k] ?? [];
+        return x.length > 0 && y.length > 0 && !x.some((v) => y.includes(v));
+    });
+}
+
+/**
+ * 前置条件的一行描述（展示用）；无条件返回空串
+ */
+export function describeWhen(structured) {
+    const when  = structured?.when;
+    if (!when) return "";
+    const label = { keywords: "关键词", fileTypes: "文件", tools: "工具", errors: "报错" };
+    return WHEN_KINDS
+        .filter((k) => when[k]?.length)
+        .map((k) => `${label[k]} ${when[k].join("/")}`)
+        .join("；");
+}
@@ -5,18 +5,32 @@
 //
 //   core      ── 核心准则，永不被裁剪。由 :pin 命令或高置信度反思写入。
 //   long_term ── 长期经验，随时间衰减，可被进化插件压缩。（默认层）
-//   short_term── 本轮会话摘要，过期后自动降级至 long_term 或丢弃。
+//   short_term── 每轮对话与会话压缩摘要；定时清扫时有用的晋升 long_term，过期无用的丢弃（见 memoryLifecycle.js）。
 //
 // 召回策略（优先级递减）：
 //   1. core 层全量检索（权重 boost × 1.5）
-//   2. long_term + short_term 语义相似度
-//   3. 合并 Top-K，返回格式化背景上下文
+//   2. long_term + short_term 混合检索（BM25 + 向量融合，见 hybridRetriever.js）选出候选
+//   3. 合并 Top-K（可选 LLM 重排），返回格式化背景上下文
+//   4. 入选准则之间存在待裁决冲突时（见 conflictDetector.js），在上下文末尾提示推理节点
+//
+// 两个分数：
+//   score —— 三因子分，"相似度"项始终为余弦，contextMinScore / recallThreshold 按它判定（与纯向量召回时同一尺度）
+//   rank  —— 排序分，同样的三因子但"相似度"项换成融合相关度；只决定 Top-K 的入选与次序
+//   （RRF 融合分基于名次，与余弦不在一个尺度上，不能拿来比阈值）
+//
+// 结构化准则（见 ruleSchema.js）：取 Top-K 之前先按 structured.when 对照当前任务与工具上下文，
+// 前置条件不满足的不参与排名；注入时附上反模式（"避免：..."）
+//
+// 命名空间（见 namespaces.js）：传入 namespace 时，全局库与该命名空间库分别打分，
+// 分数乘各自权重后合并取 Top-K；写入落到该命名空间库
 //
 // 设计原则：
 //   - 不破坏 WisdomMemory 的任何现有接口
 //   - 纯粹是上层封装 + 扩展，WisdomMemory 继续作为存储后端
 //   - 写入新记忆时自动携带 memory_type 字段
-import { cosineSimilarity } from "../engine/vectorStore.js";
+import { HybridRetriever, rerank } from "./hybridRetriever.js";
+import { conflictDetector }  from "./conflictDetector.js";
+import { checkPreconditions } from "./ruleSchema.js";
 import { logger, EV }       from "../utils/logger.js";
 import cfg                  from "../../config/wuxing.json" with { type: "json" };
 
@@ -27,8 +41,10 @@ const LAYER_BOOST = {
     short_term: 0.7,   // 短期记忆略降（避免刷屏）
 };
 
-// short_term 超过此天数自动降级
-const SHORT_TERM_EXPIRE_DAYS = 1;
+const PRECONDITIONS = cfg.memory.preconditions?.enabled !== false;
+
+// short_term 超过此天数召回时按 long_term 权重计（清扫前的过渡，见 memoryLifecycle.js）
+const SHORT_TERM_EXPIRE_DAYS = cfg.memory.shortTerm?.expireDays ?? 1;
 
 /**
  * 分层语义向量记忆系统
@@ -36,11 +52,30 @@ const SHORT_TERM_EXPIRE_DAYS = 1;
  */
 export class VectorMemory {
     /**
-     * @param {import("../engine/vectorStore.js").WisdomMemory} wisdomMemory
+     * @param {import("../engine/vectorStore.js").WisdomMemory} wisdomMemory  全局库
+     * @param {{ namespaces?: import("./namespaces.js").NamespaceRegistry }} [opts]
      */
-    constructor(wisdomMemory) {
-        this.mem    = wisdomMemory;
-        this.lambda = cfg.memory.lambda;
+    constructor(wisdomMemory, { namespaces = null } = {}) {
+        this.mem        = wisdomMemory;
+        this.namespaces = namespaces;
+        this.lambda     = cfg.memory.lambda;
+        this.retrievers = new Map();   // WisdomMemory → HybridRetriever（词法索引随库缓存）
+    }
+
+    _retriever(mem) {
+        if (!this.retrievers.has(mem)) this.retrievers.set(mem, new HybridRetriever(mem));
+        return this.retrievers.get(mem);
+    }
+
+    // 写入 / 召回涉及的库：未注入命名空间注册表时只有全局库
+    async _store(namespace) {
+        return this.namespaces ? this.namespaces.get(namespace) : this.mem;
+    }
+
+    async _scopes(namespace) {
+        return this.namespaces
+            ? this.namespaces.scopes(namespace)
+            : [{ namespace: null, memory: this.mem, weight: 1 }];
     }
 
     // ── 写入 ────────────────────────────────────────────────
@@ -51,11 +86,15 @@ export class VectorMemory {
      * @param {object} opts
      * @param {number} [opts.confidence=1.0]
      * @param {"core"|"long_term"|"short_term"} [opts.memory_type="long_term"]
+     * @param {string|null} [opts.namespace]  写入的命名空间，缺省为全局库
+     * @param {object|null} [opts.structured]  结构化准则（已经 ruleSchema 校验）
      */
-    async add(task, result, { confidence = 1.0, memory_type = "long_term" } = {}) {
-        // 复用 WisdomMemory.memorize，传入 memory_type 作为额外元数据
-        await this.mem.memorize(task, result, confidence, memory_type);
-        logger.info(EV.WOOD, `[VectorMemory] 写入 ${memory_type} 层：${result.slice(0, 50)}`);
+    async add(task, result, { confidence = 1.0, memory_type = "long_term", provenance = {}, namespace = null, structured = null } = {}) {
+        // 复用 WisdomMemory.memorize，传入 memory_type 与溯源作为额外元数据
+        const store = await this._store(namespace);
+        const id    = await store.memorize(task, result, confidence, memory_type, provenance, structured);
+        logger.info(EV.WOOD, `[VectorMemory] 写入 ${store.namespace ? `${store.namespace}/` : ""}${memory_type} 层：${result.slice(0, 50)}`);
+        return id;
     }
 
     /**
@@ -63,36 +102,67 @@ export class VectorMemory {
      */
     async pin(rule, context = "") {
         const task = context || `【核心准则】${rule}`;
-        await this.add(task, rule, { confidence: 1.0, memory_type: "core" });
+        await this.add(task, rule, { confidence: 1.0, memory_type: "core", provenance: { origin: "pin" } });
         logger.info(EV.WOOD, `[VectorMemory] 核心记忆已钉住：${rule.slice(0, 60)}`);
     }
 
-    // ── Top-K 语义召回 ──────────────────────────────────────
+    // ── Top-K 混合召回 ──────────────────────────────────────
     /**
      * 返回与查询最相关的 Top-K 记忆，按层级加权打分
+     * 按 rank（融合相关度）入选排序，score 仍以原始余弦为相似度项，供阈值判定
      * @param {string} query
      * @param {number} [k=5]
+     * @param {{ namespace?: string|null, context?: { text?: string, tools?: string[], files?: string[] } }} [opts]
+     *   namespace —— 当前命名空间：与全局库按权重合并召回
+     *   context   —— 结构化准则的前置条件判定上下文（缺省只用查询文本）
      * @returns {Promise<RecallResult[]>}
      */
-    async searchTopK(query, k = 5) {
-        const vectors = this.mem.vectors;
+    async searchTopK(query, k = 5, { namespace = null, context = null } = {}) {
+        let scored = [];
+        for (const scope of await this._scopes(namespace)) {
+            scored.push(...await this._scoreStore(scope, query, k));
+        }
+
+        if (PRECONDITIONS) {
+            const ctx    = context ?? { text: query };
+            const before = scored.length;
+            scored = scored.filter((h) => checkPreconditions(h.structured, ctx).ok);
+            if (scored.length < before) {
+                logger.info(EV.FIRE, `前置条件不满足，跳过 ${before - scored.length} 条结构化准则`);
+            }
+        }
+
+        // 按 rank 降序取 Top-K（开启重排时由模型调整前 topN 的次序）
+        scored.sort((a, b) => b.rank - a.rank);
+        if (cfg.memory.hybrid?.rerank?.enabled) {
+            scored = await rerank(query, scored, (h) => `${h.task} → ${h.result}`);
+        }
+        return scored.slice(0, k);
+    }
+
+    // 单个库的候选打分；命名空间权重乘在最终分上
+    async _scoreStore({ namespace, memory, weight }, query, k) {
+        const vectors = memory.vectors;
         if (vectors.length === 0) return [];
 
-        const queryVec = await this.mem.embeddings.embedQuery(query);
-        const now      = Date.now();
+        const now = Date.now();
         const { similarityWeight, timeDecayWeight, confidenceWeight } = cfg.scoring;
 
-        const scored = vectors.map((v) => {
-            const rawDoc     = this.mem.rawDocs[vectors.indexOf(v)];
-            const memType    = rawDoc?.memory_type ?? "long_term";
-            const similarity = cosineSimilarity(queryVec, v.embedding);
+        // 混合检索：向量侧沿用更宽松的前置过滤，词法侧按覆盖率入选；多取候选，留给层级加权重排
+        const neighbors = await this._retriever(memory).search(query, {
+            candidates:    Math.max(k * 4, cfg.memory.hybrid?.candidates ?? 50),
+            minSimilarity: cfg.memory.semanticPreFilter * 0.7,
+        });
 
-            if (similarity < cfg.memory.semanticPreFilter * 0.7) return null;  // 更宽松的前置过滤
+        return neighbors.map(({ idx, relevance, similarity, bm25 }) => {
+            const v          = vectors[idx];
+            const rawDoc     = memory.rawDocs[idx];
+            const memType    = rawDoc?.memory_type ?? "long_term";
 
             const { createdAt, confidence } = v.metadata;
             const hoursPassed = (now - createdAt) / (1000 * 60 * 60);
 
-            // short_term 超期自动降权（不删除，只召回时降级）
+            // short_term 超期自动降权（不删除，删除与晋升交给定时清扫）
             const effectiveType = (memType === "short_term" && hoursPassed > SHORT_TERM_EXPIRE_DAYS * 24)
                 ? "long_term"
                 : memType;
@@ -100,26 +170,26 @@ export class VectorMemory {
             const timeDecay = Math.exp(-this.lambda * hoursPassed);
             const boost     = LAYER_BOOST[effectiveType] ?? 1.0;
 
-            const score = boost * (
-                similarity * similarityWeight +
-                timeDecay  * timeDecayWeight  +
-                confidence * confidenceWeight
-            );
+            const rest  = timeDecay * timeDecayWeight + confidence * confidenceWeight;
+            const score = weight * boost * (similarity * similarityWeight + rest);
+            const rank  = weight * boost * (relevance  * similarityWeight + rest);
 
             return {
+                id:          v.metadata.id,
                 task:        v.content,
                 result:      v.metadata.result,
                 score,
+                rank,
+                relevance,
                 similarity,
+                bm25,
                 memType:     effectiveType,
+                namespace,
                 confidence,
                 createdAt,
+                structured:  rawDoc?.structured ?? null,
             };
-        }).filter(Boolean);
-
-        // 按 score 降序取 Top-K
-        scored.sort((a, b) => b.score - a.score);
-        return scored.slice(0, k);
+        });
     }
 
     /**
@@ -127,12 +197,16 @@ export class VectorMemory {
      * @param {string} query
      * @param {number} [k=5]
      * @param {number} [minScore=0.3]   低于此分数不显示
+     * @param {{ namespace?: string|null, context?: object, onRecall?: (hits: RecallResult[]) => void }} [opts]
+     *   context  —— 前置条件判定上下文（见 searchTopK）
+     *   onRecall —— 收到实际注入上下文的召回条目（用户反馈回路据此记账）
      * @returns {Promise<string>}       空字符串表示无相关记忆
      */
-    async buildContext(query, k = 5, minScore = 0.3) {
-        const hits = await this.searchTopK(query, k);
+    async buildContext(query, k = 5, minScore = 0.3, { namespace = null, context = null, onRecall } = {}) {
+        const hits = await this.searchTopK(query, k, { namespace, context });
         const relevant = hits.filter((h) => h.score >= minScore);
         if (relevant.length === 0) return "";
+        onRecall?.(relevant);
 
         const lines = relevant.map((h, i) => {
             const tag = h.memType === "core"
@@ -140,13 +214,22 @@ export class VectorMemory {
                 : h.memType === "short_term"
                     ? "【近期】"
                     : "【经验】";
-            return `${i + 1}. ${tag} ${h.result}`;
+            const avoid = h.structured?.avoid?.length ? `（避免：${h.structured.avoid.join("；")}）` : "";
+            return `${i + 1}. ${h.namespace ? `${tag.slice(0, -1)}·${h.namespace}】` : tag} ${h.result}${avoid}`;
         });
 
         logger.info(EV.FIRE,
-            `Top-K 语义召回 ${relevant.length} 条（最高分 ${relevant[0].score.toFixed(3)}）`
+            `Top-K 混合召回 ${relevant.length} 条（最高分 ${relevant[0].score.toFixed(3)}）`
         );
 
+        const conflicts = conflictDetector.openAmong(relevant);
+        if (conflicts.length > 0) {
+            const pos = new Map(relevant.map((h, i) => [h.id, i + 1]));
+            lines.push("【冲突】以下召回准则相互矛盾且尚未裁决，请结合当前情境取舍，并在回答中说明采用了哪一条：");
+            for (const c of conflicts) lines.push(`   - 第 ${pos.get(c.a)} 条 与 第 ${pos.get(c.b)} 条：${c.reason || "指导相反"}`);
+            logger.info(EV.FIRE, `召回准则中有 ${conflicts.length} 对冲突，已提示推理节点`);
+        }
+
         return lines.join("\n");
     }
 
@@ -164,11 +247,17 @@ export class VectorMemory {
 
 /**
  * @typedef {Object} RecallResult
+ * @property {string} id
  * @property {string} task
  * @property {string} result
- * @property {number} score
- * @property {number} similarity
+ * @property {number} score       三因子分（相似度项为余弦），阈值判定用
+ * @property {number} rank        排序分（相似度项为融合相关度）
+ * @property {number} relevance   混合检索融合相关度（[0, 1]）
+ * @property {number} similarity  原始余弦相似度
+ * @property {number} bm25        词法得分（0 表示无词法命中）
  * @property {"core"|"long_term"|"short_term"} memType
+ * @property {string|null} namespace  来源命名空间，null 为全局库
  * @property {number} confidence
  * @property {number} createdAt
+ * @property {object|null} structured  结构化准则（见 ruleSchema.js），纯文本准则为 null
  */
@@ -3,8 +3,15 @@
 //
 // 设计原则：不修改引擎核心代码（wuxingGraph / vectorStore / dream / entropyReducer）
 // 使用方式：在 main.js 或任意宿主中 new EvolutionPlugin(wisdomMemory) 即可接入
+//
+// 提案模式（evolution.proposalMode，默认开启）：梦境 / 熵减只计算变更集，
+// 经 approvalManager 以 medium 风险送审，批准的条目才写入经验库（支持部分批准）
+//
+// 按交互次数的定期熵减由反思节点负责（REPL / Web 共用，作用于当前命名空间库），
+// 这里的 afterTask 只触发梦境；fullCycle 仍执行 熵减 + 梦境
 import { DreamModule } from "../../engine/dream.js";
-import { prune } from "../../engine/entropyReducer.js";
+import { pruneOrPropose } from "../../engine/entropyReducer.js";
+import { proposeChangeSet } from "../../memory/memoryProposal.js";
 import { logger, EV } from "../../utils/logger.js";
 import cfg from "../../../config/wuxing.json" with { type: "json" };
 
@@ -19,12 +26,24 @@ export class EvolutionPlugin {
 
         // 从配置读取触发间隔
         this.dreamEvery   = cfg.evolution.dreamTriggerEvery;
-        this.entropyEvery = cfg.memory.entropyTriggerEvery;
+        this.proposalMode = cfg.evolution.proposalMode ?? true;
+    }
+
+    // 熵减：提案模式下送审，否则直接修剪
+    async _prune() {
+        return pruneOrPropose(this.memory, { proposal: this.proposalMode, source: "evolution" });
+    }
+
+    // 梦境：提案模式下送审，否则直接折叠
+    async _dream(minDocs) {
+        if (!this.proposalMode) return this.dream.startDreaming(minDocs);
+        const cs = await this.dream.plan(minDocs);
+        if (cs) await proposeChangeSet(this.memory, cs, { source: "evolution" });
     }
 
     /**
      * 每次 Agent 完成一轮任务后调用
-     * 插件自动决策是否触发梦境或熵减
+     * 插件自动决策是否触发梦境
      *
      * @param {{ async?: boolean }} options
      *   async=true 时异步执行（不阻塞响应），适合生产环境
@@ -33,31 +52,21 @@ export class EvolutionPlugin {
     async afterTask(options = { async: false }) {
         this.taskCount++;
 
-        const shouldDream   = this.taskCount % this.dreamEvery   === 0;
-        const shouldEntropy = this.taskCount % this.entropyEvery === 0;
-
-        if (!shouldDream && !shouldEntropy) return;
+        if (this.taskCount % this.dreamEvery !== 0) return;
 
         const run = async () => {
-            if (shouldEntropy) {
-                logger.info(EV.ENTROPY, `第 ${this.taskCount} 次交互，触发熵减修剪...`);
-                await prune(this.memory);
-            }
-
-            if (shouldDream) {
-                logger.info(EV.DREAM, `第 ${this.taskCount} 次交互，进入梦境整合...`);
-                const before = this.memory.getAllDocs().length;
-                await this.dream.startDreaming(cfg.memory.dreamMinDocs);
-                const after = this.memory.getAllDocs().length;
+            logger.info(EV.DREAM, `第 ${this.taskCount} 次交互，进入梦境整合...`);
+            const before = this.memory.getAllDocs().length;
+            await this._dream(cfg.memory.dreamMinDocs);
+            const after = this.memory.getAllDocs().length;
 
-                if (after < before) {
-                    logger.evolution(
-                        EV.DREAM,
-                        `逻辑折叠完成：${before} 条 → ${after} 条，提炼率 ${((1 - after / before) * 100).toFixed(1)}%`
-                    );
-                } else {
-                    logger.info(EV.DREAM, "本轮梦境：无可折叠群组，经验库保持纯净。");
-                }
+            if (after < before) {
+                logger.evolution(
+                    EV.DREAM,
+                    `逻辑折叠完成：${before} 条 → ${after} 条，提炼率 ${((1 - after / before) * 100).toFixed(1)}%`
+                );
+            } else {
+                logger.info(EV.DREAM, "本轮梦境：无可折叠群组，经验库保持纯净。");
             }
         };
 
@@ -71,12 +80,12 @@ export class EvolutionPlugin {
 
     /**
      * 手动触发完整进化周期（梦境 + 熵减）
-     * 适合定时任务（cron）或空闲时调用
+     * 适合定时任务（cron）或空闲时调用；提案模式下两份变更集依次送审
      */
     async fullCycle() {
         logger.info(EV.SYSTEM, "手动触发完整进化周期...");
-        await prune(this.memory);
-        await this.dream.startDreaming(2);
+        await this._prune();
+        await this._dream(2);
         logger.info(EV.SYSTEM, `进化周期完成，当前库存 ${this.memory.getAllDocs().length} 条`);
     }
 }
@@ -0,0 +1,50 @@
+// src/storage/index.js
+// 【土-仓】：智能体状态存储抽象 —— 经验库 / 向量缓存 / 目标 / 缺陷 / 经验地图 / 会话 / 审批审计
+//
+// 后端（config/wuxing.json → storage.backend，环境变量 WUXING_STORAGE 可覆盖）：
+//   json   —— 分散 JSON 文件（默认，与历史布局一致，见 jsonBackend.js）
+//   sqlite —— 单文件 SQLite（事务 + 索引 + 增量写入，见 sqliteBackend.js）
+// 从 JSON 切到 SQLite 前先执行一次迁移：npm run migrate:sqlite（见 migrate.js）
+//
+// 接口（两种后端一致，均为同步调用）：
+//   readDoc(name, fallback) / writeDoc(name, value) / removeDoc(name) / hasDoc(name)
+//     name ∈ goals | defects | experience_map | memory_flow | session
+//   updateDoc(name, fallback, fn) → { value, version }   ← 跨进程互斥的读-改-写
+//   docVersion(name) / rulesVersion(ns) → 版本令牌（与上次记下的不同 = 其他进程写过）
+//   loadRules(ns) → docs[] | null / saveRules(ns, docs) / countRules(ns) / ruleNamespaces()
+//   updateRules(ns, (current, version) => docs) → { docs, version }
+//   loadVectors(ns) → { embedder, vectors } | null / saveVectors(ns, embedder, vectors)
+//   clearMemory()
+//   appendAudit(entry) / readAudit(limit) → 新 → 旧
+//
+// 并发：JSON 后端靠文件锁 + 原子替换（safeFile.js），SQLite 后端靠数据库事务；
+// 记忆快照 / 冲突边 / 反馈记录 / 检查点 / 用量账簿等仍为独立文件，不经此层，直接使用 safeFile.js
+//
+import { JsonBackend } from "./jsonBackend.js";
+import { SqliteBackend } from "./sqliteBackend.js";
+import { logger, EV } from "../utils/logger.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const STORAGE_CFG = cfg.storage ?? {};
+export const BACKENDS = ["json", "sqlite"];
+
+/**
+ * 按名称创建存储后端；SQLite 不可用（Node 版本过低）时回退 JSON 并告警
+ * @param {string} [kind]
+ * @returns {JsonBackend|SqliteBackend}
+ */
+export function createStorage(kind = process.env.WUXING_STORAGE || STORAGE_CFG.backend || "json") {
+    if (!BACKENDS.includes(kind)) {
+        logger.warn(EV.SYSTEM, `未知存储后端 ${kind}，使用 json`);
+        return new JsonBackend();
+    }
+    if (kind === "json") return new JsonBackend();
+    try {
+        return new SqliteBackend(STORAGE_CFG.sqliteFile ?? "data/wuxing.db");
+    } catch (e) {
+        logger.warn(EV.SYSTEM, `${e.message}，回退 JSON 文件存储`);
+        return new JsonBackend();
+    }
+}
+
+export const storage = createStorage();
@@ -0,0 +1,186 @@
+// src/storage/jsonBackend.js
+// 【土-仓·JSON】：分散 JSON 文件存储（默认后端，与历史布局完全一致）
+//
+//   文档（readDoc / writeDoc）：
+//     goals          → data/goals.json
+//     defects        → data/defects.json
+//     experience_map → data/experience_map.json
+//     memory_flow    → data/memory_flow.json
+//     session        → session.persistFile（缺省 data/sessions/current.json）
+//   经验库（loadRules / saveRules）与向量缓存（loadVectors / saveVectors）：
+//     全局库 data/wisdom.json / wisdom.vec.json；命名空间库 data/namespaces/<名称>/ 下同名文件
+//   审批审计（appendAudit / readAudit）：data/audit/approvals.jsonl
+//
+// 每次写入整体重写对应文件；需要事务与增量写入时切换 SQLite 后端（见 sqliteBackend.js）
+// 跨进程（REPL 与 Web 同时运行）：写入为持锁的原子替换，updateDoc / updateRules 在锁内读-改-写，
+// docVersion / rulesVersion 返回文件版本令牌供调用方检测他人写入；
+// 损坏的文件隔离为 *.corrupt-<时间戳> 后按"不存在"处理（见 safeFile.js）
+//
+import { readFileSync, existsSync, readdirSync, rmSync } from "fs";
+import { resolve, dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { readJsonSafe, writeJsonAtomic, withLock, updateJson, appendLine, fileVersion } from "./safeFile.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+// 经验库按模块位置定位 data/（与历史行为一致），其余文档按工作目录
+const DATA_DIR = join(dirname(fileURLToPath(import.meta.url)), "../../data");
+
+export const DOC_FILES = {
+    goals:          "data/goals.json",
+    defects:        "data/defects.json",
+    experience_map: "data/experience_map.json",
+    memory_flow:    "data/memory_flow.json",
+    session:        cfg.session?.persistFile ?? "data/sessions/current.json",
+};
+const AUDIT_FILE = resolve(process.cwd(), "data/audit/approvals.jsonl");
+
+/**
+ * 经验库文件位置：全局库在 data/ 下，命名空间库在 data/namespaces/<名称>/ 下（文件名相同）
+ * 近邻索引（wisdom.ann.json）为可重建的派生数据，两种后端都留在文件系统
+ * @param {string|null} namespace  已规范化的命名空间名，null 为全局
+ */
+export function storePaths(namespace = null) {
+    const dir = namespace ? join(DATA_DIR, "namespaces", namespace) : DATA_DIR;
+    return {
+        dir,
+        data: join(dir, "wisdom.json"),
+        vec:  join(dir, "wisdom.vec.json"),
+        ann:  join(dir, "wisdom.ann.json"),
+    };
+}
+
+function docFile(name) {
+    const rel = DOC_FILES[name];
+    if (!rel) throw new Error(`未知存储文档：${name}`);
+    return resolve(process.cwd(), rel);
+}
+
+function writeJson(file, value, space = 2) {
+    withLock(file, () => writeJsonAtomic(file, value, space));
+}
+
+export class JsonBackend {
+    constructor() {
+        this.kind = "json";
+    }
+
+    // ── 文档 ────────────────────────────────────────────────
+
+    // 文件不存在返回 fallback；解析失败先隔离原文件再返回 fallback
+    readDoc(name, fallback = null) {
+        return readJsonSafe(docFile(name), fallback);
+    }
+
+    writeDoc(name, value) {
+        writeJson(docFile(name), value);
+    }
+
+    /**
+     * 锁内读-改-写：fn(当前值) 返回新值（返回 undefined 表示原地修改）
+     * @returns {{ value: *, version: string|null }}  写入的值与写入后的版本令牌
+     */
+    updateDoc(name, fallback, fn) {
+        const file = docFile(name);
+        return withLock(file, () => ({ value: updateJson(file, fallback, fn), version: fileVersion(file) }));
+    }
+
+    /** @returns {string|null}  版本令牌，变化即有写入；文档不存在为 null */
+    docVersion(name) {
+        return fileVersion(docFile(name));
+    }
+
+    removeDoc(name) {
+        rmSync(docFile(name), { force: true });
+    }
+
+    hasDoc(name) {
+        return existsSync(docFile(name));
+    }
+
+    // ── 经验库 ──────────────────────────────────────────────
+
+    /** @returns {object[]|null}  null 表示该库尚未落盘 */
+    loadRules(namespace = null) {
+        return readJsonSafe(storePaths(namespace).data, null);
+    }
+
+    saveRules(namespace, docs) {
+        writeJson(storePaths(namespace).data, docs);
+    }
+
+    /**
+     * 锁内读-改-写经验库
+     * @param {(current: object[]|null, version: string|null) => object[]} fn  version 为写入前的版本令牌
+     * @returns {{ docs: object[], version: string|null }}  写入的文档与写入后的版本令牌
+     */
+    updateRules(namespace, fn) {
+        const { data } = storePaths(namespace);
+        return withLock(data, () => {
+            const docs = fn(readJsonSafe(data, null), fileVersion(data));
+            writeJsonAtomic(data, docs);
+            return { docs, version: fileVersion(data) };
+        });
+    }
+
+    rulesVersion(namespace = null) {
+        return fileVersion(storePaths(namespace).data);
+    }
+
+    countRules(namespace = null) {
+        try {
+            return this.loadRules(namespace)?.length ?? 0;
+        } catch {
+            return 0;
+        }
+    }
+
+    // 磁盘上已有的命名空间（不含全局库）
+    ruleNamespaces() {
+        const root = join(DATA_DIR, "namespaces");
+        if (!existsSync(root)) return [];
+        return readdirSync(root, { withFileTypes: true })
+            .filter((e) => e.isDirectory())
+            .map((e) => e.name)
+            .sort();
+    }
+
+    /**
+     * @returns {{ embedder: string|null, vectors: Object<string, number[]> } | null}
+     *   embedder 为 null 表示升级前的扁平格式缓存
+     */
+    loadVectors(namespace = null) {
+        const raw = readJsonSafe(storePaths(namespace).vec, null);
+        if (!raw) return null;
+        return raw.version === 2 ? { embedder: raw.embedder, vectors: raw.vectors } : { embedder: null, vectors: raw };
+    }
+
+    saveVectors(namespace, embedder, vectors) {
+        writeJson(storePaths(namespace).vec, { version: 2, embedder, vectors }, 0);
+    }
+
+    // 清空全部经验库（全局 + 命名空间，含近邻索引）
+    clearMemory() {
+        const global = storePaths(null);
+        for (const f of [global.data, global.vec, global.ann]) rmSync(f, { force: true });
+        rmSync(join(DATA_DIR, "namespaces"), { recursive: true, force: true });
+    }
+
+    // ── 审批审计（追加写）────────────────────────────────────
+
+    appendAudit(entry) {
+        appendLine(AUDIT_FILE, JSON.stringify(entry));
+    }
+
+    // 最近 limit 条（新 → 旧）
+    readAudit(limit = 5) {
+        if (!existsSync(AUDIT_FILE)) return [];
+        const parsed = readFileSync(AUDIT_FILE, "utf-8")
+            .split("\n")
+            .filter(Boolean)
+            .map((line) => {
+                try { return JSON.parse(line); } catch { return null; }
+            })
+            .filter(Boolean);
+        return parsed.slice(-limit).reverse();
+    }
+}
@@ -0,0 +1,54 @@
+// src/storage/merge.js
+// 【土-合】：按 id 三方合并 —— 进程内存副本落盘前发现磁盘已被其他进程改写时使用
+//
+//   base   —— 本进程上次与磁盘同步时的快照（id → JSON 文本，见 snapshotById）
+//   ours   —— 本进程当前的内存副本
+//   theirs —— 磁盘上的最新内容
+//
+// 规则（逐条按 id）：
+//   本进程改过（与 base 不同）或新增的 → 取 ours
+//   本进程没动过的                     → 取 theirs（含其他进程的修改）；theirs 里已没有则视为被删除
+//   本进程删掉的（base 有、ours 无）   → 不保留
+//   其他进程新增的（base 无、ours 无） → 保留
+// 顺序：以 theirs 为准，本进程新增的追加在末尾
+//
+
+/**
+ * @param {object[]} docs
+ * @param {string} [key]
+ * @returns {Map<string, string>}
+ */
+export function snapshotById(docs, key = "id") {
+    return new Map(docs.filter((d) => d?.[key]).map((d) => [d[key], JSON.stringify(d)]));
+}
+
+/**
+ * @param {Map<string, string>} base
+ * @param {object[]} ours
+ * @param {object[]} theirs
+ * @param {string} [key]
+ * @returns {object[]}
+ */
+export function mergeById(base, ours, theirs, key = "id") {
+    const mine    = new Map(ours.filter((d) => d?.[key]).map((d) => [d[key], d]));
+    const changed = (d) => base.get(d[key]) !== JSON.stringify(d);
+    const out     = [];
+    const seen    = new Set();
+
+    for (const t of theirs) {
+        const id = t?.[key];
+        if (!id) { out.push(t); continue; }
+        seen.add(id);
+        const o = mine.get(id);
+        if (o) out.push(changed(o) ? o : t);
+        else if (!base.has(id)) out.push(t);
+    }
+    for (const o of ours) {
+        const id = o?.[key];
+        if (!id || seen.has(id)) continue;
+        // base 有而 theirs 无：其他进程删除了它，本进程也没改过就随之删除
+        if (base.has(id) && !changed(o)) continue;
+        out.push(o);
+    }
+    return out;
+}
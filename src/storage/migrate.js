@@ -0,0 +1,101 @@
+// src/storage/migrate.js
+// 【土-迁】：JSON → SQLite 一次性迁移
+//
+// 用法：npm run migrate:sqlite [-- --force]
+//   1. 在一个事务内导入：goals / defects / experience_map / memory_flow / session 文档，
+//      全局库与各命名空间库的准则与向量缓存，审批审计（按原顺序）
+//   2. 成功后在 meta 表记下 migrated_from_json，重复执行会拒绝（--force 清空目标库后重导）
+//   3. 原 JSON 文件原样保留作为备份；确认无误后把 config/wuxing.json → storage.backend 改为 "sqlite"
+// 损坏的 JSON 文件隔离为 *.corrupt-<时间戳> 后跳过，并在结果中列出，不中断整体迁移
+//
+import { existsSync } from "fs";
+import { pathToFileURL } from "url";
+import { JsonBackend, DOC_FILES, storePaths } from "./jsonBackend.js";
+import { SqliteBackend } from "./sqliteBackend.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+/**
+ * @param {{ file?: string, force?: boolean }} [opts]
+ * @returns {{ file: string, docs: string[], rules: Object<string, number>, vectors: Object<string, number>, audit: number, skipped: string[] }}
+ */
+export function migrateJsonToSqlite({ file = cfg.storage?.sqliteFile ?? "data/wuxing.db", force = false } = {}) {
+    const json   = new JsonBackend();
+    const sqlite = new SqliteBackend(file);
+    const report = { file: sqlite.file, docs: [], rules: {}, vectors: {}, audit: 0, skipped: [] };
+
+    try {
+        const done = sqlite.getMeta("migrated_from_json");
+        if (done && !force) {
+            throw new Error(`${sqlite.file} 已于 ${done} 完成迁移；如需重导请加 --force`);
+        }
+
+        // 读取失败只跳过该项；文件存在却读出 null 说明已损坏并被隔离
+        const attempt = (label, fn, existed = true) => {
+            try {
+                const value = fn();
+                if (value === null && existed) report.skipped.push(`${label}：文件已损坏，原文件已隔离`);
+                return value;
+            } catch (e) {
+                report.skipped.push(`${label}：${e.message}`);
+                return null;
+            }
+        };
+
+        sqlite.transaction(() => {
+            if (force) {
+                sqlite.db.exec("DELETE FROM docs; DELETE FROM rules; DELETE FROM vectors; DELETE FROM vector_sets; DELETE FROM audit;");
+            }
+
+            for (const name of Object.keys(DOC_FILES)) {
+                if (!json.hasDoc(name)) continue;
+                const value = attempt(DOC_FILES[name], () => json.readDoc(name));
+                if (value === null) continue;
+                sqlite.writeDoc(name, value);
+                report.docs.push(name);
+            }
+
+            for (const ns of [null, ...json.ruleNamespaces()]) {
+                const label = ns ?? "global";
+                const paths = storePaths(ns);
+                const docs  = attempt(`${label} 准则`, () => json.loadRules(ns), existsSync(paths.data));
+                if (docs) {
+                    sqlite.saveRules(ns, docs);
+                    report.rules[label] = docs.length;
+                }
+                const vec = attempt(`${label} 向量缓存`, () => json.loadVectors(ns), existsSync(paths.vec));
+                // 旧版扁平缓存（无嵌入器标记）视为默认 openai 嵌入所产，与 vectorStore 的判定一致
+                if (vec) {
+                    sqlite.saveVectors(ns, vec.embedder ?? `openai:${cfg.models.embedding}`, vec.vectors);
+                    report.vectors[label] = Object.keys(vec.vectors).length;
+                }
+            }
+
+            const entries = attempt("审批审计", () => json.readAudit(Infinity)) ?? [];
+            for (const entry of [...entries].reverse()) sqlite.appendAudit(entry);
+            report.audit = entries.length;
+
+            sqlite.setMeta("migrated_from_json", new Date().toISOString());
+        });
+    } finally {
+        sqlite.close();
+    }
+    return report;
+}
+
+// ── 命令行入口 ────────────────────────────────────────────
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    try {
+        const r = migrateJsonToSqlite({ force: process.argv.includes("--force") });
+        const sum = (o) => Object.values(o).reduce((a, b) => a + b, 0);
+        console.log(`[土-迁] 已迁移到 ${r.file}`);
+        console.log(`  文档：${r.docs.join(", ") || "（无）"}`);
+        console.log(`  准则：${sum(r.rules)} 条（${Object.entries(r.rules).map(([k, v]) => `${k} ${v}`).join(" / ") || "无"}）`);
+        console.log(`  向量缓存：${sum(r.vectors)} 条`);
+        console.log(`  审批审计：${r.audit} 条`);
+        for (const s of r.skipped) console.log(`  跳过 ${s}`);
+        console.log('\n原 JSON 文件已保留。将 config/wuxing.json → storage.backend 改为 "sqlite" 后生效。');
+    } catch (e) {
+        console.error(`[土-迁] 迁移失败：${e.message}`);
+        process.exitCode = 1;
+    }
+}
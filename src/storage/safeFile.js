@@ -0,0 +1,218 @@
+// src/storage/safeFile.js
+// 【土-固】：跨进程安全的文件读写 —— 原子写 / 建议锁 / 损坏隔离 / 变更检测
+//
+// REPL（npm start）与 Web（npm run web）可能同时运行，共享 data/ 下的文件：
+//   writeJsonAtomic / writeTextAtomic —— 先写同目录临时文件并 fsync，再 rename 覆盖；
+//                                       崩溃只会留下 *.tmp 残片，目标文件要么旧要么新，不会截断
+//   withLock(file, fn)                —— <file>.lock 建议锁（O_EXCL 创建，内容为持有者 pid / host / at）；
+//                                       持有者进程已退出或锁龄超过 staleMs 视为陈旧锁，回收后重试；
+//                                       等待超过 timeoutMs 抛出带 lockTimeout 标记的错误；同进程可重入
+//   updateJson(file, fallback, fn)    —— 加锁读-改-写：fn(当前内容) 返回新内容（返回 undefined 表示原地修改）
+//   appendLine(file, line)            —— 加锁追加一行（JSONL 日志）
+//   readJsonSafe(file, fallback)      —— 文件不存在返回 fallback；解析失败把原文件改名为
+//                                       <file>.corrupt-<时间戳> 隔离并告警，再返回 fallback（不再静默覆盖）
+//   fileVersion(file)                 —— mtime + size 令牌；与上次读写时的令牌不同即说明被其他进程改过
+//
+// 锁参数见 config/wuxing.json → storage.lock
+//
+import {
+    openSync, closeSync, writeSync, fsyncSync, renameSync, unlinkSync, readFileSync,
+    existsSync, mkdirSync, statSync, appendFileSync,
+} from "fs";
+import { dirname, basename, join } from "path";
+import { hostname } from "os";
+import { logger, EV } from "../utils/logger.js";
+import cfg from "../../config/wuxing.json" with { type: "json" };
+
+const LOCK_CFG   = cfg.storage?.lock ?? {};
+const TIMEOUT_MS = LOCK_CFG.timeoutMs ?? 5_000;
+const STALE_MS   = LOCK_CFG.staleMs   ?? 30_000;
+const RETRY_MS   = LOCK_CFG.retryMs   ?? 25;
+const HOST       = hostname();
+const held       = new Map();   // 锁文件 → 本进程重入深度
+const sleeper    = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+    Atomics.wait(sleeper, 0, 0, ms);
+}
+
+function ensureDir(file) {
+    const dir = dirname(file);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+}
+
+function pidAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === "EPERM";   // 进程存在但无权发信号
+    }
+}
+
+// ── 原子写 ────────────────────────────────────────────────
+
+export function writeTextAtomic(file, text) {
+    ensureDir(file);
+    const tmp = join(dirname(file), `.${basename(file)}.${process.pid}.${Math.random().toString(36).slice(2, 7)}.tmp`);
+    const fd  = openSync(tmp, "w");
+    try {
+        writeSync(fd, text);
+        fsyncSync(fd);
+    } finally {
+        closeSync(fd);
+    }
+    try {
+        renameSync(tmp, file);
+    } catch (e) {
+        try { unlinkSync(tmp); } catch { /* 已不存在 */ }
+        throw e;
+    }
+}
+
+export function writeJsonAtomic(file, value, space = 2) {
+    writeTextAtomic(file, JSON.stringify(value, null, space));
+}
+
+// ── 损坏隔离 ──────────────────────────────────────────────
+
+export function quarantine(file, reason = "") {
+    const target = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+    try {
+        renameSync(file, target);
+        logger.warn(EV.SYSTEM, `${basename(file)} 已损坏${reason ? `（${reason}）` : ""}，原文件隔离为 ${basename(target)}`);
+    } catch (e) {
+        logger.warn(EV.SYSTEM, `${basename(file)} 已损坏且隔离失败：${e.message}`);
+    }
+    return target;
+}
+
+export function readJsonSafe(file, fallback = null) {
+    let text;
+    try {
+        text = readFileSync(file, "utf-8");
+    } catch (e) {
+        if (e.code === "ENOENT") return fallback;
+        throw e;
+    }
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        quarantine(file, e.message);
+        return fallback;
+    }
+}
+
+// ── 建议锁 ────────────────────────────────────────────────
+
+function tryReclaim(lockFile) {
+    let owner = null;
+    try {
+        owner = JSON.parse(readFileSync(lockFile, "utf-8"));
+    } catch { /* 锁文件刚被创建尚未写完 / 已被释放：按锁龄判断 */ }
+
+    let age;
+    try {
+        age = Date.now() - (owner?.at ?? statSync(lockFile).mtimeMs);
+    } catch {
+        return true;   // 锁已释放
+    }
+    const dead = owner?.host === HOST && Number.isInteger(owner.pid) && !pidAlive(owner.pid);
+    if (!dead && age < STALE_MS) return false;
+
+    // 先改名再删除：多个进程同时回收时只有一个成功
+    const grave = `${lockFile}.stale.${process.pid}`;
+    try {
+        renameSync(lockFile, grave);
+        unlinkSync(grave);
+        logger.warn(EV.SYSTEM,
+            `回收陈旧锁 ${basename(lockFile)}（持有者 ${owner?.pid ?? "?"}@${owner?.host ?? "?"}，` +
+            `${dead ? "进程已退出" : `已持有 ${Math.round(age / 1000)}s`}）`
+        );
+    } catch { /* 其他进程已回收 */ }
+    return true;
+}
+
+function acquire(lockFile) {
+    ensureDir(lockFile);
+    const deadline = Date.now() + TIMEOUT_MS;
+    for (;;) {
+        try {
+            const fd = openSync(lockFile, "wx");
+            try {
+                writeSync(fd, JSON.stringify({ pid: process.pid, host: HOST, at: Date.now() }));
+            } finally {
+                closeSync(fd);
+            }
+            return;
+        } catch (e) {
+            if (e.code !== "EEXIST") throw e;
+        }
+        if (tryReclaim(lockFile)) continue;
+        if (Date.now() > deadline) {
+            throw Object.assign(new Error(`等待文件锁超时：${basename(lockFile)}`), { lockTimeout: true });
+        }
+        sleepSync(RETRY_MS);
+    }
+}
+
+/**
+ * 持有 <file>.lock 期间同步执行 fn（同进程可重入）
+ * @template T
+ * @param {string} file
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withLock(file, fn) {
+    const lockFile = `${file}.lock`;
+    const depth    = held.get(lockFile) ?? 0;
+    if (depth === 0) acquire(lockFile);
+    held.set(lockFile, depth + 1);
+    try {
+        return fn();
+    } finally {
+        if (depth === 0) {
+            held.delete(lockFile);
+            try { unlinkSync(lockFile); } catch { /* 已被当作陈旧锁回收 */ }
+        } else {
+            held.set(lockFile, depth);
+        }
+    }
+}
+
+/**
+ * 加锁读-改-写 JSON 文件
+ * @param {string} file
+ * @param {*} fallback  文件不存在 / 损坏时的初值
+ * @param {(current: any) => any} fn  返回新内容；返回 undefined 表示已原地修改 current
+ * @param {{ space?: number }} [opts]
+ * @returns {any} 写入的内容
+ */
+export function updateJson(file, fallback, fn, { space = 2 } = {}) {
+    return withLock(file, () => {
+        const current = readJsonSafe(file, structuredClone(fallback));
+        const next    = fn(current);
+        const value   = next === undefined ? current : next;
+        writeJsonAtomic(file, value, space);
+        return value;
+    });
+}
+
+export function appendLine(file, line) {
+    ensureDir(file);
+    withLock(file, () => appendFileSync(file, `${line}\n`, "utf-8"));
+}
+
+// ── 变更检测 ──────────────────────────────────────────────
+
+/**
+ * @returns {string|null}  mtime + size 令牌；文件不存在为 null
+ */
+export function fileVersion(file) {
+    try {
+        const st = statSync(file);
+        return `${st.mtimeMs}:${st.size}:${st.ino}`;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,331 @@
+// src/storage/sqliteBackend.js
+// 【土-仓·SQLite】：单文件 SQLite 存储（node:sqlite，需 Node ≥ 22.5；22.13 之前需 --experimental-sqlite）
+//
+// 表结构（默认 data/wuxing.db，WAL 模式）：
+//   docs        (name PK, value JSON, updated_at)                       ← goals / defects / experience_map / memory_flow / session
+//   rules       (namespace, id) PK + position / task / result / memory_type / confidence / created_at / hit_count / doc JSON
+//               索引：(namespace, position) / (namespace, memory_type) / (namespace, confidence)
+//   vector_sets (namespace PK, embedder)                                 ← 向量缓存所属嵌入器
+//   vectors     (namespace, hash) PK + embedding BLOB（Float64）
+//   audit       (seq 自增 PK, event, ts, entry JSON)，索引 event        ← 审批审计（追加）
+//   meta        (key PK, value)                                         ← 迁移标记、写入版本号（rev:doc:<名> / rev:rules:<命名空间>）等
+//   namespace 列：全局库为 ""（主键不可为 NULL）
+//
+// 写入策略：
+//   saveRules / saveVectors 在事务内与库中现有行比对，只写新增 / 变化的行、删除消失的行，
+//   不再每次整体重写；任一步失败整体回滚，不会留下半截数据
+//   transaction(fn) 可嵌套（内层并入外层事务），供迁移器一次性导入
+//
+// 跨进程：BEGIN IMMEDIATE + busy_timeout 由 SQLite 负责加锁；每次写文档 / 准则递增对应版本号，
+// docVersion / rulesVersion 读取版本号供调用方检测其他进程的写入
+//
+import { createRequire } from "module";
+import { existsSync, mkdirSync, rmSync } from "fs";
+import { dirname, resolve } from "path";
+import { storePaths } from "./jsonBackend.js";
+
+const require = createRequire(import.meta.url);
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS docs (
+    name       TEXT PRIMARY KEY,
+    value      TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS rules (
+    namespace   TEXT    NOT NULL,
+    id          TEXT    NOT NULL,
+    position    INTEGER NOT NULL,
+    task        TEXT    NOT NULL,
+    result      TEXT    NOT NULL,
+    memory_type TEXT    NOT NULL DEFAULT 'long_term',
+    confidence  REAL    NOT NULL DEFAULT 1.0,
+    created_at  INTEGER,
+    hit_count   INTEGER NOT NULL DEFAULT 0,
+    doc         TEXT    NOT NULL,
+    PRIMARY KEY (namespace, id)
+);
+CREATE INDEX IF NOT EXISTS rules_ns_position   ON rules (namespace, position);
+CREATE INDEX IF NOT EXISTS rules_ns_type       ON rules (namespace, memory_type);
+CREATE INDEX IF NOT EXISTS rules_ns_confidence ON rules (namespace, confidence);
+CREATE TABLE IF NOT EXISTS vector_sets (
+    namespace TEXT PRIMARY KEY,
+    embedder  TEXT
+);
+CREATE TABLE IF NOT EXISTS vectors (
+    namespace TEXT NOT NULL,
+    hash      TEXT NOT NULL,
+    embedding BLOB NOT NULL,
+    PRIMARY KEY (namespace, hash)
+);
+CREATE TABLE IF NOT EXISTS audit (
+    seq   INTEGER PRIMARY KEY AUTOINCREMENT,
+    event TEXT,
+    ts    TEXT,
+    entry TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS audit_event ON audit (event);
+`;
+
+const nsKey = (namespace) => namespace ?? "";
+
+function loadDriver() {
+    try {
+        return require("node:sqlite");
+    } catch (e) {
+        throw new Error(
+            `SQLite 后端需要 Node ≥ 22.5 的内置 node:sqlite（当前 ${process.version}` +
+            `${process.version.startsWith("v22.") ? "，22.13 之前需加 --experimental-sqlite" : ""}）：${e.message}`
+        );
+    }
+}
+
+function encodeVector(arr) {
+    const f64 = Float64Array.from(arr);
+    return new Uint8Array(f64.buffer);
+}
+
+function decodeVector(blob) {
+    const bytes = Uint8Array.from(blob);   // 复制一份，保证 8 字节对齐
+    return Array.from(new Float64Array(bytes.buffer));
+}
+
+export class SqliteBackend {
+    /**
+     * @param {string} file  数据库文件路径（相对工作目录）
+     */
+    constructor(file = "data/wuxing.db") {
+        const { DatabaseSync } = loadDriver();
+        this.kind = "sqlite";
+        this.file = resolve(process.cwd(), file);
+        const dir = dirname(this.file);
+        if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+        this.db = new DatabaseSync(this.file);
+        this.db.exec("PRAGMA journal_mode = WAL; PRAGMA synchronous = NORMAL; PRAGMA busy_timeout = 5000;");
+        this.db.exec(SCHEMA);
+        this._depth = 0;
+        this._stmts = new Map();
+    }
+
+    _stmt(sql) {
+        if (!this._stmts.has(sql)) this._stmts.set(sql, this.db.prepare(sql));
+        return this._stmts.get(sql);
+    }
+
+    /**
+     * 在事务内执行 fn；嵌套调用并入最外层事务，任一处抛出则整体回滚
+     * @template T
+     * @param {() => T} fn
+     * @returns {T}
+     */
+    transaction(fn) {
+        if (this._depth > 0) return fn();
+        this.db.exec("BEGIN IMMEDIATE");
+        this._depth++;
+        try {
+            const out = fn();
+            this.db.exec("COMMIT");
+            return out;
+        } catch (e) {
+            this.db.exec("ROLLBACK");
+            throw e;
+        } finally {
+            this._depth--;
+        }
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    // ── 元数据 ──────────────────────────────────────────────
+
+    getMeta(key) {
+        return this._stmt("SELECT value FROM meta WHERE key = ?").get(key)?.value ?? null;
+    }
+
+    setMeta(key, value) {
+        this._stmt("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value")
+            .run(key, String(value));
+    }
+
+    // 写入版本号：每次写入 +1，其他连接据此判断是否需要重新载入
+    _bump(key) {
+        this._stmt(
+            "INSERT INTO meta (key, value) VALUES (?, '1') " +
+            "ON CONFLICT(key) DO UPDATE SET value = CAST(value AS INTEGER) + 1"
+        ).run(key);
+    }
+
+    // ── 文档 ────────────────────────────────────────────────
+
+    readDoc(name, fallback = null) {
+        const row = this._stmt("SELECT value FROM docs WHERE name = ?").get(name);
+        return row ? JSON.parse(row.value) : fallback;
+    }
+
+    writeDoc(name, value) {
+        this._stmt(
+            "INSERT INTO docs (name, value, updated_at) VALUES (?, ?, ?) " +
+            "ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at"
+        ).run(name, JSON.stringify(value), Date.now());
+        this._bump(`rev:doc:${name}`);
+    }
+
+    removeDoc(name) {
+        this._stmt("DELETE FROM docs WHERE name = ?").run(name);
+        this._bump(`rev:doc:${name}`);
+    }
+
+    updateDoc(name, fallback, fn) {
+        return this.transaction(() => {
+            const current = this.readDoc(name, structuredClone(fallback));
+            const next    = fn(current);
+            const value   = next === undefined ? current : next;
+            this.writeDoc(name, value);
+            return { value, version: this.docVersion(name) };
+        });
+    }
+
+    docVersion(name) {
+        return this.getMeta(`rev:doc:${name}`);
+    }
+
+    hasDoc(name) {
+        return !!this._stmt("SELECT 1 AS hit FROM docs WHERE name = ?").get(name);
+    }
+
+    // ── 经验库 ──────────────────────────────────────────────
+
+    loadRules(namespace = null) {
+        const ns   = nsKey(namespace);
+        const rows = this._stmt("SELECT doc FROM rules WHERE namespace = ? ORDER BY position").all(ns);
+        if (rows.length === 0 && !this._stmt("SELECT 1 AS hit FROM vector_sets WHERE namespace = ?").get(ns)) return null;
+        return rows.map((r) => JSON.parse(r.doc));
+    }
+
+    // 与库中现有行比对：只写新增 / 变化的行，删除消失的行
+    saveRules(namespace, docs) {
+        const ns = nsKey(namespace);
+        this.transaction(() => {
+            const existing = new Map(
+                this._stmt("SELECT id, position, doc FROM rules WHERE namespace = ?").all(ns)
+                    .map((r) => [r.id, r])
+            );
+            const keep   = new Set();
+            const upsert = this._stmt(
+                "INSERT INTO rules (namespace, id, position, task, result, memory_type, confidence, created_at, hit_count, doc) " +
+                "VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?) " +
+                "ON CONFLICT(namespace, id) DO UPDATE SET position = excluded.position, task = excluded.task, " +
+                "result = excluded.result, memory_type = excluded.memory_type, confidence = excluded.confidence, " +
+                "created_at = excluded.created_at, hit_count = excluded.hit_count, doc = excluded.doc"
+            );
+            docs.forEach((d, position) => {
+                const id   = d.id ?? `pos_${position}`;
+                const json = JSON.stringify(d);
+                keep.add(id);
+                const old = existing.get(id);
+                if (old && old.position === position && old.doc === json) return;
+                upsert.run(
+                    ns, id, position, String(d.task ?? ""), String(d.result ?? ""),
+                    d.memory_type ?? "long_term", d.confidence ?? 1.0, d.createdAt ?? null, d.hitCount ?? 0, json
+                );
+            });
+            const drop = this._stmt("DELETE FROM rules WHERE namespace = ? AND id = ?");
+            for (const id of existing.keys()) {
+                if (!keep.has(id)) drop.run(ns, id);
+            }
+            // 空库也要留下"已落盘"的标记，loadRules 据此区分"从未写过"与"已清空"
+            this._stmt("INSERT OR IGNORE INTO vector_sets (namespace, embedder) VALUES (?, NULL)").run(ns);
+            this._bump(`rev:rules:${ns}`);
+        });
+    }
+
+    updateRules(namespace, fn) {
+        return this.transaction(() => {
+            const docs = fn(this.loadRules(namespace), this.rulesVersion(namespace));
+            this.saveRules(namespace, docs);
+            return { docs, version: this.rulesVersion(namespace) };
+        });
+    }
+
+    rulesVersion(namespace = null) {
+        return this.getMeta(`rev:rules:${nsKey(namespace)}`);
+    }
+
+    countRules(namespace = null) {
+        return this._stmt("SELECT COUNT(*) AS n FROM rules WHERE namespace = ?").get(nsKey(namespace)).n;
+    }
+
+    ruleNamespaces() {
+        return this._stmt(
+            "SELECT namespace FROM vector_sets WHERE namespace <> '' " +
+            "UNION SELECT DISTINCT namespace FROM rules WHERE namespace <> '' ORDER BY namespace"
+        ).all().map((r) => r.namespace);
+    }
+
+    loadVectors(namespace = null) {
+        const ns  = nsKey(namespace);
+        const set = this._stmt("SELECT embedder FROM vector_sets WHERE namespace = ?").get(ns);
+        if (!set?.embedder) return null;
+        const vectors = {};
+        for (const r of this._stmt("SELECT hash, embedding FROM vectors WHERE namespace = ?").all(ns)) {
+            vectors[r.hash] = decodeVector(r.embedding);
+        }
+        return { embedder: set.embedder, vectors };
+    }
+
+    // 同一嵌入器下 hash 相同即向量相同：只插入新 hash、删除消失的 hash；嵌入器变化则整组重写
+    saveVectors(namespace, embedder, vectors) {
+        const ns = nsKey(namespace);
+        this.transaction(() => {
+            const set = this._stmt("SELECT embedder FROM vector_sets WHERE namespace = ?").get(ns);
+            if (set?.embedder !== embedder) {
+                this._stmt("DELETE FROM vectors WHERE namespace = ?").run(ns);
+                this._stmt(
+                    "INSERT INTO vector_sets (namespace, embedder) VALUES (?, ?) " +
+                    "ON CONFLICT(namespace) DO UPDATE SET embedder = excluded.embedder"
+                ).run(ns, embedder);
+            }
+            const existing = new Set(
+                this._stmt("SELECT hash FROM vectors WHERE namespace = ?").all(ns).map((r) => r.hash)
+            );
+            const insert = this._stmt("INSERT INTO vectors (namespace, hash, embedding) VALUES (?, ?, ?)");
+            for (const [hash, embedding] of Object.entries(vectors)) {
+                if (!existing.delete(hash)) insert.run(ns, hash, encodeVector(embedding));
+            }
+            const drop = this._stmt("DELETE FROM vectors WHERE namespace = ? AND hash = ?");
+            for (const hash of existing) drop.run(ns, hash);
+        });
+    }
+
+    // 清空全部经验库；近邻索引文件（派生数据）一并删除
+    clearMemory() {
+        const namespaces = this.ruleNamespaces();
+        this.transaction(() => {
+            this.db.exec("DELETE FROM rules; DELETE FROM vectors; DELETE FROM vector_sets;");
+            // 版本号只增不删，避免清空后重新写入时与旧版本号撞上
+            this.db.exec("UPDATE meta SET value = CAST(value AS INTEGER) + 1 WHERE key LIKE 'rev:rules:%'");
+        });
+        for (const ns of [null, ...namespaces]) rmSync(storePaths(ns).ann, { force: true });
+    }
+
+    // ── 审批审计 ────────────────────────────────────────────
+
+    appendAudit(entry) {
+        this._stmt("INSERT INTO audit (event, ts, entry) VALUES (?, ?, ?)")
+            .run(entry.event ?? null, entry.ts ?? new Date().toISOString(), JSON.stringify(entry));
+    }
+
+    readAudit(limit = 5) {
+        const rows = Number.isFinite(limit)
+            ? this._stmt("SELECT entry FROM audit ORDER BY seq DESC LIMIT ?").all(limit)
+            : this._stmt("SELECT entry FROM audit ORDER BY seq DESC").all();
+        return rows.map((r) => JSON.parse(r.entry));
+    }
+}
@@ -0,0 +1,40 @@
+// test/hybridRetriever.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fuseRankings } from "../src/memory/hybridRetriever.js";
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} ≉ ${b}`);
+
+test("fuseRankings（rrf）：两路都排第一得 1，名次越后分越低", () => {
+    const fused = fuseRankings(
+        [{ id: "a", similarity: 0.9 }, { id: "b", similarity: 0.8 }],
+        [{ id: "a", score: 5 }, { id: "c", score: 3 }],
+        { method: "rrf", weights: { vector: 0.6, lexical: 0.4 }, rrfK: 60 }
+    );
+    close(fused.get("a"), 1);
+    assert.ok(fused.get("b") < fused.get("a"));
+    // 只在一路出现：b 在向量侧第 2，c 在词法侧第 2，向量侧权重更高
+    assert.ok(fused.get("b") > fused.get("c"));
+    close(fused.get("b"), (0.6 / 62) / (1 / 61));
+});
+
+test("fuseRankings（rrf）：只看名次，与分数尺度无关", () => {
+    const opts = { method: "rrf", weights: { vector: 0.5, lexical: 0.5 }, rrfK: 60 };
+    const a = fuseRankings([{ id: "x", similarity: 0.9 }], [{ id: "x", score: 100 }], opts);
+    const b = fuseRankings([{ id: "x", similarity: 0.1 }], [{ id: "x", score: 0.01 }], opts);
+    assert.equal(a.get("x"), b.get("x"));
+});
+
+test("fuseRankings（weighted）：余弦与按最高分归一的 BM25 加权平均", () => {
+    const fused = fuseRankings(
+        [{ id: "a", similarity: 0.8 }, { id: "b", similarity: -0.2 }],
+        [{ id: "b", score: 4 }, { id: "a", score: 2 }],
+        { method: "weighted", weights: { vector: 0.6, lexical: 0.4 } }
+    );
+    close(fused.get("a"), 0.6 * 0.8 + 0.4 * 0.5);
+    close(fused.get("b"), 0.4 * 1);   // 负相似度按 0 计
+});
+
+test("fuseRankings：两路均为空 → 空结果", () => {
+    assert.equal(fuseRankings([], []).size, 0);
+});
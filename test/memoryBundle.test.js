@@ -0,0 +1,35 @@
+// test/memoryBundle.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseBundle, BUNDLE_FORMAT, BUNDLE_VERSION } from "../src/memory/memoryBundle.js";
+
+const header = (fields = {}) => JSON.stringify({ type: "header", format: BUNDLE_FORMAT, version: BUNDLE_VERSION, instance: "peer", ...fields });
+const rule   = (fields = {}) => JSON.stringify({ type: "rule", id: "r1", task: "t", result: "r", ...fields });
+
+test("parseBundle：解析包头与准则行，行号从 1 起算且跳过空行", () => {
+    const { header: h, rules, invalidLines } = parseBundle([header(), "", rule(), rule({ id: "r2" })].join("\n"));
+    assert.equal(h.instance, "peer");
+    assert.deepEqual(rules.map((r) => [r.line, r.rec.id]), [[3, "r1"], [4, "r2"]]);
+    assert.deepEqual(invalidLines, []);
+});
+
+test("parseBundle：坏行与空 task / result 记入 invalidLines，其他类型的行忽略", () => {
+    const text = [header(), "{oops", rule({ result: "  " }), JSON.stringify({ type: "note" }), rule()].join("\n");
+    const { rules, invalidLines } = parseBundle(text);
+    assert.equal(rules.length, 1);
+    assert.deepEqual(invalidLines.map((l) => l.line), [2, 3]);
+});
+
+test("parseBundle：包为空、包头不合法或版本过新时抛出 invalid 错误", () => {
+    const cases = [
+        "",
+        "not json",
+        rule(),
+        JSON.stringify({ type: "header", format: "other", version: 1 }),
+        header({ version: BUNDLE_VERSION + 1 }),
+        header({ version: "1" }),
+    ];
+    for (const text of cases) {
+        assert.throws(() => parseBundle(text), (e) => e.invalid === true, JSON.stringify(text));
+    }
+});
@@ -0,0 +1,36 @@
+// test/memoryLifecycle.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classify } from "../src/memory/memoryLifecycle.js";
+import cfg from "../config/wuxing.json" with { type: "json" };
+
+const ST  = cfg.memory.shortTerm;
+const DAY = 86_400_000;
+const NOW = Date.UTC(2026, 0, 10);
+const st  = (fields = {}) => ({ id: "s1", memory_type: "short_term", createdAt: NOW, ...fields });
+
+test("classify：👍 多于 👎 → 晋升", () => {
+    assert.deepEqual(classify(st({ feedback: { good: 2, bad: 1 } }), new Map(), NOW),
+        { to: "long_term", reason: "feedback", uses: 0 });
+});
+
+test("classify：无 👎 且召回轮数达标 → 晋升（取 hitCount 与召回账本的较大者）", () => {
+    const v = classify(st({ hitCount: 0 }), new Map([["s1", ST.promoteMinUses]]), NOW);
+    assert.equal(v.to, "long_term");
+    assert.equal(v.reason, "recalled");
+    assert.equal(v.uses, ST.promoteMinUses);
+    // 有 👎 时召回次数不足以晋升
+    assert.equal(classify(st({ hitCount: ST.promoteMinUses, feedback: { bad: 1 } }), new Map(), NOW), null);
+});
+
+test("classify：过期且从未用过 → 删除，被否定过的原因为 unhelpful", () => {
+    const old = NOW - (ST.expireDays + 0.5) * DAY;
+    assert.deepEqual(classify(st({ createdAt: old }), new Map(), NOW), { to: null, reason: "unused", uses: 0 });
+    assert.equal(classify(st({ createdAt: old, feedback: { bad: 1 } }), new Map(), NOW).reason, "unhelpful");
+});
+
+test("classify：超过 maxAgeDays 仍未达标 → 删除；新近的保持不动", () => {
+    const stale = classify(st({ createdAt: NOW - (ST.maxAgeDays + 1) * DAY, hitCount: 1 }), new Map(), NOW);
+    assert.deepEqual(stale, { to: null, reason: "stale", uses: 1 });
+    assert.equal(classify(st({ hitCount: 1 }), new Map(), NOW), null);
+});
@@ -0,0 +1,37 @@
+// test/memoryProposal.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { acceptedItems } from "../src/memory/memoryProposal.js";
+
+const cs = {
+    origin: "dream",
+    items: [
+        { id: "M1", kind: "merge" },
+        { id: "R1", kind: "rewrite" },
+        { id: "D1", kind: "delete" },
+        { id: "A1", kind: "add" },
+    ],
+};
+
+test("acceptedItems：未批准 → 空", () => {
+    assert.deepEqual(acceptedItems(cs, { approved: false, decision: "reject" }), []);
+    assert.deepEqual(acceptedItems(cs, null), []);
+});
+
+test("acceptedItems：approve → 全部条目", () => {
+    assert.deepEqual(acceptedItems(cs, { approved: true, decision: "approve" }), ["M1", "R1", "D1", "A1"]);
+});
+
+test("acceptedItems：modify → 只取修改后指令中仍保留的条目编号（按变更集顺序）", () => {
+    const command = [
+        "A1 新增 「...」（理由）",
+        "  M1 合并 a + b → 「...」",
+        "X9 不存在的编号",
+        "说明行 R1 不在行首不算",
+    ].join("\n");
+    assert.deepEqual(acceptedItems(cs, { approved: true, decision: "modify", command }), ["M1", "A1"]);
+});
+
+test("acceptedItems：编号须整词匹配", () => {
+    assert.deepEqual(acceptedItems(cs, { approved: true, decision: "modify", command: "M12 合并\nR1" }), ["R1"]);
+});
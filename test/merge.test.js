@@ -0,0 +1,39 @@
+// test/merge.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeById, snapshotById } from "../src/storage/merge.js";
+
+const doc = (id, result = `r-${id}`) => ({ id, task: `t-${id}`, result });
+
+test("mergeById：本进程改过的取 ours，没动过的取 theirs", () => {
+    const base   = snapshotById([doc("a"), doc("b")]);
+    const ours   = [doc("a", "ours-a"), doc("b")];
+    const theirs = [doc("a"), doc("b", "theirs-b")];
+    assert.deepEqual(mergeById(base, ours, theirs), [doc("a", "ours-a"), doc("b", "theirs-b")]);
+});
+
+test("mergeById：双方新增都保留，本进程新增的追加在末尾", () => {
+    const base   = snapshotById([doc("a")]);
+    const merged = mergeById(base, [doc("a"), doc("mine")], [doc("a"), doc("theirs")]);
+    assert.deepEqual(merged.map((d) => d.id), ["a", "theirs", "mine"]);
+});
+
+test("mergeById：一方删除且另一方未改 → 删除；另一方改过 → 保留", () => {
+    const base = snapshotById([doc("a"), doc("b")]);
+    // 本进程删了 a，其他进程没动
+    assert.deepEqual(mergeById(base, [doc("b")], [doc("a"), doc("b")]).map((d) => d.id), ["b"]);
+    // 其他进程删了 b：本进程没改则随之删除，改过则保留
+    assert.deepEqual(mergeById(base, [doc("a"), doc("b")], [doc("a")]).map((d) => d.id), ["a"]);
+    assert.deepEqual(mergeById(base, [doc("a"), doc("b", "edited")], [doc("a")]).map((d) => d.id), ["a", "b"]);
+});
+
+test("mergeById：空 base（从未同步）时两边条目都保留，同 id 以 ours 为准", () => {
+    const merged = mergeById(new Map(), [doc("a", "ours-a"), doc("new")], [doc("a"), doc("disk")]);
+    assert.deepEqual(merged, [doc("a", "ours-a"), doc("disk"), doc("new")]);
+});
+
+test("mergeById：无 id 的条目原样保留", () => {
+    const loose  = { task: "t", result: "r" };
+    const merged = mergeById(new Map(), [], [loose]);
+    assert.deepEqual(merged, [loose]);
+});
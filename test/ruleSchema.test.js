@@ -0,0 +1,31 @@
+// test/ruleSchema.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkPreconditions } from "../src/memory/ruleSchema.js";
+
+test("checkPreconditions：纯文本准则或无 when → 放行", () => {
+    assert.deepEqual(checkPreconditions(null, { text: "任意" }), { ok: true, matched: [], missing: [] });
+    assert.deepEqual(checkPreconditions({ do: "x" }), { ok: true, matched: [], missing: [] });
+});
+
+test("checkPreconditions：各类条件都命中才放行（类别内任一命中即可）", () => {
+    const structured = { when: { keywords: ["部署", "deploy"], tools: ["run_shell"] } };
+    const ok = checkPreconditions(structured, { text: "帮我 Deploy 服务", tools: ["RUN_SHELL"] });
+    assert.equal(ok.ok, true);
+    assert.deepEqual(ok.matched, ["keywords:deploy", "tools:run_shell"]);
+
+    const miss = checkPreconditions(structured, { text: "帮我部署服务" });
+    assert.equal(miss.ok, false);
+    assert.deepEqual(miss.missing, ["tools"]);
+});
+
+test("checkPreconditions：文件类型按扩展名或正文中的后缀判定", () => {
+    const structured = { when: { fileTypes: ["ts"] } };
+    assert.equal(checkPreconditions(structured, { files: ["src/a.TS"] }).ok, true);
+    assert.equal(checkPreconditions(structured, { text: "修改 index.ts 的导出" }).ok, true);
+    assert.equal(checkPreconditions(structured, { text: "修改 index.tsx" }).ok, false);
+});
+
+test("checkPreconditions：工具名也可出现在任务文本中", () => {
+    assert.equal(checkPreconditions({ when: { tools: ["git"] } }, { text: "用 git 回滚" }).ok, true);
+});
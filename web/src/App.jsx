@@ -52,7 +52,8 @@ const RIGHT_TABS = [
 ];
 
 export default function App() {
-  const { thoughts, connected, clear } = useSSE(80);
+  const { thoughts, streams, breakers, connected, clear } = useSSE(80);
+  const degraded = Object.entries(breakers).filter(([, b]) => b.state !== "closed");
   const [rightTab, setRightTab] = useState("thought");
   const [sidebarOpen, setSidebarOpen] = useState(true);
 
@@ -92,6 +93,17 @@ export default function App() {
           })}
         </div>
 
+        {degraded.length > 0 && (
+          <div
+            className="flex items-center gap-1 px-2 py-0.5 rounded border border-yellow-700 bg-yellow-900/20"
+            title={degraded.map(([p, b]) => `${p}: ${b.lastError ?? b.state}`).join("\n")}
+          >
+            <span className="text-[10px] text-yellow-300">
+              {degraded.map(([p, b]) => `${b.role ?? p} 模型降级`).join(" · ")}
+            </span>
+          </div>
+        )}
+
         <div className="flex items-center gap-2">
           <div className={`w-1.5 h-1.5 rounded-full pulse-dot ${connected ? "bg-green-400" : "bg-red-500"}`} />
           <span className="text-[10px] text-gray-500">{connected ? "已连接" : "重连中"}</span>
@@ -102,7 +114,7 @@ export default function App() {
       <div className="flex flex-1 min-h-0">
         {/* 对话区 */}
         <div className="flex-1 min-w-0">
-          <ChatPanel thoughts={thoughts} />
+          <ChatPanel thoughts={thoughts} streams={streams} />
         </div>
 
         {/* 分隔线 + 折叠按钮 */}
@@ -1,7 +1,7 @@
 import React, { useState, useRef, useEffect } from "react";
 import ReactMarkdown from "react-markdown";
-import { sendChat, startExternalAgent, sendExternalInput, stopExternalTask } from "../lib/api.js";
-import { Send, Loader2, Bot, User } from "lucide-react";
+import { sendChat, newRequestId, cancelRun, sendFeedback, startExternalAgent, sendExternalInput, stopExternalTask } from "../lib/api.js";
+import { Send, Loader2, Bot, User, Square, ThumbsUp, ThumbsDown } from "lucide-react";
 
 function formatRouteSummary(route) {
   if (!route) return "";
@@ -41,7 +41,35 @@ function formatExperienceSummary(experience) {
   return `经验缓存：命中历史经验（score=${top.score}${asset}）`;
 }
 
-function Message({ role, content, isStreaming }) {
+function formatUsageSummary(usage) {
+  if (!usage?.calls) return "";
+  return `用量：${usage.total} tokens · ${usage.calls} 次模型调用 · ≈${usage.cost.toFixed(4)}`;
+}
+
+// 回答评价：👍 / 👎 调整该轮召回与固化准则的置信度，每条回答只可评价一次
+function FeedbackButtons({ feedback, intuition, onRate }) {
+  const btn = (rating, Icon, title, active) => (
+    <button
+      onClick={() => onRate(rating)}
+      disabled={!!feedback}
+      title={title}
+      className={`p-1 rounded transition-colors disabled:cursor-default
+        ${feedback === rating ? active : "text-gray-600 hover:text-gray-300 disabled:hover:text-gray-600"}`}
+    >
+      <Icon size={12} />
+    </button>
+  );
+  return (
+    <div className="flex gap-1 mt-1">
+      {btn("good", ThumbsUp, "有用：提升所用准则置信度", "text-emerald-400")}
+      {btn("bad", ThumbsDown,
+        intuition ? "有误：降低置信度，该直觉准则此后不再直接作答" : "有误：降低所用准则置信度",
+        "text-red-400")}
+    </div>
+  );
+}
+
+function Message({ role, content, isStreaming, feedback, intuition, onRate }) {
   if (role === "system") {
     return (
       <div className="flex justify-center">
@@ -79,12 +107,13 @@ function Message({ role, content, isStreaming }) {
             <Loader2 size={12} className="animate-spin" />
           </span>
         )}
+        {onRate && <FeedbackButtons feedback={feedback} intuition={intuition} onRate={onRate} />}
       </div>
     </div>
   );
 }
 
-export default function ChatPanel({ thoughts = [] }) {
+export default function ChatPanel({ thoughts = [], streams = {} }) {
   const welcome = { role: "ai", content: "☯️ 五行已就绪。我是 WuXing-Agent，你的数字意识体。有什么需要？" };
   const [messages, setMessages] = useState([
     welcome
@@ -92,14 +121,18 @@ export default function ChatPanel({ thoughts = [] }) {
   const [input, setInput]       = useState("");
   const [loading, setLoading]   = useState(false);
   const [activeExternalTask, setActiveExternalTask] = useState(null);
+  const [pendingRequestId, setPendingRequestId] = useState(null);
   const bottomRef = useRef(null);
   const inputRef  = useRef(null);
   const seenThoughtIdsRef = useRef(new Set());
   const lastProgressRef = useRef(-1);
 
+  // 当前请求的流式草稿（推理层逐 token 推送）
+  const draft = pendingRequestId ? streams[pendingRequestId]?.text ?? "" : "";
+
   useEffect(() => {
     bottomRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages]);
+  }, [messages, draft]);
 
   useEffect(() => {
     const resetChat = () => setMessages([welcome]);
@@ -226,7 +259,13 @@ export default function ChatPanel({ thoughts = [] }) {
         return;
       }
 
-      const { answer, route, assetAudit, experience } = await sendChat(text, getSessionMessages());
+      const requestId = newRequestId();
+      setPendingRequestId(requestId);
+      const { answer, route, assetAudit, experience, usage, cancelled, intuition } = await sendChat(text, getSessionMessages(), requestId);
+      if (cancelled) {
+        setMessages((prev) => [...prev, { role: "system", content: "推理已取消" }]);
+        return;
+      }
       const routeLine = formatRouteSummary(route);
       if (routeLine) {
         setMessages((prev) => [...prev, { role: "system", content: routeLine }]);
@@ -239,18 +278,59 @@ export default function ChatPanel({ thoughts = [] }) {
       if (auditLine) {
         setMessages((prev) => [...prev, { role: "system", content: auditLine }]);
       }
-      setMessages((prev) => [...prev, { role: "ai", content: answer || "(无回应)" }]);
+      setMessages((prev) => [...prev, {
+        role: "ai",
+        content: answer || "(无回应)",
+        meta: { kind: "answer", requestId, intuition: !!intuition, feedback: null },
+      }]);
+      const usageLine = formatUsageSummary(usage);
+      if (usageLine) {
+        setMessages((prev) => [...prev, { role: "system", content: usageLine }]);
+      }
     } catch (e) {
       setMessages((prev) => [...prev, {
         role: "ai",
-        content: `⚠️ 推理失败：${e.message}`,
+        content: e.budgetExceeded
+          ? `⛔ ${e.message}（可在「用量」面板申请临时提额）`
+          : e.degraded
+            ? `⚠️ ${e.degraded.role ?? "推理"} 模型暂时不可用（${e.degraded.provider}），请稍后重试：${e.message}`
+            : `⚠️ 推理失败：${e.message}`,
       }]);
     } finally {
       setLoading(false);
+      setPendingRequestId(null);
       setTimeout(() => inputRef.current?.focus(), 50);
     }
   };
 
+  // 评价回答：先行置灰按钮，提交失败时恢复并提示
+  const rate = async (requestId, rating) => {
+    const setFeedback = (feedback) => setMessages((prev) => prev.map((m) =>
+      m.meta?.requestId === requestId ? { ...m, meta: { ...m.meta, feedback } } : m
+    ));
+    setFeedback(rating);
+    try {
+      const { adjusted } = await sendFeedback(requestId, rating);
+      const blocked = adjusted.filter((a) => a.blocked).length;
+      setMessages((prev) => [...prev, {
+        role: "system",
+        content: `已记录${rating === "good" ? "👍" : "👎"}：调整 ${adjusted.length} 条准则置信度` +
+          (blocked ? `，${blocked} 条不再直接作答` : ""),
+      }]);
+    } catch (e) {
+      setFeedback(null);
+      setMessages((prev) => [...prev, { role: "system", content: `反馈失败：${e.message}` }]);
+    }
+  };
+
+  // 停止当前推理：中止 LLM、工具子进程与 MCP 调用
+  const stop = async () => {
+    if (!pendingRequestId) return;
+    try {
+      await cancelRun(pendingRequestId);
+    } catch { /* 静默：请求结束时由 submit 收尾 */ }
+  };
+
   const handleKey = (e) => {
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
@@ -265,9 +345,15 @@ export default function ChatPanel({ thoughts = [] }) {
         {messages.map((m, i) => (
           <Message key={i} role={m.role} content={m.content}
             isStreaming={loading && i === messages.length - 1 && m.role === "ai"}
+            feedback={m.meta?.feedback}
+            intuition={m.meta?.intuition}
+            onRate={m.meta?.kind === "answer" ? (rating) => rate(m.meta.requestId, rating) : undefined}
           />
         ))}
-        {loading && messages[messages.length - 1]?.role === "human" && (
+        {loading && draft && (
+          <Message role="ai" content={draft} isStreaming />
+        )}
+        {loading && !draft && messages[messages.length - 1]?.role === "human" && (
           <div className="flex gap-3">
             <div className="w-7 h-7 rounded-full bg-indigo-900 flex items-center justify-center">
               <Bot size={14} className="text-indigo-300" />
@@ -299,18 +385,29 @@ export default function ChatPanel({ thoughts = [] }) {
             }}
             disabled={loading}
           />
-          <button
-            onClick={submit}
-            disabled={loading || !input.trim()}
-            className="shrink-0 w-8 h-8 rounded-xl bg-indigo-600 hover:bg-indigo-500
-              disabled:opacity-40 disabled:cursor-not-allowed
-              flex items-center justify-center transition-colors"
-          >
-            {loading
-              ? <Loader2 size={14} className="animate-spin text-white" />
-              : <Send size={14} className="text-white" />
-            }
-          </button>
+          {loading && pendingRequestId ? (
+            <button
+              onClick={stop}
+              title="停止推理"
+              className="shrink-0 w-8 h-8 rounded-xl bg-red-600 hover:bg-red-500
+                flex items-center justify-center transition-colors"
+            >
+              <Square size={12} className="text-white" fill="currentColor" />
+            </button>
+          ) : (
+            <button
+              onClick={submit}
+              disabled={loading || !input.trim()}
+              className="shrink-0 w-8 h-8 rounded-xl bg-indigo-600 hover:bg-indigo-500
+                disabled:opacity-40 disabled:cursor-not-allowed
+                flex items-center justify-center transition-colors"
+            >
+              {loading
+                ? <Loader2 size={14} className="animate-spin text-white" />
+                : <Send size={14} className="text-white" />
+              }
+            </button>
+          )}
         </div>
         <p className="text-[10px] text-gray-600 mt-1.5 text-center">
           WuXing-Agent · 自主进化数字意识体
@@ -0,0 +1,284 @@
+import React, { useEffect, useState } from "react";
+import {
+  fetchMemoryRules, updateMemoryRule, deleteMemoryRule, bulkDeleteMemoryRules,
+} from "../lib/api.js";
+import { diffText } from "../lib/diff.js";
+import { Search, Pencil, Trash2, ChevronLeft, ChevronRight } from "lucide-react";
+
+const PAGE_SIZE = 20;
+const TYPES = ["core", "long_term", "short_term"];
+const FIELDS = [
+  ["task", "任务场景"],
+  ["result", "因果准则"],
+  ["memory_type", "层级"],
+  ["confidence", "置信度"],
+];
+
+function typeColor(t) {
+  if (t === "core") return "bg-green-900/40 text-green-300";
+  if (t === "short_term") return "bg-yellow-900/40 text-yellow-300";
+  return "bg-gray-800 text-gray-400";
+}
+
+function DiffView({ before, after }) {
+  return (
+    <span className="whitespace-pre-wrap break-all">
+      {diffText(String(before ?? ""), String(after ?? "")).map((seg, i) => (
+        <span
+          key={i}
+          className={
+            seg.type === "add" ? "bg-green-900/60 text-green-200"
+              : seg.type === "del" ? "bg-red-900/60 text-red-300 line-through"
+              : "text-gray-400"
+          }
+        >
+          {seg.text}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+// 编辑表单：先预览差异，确认后才提交
+function RuleForm({ rule, onCancel, onSaved }) {
+  const [draft, setDraft]     = useState({
+    task: rule.task, result: rule.result,
+    memory_type: rule.memory_type ?? "long_term", confidence: rule.confidence ?? 1,
+  });
+  const [preview, setPreview] = useState(false);
+  const [saving, setSaving]   = useState(false);
+  const [error, setError]     = useState("");
+
+  const changed = FIELDS.filter(([k]) =>
+    k === "confidence" ? Number(draft[k]) !== Number(rule[k] ?? 1) : draft[k] !== (rule[k] ?? (k === "memory_type" ? "long_term" : ""))
+  );
+
+  async function save() {
+    setSaving(true);
+    setError("");
+    try {
+      const patch = Object.fromEntries(changed.map(([k]) => [k, k === "confidence" ? Number(draft[k]) : draft[k]]));
+      await updateMemoryRule(rule.id, patch);
+      onSaved();
+    } catch (e) {
+      setError(e.message);
+      setPreview(false);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const set = (k) => (e) => { setDraft((d) => ({ ...d, [k]: e.target.value })); setPreview(false); };
+
+  return (
+    <div className="space-y-1.5 mt-1.5">
+      <input
+        value={draft.task}
+        onChange={set("task")}
+        className="w-full bg-gray-950 border border-gray-700 rounded px-2 py-1 text-[10px] text-gray-300"
+        placeholder="任务场景"
+      />
+      <textarea
+        value={draft.result}
+        onChange={set("result")}
+        rows={3}
+        className="w-full bg-gray-950 border border-gray-700 rounded px-2 py-1 text-[11px] text-gray-200"
+        placeholder="因果准则"
+      />
+      <div className="flex gap-2 items-center text-[10px] text-gray-400">
+        <select value={draft.memory_type} onChange={set("memory_type")} className="bg-gray-950 border border-gray-700 rounded px-1 py-0.5">
+          {TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <label className="flex items-center gap-1">
+          置信
+          <input
+            type="number" min="0" max="1" step="0.05"
+            value={draft.confidence}
+            onChange={set("confidence")}
+            className="w-16 bg-gray-950 border border-gray-700 rounded px-1 py-0.5"
+          />
+        </label>
+      </div>
+
+      {preview && (
+        <div className="bg-gray-950 rounded p-2 space-y-1 text-[10px]">
+          {changed.length === 0 ? <p className="text-gray-500">没有改动</p> : changed.map(([k, label]) => (
+            <div key={k}>
+              <span className="text-gray-500">{label}：</span>
+              <DiffView before={rule[k]} after={draft[k]} />
+            </div>
+          ))}
+          {changed.some(([k]) => k === "task") && (
+            <p className="text-yellow-400">修改任务场景会重算该条向量并重建近邻索引。</p>
+          )}
+        </div>
+      )}
+      {error && <p className="text-red-400 text-[10px]">{error}</p>}
+
+      <div className="flex gap-2">
+        {preview ? (
+          <button
+            onClick={save}
+            disabled={saving || changed.length === 0}
+            className="px-2 py-1 bg-indigo-700 hover:bg-indigo-600 disabled:opacity-50 text-white rounded text-[10px]"
+          >
+            {saving ? "保存中..." : "确认保存"}
+          </button>
+        ) : (
+          <button
+            onClick={() => setPreview(true)}
+            className="px-2 py-1 bg-indigo-900/60 hover:bg-indigo-800/60 text-indigo-200 rounded text-[10px]"
+          >
+            预览差异
+          </button>
+        )}
+        <button onClick={onCancel} className="px-2 py-1 text-gray-400 hover:text-gray-200 text-[10px]">取消</button>
+      </div>
+    </div>
+  );
+}
+
+export default function MemoryEditor({ onChanged }) {
+  const [query, setQuery]       = useState({ q: "", type: "", minConfidence: "" });
+  const [offset, setOffset]     = useState(0);
+  const [page, setPage]         = useState(null);
+  const [editing, setEditing]   = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [message, setMessage]   = useState("");
+
+  async function load(nextOffset = offset) {
+    const data = await fetchMemoryRules({ ...query, offset: nextOffset, limit: PAGE_SIZE });
+    setPage(data);
+    setOffset(nextOffset);
+  }
+
+  useEffect(() => { load(0); }, [query.type, query.minConfidence]);
+
+  async function afterWrite(msg) {
+    setMessage(msg);
+    setEditing(null);
+    setSelected(new Set());
+    await load();
+    onChanged?.();
+  }
+
+  async function remove(rule) {
+    if (!window.confirm(`确认删除该准则？\n${rule.result}`)) return;
+    try {
+      await deleteMemoryRule(rule.id);
+      await afterWrite("已删除 1 条准则");
+    } catch (e) {
+      setMessage(`删除失败：${e.message}`);
+    }
+  }
+
+  async function removeSelected() {
+    if (!window.confirm(`确认删除选中的 ${selected.size} 条准则？`)) return;
+    try {
+      const r = await bulkDeleteMemoryRules([...selected]);
+      await afterWrite(`已删除 ${r.removed.length} 条准则`);
+    } catch (e) {
+      setMessage(`批量删除失败：${e.message}`);
+    }
+  }
+
+  function toggle(id) {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  }
+
+  const total = page?.total ?? 0;
+
+  return (
+    <div className="space-y-2">
+      <form
+        onSubmit={(e) => { e.preventDefault(); load(0); }}
+        className="flex gap-1.5 items-center"
+      >
+        <div className="flex-1 flex items-center gap-1 bg-gray-900 rounded-lg px-2">
+          <Search size={11} className="text-gray-500" />
+          <input
+            value={query.q}
+            onChange={(e) => setQuery((q) => ({ ...q, q: e.target.value }))}
+            placeholder="搜索任务 / 准则 / id"
+            className="flex-1 bg-transparent py-1 text-[10px] text-gray-200 outline-none"
+          />
+        </div>
+        <select
+          value={query.type}
+          onChange={(e) => setQuery((q) => ({ ...q, type: e.target.value }))}
+          className="bg-gray-900 rounded-lg px-1 py-1 text-[10px] text-gray-300"
+        >
+          <option value="">全部层级</option>
+          {TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <select
+          value={query.minConfidence}
+          onChange={(e) => setQuery((q) => ({ ...q, minConfidence: e.target.value }))}
+          className="bg-gray-900 rounded-lg px-1 py-1 text-[10px] text-gray-300"
+        >
+          <option value="">任意置信</option>
+          <option value="0.5">≥ 0.5</option>
+          <option value="0.8">≥ 0.8</option>
+        </select>
+      </form>
+
+      <div className="flex items-center justify-between text-[10px] text-gray-500">
+        <span>共 {total} 条{selected.size > 0 ? `，已选 ${selected.size}` : ""}</span>
+        {selected.size > 0 && (
+          <button onClick={removeSelected} className="px-2 py-0.5 bg-red-900/40 hover:bg-red-800/40 text-red-300 rounded">
+            删除选中
+          </button>
+        )}
+      </div>
+      {message && <p className="text-[10px] text-indigo-300">{message}</p>}
+
+      {page?.items?.map((d) => (
+        <div key={d.id} className="bg-gray-900 rounded-lg p-2.5">
+          <div className="flex items-center gap-1.5 mb-1">
+            <input type="checkbox" checked={selected.has(d.id)} onChange={() => toggle(d.id)} />
+            <span className={`px-2 py-0.5 rounded-full text-[10px] font-medium ${typeColor(d.memory_type)}`}>
+              {d.memory_type ?? "long_term"}
+            </span>
+            <span className="px-2 py-0.5 rounded-full text-[10px] font-medium bg-purple-900/40 text-purple-300">
+              置信 {Math.round((d.confidence ?? 1) * 100)}%
+            </span>
+            {d.provenance?.origin && <span className="text-[10px] text-gray-600">{d.provenance.origin}</span>}
+            <div className="ml-auto flex gap-1.5">
+              <button onClick={() => setEditing(editing === d.id ? null : d.id)} className="text-gray-500 hover:text-indigo-300" title="编辑">
+                <Pencil size={11} />
+              </button>
+              <button onClick={() => remove(d)} className="text-gray-500 hover:text-red-400" title="删除">
+                <Trash2 size={11} />
+              </button>
+            </div>
+          </div>
+          {editing === d.id ? (
+            <RuleForm rule={d} onCancel={() => setEditing(null)} onSaved={() => afterWrite("准则已保存")} />
+          ) : (
+            <>
+              <p className="text-gray-300 text-[11px] leading-relaxed">{d.result}</p>
+              <p className="text-gray-600 text-[10px] mt-0.5 truncate">{d.task}</p>
+            </>
+          )}
+        </div>
+      ))}
+      {page && page.items?.length === 0 && <p className="text-gray-500 text-center text-[10px] py-2">没有匹配的准则</p>}
+
+      {total > PAGE_SIZE && (
+        <div className="flex items-center justify-center gap-3 text-[10px] text-gray-400">
+          <button disabled={offset === 0} onClick={() => load(Math.max(0, offset - PAGE_SIZE))} className="disabled:opacity-30">
+            <ChevronLeft size={12} />
+          </button>
+          <span>{offset + 1}–{Math.min(offset + PAGE_SIZE, total)} / {total}</span>
+          <button disabled={offset + PAGE_SIZE >= total} onClick={() => load(offset + PAGE_SIZE)} className="disabled:opacity-30">
+            <ChevronRight size={12} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
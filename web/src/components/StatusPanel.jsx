@@ -1,10 +1,11 @@
 import React, { useEffect, useState } from "react";
 import {
   fetchStatus, fetchSkills, fetchMemory, fetchGoals, sendCommand,
-  fetchApprovalPolicy, updateApprovalPolicy, fetchSelfProfile,
+  fetchApprovalPolicy, updateApprovalPolicy, fetchSelfProfile, fetchUsage, raiseBudget,
 } from "../lib/api.js";
-import { RefreshCw, Zap, Brain, Target, ShieldAlert, Scale, ScanEye } from "lucide-react";
+import { RefreshCw, Zap, Brain, Target, ShieldAlert, Scale, ScanEye, Coins } from "lucide-react";
 import ReactMarkdown from "react-markdown";
+import MemoryEditor from "./MemoryEditor.jsx";
 
 function Tab({ active, onClick, children }) {
   return (
@@ -34,6 +35,40 @@ function Badge({ color = "gray", children }) {
   );
 }
 
+// 预算进度行：已用 / 上限（上限为 null 表示不限）
+function BudgetRow({ label, used, limit, format = (v) => v }) {
+  if (!limit) return null;
+  const pct = Math.min(100, Math.round((used / limit) * 100));
+  return (
+    <div className="text-[10px] text-gray-300">
+      <div className="flex justify-between">
+        <span>{label}</span>
+        <span>{format(used)} / {format(limit)}</span>
+      </div>
+      <div className="h-1 bg-gray-800 rounded mt-0.5">
+        <div className={`h-1 rounded ${pct >= 100 ? "bg-red-500" : pct >= 80 ? "bg-yellow-500" : "bg-green-500"}`} style={{ width: `${pct}%` }} />
+      </div>
+    </div>
+  );
+}
+
+// 用量拆分表：按 tokens 从高到低
+function UsageBreakdown({ title, rows }) {
+  const entries = Object.entries(rows ?? {}).sort(([, a], [, b]) => b.total - a.total);
+  if (entries.length === 0) return null;
+  return (
+    <div className="bg-gray-900 rounded-lg p-2.5">
+      <p className="text-gray-500 text-[10px] mb-2 font-semibold uppercase tracking-wider">{title}</p>
+      {entries.map(([key, a]) => (
+        <div key={key} className="flex justify-between text-[10px] text-gray-300">
+          <span>{key}</span>
+          <span>{a.total} tokens · {a.calls} 次 · {a.cost.toFixed(4)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 export default function StatusPanel() {
   const [tab, setTab]       = useState("status");
   const [status, setStatus] = useState(null);
@@ -43,9 +78,11 @@ export default function StatusPanel() {
   const [policy, setPolicy] = useState(null);
   const [policyDraft, setPolicyDraft] = useState(null);
   const [selfProfile, setSelfProfile] = useState(null);
+  const [usage, setUsage]         = useState(null);
   const [cmdResult, setCmdResult] = useState("");
   const [loading, setLoading]     = useState(false);
   const [savingPolicy, setSavingPolicy] = useState(false);
+  const [raising, setRaising]     = useState(false);
 
   async function refresh() {
     setLoading(true);
@@ -55,6 +92,7 @@ export default function StatusPanel() {
       if (tab === "memory") setMemory(await fetchMemory());
       if (tab === "goals")  setGoals(await fetchGoals());
       if (tab === "self") setSelfProfile(await fetchSelfProfile());
+      if (tab === "usage") setUsage(await fetchUsage(7));
       if (tab === "policy") {
         const p = await fetchApprovalPolicy();
         setPolicy(p);
@@ -76,6 +114,18 @@ export default function StatusPanel() {
     await refresh();
   }
 
+  // 提额走 critical 审批，审批卡片由 ApprovalGate 弹出
+  async function requestRaise() {
+    setRaising(true);
+    try {
+      const r = await raiseBudget({ reason: "Web 面板申请" });
+      setCmdResult(r.approved ? `预算已临时提额 ×${r.raise.factor}，至 ${r.raise.until}` : `提额未批准：${r.reason}`);
+      await refresh();
+    } finally {
+      setRaising(false);
+    }
+  }
+
   function patchRisk(risk, key, value) {
     setPolicyDraft((prev) => {
       if (!prev?.riskRules?.[risk]) return prev;
@@ -136,6 +186,9 @@ export default function StatusPanel() {
         <Tab active={tab === "self"} onClick={() => setTab("self")}>
           <ScanEye size={11} className="inline mr-1" />自知
         </Tab>
+        <Tab active={tab === "usage"} onClick={() => setTab("usage")}>
+          <Coins size={11} className="inline mr-1" />用量
+        </Tab>
         <button onClick={refresh} disabled={loading}
           className="ml-auto text-gray-500 hover:text-gray-300 transition-colors disabled:opacity-40">
           <RefreshCw size={12} className={loading ? "animate-spin" : ""} />
@@ -247,20 +300,9 @@ export default function StatusPanel() {
                 </div>
 
                 <p className="text-gray-500 text-[10px] pt-1 font-semibold uppercase tracking-wider">
-                  最近因果律
+                  因果律管理
                 </p>
-                {memory.recent?.map((d, i) => (
-                  <div key={i} className="bg-gray-900 rounded-lg p-2.5">
-                    <div className="flex items-center gap-1.5 mb-1">
-                      <Badge color={d.memory_type === "core" ? "green" : d.memory_type === "short_term" ? "yellow" : "gray"}>
-                        {d.memory_type}
-                      </Badge>
-                      <Badge color="purple">置信 {d.confidence}%</Badge>
-                    </div>
-                    <p className="text-gray-300 text-[11px] leading-relaxed">{d.rule}</p>
-                    <p className="text-gray-600 text-[10px] mt-0.5 truncate">{d.task}</p>
-                  </div>
-                ))}
+                <MemoryEditor onChanged={refresh} />
               </div>
             ) : <p className="text-gray-500 text-center py-4">加载中...</p>}
           </>
@@ -449,6 +491,94 @@ export default function StatusPanel() {
                     <p>- 熵减周期：每 {selfProfile.memory?.entropyEvery ?? "?"} 次交互</p>
                   </div>
                 </div>
+
+                <div className="bg-gray-900 rounded-lg p-2.5">
+                  <p className="text-gray-500 text-[10px] mb-2 font-semibold uppercase tracking-wider">模型供应</p>
+                  <div className="space-y-1 text-[10px] text-gray-300">
+                    <p>- 默认供应方：{selfProfile.llm?.provider ?? "?"}</p>
+                    {Object.entries(selfProfile.llm?.providers ?? {}).map(([name, b]) => (
+                      <p key={name} className={b.state === "closed" ? "" : "text-yellow-300"}>
+                        - {name}：{b.state === "closed" ? "正常" : b.state === "open" ? `熔断（${b.retryAt ?? ""} 后试探）` : "半开试探中"}
+                        {b.state !== "closed" && b.lastError ? ` · ${b.lastError}` : ""}
+                      </p>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            ) : <p className="text-gray-500 text-center py-4">加载中...</p>}
+          </>
+        )}
+
+        {/* ── 用量面板 ── */}
+        {tab === "usage" && (
+          <>
+            {usage ? (
+              <div className="space-y-2">
+                <div className="flex gap-2">
+                  <div className="flex-1 bg-gray-900 rounded-lg p-2.5 text-center">
+                    <p className="text-2xl font-bold text-yellow-400">{usage.today?.total ?? 0}</p>
+                    <p className="text-gray-500 text-[10px]">今日 tokens</p>
+                  </div>
+                  <div className="flex-1 bg-gray-900 rounded-lg p-2.5 text-center">
+                    <p className="text-2xl font-bold text-green-400">{(usage.today?.cost ?? 0).toFixed(4)}</p>
+                    <p className="text-gray-500 text-[10px]">今日成本（{usage.currency}）</p>
+                  </div>
+                </div>
+
+                {usage.budget && (
+                  <div className="bg-gray-900 rounded-lg p-2.5 space-y-1.5">
+                    <div className="flex justify-between items-center">
+                      <p className="text-gray-500 text-[10px] font-semibold uppercase tracking-wider">预算</p>
+                      {usage.budget.raise && <Badge color="purple">提额 ×{usage.budget.raise.factor}</Badge>}
+                      {usage.budget.exceeded && <Badge color="red">已超限</Badge>}
+                    </div>
+                    <BudgetRow label="今日 tokens" used={usage.budget.today.tokens} limit={usage.budget.today.limit.tokens} />
+                    <BudgetRow label="今日成本" used={usage.budget.today.cost} limit={usage.budget.today.limit.cost} format={(v) => v.toFixed(4)} />
+                    <BudgetRow label="本月 tokens" used={usage.budget.month.tokens} limit={usage.budget.month.limit.tokens} />
+                    <BudgetRow label="本月成本" used={usage.budget.month.cost} limit={usage.budget.month.limit.cost} format={(v) => v.toFixed(4)} />
+                    {usage.budget.quietHours && (
+                      <p className="text-gray-500 text-[10px]">
+                        心跳静默时段 {usage.budget.quietHours.start}–{usage.budget.quietHours.end}
+                        {usage.budget.quietUntil ? "（静默中）" : ""}
+                      </p>
+                    )}
+                    {usage.budget.exceeded && <p className="text-red-300 text-[10px]">{usage.budget.exceeded.message}</p>}
+                    <button
+                      onClick={requestRaise}
+                      disabled={raising}
+                      className="w-full text-[10px] py-1 rounded bg-purple-900/50 text-purple-200 hover:bg-purple-800/60 disabled:opacity-50"
+                    >
+                      {raising ? "等待审批..." : "申请临时提额（critical 审批）"}
+                    </button>
+                    {cmdResult && (
+                      <div className="text-gray-400 whitespace-pre-wrap text-[10px]">{cmdResult}</div>
+                    )}
+                  </div>
+                )}
+
+                <UsageBreakdown title="今日按节点" rows={usage.today?.byNode} />
+                <UsageBreakdown title="今日按模型" rows={usage.today?.byModel} />
+
+                <div className="bg-gray-900 rounded-lg p-2.5">
+                  <p className="text-gray-500 text-[10px] mb-2 font-semibold uppercase tracking-wider">近 7 日</p>
+                  {(usage.daily ?? []).length === 0 && <p className="text-gray-600 text-[10px]">暂无记录</p>}
+                  {(usage.daily ?? []).map((d) => (
+                    <div key={d.date} className="flex justify-between text-[10px] text-gray-300">
+                      <span>{d.date}</span>
+                      <span>{d.total} tokens · {d.cost.toFixed(4)}</span>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="bg-gray-900 rounded-lg p-2.5">
+                  <p className="text-gray-500 text-[10px] mb-2 font-semibold uppercase tracking-wider">最近请求</p>
+                  {(usage.recent ?? []).map((r) => (
+                    <div key={r.requestId} className="flex justify-between gap-2 text-[10px] text-gray-300">
+                      <span className="truncate text-gray-500">{r.requestId}</span>
+                      <span className="shrink-0">{r.total} tokens · {r.calls} 次 · {r.cost.toFixed(4)}</span>
+                    </div>
+                  ))}
+                </div>
               </div>
             ) : <p className="text-gray-500 text-center py-4">加载中...</p>}
           </>
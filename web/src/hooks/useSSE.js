@@ -1,9 +1,15 @@
 import { useEffect, useRef, useState } from "react";
-import { subscribeStream } from "../lib/api.js";
+import { subscribeStream, fetchSelfProfile } from "../lib/api.js";
+
+const MAX_STREAMS = 8;
 
 // 订阅 SSE 思维流，保留最近 N 条事件
+// answer:chunk 分片不进入思维流，按 requestId 拼接到 streams 中
+// llm:breaker 熔断事件同时汇总到 breakers（provider → 最新状态）
 export function useSSE(maxItems = 60) {
   const [thoughts, setThoughts] = useState([]);
+  const [streams, setStreams]   = useState({});
+  const [breakers, setBreakers] = useState({});
   const [connected, setConnected]  = useState(false);
   const closeRef = useRef(null);
 
@@ -15,6 +21,24 @@ export function useSSE(maxItems = 60) {
       const close = subscribeStream((event) => {
         if (!active) return;
         setConnected(true);
+        if (event.type === "answer:chunk") {
+          const { requestId, cycle = 0, delta = "" } = event.data ?? {};
+          if (!requestId) return;
+          setStreams((prev) => {
+            const cur = prev[requestId];
+            // 工具循环进入新一轮推理时，重置草稿
+            const text = cur && cur.cycle === cycle ? cur.text + delta : delta;
+            const next = { ...prev, [requestId]: { cycle, text } };
+            const keys = Object.keys(next);
+            if (keys.length > MAX_STREAMS) delete next[keys[0]];
+            return next;
+          });
+          return;
+        }
+        if (event.type === "llm:breaker" && event.data?.provider) {
+          const { provider, role, state, retryAt, lastError } = event.data;
+          setBreakers((prev) => ({ ...prev, [provider]: { role, state, retryAt, lastError } }));
+        }
         setThoughts((prev) => {
           const next = [...prev, { ...event, id: Date.now() + Math.random() }];
           return next.length > maxItems ? next.slice(-maxItems) : next;
@@ -25,6 +49,20 @@ export function useSSE(maxItems = 60) {
 
     connect();
 
+    // 首次加载：从自我画像补齐连接前已发生的熔断状态
+    fetchSelfProfile()
+      .then((p) => {
+        if (!active || !p?.llm?.providers) return;
+        const initial = Object.fromEntries(
+          Object.entries(p.llm.providers).map(([name, b]) => [
+            name,
+            { role: b.lastRole, state: b.state, retryAt: b.retryAt, lastError: b.lastError },
+          ])
+        );
+        setBreakers((prev) => ({ ...initial, ...prev }));
+      })
+      .catch(() => {});
+
     return () => {
       active = false;
       closeRef.current?.();
@@ -34,5 +72,5 @@ export function useSSE(maxItems = 60) {
 
   const clear = () => setThoughts([]);
 
-  return { thoughts, connected, clear };
+  return { thoughts, streams, breakers, connected, clear };
 }
@@ -1,23 +1,86 @@
 const BASE = "/api";
 
-export async function sendChat(message, sessionMessages = []) {
+export function newRequestId() {
+  return `req_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// requestId 用于关联 SSE 中的 answer:chunk 流式分片
+export async function sendChat(message, sessionMessages = [], requestId = newRequestId()) {
   const res = await fetch(`${BASE}/chat`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ message, sessionMessages }),
+    body: JSON.stringify({ message, sessionMessages, requestId }),
   });
   if (!res.ok) {
     const err = await res.json().catch(() => ({ error: res.statusText }));
-    throw new Error(err.error ?? "请求失败");
+    // 503 + degraded：模型供应方重试耗尽或熔断；429 + budgetExceeded：预算用尽
+    throw Object.assign(new Error(err.error ?? "请求失败"), {
+      degraded: err.degraded ?? null,
+      budgetExceeded: err.budgetExceeded ?? null,
+    });
   }
   return res.json();
 }
 
+export async function cancelRun(requestId, reason = "用户取消") {
+  const res = await fetch(`${BASE}/v1/runs/${encodeURIComponent(requestId)}/cancel`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ reason }),
+  });
+  return res.json();
+}
+
+// 评价一次回答：rating = good | bad，调整该轮召回 / 固化准则的置信度
+export async function sendFeedback(requestId, rating, note = "") {
+  const res = await fetch(`${BASE}/v1/feedback`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ requestId, rating, note }),
+  });
+  const data = await res.json().catch(() => ({ error: res.statusText }));
+  if (!res.ok) throw new Error(data.error ?? "反馈提交失败");
+  return data;
+}
+
 export async function fetchStatus()    { return (await fetch(`${BASE}/status`)).json(); }
 export async function fetchSkills()    { return (await fetch(`${BASE}/skills`)).json(); }
 export async function fetchWorkspace() { return (await fetch(`${BASE}/workspace`)).json(); }
 export async function fetchGoals()     { return (await fetch(`${BASE}/goals`)).json(); }
 export async function fetchMemory()    { return (await fetch(`${BASE}/memory`)).json(); }
+// 记忆管理：分页筛选 / 新增 / 编辑（返回 before / after）/ 删除 / 批量删除
+export async function fetchMemoryRules(params = {}) {
+  const qs = new URLSearchParams(
+    Object.entries(params).filter(([, v]) => v !== undefined && v !== null && v !== "")
+  );
+  return (await fetch(`${BASE}/v1/memory?${qs}`)).json();
+}
+async function memoryWrite(method, path, body) {
+  const res = await fetch(`${BASE}/v1/memory${path}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({ error: res.statusText }));
+  if (!res.ok) throw new Error(data.error ?? "记忆操作失败");
+  return data;
+}
+export function createMemoryRule(rule)        { return memoryWrite("POST", "", rule); }
+export function updateMemoryRule(id, patch)   { return memoryWrite("PATCH", `/${encodeURIComponent(id)}`, patch); }
+export function deleteMemoryRule(id)          { return memoryWrite("DELETE", `/${encodeURIComponent(id)}`); }
+export function bulkDeleteMemoryRules(ids)    { return memoryWrite("POST", "/bulk-delete", { ids }); }
+export async function fetchUsage(days = 7) {
+  return (await fetch(`${BASE}/v1/usage?days=${days}`)).json();
+}
+// 申请预算临时提额：阻塞至 critical 审批结果
+export async function raiseBudget({ factor, hours, reason = "" } = {}) {
+  const res = await fetch(`${BASE}/v1/budget/raise`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ factor, hours, reason }),
+  });
+  return res.json();
+}
 export async function fetchSelfProfile() {
   const res = await fetch(`${BASE}/v1/self-profile`);
   if (!res.ok) throw new Error("获取自我画像失败");
@@ -0,0 +1,42 @@
+// 字符级差异（LCS）— 记忆编辑器保存前预览用
+// 准则文本很短（通常 < 200 字），O(n·m) 足够；过长时退化为整段删除 + 新增
+const MAX_CELLS = 2_000_000;
+
+/**
+ * @param {string} a  修改前
+ * @param {string} b  修改后
+ * @returns {Array<{ type: "same" | "add" | "del", text: string }>}
+ */
+export function diffText(a = "", b = "") {
+  if (a === b) return a ? [{ type: "same", text: a }] : [];
+  if (a.length * b.length > MAX_CELLS) {
+    return [
+      ...(a ? [{ type: "del", text: a }] : []),
+      ...(b ? [{ type: "add", text: b }] : []),
+    ];
+  }
+
+  // dp[i][j] = a[i:] 与 b[j:] 的 LCS 长度
+  const dp = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  const push = (type, ch) => {
+    const last = out[out.length - 1];
+    if (last?.type === type) last.text += ch;
+    else out.push({ type, text: ch });
+  };
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { push("same", a[i]); i++; j++; }
+    else if (dp[i + 1][j] >= dp[i][j + 1]) push("del", a[i++]);
+    else push("add", b[j++]);
+  }
+  while (i < a.length) push("del", a[i++]);
+  while (j < b.length) push("add", b[j++]);
+  return out;
+}